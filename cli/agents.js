@@ -0,0 +1,112 @@
+/**
+ * OpenClaw agents whose session logs digest-sessions reads
+ *
+ * The main agent's logs are in sessionsDir; every other agent keeps them in
+ * <agentsDir>/<id>/sessions. An agent counts as sandboxed when openclaw.json
+ * runs it in a sandbox, or when `jasper-recall sandboxed-setup` gave its
+ * workspace the --public-only recall wrapper. Its digests are then indexed
+ * into its own agent_<id> collection rather than private_memories.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('./config');
+const { AGENT_FILE } = require('../src/js-backend/chunker');
+
+const MAIN_AGENT = 'main';
+
+/**
+ * agents.list entries of openclaw.json by id, and agents.defaults
+ */
+function openclawAgents(openclawDir) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.join(openclawDir, 'openclaw.json'), 'utf8'));
+  } catch {
+    return { entries: {}, defaults: {} };
+  }
+  const agents = parsed?.agents || {};
+  const entries = {};
+  for (const entry of Array.isArray(agents.list) ? agents.list : []) {
+    if (entry && entry.id) entries[entry.id] = entry;
+  }
+  return { entries, defaults: agents.defaults || {} };
+}
+
+function expandHome(p) {
+  return p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * Whether an agent's recall wrapper (from sandboxed-setup) restricts it to public memories
+ */
+function hasPublicOnlyWrapper(workspace) {
+  try {
+    return fs.readFileSync(path.join(workspace, 'bin', 'recall'), 'utf8').includes('--public-only');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Agents with a sessions folder: [{ name, sessionsDir, workspace, sandboxed }],
+ * the main agent first
+ * @param {Object} [options] - { sessionsDir, agentsDir } (default: the config)
+ */
+function discoverAgents(options = {}) {
+  const sessionsDir = path.resolve(options.sessionsDir || config.get('sessionsDir'));
+  const agentsDir = path.resolve(options.agentsDir || config.get('agentsDir'));
+  const openclawDir = path.dirname(agentsDir);
+  const { entries, defaults } = openclawAgents(openclawDir);
+
+  // sessionsDir is normally <agentsDir>/main/sessions, but may be set to any folder
+  const mainName = path.dirname(path.dirname(sessionsDir)) === agentsDir
+    ? path.basename(path.dirname(sessionsDir))
+    : MAIN_AGENT;
+  const found = [{ name: mainName, sessionsDir }];
+
+  let names = [];
+  try {
+    names = fs.readdirSync(agentsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  } catch {
+    // No agents folder: only the main agent
+  }
+  for (const name of names) {
+    const dir = path.join(agentsDir, name, 'sessions');
+    if (name !== mainName && path.resolve(dir) !== sessionsDir && fs.existsSync(dir)) {
+      found.push({ name, sessionsDir: dir });
+    }
+  }
+
+  return found.map(agent => {
+    const entry = entries[agent.name] || {};
+    const workspace = entry.workspace
+      ? path.resolve(expandHome(entry.workspace))
+      : path.join(openclawDir, agent.name === mainName ? 'workspace' : `workspace-${agent.name}`);
+    const mode = entry.sandbox?.mode ?? defaults.sandbox?.mode ?? 'off';
+    // Any mode but "off" sandboxes at least some of the agent's sessions, so all of them count
+    const sandboxed = agent.name !== mainName && (mode !== 'off' || hasPublicOnlyWrapper(workspace));
+    return { ...agent, workspace, sandboxed };
+  });
+}
+
+/**
+ * Write the .agent.json that tells the indexers whose digests a folder holds
+ * and which collection they belong in
+ */
+function writeAgentFile(folder, agent) {
+  const meta = {
+    agent: agent.name,
+    privacy: agent.sandboxed ? 'sandboxed' : 'private',
+    sessionsDir: agent.sessionsDir,
+    workspace: agent.workspace
+  };
+  fs.writeFileSync(path.join(folder, AGENT_FILE), JSON.stringify(meta, null, 2) + '\n');
+}
+
+module.exports = { MAIN_AGENT, discoverAgents, writeAgentFile };
@@ -0,0 +1,70 @@
+/**
+ * Append-only JSONL audit log for the recall server
+ *
+ * One line per API request: who asked, what they asked for and which
+ * sources came back. The file is rotated by size (audit.jsonl -> audit.jsonl.1
+ * -> ... -> audit.jsonl.<maxFiles>), dropping the oldest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Log file path (falsy disables logging)
+   * @param {number} [options.maxBytes] - Rotate once the file would exceed this size
+   * @param {number} [options.maxFiles] - Rotated files to keep
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.warned = false;
+  }
+
+  get enabled() {
+    return !!this.file;
+  }
+
+  /**
+   * Append one entry (never throws - auditing must not break a request)
+   */
+  write(entry) {
+    if (!this.enabled) return;
+
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.rotateIfNeeded(Buffer.byteLength(line));
+      fs.appendFileSync(this.file, line, { mode: 0o600 });
+    } catch (err) {
+      if (!this.warned) {
+        console.error(`⚠ Could not write audit log ${this.file}: ${err.message}`);
+        this.warned = true;
+      }
+    }
+  }
+
+  rotateIfNeeded(incoming) {
+    let size;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch {
+      return;
+    }
+    if (size + incoming <= this.maxBytes) return;
+
+    if (this.maxFiles < 1) {
+      fs.truncateSync(this.file, 0);
+      return;
+    }
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.file}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+    }
+    fs.renameSync(this.file, `${this.file}.1`);
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,200 @@
+/**
+ * Bearer token authentication for the recall server
+ *
+ * Tokens live in ~/.jasper-recall/config.json under "tokens". Only a SHA-256
+ * hash is stored; the token itself is printed once by `token create`.
+ *
+ * Each token is bound to an agent name and a scope:
+ *   public - shared + learnings only (same as the unauthenticated default)
+ *   mesh   - public collections plus the listed agents' collections (agent_<name>)
+ *   full   - every collection, including private memories
+ */
+
+const crypto = require('crypto');
+
+const config = require('./config');
+
+const SCOPES = ['public', 'mesh', 'full'];
+const PUBLIC_COLLECTIONS = ['shared', 'learnings'];
+const AGENT_NAME = /^[\w-]{1,64}$/;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read configured tokens (fresh from disk, so revocations apply immediately)
+ */
+function loadTokens() {
+  const tokens = config.loadConfigFile().tokens;
+  return Array.isArray(tokens) ? tokens : [];
+}
+
+function saveTokens(tokens) {
+  const fileConfig = config.loadConfigFile();
+  fileConfig.tokens = tokens;
+  config.save(fileConfig);
+}
+
+/**
+ * Create and store a token
+ * @param {Object} options - { agent, scope, agents }
+ * @returns {{ token: string, entry: Object }} - token is only available here
+ */
+function createToken(options = {}) {
+  const { agent, scope = 'public' } = options;
+  if (!agent || !AGENT_NAME.test(agent)) {
+    throw new Error('agent must be 1-64 letters, digits, "_" or "-"');
+  }
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`scope must be one of: ${SCOPES.join(', ')}`);
+  }
+
+  const agents = scope === 'mesh' ? (options.agents?.length ? options.agents : [agent]) : undefined;
+  if (agents && agents.some(a => !AGENT_NAME.test(a))) {
+    throw new Error('mesh agent names must be letters, digits, "_" or "-"');
+  }
+
+  const id = crypto.randomBytes(4).toString('hex');
+  const token = `jr_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const entry = {
+    id,
+    agent,
+    scope,
+    ...(agents && { agents }),
+    hash: hashToken(token),
+    created: new Date().toISOString()
+  };
+
+  saveTokens([...loadTokens(), entry]);
+  return { token, entry };
+}
+
+/**
+ * Remove a token by id
+ * @returns {boolean} - Whether a token was removed
+ */
+function revokeToken(id) {
+  const tokens = loadTokens();
+  const remaining = tokens.filter(t => t.id !== id);
+  if (remaining.length === tokens.length) return false;
+  saveTokens(remaining);
+  return true;
+}
+
+/**
+ * Resolve an Authorization header to its token entry
+ * @returns {Object|null}
+ */
+function authenticate(header, tokens = loadTokens()) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const hash = Buffer.from(hashToken(match[1]), 'hex');
+  return tokens.find(t => {
+    const stored = Buffer.from(String(t.hash || ''), 'hex');
+    return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+  }) || null;
+}
+
+/**
+ * Collection keys a token may search (null = unrestricted)
+ */
+function allowedCollections(entry) {
+  if (entry.scope === 'full') return null;
+  if (entry.scope === 'mesh') {
+    return [...PUBLIC_COLLECTIONS, ...(entry.agents || [entry.agent]).map(a => `agent_${a}`)];
+  }
+  return PUBLIC_COLLECTIONS;
+}
+
+function describeScope(entry) {
+  return entry.scope === 'mesh' ? `mesh (${(entry.agents || [entry.agent]).join(', ')})` : entry.scope;
+}
+
+/**
+ * `jasper-recall token <create|list|revoke>`
+ */
+function runTokenCLI(args) {
+  const subcommand = args[0];
+
+  if (subcommand === 'create') {
+    const options = {};
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '--agent') options.agent = args[++i];
+      else if (args[i] === '--scope') options.scope = args[++i];
+      else if (args[i] === '--agents') options.agents = (args[++i] || '').split(',').map(a => a.trim()).filter(Boolean);
+    }
+
+    let created;
+    try {
+      created = createToken(options);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return 1;
+    }
+
+    console.log(`✓ Created token ${created.entry.id} for ${created.entry.agent} [${describeScope(created.entry)}]`);
+    console.log('');
+    console.log(`  ${created.token}`);
+    console.log('');
+    console.log('⚠ Store it now - it cannot be shown again.');
+    console.log(`  Use it as: Authorization: Bearer ${created.token.slice(0, 12)}...`);
+    return 0;
+  }
+
+  if (subcommand === 'list') {
+    const tokens = loadTokens();
+    if (tokens.length === 0) {
+      console.log('No tokens configured. The server accepts unauthenticated public-only requests.');
+      return 0;
+    }
+    for (const t of tokens) {
+      console.log(`  ${t.id}  ${t.agent.padEnd(16)} ${describeScope(t).padEnd(24)} ${t.created}`);
+    }
+    return 0;
+  }
+
+  if (subcommand === 'revoke') {
+    const id = args[1];
+    if (!id) {
+      console.error('❌ Usage: npx jasper-recall token revoke <id>');
+      return 1;
+    }
+    if (!revokeToken(id)) {
+      console.error(`❌ No token with id ${id}`);
+      return 1;
+    }
+    console.log(`✓ Revoked token ${id}`);
+    return 0;
+  }
+
+  console.log(`
+Manage API tokens for the recall server
+
+Usage:
+  npx jasper-recall token create --agent <name> [--scope public|mesh|full] [--agents a,b]
+  npx jasper-recall token list
+  npx jasper-recall token revoke <id>
+
+Scopes:
+  public  shared + learnings collections (default)
+  mesh    public collections plus agent_<name> for each of --agents
+          (defaults to the token's own agent)
+  full    every collection, including private memories
+
+Once any token exists, the server requires "Authorization: Bearer <token>".
+`);
+  return subcommand && subcommand !== 'help' && subcommand !== '--help' ? 1 : 0;
+}
+
+module.exports = {
+  SCOPES,
+  hashToken,
+  loadTokens,
+  createToken,
+  revokeToken,
+  authenticate,
+  allowedCollections,
+  runTokenCLI
+};
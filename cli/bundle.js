@@ -0,0 +1,337 @@
+/**
+ * `jasper-recall export` and `jasper-recall import`
+ *
+ * A bundle is a .tar.gz holding manifest.json (format version, embedding
+ * model, chunking parameters, collections) and chunks.jsonl (one chunk per
+ * line with its embedding and metadata). Either backend writes and restores
+ * the chunks (exportChunks / importChunks), so an index built with one can be
+ * moved to another machine or backend without re-embedding anything.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const config = require('./config');
+const { getBackend } = require('../src/backend');
+const { COLLECTIONS } = require('../src/js-backend');
+const { CHUNK_SIZE, MAX_CODE_CHUNK } = require('../src/js-backend/chunker');
+const { sameModel, MODEL_KEY, DEFAULT_EMBEDDING_MODEL } = require('../src/js-backend/embedder');
+const { version } = require('../package.json');
+
+const FORMAT = 'jasper-recall-bundle';
+const FORMAT_VERSION = 1;
+const MANIFEST = 'manifest.json';
+const CHUNKS = 'chunks.jsonl';
+
+const BLOCK = 512;
+
+/**
+ * A path as ustar's name (100 bytes) and prefix (155 bytes) fields, split at a /
+ */
+function splitTarName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', base: name };
+  for (let at = name.indexOf('/'); at !== -1; at = name.indexOf('/', at + 1)) {
+    const prefix = name.slice(0, at);
+    const base = name.slice(at + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(base) <= 100 && base) return { prefix, base };
+  }
+  throw new Error(`path too long for a tar entry: ${name}`);
+}
+
+/**
+ * One ustar entry (header + padded data) for a regular file
+ */
+function tarEntry(name, data) {
+  const { prefix, base } = splitTarName(name);
+  const header = Buffer.alloc(BLOCK);
+  const field = (value, offset, size) => header.write(value, offset, size, 'utf8');
+  const octal = (n, size) => n.toString(8).padStart(size - 1, '0') + '\0';
+  field(base, 0, 100);
+  field(prefix, 345, 155);
+  field(octal(0o644, 8), 100, 8);
+  field(octal(0, 8), 108, 8);
+  field(octal(0, 8), 116, 8);
+  field(octal(data.length, 12), 124, 12);
+  field(octal(Math.floor(Date.now() / 1000), 12), 136, 12);
+  field(' '.repeat(8), 148, 8);
+  field('0', 156, 1);
+  field('ustar\0' + '00', 257, 8);
+
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  field(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  const padding = Buffer.alloc((BLOCK - (data.length % BLOCK)) % BLOCK);
+  return Buffer.concat([header, data, padding]);
+}
+
+/**
+ * Regular files in a tar archive
+ * @returns {Map<string, Buffer>}
+ */
+function readTar(archive) {
+  const files = new Map();
+  let offset = 0;
+  while (offset + BLOCK <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK);
+    if (header.every(byte => byte === 0)) break;
+    const text = (start, size) => header.toString('utf8', start, start + size).replace(/\0.*$/s, '');
+    const prefix = text(345, 155);
+    const name = prefix ? `${prefix}/${text(0, 100)}` : text(0, 100);
+    const size = parseInt(text(124, 12).trim() || '0', 8);
+    const type = text(156, 1);
+    offset += BLOCK;
+    if (type === '0' || type === '') files.set(name.replace(/^\.\//, ''), archive.subarray(offset, offset + size));
+    offset += Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return files;
+}
+
+/**
+ * Collection names for --collection values (keys like "private" or full names)
+ */
+function collectionNames(values) {
+  return values.map(value => COLLECTIONS[value] || value);
+}
+
+/**
+ * The model the exported chunks were embedded with, from the collections'
+ * metadata (the backend's embeddingModel if none has chunks)
+ */
+function exportedModel(collections, fallback) {
+  const models = new Set();
+  for (const { chunks, metadata } of Object.values(collections)) {
+    if (chunks) models.add((metadata || {})[MODEL_KEY] || DEFAULT_EMBEDDING_MODEL);
+  }
+  if (models.size > 1) {
+    throw new Error(`collections were indexed with different models (${[...models].join(', ')}); run "jasper-recall reindex" first`);
+  }
+  return models.size ? [...models][0] : fallback;
+}
+
+/**
+ * Write the configured index to a bundle
+ * @param {string} file - Archive path
+ * @param {Object} [options] - { collections: names or keys, backend }
+ * @returns {Promise<Object>} - The manifest
+ */
+async function exportBundle(file, options = {}) {
+  const backend = options.backend || getBackend();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-recall-export-'));
+  try {
+    const chunksFile = path.join(tmp, CHUNKS);
+    const summary = await backend.exportChunks(chunksFile, { collections: collectionNames(options.collections || []) });
+    const manifest = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      created: new Date().toISOString(),
+      generator: `jasper-recall ${version}`,
+      backend: backend.name,
+      embedding: { model: exportedModel(summary.collections, backend.embeddingModel), dimensions: summary.dimensions },
+      chunking: { strategy: 'markdown', chunkSize: CHUNK_SIZE, maxCodeChunk: MAX_CODE_CHUNK },
+      collections: summary.collections
+    };
+
+    const tar = Buffer.concat([
+      tarEntry(MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2) + '\n')),
+      tarEntry(CHUNKS, fs.readFileSync(chunksFile)),
+      Buffer.alloc(BLOCK * 2)
+    ]);
+    fs.writeFileSync(file, zlib.gzipSync(tar));
+    return manifest;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Why a bundle can't be imported here, or null. Collections must all be in
+ * the bundle; vectors from another embedding model would be meaningless to
+ * search, but other chunking parameters only make chunks sized differently.
+ */
+function checkManifest(manifest, collections = [], model = config.get('embeddingModel')) {
+  if (!manifest || manifest.format !== FORMAT) return 'not a jasper-recall bundle';
+  if (manifest.version !== FORMAT_VERSION) {
+    return `bundle format version ${manifest.version} is not supported (expected ${FORMAT_VERSION}); upgrade jasper-recall`;
+  }
+  const bundled = manifest.embedding?.model;
+  if (!bundled || !sameModel(bundled, model)) {
+    return `bundle was embedded with ${bundled || 'an unknown model'}, this index uses ${model}; set embeddingModel to ${bundled} to import it`;
+  }
+  const missing = collections.filter(name => !(manifest.collections || {})[name]);
+  if (missing.length) {
+    return `bundle has no collection ${missing.join(', ')} (has: ${Object.keys(manifest.collections || {}).join(', ') || 'none'})`;
+  }
+  return null;
+}
+
+/**
+ * Chunking differences worth a warning
+ */
+function chunkingWarnings(manifest) {
+  const chunking = manifest.chunking || {};
+  const warnings = [];
+  if (chunking.strategy !== 'markdown') warnings.push(`chunking strategy ${chunking.strategy || 'unknown'} (this version: markdown)`);
+  if (chunking.chunkSize !== CHUNK_SIZE) warnings.push(`chunk size ${chunking.chunkSize} (this version: ${CHUNK_SIZE})`);
+  if (chunking.maxCodeChunk !== MAX_CODE_CHUNK) warnings.push(`code chunk size ${chunking.maxCodeChunk} (this version: ${MAX_CODE_CHUNK})`);
+  return warnings;
+}
+
+/**
+ * The manifest and chunk lines of a bundle
+ * @returns {{manifest: Object, chunks: Buffer}}
+ */
+function readBundle(file) {
+  let files;
+  try {
+    files = readTar(zlib.gunzipSync(fs.readFileSync(file)));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`No such file: ${file}`);
+    throw new Error(`${file} is not a .tar.gz bundle (${err.message})`);
+  }
+  if (!files.has(MANIFEST) || !files.has(CHUNKS)) throw new Error(`${file} is missing ${MANIFEST} or ${CHUNKS}`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get(MANIFEST).toString('utf8'));
+  } catch (err) {
+    throw new Error(`${MANIFEST} is not valid JSON (${err.message})`);
+  }
+  return { manifest, chunks: files.get(CHUNKS) };
+}
+
+/**
+ * Restore a bundle into the configured backend
+ * @param {string} file - Archive path
+ * @param {Object} [options] - { collections: names or keys, replace, dryRun, backend }
+ * @returns {Promise<{manifest, warnings, collections}>} - collections: chunks per collection
+ *   (what would be imported with dryRun)
+ */
+async function importBundle(file, options = {}) {
+  const { manifest, chunks } = readBundle(file);
+  const requested = collectionNames(options.collections || []);
+  const backend = options.backend || getBackend();
+  const problem = checkManifest(manifest, requested, backend.embeddingModel);
+  if (problem) throw new Error(problem);
+
+  // Legacy is a copy of the other collections: only restored when asked for
+  const names = requested.length ? requested : Object.keys(manifest.collections).filter(name => name !== COLLECTIONS.legacy);
+  const warnings = chunkingWarnings(manifest);
+  if (options.dryRun) {
+    const collections = Object.fromEntries(names.map(name => [name, manifest.collections[name].chunks]));
+    return { manifest, warnings, collections };
+  }
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jasper-recall-import-'));
+  try {
+    const chunksFile = path.join(tmp, CHUNKS);
+    fs.writeFileSync(chunksFile, chunks);
+    const result = await backend.importChunks(chunksFile, { collections: names, replace: !!options.replace });
+    return { manifest, warnings, collections: result.collections };
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+function parseArgs(args, usage) {
+  const options = { collections: [], replace: false, dryRun: false, positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--collection') {
+      if (!args[i + 1]) throw new Error('--collection needs a name');
+      options.collections.push(args[++i]);
+    } else if (arg === '--replace') options.replace = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '-h' || arg === '--help') {
+      console.log(usage);
+      process.exit(0);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function describeCollections(collections) {
+  return Object.entries(collections).map(([name, count]) => `${name} (${count})`).join(', ') || 'none';
+}
+
+const EXPORT_USAGE = `
+Usage: npx jasper-recall export [FILE] [--collection NAME ...]
+
+Write the index to a portable .tar.gz bundle (default: jasper-recall-YYYY-MM-DD.tar.gz):
+chunks with their embeddings and metadata, and a manifest with the embedding
+model and chunking parameters. All collections but the legacy jasper_memory are
+exported unless --collection (private, shared, learnings, legacy or a full
+collection name) is given.
+`;
+
+const IMPORT_USAGE = `
+Usage: npx jasper-recall import FILE [--collection NAME ...] [--replace] [--dry-run]
+
+Restore a bundle written by "jasper-recall export" into the configured backend.
+Chunks are added to what is already indexed (same ids are overwritten);
+--replace empties each imported collection first. --dry-run only checks the
+bundle and lists what would be imported.
+`;
+
+async function runExportCLI(args) {
+  let options;
+  try {
+    options = parseArgs(args, EXPORT_USAGE);
+    if (options.replace || options.dryRun) throw new Error('--replace and --dry-run are import options');
+    if (options.positional.length > 1) throw new Error(`unexpected argument ${options.positional[1]}`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error(EXPORT_USAGE.trim());
+    return 2;
+  }
+
+  const file = path.resolve(options.positional[0] || `jasper-recall-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+  try {
+    const manifest = await exportBundle(file, { collections: options.collections });
+    const counts = Object.fromEntries(Object.entries(manifest.collections).map(([name, c]) => [name, c.chunks]));
+    console.log(`✓ Exported ${describeCollections(counts)} to ${file}`);
+    console.log(`  Model: ${manifest.embedding.model} (${manifest.embedding.dimensions || '?'} dimensions), backend: ${manifest.backend}`);
+    return 0;
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+}
+
+async function runImportCLI(args) {
+  let options;
+  try {
+    options = parseArgs(args, IMPORT_USAGE);
+    if (options.positional.length !== 1) throw new Error('import takes exactly one bundle file');
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error(IMPORT_USAGE.trim());
+    return 2;
+  }
+
+  try {
+    const result = await importBundle(path.resolve(options.positional[0]), options);
+    const { manifest } = result;
+    console.log(`🦊 Bundle from ${manifest.created} (${manifest.generator}, ${manifest.backend} backend)`);
+    for (const warning of result.warnings) console.log(`⚠ Chunked with a different ${warning}; re-index to re-chunk`);
+    if (options.dryRun) {
+      console.log(`✓ Would import ${describeCollections(result.collections)} into the ${config.get('backend') || 'python'} backend`);
+    } else {
+      const replaced = options.replace ? ' (replaced)' : '';
+      console.log(`✓ Imported ${describeCollections(result.collections)}${replaced}`);
+    }
+    return 0;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+}
+
+module.exports = { exportBundle, importBundle, readBundle, checkManifest, tarEntry, readTar, runExportCLI, runImportCLI, FORMAT, FORMAT_VERSION };
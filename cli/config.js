@@ -1,145 +1,894 @@
 /**
  * Configuration management for jasper-recall
- * 
- * Priority: ENV vars > config file > defaults
- * Config file: ~/.jasper-recall/config.json
+ *
+ * Priority: ENV vars > project file > user file > defaults
+ * User file: ~/.jasper-recall/config.json
+ * Project file: the nearest .jasper-recall.json in the current directory or
+ * one of its parents (relative paths in it are resolved against its directory)
+ *
+ * Every command resolves settings here; scripts/recall_config.py reads the
+ * same files for the Python scripts. Values that fail SCHEMA are skipped in
+ * favour of the next layer down, and reported by `jasper-recall config validate`.
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+const { toRegExp } = require('../src/digest-format');
+
 const CONFIG_DIR = path.join(os.homedir(), '.jasper-recall');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const PROJECT_FILE = '.jasper-recall.json';
 
 const DEFAULTS = {
   workspace: path.join(os.homedir(), '.openclaw', 'workspace'),
   chromaDb: path.join(os.homedir(), '.openclaw', 'chroma-db'),
   venv: path.join(os.homedir(), '.openclaw', 'rag-env'),
+  sessionsDir: path.join(os.homedir(), '.openclaw', 'agents', 'main', 'sessions'),  // Main agent's session logs
+  agentsDir: path.join(os.homedir(), '.openclaw', 'agents'),  // digest-sessions also reads <agent>/sessions here
   serverPort: 3458,
   serverHost: '127.0.0.1',
   publicOnly: true,  // Default for API access
   memoryPaths: ['memory/'],
-  sharedMemoryPath: 'memory/shared/'
+  watchDebounceMs: 1500,  // How long `jasper-recall watch` waits for edits to settle
+  sharedMemoryPath: 'memory/shared/',
+  learningsPrivacy: 'reject',  // What POST /api/learnings does with private-looking content: reject | quarantine
+  rateLimitPerMinute: 60,      // Server requests per client per minute (0 disables)
+  rateLimitBurst: 20,
+  auditLog: path.join(CONFIG_DIR, 'audit.jsonl'),  // Server query log (false disables)
+  auditLogMaxBytes: 10 * 1024 * 1024,
+  auditLogMaxFiles: 5,
+  // Sentence-transformers model for chunks and queries (keep in sync with scripts/recall_config.py);
+  // change it with `jasper-recall reindex --model`, which re-embeds the index to match
+  embeddingModel: 'all-MiniLM-L6-v2',
+  backend: 'python',  // python (ChromaDB + sentence-transformers) | js (ONNX + file index, no venv)
+  jsIndex: path.join(os.homedir(), '.openclaw', 'recall-index'),
+  modelDir: path.join(CONFIG_DIR, 'models', 'all-MiniLM-L6-v2'),  // ONNX export of embeddingModel (js backend)
+  // Cross-encoder for --rerank: Hugging Face name (python backend) and ONNX export (js backend)
+  rerankModel: 'cross-encoder/ms-marco-MiniLM-L-6-v2',
+  rerankModelDir: path.join(CONFIG_DIR, 'models', 'ms-marco-MiniLM-L-6-v2'),
+  rerankCandidates: 20,  // First-stage results the cross-encoder rescores (keep in sync with scripts/recall_config.py)
+  // How recall blends similarity with note age and source (keep in sync with scripts/recall_config.py)
+  ranking: {
+    halfLifeDays: 90,    // Age at which a note's recency bonus halves (0 disables decay)
+    recencyWeight: 0.3,  // Most of a score age can take away (0-1)
+    boosts: {            // Source glob -> multiplier, first match wins
+      '*decision*': 1.3,
+      '*learnings*': 1.2,
+      'memory/session-digests/*': 0.8
+    },
+    pinned: ['*MEMORY.md', 'memory/sops/*', 'memory/repos/*']  // Never decay (nor do [evergreen] notes)
+  },
+  // How digest-sessions summarizes each session (src/summarizer.js)
+  summarizer: {
+    provider: 'extractive',                // extractive (no model) | openai (OpenAI-compatible endpoint)
+    endpoint: 'http://127.0.0.1:8080/v1',  // llama.cpp's llama-server; Ollama: http://127.0.0.1:11434/v1
+    model: 'local',                        // Model name sent to the endpoint
+    timeoutMs: 120000,                     // Per session
+    maxInputChars: 24000,                  // Longer sessions are sent as their start and end
+    fallback: true                         // Use extractive when the endpoint fails
+  },
+  // How digest-sessions treats session logs (cli/digest-sessions.js)
+  digest: {
+    activeMinutes: 10,  // Sessions written to more recently are in progress: skipped without --include-active
+    // Message lines left out of digests: regexes ("/.../i" for flags), OpenClaw's own noise by default
+    skipPatterns: [
+      '^\\[message_id:',
+      '^System:',
+      '^\\{',
+      '^<session-init>',
+      '^<session-identity>',
+      '^<relevant-memories>',
+      '^🔄 \\*\\*Fresh session',
+      '^Read HEARTBEAT\\.md',
+      '^HEARTBEAT_OK',
+      '^NO_REPLY',
+      '^ANNOUNCE_SKIP',
+      '^Agent-to-agent',
+      '^📋 \\*\\*PR Review',
+      '^🤖 Codex',
+      '^✅ \\*\\*Hourly',
+      '^The following memories',
+      '^- \\[memory/',
+      '^###\\s+(IDENTITY|SOUL|USER)\\.md',
+      '^cat ~',
+      '^```',
+      '^---$'
+    ],
+    keepPatterns: [],           // Lines kept even if a skip pattern matches or they are short
+    minLineLength: 5,           // Shorter lines are dropped
+    template: null,             // Digest template file (Handlebars-style, see src/digest-format.js); null: built-in
+    continuationTemplate: null  // Template of what a grown session adds to its digest; null: built-in
+  },
+  // Copies of the index taken before index-digests, gc and summarize-old (keep in sync with scripts/recall_config.py)
+  snapshots: {
+    enabled: true,
+    dir: path.join(CONFIG_DIR, 'snapshots'),
+    keep: 10,            // Newest snapshots kept (0: no limit)
+    maxAgeDays: 30,      // Older snapshots are pruned (0: no limit)
+    includeFiles: true   // Also copy the memory files summarize-old rewrites
+  }
+};
+
+// Environment variables that override a setting
+const ENV_VARS = {
+  workspace: 'RECALL_WORKSPACE',
+  chromaDb: 'RECALL_CHROMA_DB',
+  venv: 'RECALL_VENV',
+  sessionsDir: 'RECALL_SESSIONS_DIR',
+  agentsDir: 'RECALL_AGENTS_DIR',
+  serverPort: 'RECALL_PORT',
+  serverHost: 'RECALL_HOST',
+  publicOnly: 'RECALL_PUBLIC_ONLY',
+  learningsPrivacy: 'RECALL_LEARNINGS_PRIVACY',
+  rateLimitPerMinute: 'RECALL_RATE_LIMIT',
+  auditLog: 'RECALL_AUDIT_LOG',
+  embeddingModel: 'RECALL_EMBEDDING_MODEL',
+  backend: 'RECALL_BACKEND',
+  jsIndex: 'RECALL_JS_INDEX',
+  modelDir: 'RECALL_MODEL_DIR',
+  rerankModelDir: 'RECALL_RERANK_MODEL_DIR'
 };
 
+// Settings passed on to the Python and shell scripts (see scriptEnv)
+const SCRIPT_SETTINGS = ['workspace', 'chromaDb', 'venv', 'sessionsDir', 'backend', 'jsIndex', 'embeddingModel'];
+
+const pathSetting = description => ({ type: 'string', minLength: 1, format: 'path', description });
+const count = (minimum, description) => ({ type: 'integer', minimum, description });
+const pattern = { type: 'string', minLength: 1, format: 'regex' };
+const optionalPath = description => ({ anyOf: [{ type: 'string', minLength: 1 }, { const: null }], format: 'path', description });
+
 /**
- * Load config from file
+ * JSON Schema (draft-07) of the config files. validate() understands the
+ * keywords used here: type, enum, const, anyOf, minimum, maximum, minLength,
+ * items, properties and additionalProperties, and checks format: 'regex'.
  */
-function loadConfigFile() {
+const SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'jasper-recall configuration',
+  type: 'object',
+  properties: {
+    workspace: pathSetting('Agent workspace holding memory/'),
+    chromaDb: pathSetting('ChromaDB directory (python backend)'),
+    venv: pathSetting('Python virtualenv with chromadb and sentence-transformers'),
+    sessionsDir: pathSetting('Session logs of the main agent, read by digest-sessions'),
+    agentsDir: pathSetting('OpenClaw agents folder; digest-sessions reads every <agent>/sessions in it'),
+    serverPort: { type: 'integer', minimum: 1, maximum: 65535, description: 'Port for jasper-recall serve' },
+    serverHost: { type: 'string', minLength: 1, description: 'Host jasper-recall serve binds to' },
+    publicOnly: { type: 'boolean', description: 'Restrict API queries to public memories' },
+    memoryPaths: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Workspace folders jasper-recall watch follows' },
+    watchDebounceMs: count(0, 'How long jasper-recall watch waits for edits to settle'),
+    sharedMemoryPath: { type: 'string', minLength: 1, description: 'Workspace folder of memories shared with sandboxed agents' },
+    learningsPrivacy: { enum: ['reject', 'quarantine'], description: 'What POST /api/learnings does with private-looking content' },
+    rateLimitPerMinute: count(0, 'Server requests per client per minute (0 disables)'),
+    rateLimitBurst: count(0, 'Server requests a client may send back-to-back'),
+    auditLog: { anyOf: [{ type: 'string', minLength: 1 }, { const: false }], format: 'path', description: 'Server query log (false disables)' },
+    auditLogMaxBytes: count(1, 'Size at which the audit log is rotated'),
+    auditLogMaxFiles: count(0, 'Rotated audit logs kept'),
+    embeddingModel: { type: 'string', minLength: 1, description: 'Sentence-transformers model (change with jasper-recall reindex)' },
+    backend: { enum: ['python', 'js'], description: 'python (ChromaDB) or js (ONNX + file index)' },
+    jsIndex: pathSetting('Index directory (js backend)'),
+    modelDir: pathSetting('ONNX export of embeddingModel (js backend)'),
+    rerankModel: { type: 'string', minLength: 1, description: 'Cross-encoder for --rerank (python backend)' },
+    rerankModelDir: pathSetting('ONNX export of the cross-encoder (js backend)'),
+    rerankCandidates: count(1, 'First-stage results the cross-encoder rescores'),
+    ranking: {
+      type: 'object',
+      properties: {
+        halfLifeDays: { type: 'number', minimum: 0 },
+        recencyWeight: { type: 'number', minimum: 0, maximum: 1 },
+        boosts: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+        pinned: { type: 'array', items: { type: 'string', minLength: 1 } }
+      },
+      additionalProperties: false
+    },
+    summarizer: {
+      type: 'object',
+      properties: {
+        provider: { enum: ['extractive', 'openai'] },
+        endpoint: { type: 'string', minLength: 1, format: 'uri' },
+        model: { type: 'string', minLength: 1 },
+        timeoutMs: count(1),
+        maxInputChars: count(1000),
+        fallback: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    digest: {
+      type: 'object',
+      properties: {
+        activeMinutes: { type: 'number', minimum: 0, description: 'Sessions written to more recently are skipped until they settle' },
+        skipPatterns: { type: 'array', items: pattern, description: 'Regexes of message lines left out of digests' },
+        keepPatterns: { type: 'array', items: pattern, description: 'Regexes of lines kept whatever skipPatterns say' },
+        minLineLength: count(0, 'Shorter message lines are left out of digests'),
+        template: optionalPath('Digest template file (null: built-in)'),
+        continuationTemplate: optionalPath('Template of continuation sections (null: built-in)')
+      },
+      additionalProperties: false
+    },
+    snapshots: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        dir: pathSetting('Where snapshots are kept'),
+        keep: count(0),
+        maxAgeDays: count(0),
+        includeFiles: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    tokens: { type: 'array', items: { type: 'object' }, description: 'Server API tokens (managed by jasper-recall token)' }
+  },
+  additionalProperties: false
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+const TYPE_NAMES = {
+  integer: 'a whole number', number: 'a number', string: 'a string',
+  boolean: 'true or false', array: 'a list', object: 'an object', null: 'null'
+};
+
+/**
+ * Whether value has a type (or constant) schema allows
+ */
+function accepts(value, schema) {
+  if (schema.anyOf) return schema.anyOf.some(option => accepts(value, option));
+  if ('const' in schema) return value === schema.const;
+  if (schema.enum) return schema.enum.includes(value);
+  return [].concat(schema.type || []).some(type => isType(value, type));
+}
+
+function describeType(schema) {
+  if ('const' in schema) return JSON.stringify(schema.const);
+  return [].concat(schema.type || []).map(type => TYPE_NAMES[type]).join(' or ');
+}
+
+/**
+ * Closest of candidates to a misspelt key (case-insensitive edit distance)
+ */
+function closest(key, candidates) {
+  const distance = (a, b) => {
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const next = [i];
+      for (let j = 1; j <= b.length; j++) {
+        next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      row = next;
+    }
+    return row[b.length];
+  };
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const d = distance(key.toLowerCase(), candidate.toLowerCase());
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+function unknownKey(name, key, candidates) {
+  const suggestion = closest(key, candidates);
+  return `unknown setting "${name}"${suggestion ? ` - did you mean "${name.slice(0, -key.length)}${suggestion}"?` : ''}`;
+}
+
+/**
+ * Errors (as readable sentences) for value against schema, located at where
+ */
+function checkValue(value, schema, where = '', errors = []) {
+  const shown = JSON.stringify(value);
+  if (schema.anyOf) {
+    const option = schema.anyOf.find(candidate => accepts(value, candidate));
+    if (!option) {
+      errors.push(`${where} must be ${schema.anyOf.map(describeType).join(' or ')} (got ${shown})`);
+      return errors;
+    }
+    return checkValue(value, option, where, errors);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.join(', ')} (got ${shown})`);
+    return errors;
+  }
+  if (schema.type && !accepts(value, schema)) {
+    errors.push(`${where} must be ${describeType(schema)} (got ${shown})`);
+    return errors;
+  }
+
+  if (typeof value === 'number') {
+    const { minimum, maximum } = schema;
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)) {
+      const range = maximum === undefined ? `at least ${minimum}`
+        : minimum === undefined ? `at most ${maximum}` : `between ${minimum} and ${maximum}`;
+      errors.push(`${where} must be ${range} (got ${value})`);
+    }
+  }
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push(`${where} must not be empty`);
+  }
+  if (typeof value === 'string' && schema.format === 'regex') {
+    try {
+      toRegExp(value);
+    } catch (err) {
+      errors.push(`${where} is not a valid regex: ${err.message}`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => checkValue(item, schema.items, `${where}[${i}]`, errors));
+  }
+  if (isObject(value) && (schema.properties || schema.additionalProperties !== undefined)) {
+    const known = Object.keys(schema.properties || {});
+    for (const [key, item] of Object.entries(value)) {
+      const name = where ? `${where}.${key}` : key;
+      const child = (schema.properties || {})[key] || (isObject(schema.additionalProperties) ? schema.additionalProperties : null);
+      if (child) {
+        checkValue(item, child, name, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(unknownKey(name, key, known));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a whole config object against SCHEMA. Returns a list of errors
+ * (empty when valid).
+ */
+function validate(config) {
+  return checkValue(config, SCHEMA);
+}
+
+/**
+ * Parse a setting's value from text (env var or `config set`): JSON when that
+ * gives one of the types the setting takes, the text itself otherwise
+ */
+function parseValue(raw, schema = {}) {
   try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const raw = fs.readFileSync(CONFIG_FILE, 'utf8');
-      return JSON.parse(raw);
+    const value = JSON.parse(raw);
+    if (accepts(value, schema)) return value;
+  } catch {
+    // Not JSON: a plain string
+  }
+  return raw;
+}
+
+/**
+ * Expand ~ and resolve relative paths against base (left alone without one)
+ */
+function expandPath(value, base = null) {
+  if (typeof value !== 'string') return value;
+  if (value === '~' || value.startsWith('~/')) return path.join(os.homedir(), value.slice(1));
+  return base && !path.isAbsolute(value) ? path.resolve(base, value) : value;
+}
+
+/**
+ * Copy of config with its path settings expanded (see expandPath)
+ */
+function resolvePaths(config, base = null) {
+  const resolved = { ...config };
+  for (const [key, schema] of Object.entries(SCHEMA.properties)) {
+    if (schema.format === 'path' && key in resolved) resolved[key] = expandPath(resolved[key], base);
+    // Path settings in sections (snapshots.dir, digest.template)
+    if (schema.properties && isObject(resolved[key])) {
+      const section = { ...resolved[key] };
+      for (const [name, setting] of Object.entries(schema.properties)) {
+        if (setting.format === 'path' && name in section) section[name] = expandPath(section[name], base);
+      }
+      resolved[key] = section;
     }
+  }
+  return resolved;
+}
+
+/**
+ * Read a config file: { values, error }, with values {} if it is missing or
+ * unusable (error says why)
+ */
+function parseConfigFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return { values: {}, error: err.code === 'ENOENT' ? null : err.message };
+  }
+  try {
+    const values = JSON.parse(raw);
+    if (isObject(values)) return { values, error: null };
+    return { values: {}, error: 'must hold a JSON object' };
   } catch (err) {
-    console.error(`Warning: Could not load config from ${CONFIG_FILE}:`, err.message);
+    return { values: {}, error: `invalid JSON: ${err.message}` };
   }
-  return {};
+}
+
+function readConfigFile(file) {
+  const { values, error } = parseConfigFile(file);
+  if (error) console.error(`Warning: Could not load config from ${file}:`, error);
+  return values;
 }
 
 /**
- * Get config value with priority: ENV > file > default
+ * Load config from the user file
  */
-function get(key) {
-  const envMap = {
-    workspace: 'RECALL_WORKSPACE',
-    chromaDb: 'RECALL_CHROMA_DB',
-    venv: 'RECALL_VENV',
-    serverPort: 'RECALL_PORT',
-    serverHost: 'RECALL_HOST',
-    publicOnly: 'RECALL_PUBLIC_ONLY'
-  };
+function loadConfigFile() {
+  return readConfigFile(CONFIG_FILE);
+}
+
+/**
+ * The nearest .jasper-recall.json in dir or one of its parents, or null
+ */
+function findProjectFile(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, PROJECT_FILE);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
 
-  // Check env var first
-  const envKey = envMap[key];
-  if (envKey && process.env[envKey]) {
-    const val = process.env[envKey];
-    // Handle booleans
-    if (val === 'true') return true;
-    if (val === 'false') return false;
-    // Handle numbers
-    if (!isNaN(val)) return parseInt(val, 10);
-    return val;
+/**
+ * Settings from RECALL_* environment variables
+ */
+function loadEnv() {
+  const values = {};
+  for (const [key, name] of Object.entries(ENV_VARS)) {
+    if (process.env[name]) values[key] = parseValue(process.env[name], SCHEMA.properties[key]);
   }
+  return resolvePaths(values);
+}
 
-  // Check config file
-  const fileConfig = loadConfigFile();
-  if (key in fileConfig) {
-    return fileConfig[key];
+/**
+ * Config layers above the defaults, lowest priority first
+ */
+function layers() {
+  const stack = [{ source: 'user', file: CONFIG_FILE, values: resolvePaths(loadConfigFile()) }];
+  const projectFile = findProjectFile();
+  if (projectFile) {
+    stack.push({ source: 'project', file: projectFile, values: resolvePaths(readConfigFile(projectFile), path.dirname(projectFile)) });
   }
+  stack.push({ source: 'env', values: loadEnv() });
+  return stack;
+}
 
-  // Return default
-  return DEFAULTS[key];
+function merge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(merged[key]) ? merge(merged[key], value) : value;
+  }
+  return merged;
+}
+
+// Invalid settings already reported, so each is warned about once
+const warned = new Set();
+
+function warnOnce(file, message) {
+  const line = `⚠ Invalid config in ${file || 'the environment'}: ${message}`;
+  if (warned.has(line)) return;
+  warned.add(line);
+  console.error(line);
+}
+
+/**
+ * The entries of a section that its schema accepts (nested sections
+ * checked entry by entry too), with the rejected ones in errors
+ */
+function validEntries(section, schema, where, errors) {
+  const valid = {};
+  for (const [key, value] of Object.entries(section)) {
+    const name = `${where}.${key}`;
+    const child = (schema.properties || {})[key] || (isObject(schema.additionalProperties) ? schema.additionalProperties : null);
+    if (!child) {
+      if (schema.additionalProperties === false) errors.push(unknownKey(name, key, Object.keys(schema.properties || {})));
+      else valid[key] = value;
+    } else if (isObject(value) && child.type === 'object') {
+      valid[key] = validEntries(value, child, name, errors);
+    } else {
+      const problems = checkValue(value, child, name);
+      if (problems.length) errors.push(...problems);
+      else valid[key] = value;
+    }
+  }
+  return valid;
+}
+
+/**
+ * A setting's value and the layer it came from (default, user, project or env).
+ * Sections (ranking, snapshots) are merged key by key across layers; a bad
+ * value in one is warned about and leaves the lower layer's (or the default).
+ */
+function resolve(key, stack = layers()) {
+  const schema = SCHEMA.properties[key];
+  let found = { value: DEFAULTS[key], source: 'default' };
+  for (const layer of stack) {
+    if (!(key in layer.values)) continue;
+    const value = layer.values[key];
+    if (isObject(value) && isObject(found.value)) {
+      const errors = [];
+      const valid = schema ? validEntries(value, schema, key, errors) : value;
+      for (const message of errors) warnOnce(layer.file, message);
+      found = { value: merge(found.value, valid), source: layer.source };
+    } else if (!schema || checkValue(value, schema, key).length === 0) {
+      found = { value, source: layer.source };
+    }
+  }
+  return found;
+}
+
+/**
+ * Get config value with priority: ENV > project file > user file > default
+ */
+function get(key) {
+  return resolve(key).value;
 }
 
 /**
  * Get all config
  */
 function getAll() {
-  const fileConfig = loadConfigFile();
-  const config = { ...DEFAULTS, ...fileConfig };
-  
-  // Override with env vars
-  for (const key of Object.keys(DEFAULTS)) {
-    config[key] = get(key);
-  }
-  
+  const stack = layers();
+  const keys = new Set([...Object.keys(DEFAULTS), ...stack.flatMap(layer => Object.keys(layer.values))]);
+  const config = {};
+  for (const key of keys) {
+    config[key] = resolve(key, stack).value;
+  }
   return config;
 }
 
 /**
- * Save config to file
+ * RECALL_* variables holding the resolved paths and models, for the Python
+ * and shell scripts (which would otherwise only see the environment's)
  */
-function save(config) {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+function scriptEnv() {
+  const env = {};
+  for (const key of SCRIPT_SETTINGS) {
+    const value = get(key);
+    if (typeof value === 'string' && value) env[ENV_VARS[key]] = value;
+  }
+  return env;
+}
+
+/**
+ * Split a dotted key (ranking.halfLifeDays) into its path through SCHEMA.
+ * Keys of free-form sections may contain dots themselves
+ * (ranking.boosts.*MEMORY.md). Throws on unknown settings.
+ */
+function parseKey(key) {
+  if (!key) throw new Error('a setting name is needed (e.g. serverPort or ranking.halfLifeDays)');
+  const parts = key.split('.');
+  const segments = [];
+  let schema = SCHEMA;
+  while (parts.length) {
+    const properties = schema.properties || {};
+    if (parts[0] in properties) {
+      segments.push(parts.shift());
+      schema = properties[segments[segments.length - 1]];
+    } else if (isObject(schema.additionalProperties)) {
+      segments.push(parts.join('.'));
+      schema = schema.additionalProperties;
+      break;
+    } else {
+      const prefix = segments.length ? `${segments.join('.')}.` : '';
+      throw new Error(schema.properties
+        ? unknownKey(prefix + parts[0], parts[0], Object.keys(properties))
+        : `${segments.join('.')} has no settings inside it`);
+    }
+  }
+  return { segments, schema };
+}
+
+/**
+ * A (dotted) setting's resolved value and source
+ */
+function getValue(key) {
+  const { segments } = parseKey(key);
+  const { value, source } = resolve(segments[0]);
+  let current = value;
+  for (const segment of segments.slice(1)) {
+    current = isObject(current) ? current[segment] : undefined;
+  }
+  return { value: current, source };
+}
+
+function writeConfigFile(file, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+}
+
+/**
+ * File `config set/unset` write to: the user file, or with project the
+ * nearest project file (a new one in the current directory if there is none)
+ */
+function targetFile(project) {
+  if (!project) return CONFIG_FILE;
+  return findProjectFile() || path.join(process.cwd(), PROJECT_FILE);
+}
+
+function editConfigFile(file, edit) {
+  const { values, error } = parseConfigFile(file);
+  if (error) throw new Error(`${file}: ${error} - fix it before changing settings`);
+  const result = edit(values);
+  writeConfigFile(file, values);
+  return result;
+}
+
+/**
+ * Validate raw (text, parsed as by parseValue) for a dotted setting and save
+ * it. Relative paths are resolved against the current directory in the user
+ * file and kept relative in a project file. Returns { file, value }.
+ */
+function set(key, raw, options = {}) {
+  const { segments, schema } = parseKey(key);
+  if (segments[0] === 'tokens') throw new Error('tokens are managed with "jasper-recall token"');
+  let value = parseValue(raw, schema);
+  if (schema.format === 'path' && typeof value === 'string' && !options.project && !value.startsWith('~')) {
+    value = path.resolve(value);
+  }
+  const errors = checkValue(value, schema, key);
+  if (errors.length) throw new Error(errors.join('; '));
+
+  const file = targetFile(options.project);
+  editConfigFile(file, values => {
+    let section = values;
+    for (const segment of segments.slice(0, -1)) {
+      if (!isObject(section[segment])) section[segment] = {};
+      section = section[segment];
+    }
+    section[segments[segments.length - 1]] = value;
+  });
+  return { file, value };
+}
+
+/**
+ * Remove a dotted setting (and sections it leaves empty). Returns
+ * { file, removed }.
+ */
+function unset(key, options = {}) {
+  const { segments } = parseKey(key);
+  const file = targetFile(options.project);
+  if (!fs.existsSync(file)) return { file, removed: false };
+  const removed = editConfigFile(file, values => {
+    const remove = (section, [segment, ...rest]) => {
+      if (!isObject(section) || !(segment in section)) return false;
+      if (rest.length === 0) {
+        delete section[segment];
+        return true;
+      }
+      const done = remove(section[segment], rest);
+      if (done && isObject(section[segment]) && Object.keys(section[segment]).length === 0) delete section[segment];
+      return done;
+    };
+    return remove(values, segments);
+  });
+  return { file, removed };
+}
+
+/**
+ * Validation problems of every layer: [{ source, file, errors }]
+ */
+function validateAll() {
+  const results = [];
+  const projectFile = findProjectFile();
+  for (const [source, file] of [['user', CONFIG_FILE], ['project', projectFile]]) {
+    if (!file || !fs.existsSync(file)) continue;
+    const { values, error } = parseConfigFile(file);
+    results.push({ source, file, errors: error ? [error] : validate(values) });
   }
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+  const env = Object.entries(ENV_VARS).filter(([, name]) => process.env[name]);
+  if (env.length) {
+    const errors = [];
+    for (const [key, name] of env) {
+      for (const message of checkValue(parseValue(process.env[name], SCHEMA.properties[key]), SCHEMA.properties[key], key)) {
+        errors.push(`${name}: ${message}`);
+      }
+    }
+    results.push({ source: 'env', file: null, errors });
+  }
+  return results;
+}
+
+/**
+ * Print a warning to stderr for each invalid setting (commands run on without
+ * it). Returns whether there were any.
+ */
+function warnInvalid() {
+  const invalid = validateAll().filter(result => result.errors.length);
+  for (const { file, errors } of invalid) {
+    for (const message of errors) warnOnce(file, message);
+  }
+  if (invalid.length) console.error('  Not used until fixed - see: npx jasper-recall config validate');
+  return invalid.length > 0;
+}
+
+/**
+ * Save config to the user file
+ */
+function save(config) {
+  writeConfigFile(CONFIG_FILE, config);
   console.log(`Config saved to ${CONFIG_FILE}`);
 }
 
 /**
- * Initialize config interactively
+ * Initialize config interactively. The basic settings are written over the
+ * user file's, keeping the rest of it (server tokens, sections, other keys).
  */
 function init(options = {}) {
-  const config = {
+  const config = merge(loadConfigFile(), {
     workspace: options.workspace || DEFAULTS.workspace,
     chromaDb: options.chromaDb || DEFAULTS.chromaDb,
     venv: options.venv || DEFAULTS.venv,
     serverPort: options.serverPort || DEFAULTS.serverPort
-  };
-  
+  });
+
   save(config);
   return config;
 }
 
+function describeSource(key, source) {
+  if (source === 'env') return `(env ${ENV_VARS[key]})`;
+  return `(${source})`;
+}
+
 /**
  * Show current config
  */
 function show() {
   console.log('\nJasper Recall Configuration');
   console.log('===========================\n');
-  console.log(`Config file: ${CONFIG_FILE}`);
-  console.log(`Exists: ${fs.existsSync(CONFIG_FILE) ? 'yes' : 'no'}\n`);
-  
+  const projectFile = findProjectFile();
+  console.log(`User config:    ${CONFIG_FILE} (${fs.existsSync(CONFIG_FILE) ? 'exists' : 'not created'})`);
+  console.log(`Project config: ${projectFile || `none (no ${PROJECT_FILE} here or above)`}\n`);
+
+  const stack = layers();
   const config = getAll();
   for (const [key, value] of Object.entries(config)) {
-    const source = process.env[`RECALL_${key.toUpperCase()}`] ? '(env)' : 
-                   loadConfigFile()[key] !== undefined ? '(file)' : '(default)';
-    console.log(`  ${key}: ${value} ${source}`);
+    if (key === 'tokens') {
+      // Never print hashes here - see `jasper-recall token list`
+      console.log(`  tokens: ${Array.isArray(value) ? value.length : 0} configured (user)`);
+      continue;
+    }
+    const shown = isObject(value) ? JSON.stringify(value) : value;
+    console.log(`  ${key}: ${shown} ${describeSource(key, resolve(key, stack).source)}`);
   }
   console.log('');
 }
 
+class UsageError extends Error {}
+
+const USAGE = `
+Usage: npx jasper-recall config [command]
+
+Commands:
+  show                 Every setting and where it comes from (default)
+  get <key>            Print one setting (dotted keys reach into sections: ranking.halfLifeDays)
+  set <key> <value>    Validate and save a setting (the value is read as JSON when it can be)
+  unset <key>          Remove a setting, falling back to the next layer
+  validate             Check the config files and RECALL_* variables
+  path                 Print the config file paths
+  init                 Write a starter ${CONFIG_FILE}
+
+Options:
+  --project            set/unset in the nearest ${PROJECT_FILE} (one is created in
+                       the current directory if there is none)
+
+Settings are read from RECALL_* variables, then the nearest ${PROJECT_FILE}
+(this directory or a parent), then ${CONFIG_FILE}, then defaults.
+
+Examples:
+  npx jasper-recall config set serverPort 8080
+  npx jasper-recall config set --project workspace ./agent-workspace
+  npx jasper-recall config set ranking.pinned '["*MEMORY.md"]'
+  npx jasper-recall config get ranking.halfLifeDays
+`;
+
+/**
+ * `jasper-recall config ...`. Returns the exit code.
+ */
+function runConfigCLI(args) {
+  const project = args.includes('--project');
+  const [subcommand, ...rest] = args.filter(arg => arg !== '--project');
+
+  try {
+    switch (subcommand) {
+      case undefined:
+      case 'show':
+        show();
+        return 0;
+      case 'path': {
+        console.log(CONFIG_FILE);
+        const projectFile = findProjectFile();
+        if (projectFile) console.log(projectFile);
+        return 0;
+      }
+      case 'init':
+        init();
+        return 0;
+      case 'get': {
+        if (rest.length !== 1) throw new UsageError('Usage: npx jasper-recall config get <key>');
+        const { value } = getValue(rest[0]);
+        if (value === undefined) throw new Error(`${rest[0]} is not set`);
+        console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        return 0;
+      }
+      case 'set': {
+        if (rest.length !== 2) throw new UsageError('Usage: npx jasper-recall config set [--project] <key> <value>');
+        const { file, value } = set(rest[0], rest[1], { project });
+        console.log(`✓ ${rest[0]} = ${JSON.stringify(value)} (${file})`);
+        const top = rest[0].split('.')[0];
+        const { source } = resolve(top);
+        if (source === 'env' || (source === 'project' && !project)) {
+          console.log(`⚠ Not in effect here: ${source === 'env' ? ENV_VARS[top] : findProjectFile()} overrides it`);
+        }
+        return 0;
+      }
+      case 'unset': {
+        if (rest.length !== 1) throw new UsageError('Usage: npx jasper-recall config unset [--project] <key>');
+        const { file, removed } = unset(rest[0], { project });
+        console.log(removed ? `✓ Removed ${rest[0]} from ${file}` : `${rest[0]} is not set in ${file}`);
+        return 0;
+      }
+      case 'validate': {
+        const results = validateAll();
+        if (results.length === 0) console.log('No config files or RECALL_* variables - using the defaults');
+        for (const { file, errors } of results) {
+          console.log(`${errors.length ? '✗' : '✓'} ${file || 'Environment (RECALL_* variables)'}`);
+          for (const message of errors) console.log(`    ${message}`);
+        }
+        return results.some(result => result.errors.length) ? 1 : 0;
+      }
+      case 'help':
+      case '--help':
+      case '-h':
+        console.log(USAGE.trim());
+        return 0;
+      default:
+        throw new UsageError(`Unknown config command: ${subcommand}`);
+    }
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    if (err instanceof UsageError) console.error(USAGE.trim());
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
 module.exports = {
   CONFIG_DIR,
   CONFIG_FILE,
+  PROJECT_FILE,
   DEFAULTS,
+  ENV_VARS,
+  SCHEMA,
   get,
   getAll,
+  getValue,
+  set,
+  unset,
+  validate,
+  validateAll,
+  warnInvalid,
+  scriptEnv,
+  findProjectFile,
   save,
   init,
   show,
-  loadConfigFile
+  loadConfigFile,
+  runConfigCLI
 };
@@ -1,23 +1,50 @@
 #!/usr/bin/env node
 /**
  * digest-sessions — Extract summaries from OpenClaw session logs
- * 
+ *
+ * Each session's decisions, open questions, outcomes and entities come from
+ * the configured summarizer (src/summarizer.js): extractive by default, or an
+ * OpenAI-compatible endpoint such as a local llama.cpp or Ollama server.
+ *
+ * Sessions of every OpenClaw agent are read (see cli/agents.js) and each
+ * agent's digests go to memory/session-digests/<agent>/, next to a .agent.json
+ * that tells the indexers whether they are private or a sandboxed agent's.
+ *
+ * The state file records how far each session was digested (bytes, lines,
+ * mtime). A session that has grown since gets a continuation section for the
+ * new part; one that shrank or lost its digest is digested again. Sessions
+ * written to in the last digest.activeMinutes are left alone while they are
+ * still in progress, unless --include-active is given.
+ *
+ * Which message lines count comes from digest.skipPatterns and
+ * digest.keepPatterns, and the digest's layout from digest.template (see
+ * src/digest-format.js); --preview SESSION shows what the filter keeps.
+ *
  * Usage:
- *   npx jasper-recall digest-sessions [--all] [--recent N] [--dry-run]
- *   digest-sessions [--all] [--recent N] [--dry-run]
+ *   npx jasper-recall digest-sessions [--all] [--recent N] [--dry-run] [--summarizer NAME] [--agent NAME] [--include-active]
+ *   npx jasper-recall digest-sessions --preview SESSION
+ *   digest-sessions [--all] [--recent N] [--dry-run] [--summarizer NAME] [--agent NAME] [--include-active]
  */
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const readline = require('readline');
 
-// Config with environment overrides
-const WORKSPACE = process.env.RECALL_WORKSPACE || path.join(os.homedir(), '.openclaw', 'workspace');
-const SESSIONS_DIR = process.env.RECALL_SESSIONS_DIR || path.join(os.homedir(), '.openclaw', 'agents', 'main', 'sessions');
+const config = require('./config');
+const { getSummarizer } = require('../src/summarizer');
+const { compileFilter, loadTemplates, continuationOffset } = require('../src/digest-format');
+const { discoverAgents, writeAgentFile } = require('./agents');
+
+// workspace setting (RECALL_WORKSPACE overrides it); agents come from sessionsDir and agentsDir
+const WORKSPACE = config.get('workspace');
 const MEMORY_DIR = path.join(WORKSPACE, 'memory');
 const DIGEST_DIR = path.join(MEMORY_DIR, 'session-digests');
 const STATE_FILE = path.join(MEMORY_DIR, '.digest-state.json');
+const STATE_VERSION = 2;
+
+// Line filter, templates, and how long a session counts as in progress
+const DIGEST = config.get('digest');
+const ACTIVE_MS = DIGEST.activeMinutes * 60 * 1000;
 
 // Parse args
 const args = process.argv.slice(2);
@@ -25,45 +52,32 @@ const DRY_RUN = args.includes('--dry-run');
 const ALL = args.includes('--all');
 const recentIdx = args.indexOf('--recent');
 const RECENT = recentIdx !== -1 ? parseInt(args[recentIdx + 1], 10) : null;
+const summarizerIdx = args.indexOf('--summarizer');
+const SUMMARIZER = summarizerIdx !== -1 ? args[summarizerIdx + 1] : null;
+const agentIdx = args.indexOf('--agent');
+const AGENT = agentIdx !== -1 ? args[agentIdx + 1] : null;
+const INCLUDE_ACTIVE = args.includes('--include-active');
+const previewIdx = args.indexOf('--preview');
+const PREVIEW = previewIdx !== -1 ? args[previewIdx + 1] : null;
 
-// Patterns to filter out from topics
-const SKIP_PATTERNS = [
-  /^\[message_id:/,
-  /^System:/,
-  /^\{/,
-  /^<session-init>/,
-  /^<session-identity>/,
-  /^<relevant-memories>/,
-  /^🔄 \*\*Fresh session/,
-  /^Read HEARTBEAT\.md/,
-  /^HEARTBEAT_OK/,
-  /^NO_REPLY/,
-  /^ANNOUNCE_SKIP/,
-  /^Agent-to-agent/,
-  /^📋 \*\*PR Review/,
-  /^🤖 Codex/,
-  /^✅ \*\*Hourly/,
-  /^The following memories/,
-  /^- \[memory\//,
-  /^###\s+(IDENTITY|SOUL|USER)\.md/,
-  /^cat ~/,
-  /^```/,
-  /^---$/,
-];
-
-function shouldSkip(line) {
-  const trimmed = line.trim();
-  if (!trimmed || trimmed.length < 5) return true;
-  return SKIP_PATTERNS.some(p => p.test(trimmed));
-}
-
-async function readState() {
+/**
+ * The state: { version, sessions: { key: { offset, lines, mtime, digest } }, lastRun }.
+ * offset is how many bytes of the session the digest covers, digest its path
+ * under session-digests/.
+ */
+function readState() {
+  let state = {};
   try {
     if (fs.existsSync(STATE_FILE)) {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
     }
   } catch {}
-  return { processed: [], lastRun: 0 };
+  const sessions = state.sessions || {};
+  // Version 1 only listed the sessions it had digested; offset null marks them until they are seen
+  for (const key of state.processed || []) {
+    if (!sessions[key]) sessions[key] = { offset: null };
+  }
+  return { version: STATE_VERSION, sessions, lastRun: state.lastRun || 0 };
 }
 
 function saveState(state) {
@@ -71,57 +85,210 @@ function saveState(state) {
   fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
 }
 
-async function parseSession(sessionFile) {
+// Tools whose arguments name a file they change or read, and shell tools
+// (names compared lowercased; OpenClaw, Claude and Codex spellings)
+const EDIT_TOOLS = new Set(['edit', 'write', 'multiedit', 'apply_patch', 'str_replace_editor', 'notebookedit']);
+const READ_TOOLS = new Set(['read', 'view', 'cat']);
+const SHELL_TOOLS = new Set(['exec', 'bash', 'shell', 'process', 'run_command', 'terminal']);
+const PATH_ARGS = ['path', 'file_path', 'filePath', 'file', 'notebook_path'];
+const PATCH_FILE_RE = /^\*\*\* (?:Update|Add|Delete) File: (.+)$/gm;
+
+// A tool result not flagged as an error that still reports one
+const ERROR_TEXT_RE = /^(error|fatal|traceback|exception)\b|exited with code [1-9]/i;
+const ERROR_LINE_RE = /error|exception|fatal|failed|denied|not found/i;
+
+// Items kept per section
+const MAX_FILES = 30;
+const MAX_COMMANDS = 20;
+const MAX_ERRORS = 10;
+const MAX_ANSWERS = 5;
+
+/**
+ * One line of at most max characters
+ */
+function clip(text, max) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > max ? line.slice(0, max - 1) + '…' : line;
+}
+
+/**
+ * A tool call's arguments as an object (OpenAI-style calls send a JSON string)
+ */
+function toolArgs(part) {
+  const input = part.arguments ?? part.input ?? part.args ?? {};
+  if (typeof input !== 'string') return input || {};
+  try {
+    return JSON.parse(input);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Files a tool call edits or reads: { edited: [], read: [] }
+ */
+function touchedFiles(name, input) {
+  const named = PATH_ARGS.map(key => input[key]).filter(p => typeof p === 'string' && p.trim());
+  if (EDIT_TOOLS.has(name)) {
+    const patch = typeof input.patch === 'string' ? input.patch : typeof input.input === 'string' ? input.input : '';
+    const patched = [...patch.matchAll(PATCH_FILE_RE)].map(m => m[1].trim());
+    return { edited: [...named, ...patched], read: [] };
+  }
+  if (READ_TOOLS.has(name)) return { edited: [], read: named };
+  return { edited: [], read: [] };
+}
+
+/**
+ * The line of a failed tool result worth keeping (a traceback's last line, say)
+ */
+function errorLine(text) {
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  const telling = lines.filter(l => ERROR_LINE_RE.test(l));
+  return telling.length > 0 ? telling[telling.length - 1] : lines[0] || '(no output)';
+}
+
+/**
+ * Distinct items with how often they occurred, in first-seen order
+ */
+function counted(items, limit) {
+  const counts = new Map();
+  for (const item of items) counts.set(item, (counts.get(item) || 0) + 1);
+  return [...counts].slice(0, limit).map(([item, n]) => n > 1 ? `${item} (${n}x)` : item);
+}
+
+/**
+ * Text of a message's content (a string, or parts of which the text ones count)
+ */
+function messageText(content) {
+  if (Array.isArray(content)) {
+    return content
+      .filter(p => p.type === 'text')
+      .map(p => p.text)
+      .join(' ');
+  }
+  return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Bytes of a session up to its last newline: one still being written may end
+ * in half a line, which is left for the next run
+ */
+function completeLength(file, size) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    for (let end = size; end > 0;) {
+      const start = Math.max(0, end - buf.length);
+      const read = fs.readSync(fd, buf, 0, end - start, start);
+      const newline = buf.subarray(0, read).lastIndexOf(0x0a);
+      if (newline !== -1) return start + newline + 1;
+      end = start;
+    }
+    return 0;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Lines in the first end bytes of a file
+ */
+async function countLines(file, end) {
+  let lines = 0;
+  if (end === 0) return lines;
+  for await (const chunk of fs.createReadStream(file, { end: end - 1 })) {
+    for (let i = chunk.indexOf(0x0a); i !== -1; i = chunk.indexOf(0x0a, i + 1)) lines++;
+  }
+  return lines;
+}
+
+/**
+ * Parse the bytes start..end of a session log (a continuation only reads what was added),
+ * keeping the message lines filter.keeps
+ */
+async function parseSession(sessionFile, filter, start = 0, end = fs.statSync(sessionFile).size) {
   const topics = [];
   const toolCounts = {};
+  const messages = [];  // { role, text } with noise lines dropped, for the summarizer
+  const edited = [];
+  const read = [];
+  const commands = [];
+  const errors = [];
+  const answers = [];   // the assistant's last text before each new user message
+  const toolNames = new Map();  // tool call id → tool name, for naming results
+  let lastReply = null;
   let messageCount = 0;
+  let lines = 0;
 
   const rl = readline.createInterface({
-    input: fs.createReadStream(sessionFile),
+    input: fs.createReadStream(sessionFile, { start, end: Math.max(start, end - 1) }),
     crlfDelay: Infinity
   });
 
+  const toolResult = (name, content, isError) => {
+    const text = messageText(content);
+    if (isError || ERROR_TEXT_RE.test(text.trim())) {
+      errors.push(`${name || 'tool'}: ${clip(errorLine(text), 200)}`);
+    }
+  };
+
   for await (const line of rl) {
+    lines++;
     try {
       const entry = JSON.parse(line);
       messageCount++;
+      const message = entry.message || {};
+      const role = message.role;
+      const parts = Array.isArray(message.content) ? message.content : [];
       
-      // Extract user messages for topics
-      if (entry.message?.role === 'user') {
-        let content = entry.message.content;
+      if (role === 'user' || role === 'assistant') {
+        const kept = messageText(message.content).split('\n').filter(filter.keeps);
+        if (kept.length > 0) messages.push({ role, text: kept.join('\n') });
         
-        // Handle array content (multi-part messages)
-        if (Array.isArray(content)) {
-          content = content
-            .filter(p => p.type === 'text')
-            .map(p => p.text)
-            .join(' ');
-        }
-        
-        if (typeof content === 'string') {
-          // Split into lines and filter
-          const lines = content.split('\n');
-          for (const l of lines) {
-            if (!shouldSkip(l) && topics.length < 20) {
-              topics.push(l.trim().slice(0, 200));
-            }
+        // User messages give the topics, and close the assistant's answer
+        if (role === 'user' && kept.length > 0) {
+          for (const l of kept) {
+            if (topics.length < 20) topics.push(l.trim().slice(0, 200));
           }
+          if (lastReply) answers.push(lastReply);
+          lastReply = null;
         }
+        if (role === 'assistant' && kept.length > 0) lastReply = kept.join(' ');
       }
       
-      // Count tool usage
-      if (entry.message?.role === 'assistant' && Array.isArray(entry.message.content)) {
-        for (const part of entry.message.content) {
+      // Tool calls: usage, files touched, commands run
+      if (role === 'assistant') {
+        for (const part of parts) {
           if (part.type === 'toolCall' || part.type === 'tool_use') {
             const name = part.name || part.toolName || 'unknown';
             toolCounts[name] = (toolCounts[name] || 0) + 1;
+            if (part.id) toolNames.set(part.id, name);
+
+            const input = toolArgs(part);
+            const files = touchedFiles(name.toLowerCase(), input);
+            edited.push(...files.edited);
+            read.push(...files.read);
+            const command = input.command ?? input.cmd;
+            if (SHELL_TOOLS.has(name.toLowerCase()) && command) {
+              commands.push(clip(Array.isArray(command) ? command.join(' ') : String(command), 200));
+            }
           }
         }
       }
+
+      // Tool results: OpenClaw's toolResult/tool messages, Claude's tool_result parts
+      if (role === 'toolResult' || role === 'tool') {
+        const name = message.toolName || message.name || toolNames.get(message.toolCallId || message.tool_call_id);
+        toolResult(name, message.content, message.isError);
+      }
+      for (const part of parts) {
+        if (part.type === 'tool_result') toolResult(toolNames.get(part.tool_use_id), part.content, part.is_error);
+      }
     } catch {
       // Skip malformed lines
     }
   }
+  if (lastReply) answers.push(lastReply);
 
   // Sort tools by usage
   const tools = Object.entries(toolCounts)
@@ -130,91 +297,314 @@ async function parseSession(sessionFile) {
     .map(([name, count]) => `${name} (${count}x)`)
     .join(', ');
 
-  return { topics: topics.slice(0, 10), tools: tools || 'none', messageCount };
+  return {
+    topics: topics.slice(0, 10),
+    tools: tools || 'none',
+    toolCounts,
+    messages,
+    messageCount,
+    lines,
+    filesEdited: counted(edited, MAX_FILES),
+    filesRead: counted(read.filter(f => !edited.includes(f)), MAX_FILES),
+    commands: counted(commands, MAX_COMMANDS),
+    errors: counted(errors, MAX_ERRORS),
+    answers: answers.slice(-MAX_ANSWERS).map(a => clip(a, 400))
+  };
 }
 
-async function main() {
-  // Ensure directories exist
-  fs.mkdirSync(DIGEST_DIR, { recursive: true });
+/**
+ * Insert a continuation before the digest's footer, or at its end
+ */
+function appendContinuation(digestFile, text) {
+  const content = fs.readFileSync(digestFile, 'utf8');
+  const at = continuationOffset(content);
+  const gap = at === content.length && !content.endsWith('\n\n') ? (content.endsWith('\n') ? '\n' : '\n\n') : '';
+  fs.writeFileSync(digestFile, content.slice(0, at) + gap + text + content.slice(at));
+}
 
-  // Check sessions dir
-  if (!fs.existsSync(SESSIONS_DIR)) {
-    console.log(`⚠ Sessions directory not found: ${SESSIONS_DIR}`);
-    process.exit(0);
+/**
+ * A session's digest from before offsets were tracked (null if there is none)
+ */
+function findDigest(agent, sessionId) {
+  const prefix = `${sessionId.slice(0, 8)}-`;
+  try {
+    const found = fs.readdirSync(path.join(DIGEST_DIR, agent.name))
+      .filter(f => f.startsWith(prefix) && f.endsWith('.md'))
+      .sort();
+    return found.length > 0 ? `${agent.name}/${found[found.length - 1]}` : null;
+  } catch {
+    return null;
   }
+}
 
-  // Get session files
-  const sessionFiles = fs.readdirSync(SESSIONS_DIR)
-    .filter(f => f.endsWith('.jsonl'))
-    .map(f => f.replace('.jsonl', ''));
+function kb(bytes) {
+  return bytes < 1024 ? `${bytes}B` : (bytes / 1024).toFixed(0) + 'K';
+}
 
-  if (sessionFiles.length === 0) {
-    console.log('No session files found.');
-    process.exit(0);
+/**
+ * What a digest template sees of a session (the templates are in src/digest-format.js)
+ */
+function templateContext({ agent, sessionId, sessionFile, date, session, summary, size, lines }) {
+  return {
+    id: sessionId,
+    shortId: sessionId.slice(0, 8),
+    date,
+    agent: { name: agent.name, sandboxed: agent.sandboxed, privacy: agent.sandboxed ? 'sandboxed' : 'private' },
+    sessionFile,
+    size,
+    lines,
+    messages: session.messageCount,
+    tools: session.tools,
+    toolCounts: session.toolCounts,
+    summary,
+    topics: session.topics,
+    filesEdited: session.filesEdited,
+    filesRead: session.filesRead,
+    commands: session.commands,
+    errors: session.errors,
+    answers: session.answers
+  };
+}
+
+/**
+ * A session file from --preview: a path, or a session id (or the start of
+ * one) looked up in the agents' session folders
+ */
+function findSession(wanted, agents) {
+  if (wanted.endsWith('.jsonl') && fs.existsSync(wanted)) return { file: path.resolve(wanted), label: path.basename(wanted, '.jsonl') };
+  const id = path.basename(wanted, '.jsonl');
+  const found = [];
+  for (const agent of agents) {
+    let files = [];
+    try {
+      files = fs.readdirSync(agent.sessionsDir).filter(f => f.endsWith('.jsonl') && f.startsWith(id));
+    } catch {
+      continue;
+    }
+    for (const f of files) found.push({ file: path.join(agent.sessionsDir, f), label: `${agent.name}/${f.replace('.jsonl', '')}` });
+  }
+  const exact = found.filter(s => path.basename(s.file) === `${id}.jsonl`);
+  if (exact.length === 1) return exact[0];
+  if (found.length === 1) return found[0];
+  if (found.length === 0) throw new Error(`No session matches "${wanted}"`);
+  throw new Error(`"${wanted}" matches ${found.length} sessions: ${found.slice(0, 5).map(s => s.label).join(', ')}${found.length > 5 ? ', ...' : ''}`);
+}
+
+/**
+ * --preview: each user and assistant line of a session, kept (✓) or dropped
+ * (✗) with the pattern or rule that decided it. Nothing is written.
+ */
+async function preview(wanted, agents, filter) {
+  let session;
+  try {
+    session = findSession(wanted, agents);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log(`🦊 Preview: ${session.label}`);
+  console.log(`   ${session.file}`);
+  console.log(`   ${filter.skip.length} skip patterns, ${filter.keep.length} keep patterns, lines under ${filter.minLength} characters dropped\n`);
+
+  const rl = readline.createInterface({ input: fs.createReadStream(session.file), crlfDelay: Infinity });
+  let kept = 0;
+  let dropped = 0;
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    let message;
+    try {
+      message = JSON.parse(line).message || {};
+    } catch {
+      continue;
+    }
+    if (message.role !== 'user' && message.role !== 'assistant') continue;
+    const text = messageText(message.content).split('\n').filter(l => l.trim());
+    if (text.length === 0) continue;
+
+    console.log(`[${lineNo}] ${message.role}`);
+    for (const l of text) {
+      const { keep, reason } = filter.classify(l);
+      if (keep) kept++;
+      else dropped++;
+      const why = reason === 'short' ? `shorter than ${filter.minLength}` : reason;
+      console.log(`  ${keep ? '✓' : '✗'} ${clip(l, 120)}${why ? `  ← ${why}` : ''}`);
+    }
+  }
+  console.log(`\nKept ${kept} lines, dropped ${dropped}`);
+}
+
+/**
+ * Digests from before per-agent folders sit at the top of session-digests/.
+ * They are all the main agent's, so they move into its folder the first time.
+ */
+function moveEarlierDigests(mainAgent) {
+  const folder = path.join(DIGEST_DIR, mainAgent.name);
+  if (fs.existsSync(folder)) return;
+  const earlier = fs.readdirSync(DIGEST_DIR).filter(f => f.endsWith('.md'));
+  if (earlier.length === 0) return;
+  fs.mkdirSync(folder);
+  writeAgentFile(folder, mainAgent);
+  for (const file of earlier) fs.renameSync(path.join(DIGEST_DIR, file), path.join(folder, file));
+  console.log(`Moved ${earlier.length} earlier digests into ${folder}`);
+}
+
+async function main() {
+  let summarizer, filter, templates;
+  try {
+    filter = compileFilter(DIGEST);
+    templates = loadTemplates(DIGEST);
+    if (!PREVIEW) summarizer = getSummarizer({ provider: SUMMARIZER, log: console.log });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
   }
 
-  // Load state
-  const state = await readState();
-  const processed = new Set(state.processed);
+  let agents = discoverAgents();
+  const mainAgent = agents[0];
+  if (AGENT) {
+    agents = agents.filter(agent => agent.name === AGENT);
+    if (agents.length === 0) {
+      console.error(`❌ Unknown agent "${AGENT}" (found: ${discoverAgents().map(agent => agent.name).join(', ')})`);
+      process.exit(1);
+    }
+  }
+
+  if (PREVIEW) {
+    await preview(PREVIEW, agents, filter);
+    return;
+  }
+
+  // Ensure directories exist
+  fs.mkdirSync(DIGEST_DIR, { recursive: true });
+  if (!DRY_RUN) moveEarlierDigests(mainAgent);
+
+  // Load state; the main agent's sessions are keyed by id alone, as they were before agents
+  const state = readState();
+  const stateKey = (agent, sessionId) => agent === mainAgent ? sessionId : `${agent.name}/${sessionId}`;
+
+  const toProcess = [];
+  const active = [];
+  for (const agent of agents) {
+    if (!fs.existsSync(agent.sessionsDir)) {
+      if (agent === mainAgent) console.log(`⚠ Sessions directory not found: ${agent.sessionsDir}`);
+      continue;
+    }
+
+    // Get session files
+    const sessionFiles = fs.readdirSync(agent.sessionsDir)
+      .filter(f => f.endsWith('.jsonl'))
+      .map(f => f.replace('.jsonl', ''));
+
+    // New sessions and grown ones (every session with --all)
+    let pending = [];
+    for (const sessionId of sessionFiles) {
+      const sessionFile = path.join(agent.sessionsDir, `${sessionId}.jsonl`);
+      const stats = fs.statSync(sessionFile);
+      const inProgress = Date.now() - stats.mtimeMs < ACTIVE_MS;
+      if (inProgress && !INCLUDE_ACTIVE) {
+        active.push(`${agent.name}/${sessionId.slice(0, 8)}`);
+        continue;
+      }
+      const end = inProgress ? completeLength(sessionFile, stats.size) : stats.size;
+      const key = stateKey(agent, sessionId);
+      const entry = state.sessions[key];
+
+      if (entry && entry.offset === null) {
+        // Digested by an earlier version: taken as covering the session as it is now
+        state.sessions[key] = {
+          offset: end,
+          lines: await countLines(sessionFile, end),
+          mtime: stats.mtimeMs,
+          digest: findDigest(agent, sessionId)
+        };
+        if (!ALL) continue;
+      }
+
+      let action;
+      if (ALL || !entry) {
+        action = 'create';
+      } else if (end < entry.offset || !entry.digest || !fs.existsSync(path.join(DIGEST_DIR, entry.digest))) {
+        action = 'regenerate';  // Rewritten, or its digest is gone
+      } else if (end > entry.offset) {
+        action = 'continue';
+      } else {
+        continue;
+      }
+      pending.push({ agent, sessionId, sessionFile, stats, end, key, action });
+    }
 
-  // Filter to new sessions (unless --all)
-  let toProcess = ALL 
-    ? sessionFiles 
-    : sessionFiles.filter(s => !processed.has(s));
+    // Apply --recent limit (per agent)
+    if (RECENT && RECENT > 0) {
+      pending = pending.slice(-RECENT);
+    }
+    toProcess.push(...pending);
+  }
 
-  // Apply --recent limit
-  if (RECENT && RECENT > 0) {
-    toProcess = toProcess.slice(-RECENT);
+  if (active.length > 0) {
+    console.log(`⏳ Skipping ${active.length} active session(s), written to in the last ${ACTIVE_MS / 60000} min: ${active.join(', ')}`);
+    console.log('   (--include-active digests them up to their last complete line)');
   }
 
   if (toProcess.length === 0) {
+    if (!DRY_RUN) saveState(state);
     console.log('✓ No new sessions to digest.');
     process.exit(0);
   }
 
+  const grown = toProcess.filter(item => item.action === 'continue').length;
   console.log('🦊 Jasper Recall — Session Digester');
   console.log('='.repeat(40));
-  console.log(`Sessions to process: ${toProcess.length}\n`);
-
-  for (const sessionId of toProcess) {
-    const sessionFile = path.join(SESSIONS_DIR, `${sessionId}.jsonl`);
-    if (!fs.existsSync(sessionFile)) continue;
-
-    const stats = fs.statSync(sessionFile);
-    const size = (stats.size / 1024).toFixed(0) + 'K';
+  console.log(`Sessions to process: ${toProcess.length}${grown > 0 ? ` (${grown} grown since their digest)` : ''}`);
+  console.log(`Agents: ${agents.map(agent => agent.sandboxed ? `${agent.name} (sandboxed)` : agent.name).join(', ')}`);
+  console.log(`Summarizer: ${summarizer.name}\n`);
+
+  const described = new Set();
+  for (const { agent, sessionId, sessionFile, stats, end, key, action } of toProcess) {
+    const entry = state.sessions[key];
+    const start = action === 'continue' ? entry.offset : 0;
     const date = stats.mtime.toISOString().split('T')[0];
 
-    console.log(`Processing: ${sessionId.slice(0, 8)}... (${size})`);
+    console.log(`Processing: ${agent.name}/${sessionId.slice(0, 8)}... (${kb(end)}${start > 0 ? `, +${kb(end - start)}` : ''})`);
 
     try {
-      const { topics, tools, messageCount } = await parseSession(sessionFile);
-      
-      const digestFile = path.join(DIGEST_DIR, `${sessionId.slice(0, 8)}-${date}.md`);
-      
-      const topicsFormatted = topics.length > 0
-        ? topics.map(t => `- ${t}`).join('\n')
-        : '- (no topics extracted)';
+      const session = await parseSession(sessionFile, filter, start, end);
 
-      const content = `# Session ${sessionId.slice(0, 8)} — ${date}
+      const agentDir = path.join(DIGEST_DIR, agent.name);
+      const digest = action === 'continue' ? entry.digest : `${agent.name}/${sessionId.slice(0, 8)}-${date}.md`;
+      const digestFile = path.join(DIGEST_DIR, digest);
 
-**Size:** ${size} | **Messages:** ${messageCount}
-**Tools:** ${tools}
+      if (DRY_RUN) {
+        const verb = { create: 'create', regenerate: 'regenerate', continue: 'add a continuation to' }[action];
+        console.log(`  [dry-run] Would ${verb}: ${digest}`);
+        continue;
+      }
 
-## Topics
+      const summary = await summarizer.summarize({ id: sessionId, messages: session.messages, tools: session.toolCounts });
+      const context = { agent, sessionId, sessionFile, date, session, summary };
 
-${topicsFormatted}
+      if (action === 'continue') {
+        const lines = { from: entry.lines + 1, to: entry.lines + session.lines };
+        appendContinuation(digestFile, templates.continuation(templateContext({ ...context, size: kb(end - start), lines })));
+        state.sessions[key] = { offset: end, lines: entry.lines + session.lines, mtime: stats.mtimeMs, digest };
+        console.log(`  ✓ Continued: ${digest}`);
+        continue;
+      }
 
----
-*Full session: ${sessionFile}*
-`;
+      const content = templates.digest(templateContext({ ...context, size: kb(end), lines: { from: 1, to: session.lines } }));
 
-      if (!DRY_RUN) {
-        fs.writeFileSync(digestFile, content);
-        state.processed.push(sessionId);
-        console.log(`  ✓ Created: ${path.basename(digestFile)}`);
-      } else {
-        console.log(`  [dry-run] Would create: ${path.basename(digestFile)}`);
+      // The folder's .agent.json goes first, so no digest is ever indexed as the wrong privacy
+      if (!described.has(agent)) {
+        fs.mkdirSync(agentDir, { recursive: true });
+        writeAgentFile(agentDir, agent);
+        described.add(agent);
       }
+      fs.writeFileSync(digestFile, content);
+      // A regenerated session's digest is named after its new date
+      if (entry?.digest && entry.digest !== digest) fs.rmSync(path.join(DIGEST_DIR, entry.digest), { force: true });
+      state.sessions[key] = { offset: end, lines: session.lines, mtime: stats.mtimeMs, digest };
+      console.log(`  ✓ ${action === 'regenerate' ? 'Regenerated' : 'Created'}: ${digest}`);
     } catch (err) {
       console.log(`  ✗ Error: ${err.message}`);
     }
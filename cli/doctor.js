@@ -6,11 +6,12 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 
-const VENV_PATH = path.join(os.homedir(), '.openclaw', 'rag-env');
-const CHROMA_PATH = path.join(os.homedir(), '.openclaw', 'chroma-db');
-const MEMORY_PATH = path.join(os.homedir(), '.openclaw', 'workspace', 'memory');
+const config = require('./config');
+
+const VENV_PATH = config.get('venv');
+const CHROMA_PATH = config.get('chromaDb');
+const MEMORY_PATH = path.join(config.get('workspace'), 'memory');
 
 function exec(cmd, opts = {}) {
   try {
@@ -102,6 +103,18 @@ function countMemoryFiles() {
   }
 }
 
+/**
+ * Invalid settings across the config files and RECALL_* variables:
+ * { count, sources }
+ */
+function configProblems() {
+  const invalid = config.validateAll().filter(result => result.errors.length);
+  return {
+    count: invalid.reduce((sum, result) => sum + result.errors.length, 0),
+    sources: invalid.map(result => result.file || 'RECALL_* variables')
+  };
+}
+
 function runDoctor(options = {}) {
   const { fix = false, dryRun = false } = options;
   const verbose = dryRun;
@@ -144,6 +157,20 @@ function runDoctor(options = {}) {
     fixMessage: 'Please install Python 3: https://www.python.org/downloads/'
   });
   
+  // Config check (the paths below come from it)
+  const problems = configProblems();
+  const projectFile = config.findProjectFile();
+  checks.push({
+    label: 'Config',
+    status: problems.count ? '❌' : '✅',
+    value: problems.count
+      ? `${problems.count} invalid setting${problems.count > 1 ? 's' : ''} in ${problems.sources.join(', ')}`
+      : `valid${projectFile ? ` (project: ${projectFile})` : ''}`,
+    ok: problems.count === 0,
+    fixable: false,
+    fixMessage: 'run "npx jasper-recall config validate" and fix the settings it lists'
+  });
+  
   // Virtual environment check
   const venvExists = fs.existsSync(VENV_PATH);
   checks.push({
@@ -396,6 +423,11 @@ function runDoctorJson() {
   const pythonMatch = pythonResult.output.match(/Python ([\d.]+)/);
   checks.python = pythonMatch ? pythonMatch[1] : 'missing';
   
+  // Config
+  const problems = configProblems();
+  checks.config = problems.count ? `${problems.count} invalid` : 'ok';
+  if (problems.count) status = 'degraded';
+  
   // Venv
   checks.venv = fs.existsSync(VENV_PATH) ? 'ok' : 'missing';
   if (checks.venv === 'missing') status = 'degraded';
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * index-digests — Index memory files into ChromaDB
- * Wrapper for the Python script
+ * Wrapper for the Python script, or the JS backend when config backend is "js"
  */
 
 const { execSync, spawn } = require('child_process');
@@ -9,39 +9,53 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 
-const VENV_PATH = path.join(os.homedir(), '.openclaw', 'rag-env');
-const PYTHON = path.join(VENV_PATH, 'bin', 'python');
+const config = require('./config');
 
-// Find the Python script - check multiple locations
-const SCRIPT_LOCATIONS = [
-  path.join(__dirname, '..', 'scripts', 'index-digests.py'),
-  path.join(os.homedir(), '.local', 'share', 'jasper-recall', 'scripts', 'index-digests.py'),
-];
+const PYTHON = path.join(config.get('venv'), 'bin', 'python');
 
-let scriptPath = null;
-for (const loc of SCRIPT_LOCATIONS) {
-  if (fs.existsSync(loc)) {
-    scriptPath = loc;
-    break;
-  }
+if (config.get('backend') === 'js') {
+  require('../src/js-backend/cli').runIndexCLI(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    });
+} else {
+  runPython();
 }
 
-if (!scriptPath) {
-  console.error('❌ index-digests.py not found. Run: npx jasper-recall setup');
-  process.exit(1);
-}
+function runPython() {
+  // Find the Python script - check multiple locations
+  const SCRIPT_LOCATIONS = [
+    path.join(__dirname, '..', 'scripts', 'index-digests.py'),
+    path.join(os.homedir(), '.local', 'share', 'jasper-recall', 'scripts', 'index-digests.py'),
+  ];
+
+  let scriptPath = null;
+  for (const loc of SCRIPT_LOCATIONS) {
+    if (fs.existsSync(loc)) {
+      scriptPath = loc;
+      break;
+    }
+  }
 
-if (!fs.existsSync(PYTHON)) {
-  console.error('❌ Python venv not found. Run: npx jasper-recall setup');
-  process.exit(1);
-}
+  if (!scriptPath) {
+    console.error('❌ index-digests.py not found. Run: npx jasper-recall setup');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(PYTHON)) {
+    console.error('❌ Python venv not found. Run: npx jasper-recall setup');
+    process.exit(1);
+  }
 
-// Run the Python script
-const child = spawn(PYTHON, [scriptPath, ...process.argv.slice(2)], {
-  stdio: 'inherit',
-  env: { ...process.env }
-});
+  // Run the Python script
+  const child = spawn(PYTHON, [scriptPath, ...process.argv.slice(2)], {
+    stdio: 'inherit',
+    env: { ...process.env, ...config.scriptEnv() }
+  });
 
-child.on('exit', (code) => {
-  process.exit(code || 0);
-});
+  child.on('exit', (code) => {
+    process.exit(code || 0);
+  });
+}
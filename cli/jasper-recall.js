@@ -20,12 +20,15 @@ const packageJson = require('../package.json');
 const VERSION = packageJson.version;
 
 // Check for updates in background (non-blocking)
+// Skipped for mcp: stdout is the protocol channel there
 const { checkInBackground } = require('./update-check');
-checkInBackground();
-const VENV_PATH = path.join(os.homedir(), '.openclaw', 'rag-env');
-const CHROMA_PATH = path.join(os.homedir(), '.openclaw', 'chroma-db');
+if (process.argv[2] !== 'mcp') checkInBackground();
+const config = require('./config');
 const BIN_PATH = path.join(os.homedir(), '.local', 'bin');
 const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+// Helper modules the installed Python scripts import
+const SHARE_PATH = path.join(os.homedir(), '.local', 'share', 'jasper-recall', 'scripts');
+const PYTHON_MODULES = ['bm25.py', 'recall_config.py', 'recall_snapshot.py'];
 const EXTENSIONS_DIR = path.join(__dirname, '..', 'extensions');
 const OPENCLAW_CONFIG = path.join(os.homedir(), '.openclaw', 'openclaw.json');
 const OPENCLAW_SKILLS = path.join(os.homedir(), '.openclaw', 'workspace', 'skills');
@@ -54,6 +57,23 @@ function run(cmd, opts = {}) {
   }
 }
 
+/**
+ * Run an installed CLI script with the resolved config in its environment
+ */
+function spawnScript(script, args) {
+  return spawn(script, args, { stdio: 'inherit', env: { ...process.env, ...config.scriptEnv() } });
+}
+
+/**
+ * Install BIN_PATH/<name> running the cli/<target> module with node
+ */
+function installNodeShim(name, target) {
+  const destPath = path.join(BIN_PATH, name);
+  fs.writeFileSync(destPath, `#!/usr/bin/env node\nrequire(${JSON.stringify(path.join(__dirname, target))});\n`);
+  fs.chmodSync(destPath, 0o755);
+  console.log(`  ✓ Installed: ${destPath}`);
+}
+
 function setupOpenClawIntegration() {
   log('Setting up OpenClaw integration...');
   
@@ -110,7 +130,10 @@ function setupOpenClawIntegration() {
       }
       
       // Check if already configured
+      const packageDir = path.join(__dirname, '..');
       if (config.plugins.entries['jasper-recall']) {
+        const entry = config.plugins.entries['jasper-recall'];
+        entry.config = { ...entry.config, packageDir };
         console.log('  ✓ Plugin already configured in openclaw.json');
       } else {
         // Add plugin config
@@ -119,7 +142,8 @@ function setupOpenClawIntegration() {
           config: {
             autoRecall: true,
             minScore: 0.3,
-            defaultLimit: 5
+            defaultLimit: 5,
+            packageDir
           }
         };
         console.log('  ✓ Added jasper-recall plugin config');
@@ -211,7 +235,7 @@ function setupBrain(options = {}) {
   
   // Link memory folder to Quartz content
   const contentPath = path.join(BRAIN_PATH, 'content');
-  const memoryPath = path.join(os.homedir(), '.openclaw', 'workspace', 'memory');
+  const memoryPath = path.join(config.get('workspace'), 'memory');
   
   if (fs.existsSync(memoryPath)) {
     // Remove default content and symlink memory
@@ -236,7 +260,7 @@ function setupBrain(options = {}) {
     }
   } else {
     console.log(`  ⚠ Memory folder not found: ${memoryPath}`);
-    console.log('    Create it with: mkdir -p ~/.openclaw/workspace/memory');
+    console.log(`    Create it with: mkdir -p ${memoryPath}`);
   }
   
   // Save config
@@ -407,9 +431,88 @@ EXAMPLES:
   }
 }
 
+/**
+ * Setup for the pure-JS backend: no Python, no venv, no downloads
+ */
+function setupJsBackend() {
+  const { OnnxEmbedder } = require('../src/js-backend/embedder');
+  const { OnnxCrossEncoder } = require('../src/js-backend/reranker');
+
+  log('Jasper Recall — Setup (JS backend)');
+  console.log('=' .repeat(40));
+  
+  const fileConfig = config.loadConfigFile();
+  if (fileConfig.backend !== 'js') {
+    fileConfig.backend = 'js';
+    config.save(fileConfig);
+  }
+  console.log('  ✓ backend: js');
+  
+  log('Checking onnxruntime-node...');
+  let ready = true;
+  try {
+    require.resolve('onnxruntime-node');
+    console.log('  ✓ onnxruntime-node installed');
+  } catch {
+    ready = false;
+    console.log('  ⚠ onnxruntime-node not installed. Run: npm install onnxruntime-node');
+  }
+  
+  log('Checking embedding model...');
+  const modelDir = config.get('modelDir');
+  try {
+    new OnnxEmbedder({ modelDir }).resolveFiles();
+    console.log(`  ✓ Model found: ${modelDir}`);
+  } catch {
+    ready = false;
+    console.log(`  ⚠ No model in ${modelDir}`);
+    console.log(`    Copy an ONNX export of ${config.get('embeddingModel')} there:`);
+    console.log('      model.onnx  (e.g. onnx/model.onnx from huggingface.co/Xenova/all-MiniLM-L6-v2)');
+    console.log('      vocab.txt');
+  }
+  
+  // Optional: only needed for --rerank
+  const rerankModelDir = config.get('rerankModelDir');
+  try {
+    new OnnxCrossEncoder({ modelDir: rerankModelDir }).resolveFiles();
+    console.log(`  ✓ Rerank model found: ${rerankModelDir}`);
+  } catch {
+    console.log(`  - No rerank model in ${rerankModelDir} (optional, for --rerank)`);
+    console.log('    Copy model.onnx and vocab.txt from huggingface.co/Xenova/ms-marco-MiniLM-L-6-v2 there');
+  }
+  
+  // Node shims instead of the Python scripts
+  fs.mkdirSync(BIN_PATH, { recursive: true });
+  log('Installing CLI scripts...');
+  for (const [name, target] of [['recall', 'recall.js'], ['index-digests', 'index-digests.js'], ['digest-sessions', 'digest-sessions.js']]) {
+    installNodeShim(name, target);
+  }
+  
+  console.log('');
+  setupOpenClawIntegration();
+  
+  console.log('');
+  console.log('=' .repeat(40));
+  log(ready ? 'Setup complete!' : 'Setup complete - fix the warnings above before indexing');
+  console.log('');
+  console.log('Next steps:');
+  console.log('  1. index-digests     # Index your memory files');
+  console.log('  2. recall "query"    # Search your memory');
+  console.log('');
+}
+
 function setup() {
+  const args = process.argv.slice(3);
+  const backendFlag = args.indexOf('--backend');
+  const backend = backendFlag !== -1 ? args[backendFlag + 1] : config.get('backend');
+  if (backend === 'js') {
+    setupJsBackend();
+    return;
+  }
+  
   log('Jasper Recall — Setup');
   console.log('=' .repeat(40));
+  const venvPath = config.get('venv');
   
   // Check Python
   log('Checking Python...');
@@ -424,37 +527,54 @@ function setup() {
   
   // Create venv
   log('Creating Python virtual environment...');
-  fs.mkdirSync(path.dirname(VENV_PATH), { recursive: true });
-  if (!fs.existsSync(VENV_PATH)) {
-    run(`${python} -m venv ${VENV_PATH}`);
-    console.log(`  ✓ Created: ${VENV_PATH}`);
+  fs.mkdirSync(path.dirname(venvPath), { recursive: true });
+  if (!fs.existsSync(venvPath)) {
+    run(`${python} -m venv ${venvPath}`);
+    console.log(`  ✓ Created: ${venvPath}`);
   } else {
-    console.log(`  ✓ Already exists: ${VENV_PATH}`);
+    console.log(`  ✓ Already exists: ${venvPath}`);
   }
   
   // Install Python dependencies
   log('Installing Python dependencies (this may take a minute)...');
-  const pip = path.join(VENV_PATH, 'bin', 'pip');
+  const pip = path.join(venvPath, 'bin', 'pip');
   run(`${pip} install --quiet chromadb sentence-transformers`);
   console.log('  ✓ Installed: chromadb, sentence-transformers');
   
-  // Pre-download embedding model (~90MB) to avoid timeout on first recall
+  // Pre-download embedding model (~90MB for the default) to avoid timeout on first recall
+  const embeddingModel = config.get('embeddingModel');
   log('Downloading embedding model (first time only, ~90MB)...');
-  const pythonBin = path.join(VENV_PATH, 'bin', 'python3');
+  const pythonBin = path.join(venvPath, 'bin', 'python3');
   try {
     // Suppress LibreSSL/OpenSSL warning on macOS
-    execSync(`${pythonBin} -W ignore::DeprecationWarning -c "import warnings; warnings.filterwarnings('ignore'); from sentence_transformers import SentenceTransformer; SentenceTransformer('sentence-transformers/all-MiniLM-L6-v2')"`, {
+    execSync(`${pythonBin} -W ignore::DeprecationWarning -c "import warnings; warnings.filterwarnings('ignore'); from sentence_transformers import SentenceTransformer; SentenceTransformer('${embeddingModel}')"`, {
       encoding: 'utf8',
       timeout: 300000, // 5 min timeout for download
       stdio: ['pipe', 'pipe', 'pipe'],
       env: { ...process.env, PYTHONWARNINGS: 'ignore' }
     });
-    console.log('  ✓ Model cached: sentence-transformers/all-MiniLM-L6-v2');
+    console.log(`  ✓ Model cached: ${embeddingModel}`);
   } catch (err) {
     console.log('  ⚠ Model download failed (will retry on first recall)');
     console.log(`    ${err.message}`);
   }
   
+  // And the cross-encoder for --rerank (~90MB), so the first reranked query doesn't stall
+  const rerankModel = config.get('rerankModel');
+  log('Downloading rerank model (first time only, ~90MB)...');
+  try {
+    execSync(`${pythonBin} -W ignore::DeprecationWarning -c "import warnings; warnings.filterwarnings('ignore'); from sentence_transformers import CrossEncoder; CrossEncoder('${rerankModel}')"`, {
+      encoding: 'utf8',
+      timeout: 300000,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, PYTHONWARNINGS: 'ignore' }
+    });
+    console.log(`  ✓ Model cached: ${rerankModel}`);
+  } catch (err) {
+    console.log('  ⚠ Rerank model download failed (will retry on first --rerank)');
+    console.log(`    ${err.message}`);
+  }
+  
   // Create bin directory
   fs.mkdirSync(BIN_PATH, { recursive: true });
   
@@ -462,10 +582,9 @@ function setup() {
   log('Installing CLI scripts...');
   
   const scripts = [
-    { src: 'recall.py', dest: 'recall', shebang: `#!${path.join(VENV_PATH, 'bin', 'python3')}` },
-    { src: 'index-digests.py', dest: 'index-digests', shebang: `#!${path.join(VENV_PATH, 'bin', 'python3')}` },
-    { src: 'digest-sessions.sh', dest: 'digest-sessions', shebang: '#!/bin/bash' },
-    { src: 'summarize-old.py', dest: 'summarize-old', shebang: `#!${path.join(VENV_PATH, 'bin', 'python3')}` }
+    { src: 'recall.py', dest: 'recall', shebang: `#!${path.join(venvPath, 'bin', 'python3')}` },
+    { src: 'index-digests.py', dest: 'index-digests', shebang: `#!${path.join(venvPath, 'bin', 'python3')}` },
+    { src: 'summarize-old.py', dest: 'summarize-old', shebang: `#!${path.join(venvPath, 'bin', 'python3')}` }
   ];
   
   for (const script of scripts) {
@@ -484,8 +603,16 @@ function setup() {
     console.log(`  ✓ Installed: ${destPath}`);
   }
   
+  installNodeShim('digest-sessions', 'digest-sessions.js');
+  
+  fs.mkdirSync(SHARE_PATH, { recursive: true });
+  for (const file of PYTHON_MODULES) {
+    fs.copyFileSync(path.join(SCRIPTS_DIR, file), path.join(SHARE_PATH, file));
+  }
+  console.log(`  ✓ Installed: ${PYTHON_MODULES.join(', ')} → ${SHARE_PATH}`);
+  
   // Create chroma directory
-  fs.mkdirSync(CHROMA_PATH, { recursive: true });
+  fs.mkdirSync(config.get('chromaDb'), { recursive: true });
   
   // Verify PATH
   const pathEnv = process.env.PATH || '';
@@ -554,16 +681,39 @@ USAGE:
 
 COMMANDS:
   setup           Install dependencies and CLI scripts
+                  Flags: --backend js (pure Node, no Python venv)
   doctor          Run system health check
                   Flags: --fix (auto-repair issues), --dry-run (verbose output)
   recall          Search your memory (alias for the recall command)
   index           Index memory files (alias for index-digests)
+  gc              Remove index chunks of deleted, moved or no longer indexed files
+                  Flags: --dry-run (only report what would be removed)
   digest          Process session logs (alias for digest-sessions)
+                  Flags: --all, --recent N, --dry-run, --agent NAME, --include-active,
+                  --summarizer extractive|openai, --preview SESSION
   summarize       Compress old entries to save tokens (alias for summarize-old)
+  stats           Show index statistics (chunks, files, tokens, unindexed files)
+                  Flags: --json, --top N
+  inspect <file>  List the chunks indexed for a file
+                  Flags: --full (whole chunk text), --json
+  export [file]   Write the index to a portable .tar.gz bundle
+                  Flags: --collection NAME (repeatable)
+  import <file>   Restore a bundle into the configured backend
+                  Flags: --collection NAME, --replace, --dry-run
+  snapshot        Index snapshots taken before index, gc and summarize runs
+                  Subcommands: list, restore <id|latest>, prune
+  reindex         Re-embed the index with another embedding model and switch to it
+                  Flags: --model NAME, --model-dir DIR (js backend), --no-snapshot
+  watch           Re-index memory files as they change
+                  Flags: --daemon (run in background), --stop, --status
   serve           Start HTTP API server (for sandboxed agents)
+                  Flags: --watch (also re-index memory files as they change)
+  token           Manage server API tokens (create, list, revoke)
+  mcp             Run an MCP server over stdio (recall tools for any MCP client)
   brain           Manage Quartz web UI for memory browsing
                   Subcommands: setup, status, serve, build, port, host
-  config          Show or set configuration
+  config          Show, get, set, unset or validate settings
+                  Flags: --project (set/unset in ./.jasper-recall.json)
   update          Check for updates
   sandboxed-setup   Configure sandboxed agents (email, social, calendar, etc.)
   sandboxed-verify  Verify sandboxed agent configurations
@@ -571,13 +721,20 @@ COMMANDS:
 
 CONFIGURATION:
   Config file: ~/.jasper-recall/config.json
+  Project file: .jasper-recall.json in the current directory or a parent
+                (overrides the config file; "config show" lists what applies)
   
-  Environment variables (override config file):
+  Environment variables (override both):
     RECALL_WORKSPACE   Memory workspace path
     RECALL_CHROMA_DB   ChromaDB storage path
     RECALL_VENV        Python venv path
+    RECALL_SESSIONS_DIR  Session logs for digest-sessions
+    RECALL_AGENTS_DIR  Other OpenClaw agents, whose sessions digest-sessions reads too
     RECALL_PORT        Server port (default: 3458)
     RECALL_HOST        Server host (default: 127.0.0.1)
+    RECALL_BACKEND     python (default) or js
+    RECALL_EMBEDDING_MODEL  Embedding model (default: all-MiniLM-L6-v2)
+    RECALL_SUMMARIZER_API_KEY  API key for a hosted summarizer endpoint
 
 EXAMPLES:
   npx jasper-recall setup
@@ -585,48 +742,74 @@ EXAMPLES:
   index-digests
   digest-sessions --dry-run
   npx jasper-recall serve --port 3458
+  npx jasper-recall watch --daemon
+  npx jasper-recall config set serverPort 8080
 `);
 }
 
 // Main
 const command = process.argv[2];
 
+// Bad settings are skipped; say so up front (`config validate` reports them itself)
+if (command && !['config', 'help', '--help', '-h', '--version', '-v'].includes(command)) {
+  config.warnInvalid();
+}
+
 switch (command) {
   case 'setup':
     setup();
     break;
   case 'recall':
+    if (config.get('backend') === 'js') {
+      require('../src/js-backend/cli').runRecallCLI(process.argv.slice(3)).then(code => process.exit(code));
+      break;
+    }
     // Pass through to recall script
     const recallScript = path.join(BIN_PATH, 'recall');
     if (fs.existsSync(recallScript)) {
       const args = process.argv.slice(3);
-      spawn(recallScript, args, { stdio: 'inherit' });
+      spawnScript(recallScript, args);
     } else {
       error('Run "npx jasper-recall setup" first');
     }
     break;
   case 'index':
+    if (config.get('backend') === 'js') {
+      require('../src/js-backend/cli').runIndexCLI(process.argv.slice(3)).then(code => process.exit(code));
+      break;
+    }
     const indexScript = path.join(BIN_PATH, 'index-digests');
     if (fs.existsSync(indexScript)) {
-      spawn(indexScript, [], { stdio: 'inherit' });
+      spawnScript(indexScript, process.argv.slice(3));
     } else {
       error('Run "npx jasper-recall setup" first');
     }
     break;
-  case 'digest':
-    const digestScript = path.join(BIN_PATH, 'digest-sessions');
-    if (fs.existsSync(digestScript)) {
-      const args = process.argv.slice(3);
-      spawn(digestScript, args, { stdio: 'inherit' });
+  case 'gc': {
+    // Remove chunks of deleted, moved or no longer indexed files (index-digests --gc)
+    const gcArgs = ['--gc', ...process.argv.slice(3)];
+    if (config.get('backend') === 'js') {
+      require('../src/js-backend/cli').runIndexCLI(gcArgs).then(code => process.exit(code));
+      break;
+    }
+    const gcScript = path.join(BIN_PATH, 'index-digests');
+    if (fs.existsSync(gcScript)) {
+      spawnScript(gcScript, gcArgs);
     } else {
       error('Run "npx jasper-recall setup" first');
     }
     break;
+  }
+  case 'digest':
+    // Pure Node, so it runs without setup
+    spawnScript(process.execPath, [path.join(__dirname, 'digest-sessions.js'), ...process.argv.slice(3)])
+      .on('exit', code => process.exit(code ?? 1));
+    break;
   case 'summarize':
     const summarizeScript = path.join(BIN_PATH, 'summarize-old');
     if (fs.existsSync(summarizeScript)) {
       const args = process.argv.slice(3);
-      spawn(summarizeScript, args, { stdio: 'inherit' });
+      spawnScript(summarizeScript, args);
     } else {
       error('Run "npx jasper-recall setup" first');
     }
@@ -637,6 +820,45 @@ switch (command) {
     const { runCLI } = require('./server');
     runCLI(process.argv.slice(3));
     break;
+  case 'stats':
+    // Index statistics (per collection, largest files, unindexed files)
+    require('./stats').runStatsCLI(process.argv.slice(3)).then(code => process.exit(code));
+    break;
+  case 'inspect':
+    // List or dump the chunks indexed for one file
+    require('./stats').runInspectCLI(process.argv.slice(3)).then(code => process.exit(code));
+    break;
+  case 'export':
+    // Index to a portable bundle (chunks, embeddings, manifest)
+    require('./bundle').runExportCLI(process.argv.slice(3)).then(code => process.exit(code));
+    break;
+  case 'import':
+    // Bundle back into the configured backend
+    require('./bundle').runImportCLI(process.argv.slice(3)).then(code => process.exit(code));
+    break;
+  case 'snapshot':
+  case 'snapshots':
+    // List, restore or prune the snapshots taken before destructive runs
+    process.exit(require('./snapshot').runCLI(process.argv.slice(3)));
+    break;
+  case 'reindex':
+    // Re-embed everything with another model, then switch embeddingModel to it
+    require('./reindex').runCLI(process.argv.slice(3)).then(code => process.exit(code));
+    break;
+  case 'watch':
+    // Re-index memory files as they change
+    require('./watch').runCLI(process.argv.slice(3));
+    break;
+  case 'mcp':
+    // Model Context Protocol server over stdio
+    require('./mcp').runCLI(process.argv.slice(3));
+    break;
+  case 'token':
+  case 'tokens':
+    // API tokens for the recall server
+    const { runTokenCLI } = require('./auth');
+    process.exit(runTokenCLI(process.argv.slice(3)));
+    break;
   case 'update':
   case 'check-update':
     // Check for updates explicitly
@@ -676,15 +898,7 @@ switch (command) {
     break;
   case 'config':
     // Configuration management
-    const config = require('./config');
-    const configArg = process.argv[3];
-    if (configArg === 'init') {
-      config.init();
-    } else if (configArg === 'path') {
-      console.log(config.CONFIG_FILE);
-    } else {
-      config.show();
-    }
+    process.exit(config.runConfigCLI(process.argv.slice(3)));
     break;
   case 'brain':
     // Quartz knowledge base management
@@ -0,0 +1,321 @@
+/**
+ * Jasper Recall MCP Server
+ * Model Context Protocol over stdio, for agent runtimes outside OpenClaw
+ *
+ * Tools: recall, index, digest_sessions, write_learning
+ * Resources: memory markdown files (memory/shared/ only in public-only mode)
+ *
+ * Security: same defaults as the HTTP server - public_only is enforced unless
+ * RECALL_ALLOW_PRIVATE=true. stdout carries the protocol; logs go to stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const config = require('./config');
+const { parseRecallParams, parseLearning } = require('./server');
+const { RecallClient } = require('../src/client');
+const { getBackend } = require('../src/backend');
+const { version: VERSION } = require('../package.json');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const RESOURCE_SCHEME = 'memory://';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const TOOLS = [
+  {
+    name: 'recall',
+    description: 'Search agent memory for relevant context. Returns ranked chunks with their source files.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to search for' },
+        limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Max results (default 5)' },
+        collections: { type: 'array', items: { type: 'string' }, description: 'Collections to search (shared, learnings, private, ...)' },
+        min_score: { type: 'number', minimum: 0, maximum: 1, description: 'Drop results below this similarity' },
+        mode: { type: 'string', enum: ['hybrid', 'semantic', 'keyword'], description: 'hybrid (default) fuses semantic and keyword (BM25) ranking; keyword is best for exact IDs and names' },
+        keyword_weight: { type: 'number', minimum: 0, maximum: 1, description: 'Weight of keyword matches in hybrid mode (default 0.3)' },
+        since: { type: 'string', description: 'Only notes dated on/after this: YYYY-MM-DD, today, yesterday, 7d, 2w' },
+        until: { type: 'string', description: 'Only notes dated on/before this (same formats as since)' },
+        path: { type: 'string', description: "Only sources matching this glob, e.g. 'memory/session-digests/*'" },
+        tag: { type: 'string', description: 'Only notes tagged [tag], e.g. public' },
+        exclude_source: { type: 'string', description: 'Skip sources matching this glob' },
+        rerank: { type: 'boolean', description: 'Rescore a wider candidate set with a cross-encoder for more precise top results (slower)' },
+        public_only: { type: 'boolean', description: 'Restrict to public collections (only false if the server allows private access)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'index',
+    description: 'Index memory files into the vector store so new notes become searchable.',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'digest_sessions',
+    description: 'Turn new session logs into searchable digests.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: { type: 'boolean', description: 'Preview without writing' },
+        all: { type: 'boolean', description: 'Reprocess every session' },
+        recent: { type: 'integer', minimum: 1, description: 'Only the N most recent sessions' }
+      }
+    }
+  },
+  {
+    name: 'write_learning',
+    description: 'Contribute a learning to shared memory. Content is privacy-checked before it is indexed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', maxLength: 200 },
+        content: { type: 'string', maxLength: 5000 },
+        agent: { type: 'string', description: 'Your agent name' },
+        category: { type: 'string', enum: ['insight', 'engagement', 'pattern', 'bug', 'success', 'failure'] }
+      },
+      required: ['title', 'content']
+    }
+  }
+];
+
+class ToolInputError extends Error {}
+
+/**
+ * Format recall results the way the recall CLI prints them
+ */
+function formatResults(query, results) {
+  if (results.length === 0) return `No results for: ${query}`;
+  return results.map(r =>
+    `━━━ [${r.rank}] [${r.collection}] ${r.source}${r.lines ? `:${r.lines[0]}-${r.lines[1]}` : ''} (${(r.similarity * 100).toFixed(1)}%) ━━━\n${r.content}`
+  ).join('\n\n');
+}
+
+class McpServer {
+  /**
+   * @param {Object} [options]
+   * @param {NodeJS.ReadableStream} [options.input] - default process.stdin
+   * @param {NodeJS.WritableStream} [options.output] - default process.stdout
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.client = new RecallClient();
+    this.publicOnly = process.env.RECALL_ALLOW_PRIVATE !== 'true';
+  }
+
+  start() {
+    const inflight = new Set();
+    const rl = readline.createInterface({ input: this.input });
+    rl.on('line', line => {
+      if (!line.trim()) return;
+      const handled = this.handleLine(line).catch(err => {
+        console.error(`❌ MCP: ${err.message}`);
+      });
+      inflight.add(handled);
+      handled.finally(() => inflight.delete(handled));
+    });
+    // Client went away: answer what's in flight, then exit (stops the worker)
+    rl.on('close', () => {
+      Promise.allSettled([...inflight]).then(() => process.exit(0));
+    });
+    console.error(`🦊 Jasper Recall MCP server v${VERSION} (public_only=${this.publicOnly})`);
+  }
+
+  send(message) {
+    this.output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  }
+
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      this.send({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    const { id, method, params } = message;
+    const isNotification = id === undefined;
+    if (typeof method !== 'string') {
+      if (!isNotification) this.send({ id, error: { code: INVALID_REQUEST, message: 'Invalid request' } });
+      return;
+    }
+
+    try {
+      const result = await this.dispatch(method, params || {});
+      if (!isNotification) this.send({ id, result });
+    } catch (err) {
+      if (isNotification) return;
+      this.send({ id, error: { code: err.rpcCode || INVALID_PARAMS, message: err.message } });
+    }
+  }
+
+  dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: { tools: {}, resources: {} },
+          serverInfo: { name: 'jasper-recall', version: VERSION }
+        };
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return null;
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {});
+      case 'resources/list':
+        return { resources: this.listResources() };
+      case 'resources/read':
+        return { contents: [this.readResource(params.uri)] };
+      default:
+        throw Object.assign(new Error(`Method not found: ${method}`), { rpcCode: METHOD_NOT_FOUND });
+    }
+  }
+
+  /**
+   * Run a tool; failures are reported in the result (isError) as MCP expects
+   */
+  async callTool(name, args) {
+    if (!TOOLS.some(t => t.name === name)) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    try {
+      const text = await this.runTool(name, args);
+      return { content: [{ type: 'text', text }] };
+    } catch (err) {
+      const detail = err instanceof ToolInputError || !err.code ? err.message : `${err.code}: ${err.message}`;
+      return { content: [{ type: 'text', text: detail }], isError: true };
+    }
+  }
+
+  async runTool(name, args) {
+    if (name === 'recall') {
+      // Same validation and public-only rules as POST /api/recall
+      const { params, error } = parseRecallParams(args);
+      if (!params) throw new ToolInputError(error);
+      const results = await this.client.recall(params.query, params);
+      return formatResults(params.query, results);
+    }
+
+    if (name === 'index') {
+      return (await this.client.index()).trim() || 'Indexed.';
+    }
+
+    if (name === 'digest_sessions') {
+      const output = await this.client.digestSessions({
+        dryRun: !!args.dry_run,
+        all: !!args.all,
+        recent: args.recent
+      });
+      return output.trim() || 'No new sessions.';
+    }
+
+    // write_learning
+    const { learning, error } = parseLearning(args);
+    if (!learning) throw new ToolInputError(error);
+    const privacy = config.get('learningsPrivacy') === 'quarantine' ? 'quarantine' : 'reject';
+    const result = await getBackend().writeLearning(learning, { privacy });
+
+    if (result.status === 'accepted') return `Learning saved to ${result.collection} (id: ${result.id}).`;
+    const patterns = [...new Set(result.violations.map(v => v.description))].join('; ');
+    if (result.status === 'quarantined') return `Learning quarantined for review - looks private: ${patterns}`;
+    throw new ToolInputError(`Learning rejected - looks private: ${patterns}`);
+  }
+
+  /**
+   * Directory exposed as resources: only shared memory in public-only mode
+   */
+  get resourceRoot() {
+    const memoryDir = path.join(this.client.workspace, 'memory');
+    return this.publicOnly ? path.join(memoryDir, 'shared') : memoryDir;
+  }
+
+  listResources() {
+    const memoryDir = path.join(this.client.workspace, 'memory');
+    const resources = [];
+
+    const walk = dir => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          // Quarantined learnings are held back for human review
+          if (entry.name !== 'quarantine' && !entry.name.startsWith('.')) walk(full);
+        } else if (entry.name.endsWith('.md')) {
+          const rel = path.relative(memoryDir, full).split(path.sep).join('/');
+          resources.push({ uri: RESOURCE_SCHEME + rel, name: rel, mimeType: 'text/markdown' });
+        }
+      }
+    };
+
+    walk(this.resourceRoot);
+    return resources;
+  }
+
+  readResource(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_SCHEME)) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    const memoryDir = path.join(this.client.workspace, 'memory');
+    const full = path.resolve(memoryDir, uri.slice(RESOURCE_SCHEME.length));
+    const root = this.resourceRoot;
+    if (!full.startsWith(root + path.sep) || !full.endsWith('.md') ||
+        full.startsWith(path.join(memoryDir, 'quarantine') + path.sep) || !fs.existsSync(full)) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    return { uri, mimeType: 'text/markdown', text: fs.readFileSync(full, 'utf8') };
+  }
+}
+
+/**
+ * Parse CLI args and start the MCP server
+ */
+function runCLI(args) {
+  if (args.includes('--help')) {
+    // Help is the one case where writing to stdout is fine
+    console.log(`
+Jasper Recall MCP Server
+Model Context Protocol over stdio
+
+Usage: npx jasper-recall mcp
+
+Tools:      recall, index, digest_sessions, write_learning
+Resources:  memory://<path> for memory markdown files
+
+Environment:
+  RECALL_ALLOW_PRIVATE=true  Allow public_only=false and expose all of memory/
+                             (default: shared memory only)
+
+Example client config:
+  { "command": "npx", "args": ["jasper-recall", "mcp"] }
+`);
+    process.exit(0);
+  }
+
+  new McpServer().start();
+}
+
+module.exports = { McpServer, TOOLS, runCLI };
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2));
+}
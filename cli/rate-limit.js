@@ -0,0 +1,64 @@
+/**
+ * Token-bucket rate limiter for the recall server
+ *
+ * Each client (API token, or remote address when auth is off) gets a bucket
+ * holding `burst` requests that refills at `perMinute` requests per minute.
+ */
+
+const MAX_BUCKETS = 10000;
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.perMinute] - Sustained requests per minute (0 disables limiting)
+   * @param {number} [options.burst] - Requests allowed back-to-back (default: perMinute)
+   */
+  constructor(options = {}) {
+    this.perMinute = options.perMinute ?? 60;
+    this.burst = options.burst || this.perMinute;
+    this.buckets = new Map();
+  }
+
+  get enabled() {
+    return this.perMinute > 0;
+  }
+
+  /**
+   * Take one request from a client's bucket
+   * @param {string} key - Client identifier
+   * @returns {{ allowed: boolean, remaining: number, retryAfter: number }} - retryAfter in seconds
+   */
+  take(key, now = Date.now()) {
+    if (!this.enabled) return { allowed: true, remaining: Infinity, retryAfter: 0 };
+
+    const ratePerMs = this.perMinute / 60000;
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updated) * ratePerMs);
+      bucket.updated = now;
+    } else {
+      this.prune(now);
+      bucket = { tokens: this.burst, updated: now };
+      this.buckets.set(key, bucket);
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / ratePerMs / 1000) };
+  }
+
+  /**
+   * Forget clients whose buckets have refilled, so the map can't grow unbounded
+   */
+  prune(now = Date.now()) {
+    if (this.buckets.size < MAX_BUCKETS) return;
+    const fullAfter = this.burst / (this.perMinute / 60000);
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updated >= fullAfter) this.buckets.delete(key);
+    }
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,105 @@
+/**
+ * `jasper-recall reindex`
+ *
+ * Switches embeddingModel without mixing vectors from two models: every
+ * chunk is re-embedded into new collections next to the index, those are
+ * swapped in once complete, and only then is the config updated. The old
+ * index is snapshotted first (cli/snapshot.js), so the switch can be undone.
+ */
+
+const path = require('path');
+
+const config = require('./config');
+const { getBackend } = require('../src/backend');
+const { sameModel } = require('../src/js-backend/embedder');
+const { takeSnapshot, configuredIndex } = require('./snapshot');
+
+const USAGE = `
+Usage: npx jasper-recall reindex [--model NAME] [--model-dir DIR] [--no-snapshot]
+
+Re-embed every indexed chunk with NAME (default: the configured embeddingModel)
+and set embeddingModel to it. The new collections are built next to the index
+and replace it only once complete; the old index is snapshotted first.
+
+  --model NAME     Sentence-transformers model (python backend: downloaded on first use)
+  --model-dir DIR  ONNX export of NAME, saved as modelDir (js backend)
+  --no-snapshot    Don't snapshot the index first
+
+Undo with "jasper-recall snapshot restore <id>" and setting embeddingModel back.
+`;
+
+function parseArgs(args) {
+  const options = { model: null, modelDir: null, snapshot: true };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--model' || arg === '--model-dir') {
+      if (!args[i + 1]) throw new Error(`${arg} needs a value`);
+      options[arg === '--model' ? 'model' : 'modelDir'] = args[++i];
+    } else if (arg === '--no-snapshot') {
+      options.snapshot = false;
+    } else if (arg === '-h' || arg === '--help') {
+      console.log(USAGE.trim());
+      process.exit(0);
+    } else {
+      throw new Error(`unknown argument ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function runCLI(args) {
+  let options, backend;
+  try {
+    options = parseArgs(args);
+    backend = getBackend();
+    if (options.modelDir && backend.name !== 'js') throw new Error('--model-dir is for the js backend');
+    // modelDir holds an export of the current model
+    if (backend.name === 'js' && options.model && !options.modelDir && !sameModel(options.model, backend.embeddingModel)) {
+      throw new Error(`--model-dir is needed: the directory holding the ONNX export of ${options.model}`);
+    }
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error(USAGE.trim());
+    return 2;
+  }
+
+  const model = options.model || backend.embeddingModel;
+  const modelDir = options.modelDir && path.resolve(options.modelDir);
+  console.log(`🦊 Re-embedding the ${backend.name} index with ${model}...`);
+
+  if (options.snapshot) {
+    const { indexDir } = configuredIndex();
+    try {
+      takeSnapshot('reindex', { indexDir, backend: backend.name, workspace: config.get('workspace') });
+    } catch (err) {
+      console.error(`❌ Could not snapshot ${indexDir}: ${err.message}`);
+      console.error('Free some space, or run with --no-snapshot to skip it.');
+      return 1;
+    }
+  }
+
+  let result;
+  try {
+    result = await backend.reindex(model, { modelDir, log: console.log });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+  const chunks = Object.values(result.collections).reduce((sum, count) => sum + count, 0);
+  console.log(`✓ Re-embedded ${chunks} chunks in ${Object.keys(result.collections).length} collections (${result.dimensions} dimensions)`);
+
+  const fileConfig = config.loadConfigFile();
+  fileConfig.embeddingModel = model;
+  if (modelDir) fileConfig.modelDir = modelDir;
+  config.save(fileConfig);
+  if (process.env.RECALL_EMBEDDING_MODEL && !sameModel(process.env.RECALL_EMBEDDING_MODEL, model)) {
+    console.log(`⚠ RECALL_EMBEDDING_MODEL overrides the config: set it to ${model} too`);
+  }
+  if (modelDir && process.env.RECALL_MODEL_DIR && path.resolve(process.env.RECALL_MODEL_DIR) !== modelDir) {
+    console.log(`⚠ RECALL_MODEL_DIR overrides the config: set it to ${modelDir} too`);
+  }
+  console.log('  Restart "jasper-recall serve" and "jasper-recall watch" if they are running');
+  return 0;
+}
+
+module.exports = { runCLI };
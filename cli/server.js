@@ -2,100 +2,354 @@
  * Jasper Recall Server
  * HTTP API for memory search - designed for sandboxed agents
  * 
- * Security: public_only is enforced by default
+ * Security: public_only is enforced by default. Once API tokens exist
+ * (see cli/auth.js) every request except /health must carry one.
  */
 
 const http = require('http');
-const { execSync } = require('child_process');
-const path = require('path');
-const os = require('os');
 const url = require('url');
 
-const BIN_PATH = path.join(os.homedir(), '.local', 'bin');
-const RECALL_SCRIPT = path.join(BIN_PATH, 'recall');
+const auth = require('./auth');
+const config = require('./config');
+const { parseFilterParams } = require('../src/filters');
+const { AuditLog } = require('./audit-log');
+const { RateLimiter } = require('./rate-limit');
+const { getBackend } = require('../src/backend');
+const { version: VERSION } = require('../package.json');
+
+const COLLECTION_KEYS = ['private', 'shared', 'learnings', 'legacy', 'all'];
+const SEARCH_MODES = ['hybrid', 'semantic', 'keyword'];
+const PUBLIC_COLLECTIONS = ['shared', 'learnings'];
+const MAX_LIMIT = 50;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Mirrors the limits in scripts/write-learning.py
+const LEARNING_CATEGORIES = ['insight', 'engagement', 'pattern', 'bug', 'success', 'failure'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 5000;
+const AGENT_NAME = /^[\w-]{1,64}$/;
+const MESH_COLLECTION = /^agent_[\w-]{1,64}$/;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
 
 /**
- * Execute recall query
+ * Execute recall query via the configured backend (persistent worker or JS)
  */
-function executeRecall(query, options = {}) {
-  const { publicOnly = true, limit = 5 } = options;
-  
-  let cmd = `${RECALL_SCRIPT} "${query.replace(/"/g, '\\"')}"`;
-  
-  // Security: always add --public-only unless explicitly disabled
-  if (publicOnly) {
-    cmd += ' --public-only';
-  }
-  
-  cmd += ` --limit ${parseInt(limit) || 5}`;
+async function executeRecall(query, options = {}) {
+  const { publicOnly = true, limit = 5, collections = null, minScore = null, mode, keywordWeight } = options;
+  const { since, until, paths, tags, excludeSources, rerank, rerankCandidates } = options;
   
   try {
-    const output = execSync(cmd, {
-      encoding: 'utf8',
-      timeout: 30000,
-      env: { ...process.env, HOME: os.homedir() }
+    // Security: public_only unless explicitly disabled
+    const results = await getBackend().recall(query, {
+      publicOnly,
+      limit: parseInt(limit) || 5,
+      collections,
+      minScore,
+      mode,
+      keywordWeight,
+      since,
+      until,
+      paths,
+      tags,
+      excludeSources,
+      rerank,
+      rerankCandidates
     });
-    return { ok: true, output };
+    return { ok: true, results };
   } catch (err) {
-    // Check if it's just "no results"
-    if (err.stdout?.includes('No results') || err.status === 0) {
-      return { ok: true, output: err.stdout || 'No results found' };
-    }
-    return { ok: false, error: err.message, stderr: err.stderr };
+    return { ok: false, error: err.message, code: err.code, stderr: err.stderr };
   }
 }
 
 /**
- * Parse recall output into structured results
+ * Parse recall's human-readable output into structured results
+ * Matches the "━━━ [n] [collection] source:12-30 (xx.x%) ━━━" headers recall.py prints.
+ * Prefer the JSON endpoints; this is kept for callers that only have text.
  */
 function parseResults(output) {
   const results = [];
+  const header = /^━━━ \[(\d+)\] (?:\[([\w-]+)\] )?(.+?)(?::(\d+)-(\d+))?(?: \((-?[\d.]+)%\))? ━━━$/gm;
+  const matches = [...output.matchAll(header)];
+  
+  matches.forEach((match, i) => {
+    const start = match.index + match[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : output.length;
+    const result = {
+      rank: parseInt(match[1], 10),
+      source: match[3].trim(),
+      content: output.slice(start, end).trim()
+    };
+    if (match[2]) result.collection = match[2];
+    if (match[4]) result.lines = [parseInt(match[4], 10), parseInt(match[5], 10)];
+    if (match[6]) result.similarity = parseFloat(match[6]) / 100;
+    results.push(result);
+  });
   
-  // Try to parse structured output
-  const blocks = output.split(/={3,}\s*(?:Result\s+\d+|---)/i);
+  // Fallback for unparseable output
+  if (results.length === 0 && output.trim() && !output.includes('No results for')) {
+    results.push({ content: output.trim().substring(0, 2000), raw: true });
+  }
   
-  for (const block of blocks) {
-    if (!block.trim()) continue;
-    
-    const result = {};
-    
-    const scoreMatch = block.match(/score:\s*([\d.]+)/i);
-    if (scoreMatch) result.score = parseFloat(scoreMatch[1]);
-    
-    const fileMatch = block.match(/File:\s*(.+)/i);
-    if (fileMatch) result.file = fileMatch[1].trim();
-    
-    const linesMatch = block.match(/Lines?:\s*(\d+(?:-\d+)?)/i);
-    if (linesMatch) result.lines = linesMatch[1];
-    
-    // Content is everything else
-    let content = block
-      .replace(/score:\s*[\d.]+/gi, '')
-      .replace(/File:\s*.+/gi, '')
-      .replace(/Lines?:\s*\d+(?:-\d+)?/gi, '')
-      .trim();
+  return results;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status);
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
     
-    if (content) {
-      result.content = content.substring(0, 1000);
-      results.push(result);
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw.trim()) return resolve({});
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('body must be a JSON object');
+        }
+        resolve(body);
+      } catch (err) {
+        reject(Object.assign(new Error(`Invalid JSON body: ${err.message}`), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Validate recall parameters (from a POST body or GET query string)
+ * token: the authenticated token entry, or null when auth is not configured
+ * Returns { params } or { status, error }
+ */
+function parseRecallParams(input, token = null) {
+  const query = input.query ?? input.q;
+  if (typeof query !== 'string' || !query.trim()) {
+    return { status: 400, error: 'query is required' };
+  }
+  
+  let limit = 5;
+  if (input.limit !== undefined) {
+    limit = Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { status: 400, error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
     }
   }
   
-  // Fallback for unparseable output
-  if (results.length === 0 && output.trim()) {
-    results.push({ content: output.trim().substring(0, 2000), raw: true });
+  let collections = null;
+  if (input.collections !== undefined) {
+    collections = typeof input.collections === 'string'
+      ? input.collections.split(',').map(c => c.trim()).filter(Boolean)
+      : input.collections;
+    if (!Array.isArray(collections) || collections.some(c => !COLLECTION_KEYS.includes(c) && !MESH_COLLECTION.test(c))) {
+      return { status: 400, error: `collections must be a list of: ${COLLECTION_KEYS.join(', ')}, agent_<name>` };
+    }
   }
   
-  return results;
+  let minScore = null;
+  const rawMinScore = input.minScore ?? input.min_score;
+  if (rawMinScore !== undefined) {
+    minScore = Number(rawMinScore);
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+      return { status: 400, error: 'minScore must be a number between 0 and 1' };
+    }
+  }
+  
+  const mode = input.mode ?? 'hybrid';
+  if (!SEARCH_MODES.includes(mode)) {
+    return { status: 400, error: `mode must be one of: ${SEARCH_MODES.join(', ')}` };
+  }
+  
+  let keywordWeight;
+  const rawKeywordWeight = input.keywordWeight ?? input.keyword_weight;
+  if (rawKeywordWeight !== undefined) {
+    keywordWeight = Number(rawKeywordWeight);
+    if (Number.isNaN(keywordWeight) || keywordWeight < 0 || keywordWeight > 1) {
+      return { status: 400, error: 'keywordWeight must be a number between 0 and 1' };
+    }
+  }
+  
+  // Query strings carry booleans as text
+  const rawRerank = input.rerank ?? false;
+  if (![true, false, 'true', 'false', '1', '0'].includes(rawRerank)) {
+    return { status: 400, error: 'rerank must be a boolean' };
+  }
+  const rerank = rawRerank === true || rawRerank === 'true' || rawRerank === '1';
+  
+  let rerankCandidates;
+  const rawRerankCandidates = input.rerankCandidates ?? input.rerank_candidates;
+  if (rawRerankCandidates !== undefined) {
+    rerankCandidates = Number(rawRerankCandidates);
+    if (!Number.isInteger(rerankCandidates) || rerankCandidates < 1 || rerankCandidates > 100) {
+      return { status: 400, error: 'rerankCandidates must be an integer between 1 and 100' };
+    }
+  }
+  
+  let filters;
+  try {
+    filters = parseFilterParams(input);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  
+  const rawPublicOnly = input.publicOnly ?? input.public_only;
+  const wantsPrivate = rawPublicOnly === false || rawPublicOnly === 'false';
+  let publicOnly = true;
+  
+  if (token && token.scope === 'mesh') {
+    // Mesh tokens search an explicit allow-list rather than the public flag
+    const allowed = auth.allowedCollections(token);
+    if (collections && collections.some(c => !allowed.includes(c))) {
+      return { status: 403, error: `token is limited to: ${allowed.join(', ')}` };
+    }
+    collections = collections || allowed;
+    publicOnly = false;
+  } else if (token) {
+    // Full-scope tokens may opt out of public_only; public tokens never can
+    publicOnly = !(wantsPrivate && token.scope === 'full');
+  } else if (wantsPrivate && process.env.RECALL_ALLOW_PRIVATE === 'true') {
+    // Security: without tokens, public_only can only be lifted by RECALL_ALLOW_PRIVATE=true
+    publicOnly = false;
+  }
+  
+  if (publicOnly && collections && collections.some(c => !PUBLIC_COLLECTIONS.includes(c))) {
+    return { status: 403, error: `public-only access is limited to: ${PUBLIC_COLLECTIONS.join(', ')}` };
+  }
+  
+  return { params: { query: query.trim(), limit, collections, minScore, publicOnly, mode, keywordWeight, rerank, rerankCandidates, ...filters } };
+}
+
+/**
+ * Run a validated recall request and send the response
+ * record: audit entry for this request, filled in with what was searched and returned
+ */
+async function respondWithRecall(res, params, record = {}) {
+  const result = await executeRecall(params.query, params);
+  
+  // Mirrors recall.py's defaults when no collections were requested
+  record.collections = params.collections || (params.publicOnly ? PUBLIC_COLLECTIONS : ['private', 'shared', 'learnings']);
+  record.public_only = params.publicOnly;
+  
+  if (result.ok) {
+    record.sources = result.results.map(r => r.source);
+    sendJson(res, 200, {
+      ok: true,
+      query: params.query,
+      public_only: params.publicOnly,
+      collections: params.collections,
+      mode: params.mode,
+      rerank: params.rerank,
+      count: result.results.length,
+      results: result.results
+    });
+  } else {
+    // What the backend printed stays in the server's log: it can quote paths and private notes
+    console.error(`⚠ Recall failed${result.code ? ` (${result.code})` : ''}: ${result.error}`);
+    if (result.stderr?.trim()) console.error(result.stderr.trim());
+    // No index yet is the server not being ready, not a fault
+    sendJson(res, result.code === 'INDEX_MISSING' ? 503 : 500, {
+      ok: false,
+      error: result.error,
+      code: result.code
+    });
+  }
+}
+
+/**
+ * Validate a learning submission
+ * Returns { learning } or { status, error }
+ */
+function parseLearning(input, token = null) {
+  const { title, content, agent = token ? token.agent : 'unknown', category = 'insight' } = input;
+  
+  if (typeof title !== 'string' || !title.trim()) {
+    return { status: 400, error: 'title is required' };
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return { status: 400, error: 'content is required' };
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return { status: 400, error: `title too long (max ${MAX_TITLE_LENGTH} chars)` };
+  }
+  if (content.trim().length > MAX_CONTENT_LENGTH) {
+    return { status: 400, error: `content too long (max ${MAX_CONTENT_LENGTH} chars)` };
+  }
+  if (typeof agent !== 'string' || !AGENT_NAME.test(agent)) {
+    return { status: 400, error: 'agent must be 1-64 letters, digits, "_" or "-"' };
+  }
+  if (token && agent !== token.agent) {
+    return { status: 403, error: `token belongs to agent "${token.agent}"` };
+  }
+  if (!LEARNING_CATEGORIES.includes(category)) {
+    return { status: 400, error: `category must be one of: ${LEARNING_CATEGORIES.join(', ')}` };
+  }
+  
+  return { learning: { title: title.trim(), content: content.trim(), agent, category } };
+}
+
+/**
+ * Privacy-check and index a learning, then send the response
+ * 201 indexed, 202 quarantined for review, 422 rejected as private
+ */
+async function respondWithLearning(res, learning, record = {}) {
+  const privacy = config.get('learningsPrivacy') === 'quarantine' ? 'quarantine' : 'reject';
+  
+  let result;
+  try {
+    result = await getBackend().writeLearning(learning, { privacy });
+  } catch (err) {
+    sendJson(res, err.code === 'INVALID_ARGUMENT' ? 400 : 500, {
+      ok: false,
+      error: err.message,
+      code: err.code
+    });
+    return;
+  }
+  
+  // Don't echo the matched text back: it is exactly what we refuse to store
+  const violations = (result.violations || []).map(v => ({
+    pattern: v.pattern,
+    description: v.description,
+    line: v.line
+  }));
+  record.learning_status = result.status;
+  if (violations.length) record.violations = violations.map(v => v.pattern);
+  
+  if (result.status === 'accepted') {
+    sendJson(res, 201, { ok: true, status: 'accepted', id: result.id, collection: result.collection });
+  } else if (result.status === 'quarantined') {
+    sendJson(res, 202, { ok: true, status: 'quarantined', violations });
+  } else {
+    sendJson(res, 422, { ok: false, status: 'rejected', error: 'Content looks private', violations });
+  }
 }
 
 /**
  * Handle HTTP request
+ * services: { limiter, auditLog } created by startServer
  */
-function handleRequest(req, res) {
+async function handleRequest(req, res, services = {}) {
+  const { limiter = null, auditLog = null } = services;
+  
   // CORS headers for browser/agent access
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Content-Type', 'application/json');
   
   if (req.method === 'OPTIONS') {
@@ -110,75 +364,170 @@ function handleRequest(req, res) {
   
   // Health check
   if (pathname === '/health' || pathname === '/') {
-    res.writeHead(200);
-    res.end(JSON.stringify({ ok: true, service: 'jasper-recall', version: '0.2.1' }));
+    sendJson(res, 200, {
+      ok: true,
+      service: 'jasper-recall',
+      version: VERSION,
+      backend: getBackend().name,
+      worker: getBackend().running ? 'running' : 'stopped'
+    });
     return;
   }
   
-  // Recall endpoint
+  // Audit every API request once the response has been sent
+  const started = Date.now();
+  const record = { client: req.socket.remoteAddress, method: req.method, path: pathname };
+  if (auditLog?.enabled) {
+    res.on('finish', () => {
+      auditLog.write({ ...record, status: res.statusCode, latency_ms: Date.now() - started });
+    });
+  }
+  
+  // Authentication: required as soon as any token is configured
+  let token = null;
+  const tokens = auth.loadTokens();
+  if (tokens.length > 0) {
+    token = auth.authenticate(req.headers.authorization, tokens);
+    if (!token) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { ok: false, error: 'Missing or invalid API token' });
+      return;
+    }
+    record.token = token.id;
+    record.agent = token.agent;
+  }
+  
+  // Rate limiting: per token, or per remote address without auth
+  if (limiter?.enabled) {
+    const { allowed, remaining, retryAfter } = limiter.take(token ? `token:${token.id}` : `ip:${record.client}`);
+    if (!allowed) {
+      res.setHeader('Retry-After', String(retryAfter));
+      sendJson(res, 429, { ok: false, error: 'Rate limit exceeded', retry_after: retryAfter });
+      return;
+    }
+    res.setHeader('X-RateLimit-Remaining', String(remaining));
+  }
+  
+  // Recall endpoint: POST with a JSON body, or GET with query parameters
   if (pathname === '/recall' || pathname === '/api/recall') {
-    const searchQuery = query.q || query.query;
+    let input = query;
+    if (req.method === 'POST') {
+      try {
+        input = await readJsonBody(req);
+      } catch (err) {
+        sendJson(res, err.status || 400, { ok: false, error: err.message });
+        return;
+      }
+    } else if (req.method !== 'GET') {
+      sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+      return;
+    }
     
-    if (!searchQuery) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ ok: false, error: 'q or query parameter required' }));
+    const rawQuery = input.query ?? input.q;
+    if (typeof rawQuery === 'string') record.query = rawQuery.substring(0, 1000);
+    
+    const { params, status, error } = parseRecallParams(input, token);
+    if (!params) {
+      sendJson(res, status, { ok: false, error });
       return;
     }
     
-    // Security: public_only defaults to true
-    // Only allow disabling if explicitly set AND RECALL_ALLOW_PRIVATE=true
-    let publicOnly = true;
-    if (query.public_only === 'false' && process.env.RECALL_ALLOW_PRIVATE === 'true') {
-      publicOnly = false;
+    await respondWithRecall(res, params, record);
+    return;
+  }
+  
+  // Learnings endpoint: sandboxed agents contribute back to shared memory
+  if (pathname === '/api/learnings') {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+      return;
     }
     
-    const result = executeRecall(searchQuery, {
-      publicOnly,
-      limit: query.limit || 5
-    });
+    let input;
+    try {
+      input = await readJsonBody(req);
+    } catch (err) {
+      sendJson(res, err.status || 400, { ok: false, error: err.message });
+      return;
+    }
     
-    if (result.ok) {
-      const parsed = parseResults(result.output);
-      res.writeHead(200);
-      res.end(JSON.stringify({
-        ok: true,
-        query: searchQuery,
-        public_only: publicOnly,
-        count: parsed.length,
-        results: parsed,
-        raw: result.output
-      }));
-    } else {
-      res.writeHead(500);
-      res.end(JSON.stringify({
-        ok: false,
-        error: result.error,
-        stderr: result.stderr?.substring(0, 500)
-      }));
+    const { learning, status, error } = parseLearning(input, token);
+    if (!learning) {
+      sendJson(res, status, { ok: false, error });
+      return;
     }
+    
+    record.title = learning.title;
+    record.category = learning.category;
+    await respondWithLearning(res, learning, record);
     return;
   }
   
   // 404
-  res.writeHead(404);
-  res.end(JSON.stringify({ ok: false, error: 'Not found' }));
+  sendJson(res, 404, { ok: false, error: 'Not found' });
+}
+
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.includes(host) || host.startsWith('127.');
 }
 
 /**
  * Start the server
+ * Refuses to bind beyond loopback without API tokens unless options.insecure is set.
+ * options: { insecure, rateLimit, burst, auditLog } - the last three override config
  */
-function startServer(port = 3458, host = '127.0.0.1') {
-  const server = http.createServer(handleRequest);
+function startServer(port = config.get('serverPort'), host = config.get('serverHost'), options = {}) {
+  const tokenCount = auth.loadTokens().length;
+  if (!isLoopback(host) && tokenCount === 0 && !options.insecure) {
+    throw new Error(
+      `Refusing to listen on ${host} without API tokens. ` +
+      'Create one with "npx jasper-recall token create --agent <name>", or pass --insecure.'
+    );
+  }
+  
+  const services = {
+    limiter: new RateLimiter({
+      perMinute: options.rateLimit ?? config.get('rateLimitPerMinute'),
+      burst: options.burst ?? config.get('rateLimitBurst')
+    }),
+    auditLog: new AuditLog({
+      file: options.auditLog ?? config.get('auditLog'),
+      maxBytes: config.get('auditLogMaxBytes'),
+      maxFiles: config.get('auditLogMaxFiles')
+    })
+  };
+  
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, services).catch(err => {
+      res.writeHead(500);
+      res.end(JSON.stringify({ ok: false, error: err.message }));
+    });
+  });
   
   server.listen(port, host, () => {
     console.log(`🦊 Jasper Recall Server running on http://${host}:${port}`);
     console.log('');
     console.log('Endpoints:');
-    console.log(`  GET /recall?q=query     Search memories (public-only by default)`);
-    console.log(`  GET /health             Health check`);
+    console.log(`  POST /api/recall        Search memories (JSON body, public-only by default)`);
+    console.log(`  GET  /recall?q=query    Search memories (query string)`);
+    console.log(`  POST /api/learnings     Submit a learning (privacy-checked)`);
+    console.log(`  GET  /health            Health check`);
     console.log('');
     console.log('Security: public_only=true is enforced by default');
+    console.log(tokenCount > 0
+      ? `Auth: ${tokenCount} API token(s) configured - Bearer token required`
+      : 'Auth: no API tokens configured - unauthenticated requests allowed');
+    console.log(services.limiter.enabled
+      ? `Rate limit: ${services.limiter.perMinute}/min per client (burst ${services.limiter.burst})`
+      : 'Rate limit: off');
+    console.log(`Audit log: ${services.auditLog.enabled ? services.auditLog.file : 'off'}`);
     console.log('Press Ctrl+C to stop');
+    
+    // Load the embedding model now so the first query doesn't pay for it
+    const backend = getBackend();
+    backend.start()
+      .then(() => console.log(`✓ Recall backend ready (${backend.name})`))
+      .catch(err => console.log(`⚠ Recall backend not started: ${err.message}`));
   });
   
   return server;
@@ -188,15 +537,23 @@ function startServer(port = 3458, host = '127.0.0.1') {
  * Parse CLI args and start server
  */
 function runCLI(args) {
-  let port = 3458;
-  let host = '127.0.0.1';
+  let port = config.get('serverPort');
+  let host = config.get('serverHost');
+  let insecure = false;
+  let watch = false;
   
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--port' || args[i] === '-p') {
-      port = parseInt(args[++i]) || 3458;
+      port = parseInt(args[++i]) || port;
     }
     if (args[i] === '--host' || args[i] === '-h') {
-      host = args[++i] || '127.0.0.1';
+      host = args[++i] || host;
+    }
+    if (args[i] === '--insecure') {
+      insecure = true;
+    }
+    if (args[i] === '--watch') {
+      watch = true;
     }
     if (args[i] === '--help') {
       console.log(`
@@ -206,27 +563,50 @@ HTTP API for memory search
 Usage: npx jasper-recall serve [options]
 
 Options:
-  --port, -p  Port to listen on (default: 3458)
-  --host, -h  Host to bind to (default: 127.0.0.1)
+  --port, -p  Port to listen on (default: serverPort, 3458)
+  --host, -h  Host to bind to (default: serverHost, 127.0.0.1)
+  --insecure  Allow a non-loopback host without API tokens
+  --watch     Also re-index memory files as they change (see "jasper-recall watch")
   --help      Show this help
 
+Authentication:
+  Create tokens with "npx jasper-recall token create". Once any token
+  exists, requests must send "Authorization: Bearer <token>".
+
 Environment:
-  RECALL_ALLOW_PRIVATE=true  Allow public_only=false queries (dangerous!)
+  RECALL_PORT, RECALL_HOST             Override serverPort and serverHost
+  RECALL_ALLOW_PRIVATE=true            Allow public_only=false queries (dangerous!)
+  RECALL_LEARNINGS_PRIVACY=quarantine  Quarantine private-looking learnings for
+                                       review instead of rejecting them
 
 Examples:
   npx jasper-recall serve
   npx jasper-recall serve --port 8080
+  npx jasper-recall token create --agent moltbook
   npx jasper-recall serve --host 0.0.0.0
+  npx jasper-recall serve --watch
 `);
       process.exit(0);
     }
   }
   
-  startServer(port, host);
+  try {
+    startServer(port, host, { insecure });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  
+  if (watch) {
+    // Same backend (and worker) as the server, so recall sees edits right away
+    require('./watch').watchForeground().catch(err => {
+      console.log(`⚠ Not watching memory files: ${err.message}`);
+    });
+  }
 }
 
 // Export for programmatic use
-module.exports = { startServer, executeRecall, parseResults, runCLI };
+module.exports = { startServer, executeRecall, parseResults, parseRecallParams, parseLearning, runCLI };
 
 // CLI entry point
 if (require.main === module) {
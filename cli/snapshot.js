@@ -0,0 +1,375 @@
+/**
+ * Snapshots of the index taken before destructive runs, and `jasper-recall snapshot`
+ *
+ * index-digests, gc and summarize-old copy the index (and the memory files
+ * summarize-old rewrites) before they change anything, so a bad run can be
+ * rolled back. The Python scripts take theirs with scripts/recall_snapshot.py,
+ * which uses the same layout:
+ *
+ *   <snapshots.dir>/<YYYYMMDD-HHMMSS>-<reason>/
+ *     snapshot.json   { id, created, reason, backend, index, workspace, files }
+ *     index/          copy of the index directory
+ *     files/          copies of memory files, by workspace-relative path
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('./config');
+
+const MANIFEST = 'snapshot.json';
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * The "snapshots" config section merged over the defaults, with bad values dropped
+ */
+function snapshotSettings(section = config.get('snapshots')) {
+  const settings = { ...config.DEFAULTS.snapshots };
+  if (!section || typeof section !== 'object') return settings;
+
+  for (const key of ['enabled', 'includeFiles']) {
+    if (typeof section[key] === 'boolean') settings[key] = section[key];
+  }
+  for (const key of ['keep', 'maxAgeDays']) {
+    if (isCount(section[key])) settings[key] = section[key];
+  }
+  if (typeof section.dir === 'string' && section.dir) {
+    settings.dir = section.dir.replace(/^~(?=$|\/)/, os.homedir());
+  }
+  return settings;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function idStamp(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Local time a snapshot was taken, from its id (null if it isn't one of ours)
+ */
+function snapshotTime(id) {
+  const match = /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/.exec(id);
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Complete snapshots in dir, oldest first
+ * @returns {Array<{id, path, manifest}>}
+ */
+function listSnapshots(dir = snapshotSettings().dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).sort();
+  } catch {
+    return [];
+  }
+  const snapshots = [];
+  for (const name of names) {
+    if (name.startsWith('.')) continue;
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, name, MANIFEST), 'utf8'));
+      snapshots.push({ id: name, path: path.join(dir, name), manifest });
+    } catch {
+      // Not a snapshot (or one being written)
+    }
+  }
+  // Ids only have whole seconds
+  const taken = snapshot => Date.parse(snapshot.manifest.created) || snapshotTime(snapshot.id)?.getTime() || 0;
+  return snapshots.sort((a, b) => taken(a) - taken(b) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Snapshots beyond the newest settings.keep or older than settings.maxAgeDays
+ * (0 disables either), removed unless dryRun
+ * @param {Object} settings - snapshotSettings()
+ * @param {Object} [options] - { keepIds, now, dryRun }
+ * @returns {string[]} - Ids removed (or that would be)
+ */
+function pruneSnapshots(settings, options = {}) {
+  const now = options.now || new Date();
+  const keepIds = options.keepIds || [];
+  const removed = [];
+  listSnapshots(settings.dir).reverse().forEach((snapshot, position) => {
+    if (keepIds.includes(snapshot.id)) return;
+    const taken = snapshotTime(snapshot.id);
+    const tooMany = settings.keep && position >= settings.keep;
+    const tooOld = settings.maxAgeDays && taken && now - taken > settings.maxAgeDays * 24 * 60 * 60 * 1000;
+    if (!tooMany && !tooOld) return;
+    if (!options.dryRun) fs.rmSync(snapshot.path, { recursive: true, force: true });
+    removed.push(snapshot.id);
+  });
+  return removed;
+}
+
+/**
+ * Copy indexDir and (with settings.includeFiles) the workspace-relative files
+ * into a new snapshot, then apply the retention policy. Throws if the copy
+ * fails, so callers can stop before changing anything.
+ * @param {string} reason - What is about to run: index, gc, summarize, restore
+ * @param {Object} options - { indexDir, backend, files, workspace, settings, log, keepIds: spared by the retention pass }
+ * @returns {string|null} - The snapshot's path, null when disabled or there is nothing to copy yet
+ */
+function takeSnapshot(reason, options = {}) {
+  const settings = options.settings || snapshotSettings();
+  if (!settings.enabled) return null;
+  const workspace = options.workspace || config.get('workspace');
+  const log = options.log || console.log;
+  const hasIndex = !!options.indexDir && !!fs.statSync(options.indexDir, { throwIfNoEntry: false })?.isDirectory();
+  const files = settings.includeFiles
+    ? (options.files || []).filter(file => fs.statSync(path.join(workspace, file), { throwIfNoEntry: false })?.isFile()).sort()
+    : [];
+  if (!hasIndex && !files.length) return null;
+
+  const stamp = idStamp(new Date());
+  let id = `${stamp}-${reason}`;
+  for (let n = 2; fs.existsSync(path.join(settings.dir, id)); n++) id = `${stamp}-${reason}-${n}`;
+
+  // Built under a hidden name so an interrupted copy is never listed
+  const final = path.join(settings.dir, id);
+  const tmp = path.join(settings.dir, `.${id}.tmp`);
+  fs.mkdirSync(tmp, { recursive: true });
+  try {
+    if (hasIndex) fs.cpSync(options.indexDir, path.join(tmp, 'index'), { recursive: true });
+    for (const file of files) {
+      const target = path.join(tmp, 'files', file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(workspace, file), target);
+    }
+    const manifest = {
+      id,
+      created: new Date().toISOString(),
+      reason,
+      backend: options.backend || config.get('backend') || 'python',
+      index: hasIndex ? options.indexDir : null,
+      workspace,
+      files
+    };
+    fs.writeFileSync(path.join(tmp, MANIFEST), JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmp, final);
+  } catch (err) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw err;
+  }
+
+  pruneSnapshots(settings, { keepIds: [id, ...(options.keepIds || [])] });
+  const parts = [hasIndex ? 'index' : null, files.length ? `${files.length} files` : null].filter(Boolean);
+  log(`✓ Snapshot ${id} (${parts.join(', ')}) - undo with: jasper-recall snapshot restore ${id}`);
+  return final;
+}
+
+/**
+ * A snapshot by id, unique id prefix or "latest"
+ */
+function findSnapshot(ref, dir) {
+  const snapshots = listSnapshots(dir);
+  if (ref === 'latest') {
+    if (!snapshots.length) throw new Error(`No snapshots in ${dir}`);
+    return snapshots[snapshots.length - 1];
+  }
+  const exact = snapshots.find(snapshot => snapshot.id === ref);
+  if (exact) return exact;
+  const matches = snapshots.filter(snapshot => snapshot.id.startsWith(ref));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) throw new Error(`"${ref}" matches ${matches.length} snapshots: ${matches.map(s => s.id).join(', ')}`);
+  throw new Error(`No snapshot "${ref}" (see: jasper-recall snapshot list)`);
+}
+
+/**
+ * The directory the configured backend keeps its index in
+ */
+function configuredIndex() {
+  const backend = config.get('backend') || 'python';
+  return { backend, indexDir: backend === 'js' ? config.get('jsIndex') : config.get('chromaDb') };
+}
+
+/**
+ * Put a snapshot's index and memory files back, after snapshotting the
+ * current state (so a restore can be undone too)
+ * @param {string} ref - Id, unique id prefix or "latest"
+ * @param {Object} [options] - { index: restore the index (default true), files: restore memory files (default true), log }
+ * @returns {{snapshot, index: string|null, files: string[]}} - What was restored
+ */
+function restoreSnapshot(ref, options = {}) {
+  const settings = snapshotSettings();
+  const log = options.log || console.log;
+  const snapshot = findSnapshot(ref, settings.dir);
+  const { manifest } = snapshot;
+  const workspace = config.get('workspace');
+
+  const source = path.join(snapshot.path, 'index');
+  const withIndex = options.index !== false && fs.existsSync(source);
+  const files = options.files !== false ? manifest.files || [] : [];
+  if (!withIndex && !files.length) throw new Error(`Snapshot ${snapshot.id} has nothing to restore${options.index === false || options.files === false ? ' with that option' : ''}`);
+  // The manifest is only a JSON file: never let it write outside the workspace
+  for (const file of files) {
+    const relative = typeof file === 'string' ? path.relative(workspace, path.resolve(workspace, file)) : '';
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Snapshot ${snapshot.id} lists a file outside the workspace: ${JSON.stringify(file)}`);
+    }
+  }
+
+  const { backend, indexDir } = configuredIndex();
+  if (withIndex && manifest.backend !== backend) {
+    throw new Error(`Snapshot ${snapshot.id} is of the ${manifest.backend} index but the configured backend is ${backend}`);
+  }
+
+  takeSnapshot('restore', {
+    indexDir: withIndex ? indexDir : null,
+    backend,
+    files,
+    workspace,
+    settings: { ...settings, includeFiles: true },
+    log,
+    keepIds: [snapshot.id]
+  });
+
+  if (withIndex) {
+    // Copied next to the index first, then swapped in
+    const staging = `${indexDir}.restoring`;
+    const replaced = `${indexDir}.replaced`;
+    fs.rmSync(staging, { recursive: true, force: true });
+    fs.rmSync(replaced, { recursive: true, force: true });
+    fs.cpSync(source, staging, { recursive: true });
+    if (fs.existsSync(indexDir)) fs.renameSync(indexDir, replaced);
+    fs.renameSync(staging, indexDir);
+    fs.rmSync(replaced, { recursive: true, force: true });
+  }
+  for (const file of files) {
+    const target = path.join(workspace, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(snapshot.path, 'files', file), target);
+  }
+  return { snapshot, index: withIndex ? indexDir : null, files };
+}
+
+function directorySize(dir) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    total += entry.isDirectory() ? directorySize(file) : fs.statSync(file).size;
+  }
+  return total;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printList(snapshots, settings) {
+  if (!snapshots.length) {
+    console.log(`No snapshots in ${settings.dir}`);
+    return;
+  }
+  const rows = [['ID', 'Taken', 'Backend', 'Index', 'Files', 'Size']];
+  for (const { id, path: dir, manifest } of snapshots) {
+    const taken = snapshotTime(id);
+    rows.push([
+      id,
+      taken ? `${taken.toDateString().slice(4)} ${taken.toTimeString().slice(0, 5)}` : manifest.created,
+      manifest.backend,
+      manifest.index ? 'yes' : 'no',
+      String((manifest.files || []).length),
+      formatSize(directorySize(dir))
+    ]);
+  }
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  for (const row of rows) console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  console.log('');
+  const limits = [settings.keep ? `newest ${settings.keep}` : null, settings.maxAgeDays ? `${settings.maxAgeDays} days` : null].filter(Boolean);
+  console.log(`${settings.dir} (keeping ${limits.join(', up to ') || 'everything'}${settings.enabled ? '' : '; automatic snapshots are off'})`);
+}
+
+const USAGE = `
+Usage: npx jasper-recall snapshot <command>
+
+Commands:
+  list [--json]                       Snapshots, oldest first
+  restore <id|latest> [--index-only | --files-only]
+                                      Put a snapshot's index and memory files back
+                                      (the current state is snapshotted first)
+  prune [--keep N] [--max-age DAYS] [--dry-run]
+                                      Apply the retention policy now
+
+index-digests, gc and summarize-old snapshot the index (and the files
+summarize-old rewrites) before they run. Ids can be shortened to any unique
+prefix. Configure under "snapshots" in ${config.CONFIG_FILE}:
+enabled, dir, keep (default 10), maxAgeDays (default 30), includeFiles.
+`;
+
+function runCLI(args) {
+  const [command, ...rest] = args;
+  const settings = snapshotSettings();
+
+  try {
+    if (command === 'list') {
+      const snapshots = listSnapshots(settings.dir);
+      if (rest.includes('--json')) console.log(JSON.stringify(snapshots.map(s => ({ ...s.manifest, id: s.id, path: s.path })), null, 2));
+      else printList(snapshots, settings);
+      return 0;
+    }
+
+    if (command === 'restore') {
+      const refs = rest.filter(arg => !arg.startsWith('-'));
+      const unknown = rest.find(arg => arg.startsWith('-') && !['--index-only', '--files-only'].includes(arg));
+      if (refs.length !== 1 || unknown || (rest.includes('--index-only') && rest.includes('--files-only'))) {
+        console.error(unknown ? `❌ unknown option ${unknown}` : '❌ restore takes one snapshot id (or "latest")');
+        console.error(USAGE.trim());
+        return 2;
+      }
+      const result = restoreSnapshot(refs[0], { index: !rest.includes('--files-only'), files: !rest.includes('--index-only') });
+      console.log(`✓ Restored ${result.snapshot.id}`);
+      if (result.index) console.log(`  Index: ${result.index}`);
+      if (result.files.length) console.log(`  Files: ${result.files.length} in ${config.get('workspace')}`);
+      if (result.index) console.log('  Restart "jasper-recall serve" and "jasper-recall watch" if they are running');
+      return 0;
+    }
+
+    if (command === 'prune') {
+      const options = { ...settings };
+      for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--keep' || arg === '--max-age') {
+          const value = Number(rest[++i]);
+          if (!isCount(value)) throw new Error(`${arg} must be a non-negative integer`);
+          options[arg === '--keep' ? 'keep' : 'maxAgeDays'] = value;
+        } else if (arg !== '--dry-run') {
+          throw new Error(`unknown option ${arg}`);
+        }
+      }
+      const dryRun = rest.includes('--dry-run');
+      const removed = pruneSnapshots(options, { dryRun });
+      for (const id of removed) console.log(`  ✗ ${id}`);
+      if (!removed.length) console.log('✓ Nothing to prune');
+      else console.log(dryRun ? `✓ Would remove ${removed.length} snapshots` : `✓ Removed ${removed.length} snapshots`);
+      return 0;
+    }
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+
+  console.log(USAGE.trim());
+  return command && !['-h', '--help', 'help'].includes(command) ? 2 : 0;
+}
+
+module.exports = {
+  snapshotSettings,
+  listSnapshots,
+  takeSnapshot,
+  pruneSnapshots,
+  restoreSnapshot,
+  configuredIndex,
+  runCLI,
+  MANIFEST
+};
@@ -0,0 +1,185 @@
+/**
+ * `jasper-recall stats` and `jasper-recall inspect`
+ *
+ * Both backends compute the numbers (scripts/index-stats.py for python,
+ * JsBackend#stats for js); this formats them, or prints them as-is with --json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const { getBackend } = require('../src/backend');
+
+// Longest file lists printed in full (--json always has everything)
+const MAX_LISTED = 20;
+const PREVIEW_CHARS = 160;
+
+function number(n) {
+  return n.toLocaleString('en-US');
+}
+
+function printList(title, items, hint) {
+  if (!items.length) return;
+  console.log('');
+  console.log(`${title} (${items.length}) - ${hint}`);
+  for (const item of items.slice(0, MAX_LISTED)) console.log(`  ${item}`);
+  if (items.length > MAX_LISTED) console.log(`  ... and ${items.length - MAX_LISTED} more (see --json)`);
+}
+
+function printStats(stats) {
+  console.log('🦊 Jasper Recall — Index Stats');
+  console.log('='.repeat(40));
+  console.log(`Index: ${stats.index}`);
+  console.log('');
+
+  const rows = [
+    ['Collection', 'Chunks', 'Files', 'Learnings', 'Tokens (est.)'],
+    ...stats.collections.map(c => [c.name, number(c.chunks), number(c.files), number(c.learnings), number(c.tokens)]),
+    ['Total (excl. legacy)', number(stats.totals.chunks), number(stats.totals.files), '', number(stats.totals.tokens)]
+  ];
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  '));
+  }
+
+  if (stats.oldest) {
+    console.log('');
+    console.log(`Oldest: ${stats.oldest.source} (${stats.oldest.date})`);
+    console.log(`Newest: ${stats.newest.source} (${stats.newest.date})`);
+  }
+
+  if (stats.largest.length) {
+    console.log('');
+    console.log('Largest sources:');
+    const width = Math.max(...stats.largest.map(s => s.source.length));
+    for (const s of stats.largest) {
+      console.log(`  ${s.source.padEnd(width)}  ${String(s.chunks).padStart(4)} chunks  ~${number(s.tokens)} tokens  (${s.collection})`);
+    }
+  }
+
+  printList('Not indexed yet', stats.unindexed, 'run index-digests');
+  printList('Changed since indexed', stats.outdated, 'run index-digests');
+}
+
+function describeFile(file) {
+  if (!file.exists) return 'file missing - run jasper-recall gc';
+  if (file.up_to_date === false) return 'changed since indexed - run index-digests';
+  if (file.up_to_date === true) return 'up to date';
+  return 'on disk';
+}
+
+function printInspection(result, full) {
+  const state = result.chunks.length ? describeFile(result.file) : null;
+  console.log(`${result.source} — ${result.chunks.length} chunks${state ? ` (${state})` : ''}`);
+
+  for (const chunk of result.chunks) {
+    const where = [
+      chunk.lines ? `lines ${chunk.lines[0]}-${chunk.lines[1]}` : null,
+      chunk.section,
+      `~${number(chunk.tokens)} tokens`
+    ].filter(Boolean).join(' · ');
+    console.log('');
+    console.log(`[${chunk.collection} #${chunk.chunk_index ?? '-'}] ${where}`);
+    const text = chunk.text || '';
+    const shown = full || text.length <= PREVIEW_CHARS ? text : `${text.slice(0, PREVIEW_CHARS).trimEnd()}…`;
+    for (const line of shown.split('\n')) console.log(line ? `  ${line}` : '');
+  }
+}
+
+/**
+ * A source as stored in chunk metadata: workspace-relative with forward
+ * slashes. Paths to existing files are taken relative to the current directory.
+ */
+function normalizeSource(arg, workspace) {
+  const resolved = path.resolve(arg);
+  if (fs.existsSync(resolved) && !path.relative(workspace, resolved).startsWith('..')) {
+    return path.relative(workspace, resolved).split(path.sep).join('/');
+  }
+  return arg.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+function parseArgs(args, usage) {
+  const options = { json: false, full: false, top: 10, positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--full') options.full = true;
+    else if (arg === '--top') {
+      options.top = parseInt(args[++i], 10);
+      if (!Number.isInteger(options.top) || options.top < 0) throw new Error('--top must be a non-negative integer');
+    } else if (arg === '-h' || arg === '--help') {
+      console.log(usage);
+      process.exit(0);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+const STATS_USAGE = `
+Usage: npx jasper-recall stats [--json] [--top N]
+
+Per-collection chunk, file and token counts (tokens estimated as characters / 4),
+the oldest and newest sources, the N largest sources (default 10), and memory
+files that aren't indexed yet or changed since they were.
+`;
+
+const INSPECT_USAGE = `
+Usage: npx jasper-recall inspect <source> [--full] [--json]
+
+List the chunks indexed for one file (e.g. memory/sops/deploy.md), with their
+collection, lines, heading and size. --full prints each chunk's whole text.
+`;
+
+async function runStatsCLI(args) {
+  let options;
+  try {
+    options = parseArgs(args, STATS_USAGE);
+    if (options.positional.length) throw new Error(`unexpected argument ${options.positional[0]}`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 2;
+  }
+
+  try {
+    const stats = await getBackend().stats({ top: options.top });
+    if (options.json) console.log(JSON.stringify(stats, null, 2));
+    else printStats(stats);
+    return 0;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+}
+
+async function runInspectCLI(args) {
+  let options;
+  try {
+    options = parseArgs(args, INSPECT_USAGE);
+    if (options.positional.length !== 1) throw new Error('inspect takes exactly one source file');
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error(INSPECT_USAGE.trim());
+    return 2;
+  }
+
+  try {
+    const source = normalizeSource(options.positional[0], config.get('workspace'));
+    const result = await getBackend().inspect(source);
+    if (options.json) console.log(JSON.stringify(result, null, 2));
+    else printInspection(result, options.full);
+    if (!result.chunks.length && !options.json) {
+      console.log(result.file.exists ? 'Not indexed - run index-digests' : 'No such file or source in the index');
+    }
+    return result.chunks.length ? 0 : 1;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+}
+
+module.exports = { runStatsCLI, runInspectCLI, normalizeSource };
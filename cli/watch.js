@@ -0,0 +1,354 @@
+/**
+ * Watch mode: keep the index in step with memory files as they change
+ *
+ * Watches config.memoryPaths under the workspace, waits for edits to settle
+ * (watchDebounceMs), then re-indexes only the changed files through the
+ * configured backend. Deleted and renamed files have their chunks removed.
+ * Runs in the foreground, detached with --daemon, or inside `serve --watch`.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const { getBackend } = require('../src/backend');
+const { isIndexedFile } = require('../src/js-backend/chunker');
+
+const PID_FILE = path.join(config.CONFIG_DIR, 'watch.pid');
+const LOG_FILE = path.join(config.CONFIG_DIR, 'watch.log');
+// Wait before watching a folder again after its watcher failed
+const REWATCH_MS = 2000;
+
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+class MemoryWatcher {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.workspace] - Defaults to config
+   * @param {string[]} [options.memoryPaths] - Folders to watch, relative to the workspace
+   * @param {number} [options.debounceMs] - Quiet period before re-indexing
+   * @param {Object} [options.backend] - Defaults to getBackend()
+   * @param {Function} [options.log] - line => void
+   */
+  constructor(options = {}) {
+    this.workspace = options.workspace || config.get('workspace');
+    this.memoryDir = path.join(this.workspace, 'memory');
+    this.roots = (options.memoryPaths || config.get('memoryPaths') || ['memory/'])
+      .map(dir => path.resolve(this.workspace, dir));
+    this.debounceMs = options.debounceMs ?? config.get('watchDebounceMs');
+    this.backend = options.backend || getBackend();
+    this.log = options.log || console.log;
+
+    this.watchers = new Map(); // dir -> fs.FSWatcher
+    this.recursive = true;
+    this.pending = new Set();  // workspace-relative paths
+    this.resync = false;
+    this.timer = null;
+    this.rewatchTimers = new Set();
+    this.stopped = false;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start watching, then bring the index up to date with whatever changed
+   * while nothing was watching
+   */
+  async start() {
+    const roots = this.roots.filter(root => fs.existsSync(root));
+    for (const root of this.roots.filter(root => !roots.includes(root))) {
+      this.log(`⚠ Not watching ${root} (not found)`);
+    }
+    if (!roots.length) {
+      throw new Error(`None of the memory paths exist under ${this.workspace}`);
+    }
+
+    await this.backend.start();
+    for (const root of roots) this.watch(root);
+    this.log(`🦊 Watching ${roots.join(', ')}`);
+
+    this.resync = true;
+    await this.flush();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const timer of this.rewatchTimers) clearTimeout(timer);
+    this.rewatchTimers.clear();
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    return this.queue;
+  }
+
+  watch(root) {
+    let watcher;
+    try {
+      watcher = fs.watch(root, { recursive: true }, (event, name) => this.onChange(root, name));
+    } catch (err) {
+      if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+      // Recursive watching needs Node 20 on Linux: one watcher per folder instead
+      this.recursive = false;
+      this.watchTree(root);
+      return;
+    }
+    watcher.on('error', err => {
+      watcher.close();
+      this.watchers.delete(root);
+      this.log(`[${timestamp()}] ⚠ Stopped watching ${root} (${err.code || err.message}), retrying`);
+      this.rewatch(root);
+    });
+    this.watchers.set(root, watcher);
+  }
+
+  /**
+   * Watch a root again after its watcher failed, then resync whatever changed
+   * meanwhile (retried until the folder can be watched)
+   */
+  rewatch(root) {
+    const timer = setTimeout(() => {
+      this.rewatchTimers.delete(timer);
+      if (this.stopped) return;
+      try {
+        this.watch(root);
+      } catch {
+        this.rewatch(root);
+        return;
+      }
+      this.log(`[${timestamp()}] 🦊 Watching ${root} again`);
+      this.resync = true;
+      this.flush();
+    }, REWATCH_MS);
+    this.rewatchTimers.add(timer);
+  }
+
+  watchTree(dir) {
+    if (this.watchers.has(dir)) return;
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, name) => this.onChange(dir, name));
+    } catch (err) {
+      // Removed since it was listed, or out of watches (EMFILE, ENOSPC): a full pass catches up
+      this.log(`[${timestamp()}] ⚠ Cannot watch ${dir} (${err.code || err.message})`);
+      this.resync = true;
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      this.watchers.delete(dir);
+      this.resync = true;
+    });
+    this.watchers.set(dir, watcher);
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) this.watchTree(path.join(dir, entry.name));
+    }
+  }
+
+  /**
+   * Whether a markdown file under a watched folder belongs in the index
+   * (memory/ follows the indexer's layout; other memoryPaths take any note)
+   */
+  accepts(file) {
+    if (!file.endsWith('.md')) return false;
+    if (!path.relative(this.memoryDir, file).startsWith('..')) return isIndexedFile(this.memoryDir, file);
+    const root = this.roots.find(dir => !path.relative(dir, file).startsWith('..'));
+    return !!root && !path.relative(root, file).split(path.sep).some(part => part.startsWith('.'));
+  }
+
+  onChange(dir, name) {
+    if (!name) {
+      // The platform didn't say what changed
+      this.resync = true;
+    } else {
+      const file = path.join(dir, name.toString());
+      const ext = path.extname(file);
+      if (ext === '.md') {
+        if (!this.accepts(file)) return;
+        this.pending.add(path.relative(this.workspace, file).split(path.sep).join('/'));
+      } else if (ext) {
+        // Editor swap files, images and the like
+        return;
+      } else {
+        let stat;
+        try {
+          stat = fs.statSync(file, { throwIfNoEntry: false });
+        } catch (err) {
+          this.log(`[${timestamp()}] ⚠ Cannot read ${file} (${err.code || err.message})`);
+        }
+        if (stat && !stat.isDirectory()) return;
+        // A folder appeared, vanished or was renamed: its notes went with it
+        if (stat && !this.recursive) this.watchTree(file);
+        this.resync = true;
+      }
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Index what changed since the last flush (one flush at a time)
+   */
+  flush() {
+    this.timer = null;
+    this.queue = this.queue.then(() => {
+      if (this.resync) {
+        this.resync = false;
+        this.pending.clear();
+        return this.sync(null);
+      }
+      if (!this.pending.size) return null;
+      const paths = [...this.pending].sort();
+      this.pending.clear();
+      return this.sync(paths);
+    });
+    return this.queue;
+  }
+
+  /**
+   * @param {string[]|null} paths - Changed files, or null for a full pass that also prunes
+   * @returns {Promise<Object|null>} - indexFiles() result, null on failure
+   */
+  async sync(paths) {
+    try {
+      const result = await this.backend.indexFiles(paths, { prune: paths === null });
+      for (const source of result.indexed) this.log(`[${timestamp()}] ✓ ${source}`);
+      for (const source of result.removed) this.log(`[${timestamp()}] ✗ ${source} removed`);
+      if (paths === null && !result.indexed.length && !result.removed.length) {
+        this.log(`[${timestamp()}] ✓ Index up to date`);
+      }
+      return result;
+    } catch (err) {
+      this.log(`[${timestamp()}] ❌ ${err.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * PID of the running watch daemon, or null (a stale pid file is removed)
+ */
+function daemonPid() {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(PID_FILE, 'utf8'), 10);
+  } catch {
+    return null;
+  }
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch {
+    fs.rmSync(PID_FILE, { force: true });
+    return null;
+  }
+}
+
+function startDaemon(args) {
+  const running = daemonPid();
+  if (running) {
+    console.log(`✓ Watcher already running (pid ${running})`);
+    return 0;
+  }
+
+  fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+  const out = fs.openSync(LOG_FILE, 'a');
+  const child = spawn(process.execPath, [__filename, ...args.filter(arg => arg !== '--daemon')], {
+    detached: true,
+    stdio: ['ignore', out, out]
+  });
+  child.unref();
+  fs.closeSync(out);
+  fs.writeFileSync(PID_FILE, `${child.pid}\n`);
+
+  console.log(`🦊 Watcher started in the background (pid ${child.pid})`);
+  console.log(`   Log: ${LOG_FILE}`);
+  console.log('   Stop it with: npx jasper-recall watch --stop');
+  return 0;
+}
+
+function stopDaemon() {
+  const pid = daemonPid();
+  if (!pid) {
+    console.log('Watcher is not running');
+    return 0;
+  }
+  process.kill(pid, 'SIGTERM');
+  fs.rmSync(PID_FILE, { force: true });
+  console.log(`✓ Stopped watcher (pid ${pid})`);
+  return 0;
+}
+
+/**
+ * Start a watcher for the foreground (or a daemon's child) that stops cleanly
+ * on SIGINT/SIGTERM
+ * @returns {Promise<MemoryWatcher>}
+ */
+async function watchForeground(options = {}) {
+  const watcher = new MemoryWatcher(options);
+  const shutdown = () => {
+    watcher.stop().then(() => {
+      // Only the daemon that owns the pid file removes it
+      if (daemonPid() === process.pid) fs.rmSync(PID_FILE, { force: true });
+      process.exit(0);
+    });
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+  await watcher.start();
+  return watcher;
+}
+
+/**
+ * Parse CLI args and run
+ */
+function runCLI(args) {
+  if (args.includes('--help')) {
+    console.log(`
+Jasper Recall Watch
+Re-index memory files as they change
+
+Usage: npx jasper-recall watch [options]
+
+Options:
+  --daemon    Run in the background (log: ${LOG_FILE})
+  --stop      Stop the background watcher
+  --status    Show whether the background watcher is running
+  --help      Show this help
+
+Watches config.memoryPaths (default: memory/) in the workspace. Edits are
+re-indexed once they settle for watchDebounceMs (default: 1500); deleted and
+renamed files are dropped from the index. To watch alongside the HTTP API,
+run "npx jasper-recall serve --watch".
+`);
+    process.exit(0);
+  }
+
+  if (args.includes('--stop')) process.exit(stopDaemon());
+  if (args.includes('--status')) {
+    const pid = daemonPid();
+    console.log(pid ? `✓ Watcher running (pid ${pid}, log: ${LOG_FILE})` : 'Watcher is not running');
+    process.exit(0);
+  }
+  if (args.includes('--daemon')) process.exit(startDaemon(args));
+
+  watchForeground().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { MemoryWatcher, watchForeground, daemonPid, runCLI, PID_FILE, LOG_FILE };
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2));
+}
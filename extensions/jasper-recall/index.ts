@@ -10,8 +10,10 @@
  * - Auto-recall: inject relevant memories before agent processing
  */
 
-import { execSync } from 'child_process';
+import { execFileSync, execSync } from 'child_process';
 import { readFileSync, existsSync } from 'fs';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
 import * as path from 'path';
 import * as os from 'os';
 
@@ -21,7 +23,12 @@ interface PluginConfig {
   defaultLimit?: number;
   publicOnly?: boolean;
   minScore?: number;
+  searchMode?: 'hybrid' | 'semantic' | 'keyword';
+  keywordWeight?: number;
+  rerank?: boolean;
+  rerankCandidates?: number;
   logLevel?: 'debug' | 'info' | 'warn' | 'error';
+  packageDir?: string;
 }
 
 interface PluginApi {
@@ -48,21 +55,75 @@ interface PluginApi {
 
 const BIN_PATH = path.join(os.homedir(), '.local', 'bin');
 
-function runRecall(query: string, options: { limit?: number; json?: boolean; publicOnly?: boolean } = {}): string {
-  const args = [JSON.stringify(query)];
+interface RecallOptions {
+  limit?: number;
+  json?: boolean;
+  publicOnly?: boolean;
+  mode?: string;
+  keywordWeight?: number;
+  since?: string;
+  until?: string;
+  paths?: string[];
+  tags?: string[];
+  excludeSources?: string[];
+  rerank?: boolean;
+  rerankCandidates?: number;
+}
+
+function runRecall(query: string, options: RecallOptions = {}): string {
+  const args = [query];
   if (options.limit) args.push('-n', String(options.limit));
   if (options.json) args.push('--json');
   if (options.publicOnly) args.push('--public-only');
+  if (options.mode) args.push('--mode', options.mode);
+  if (options.keywordWeight !== undefined) args.push('--keyword-weight', String(options.keywordWeight));
+  if (options.since) args.push('--since', options.since);
+  if (options.until) args.push('--until', options.until);
+  for (const glob of options.paths ?? []) args.push('--path', glob);
+  for (const tag of options.tags ?? []) args.push('--tag', tag);
+  for (const glob of options.excludeSources ?? []) args.push('--exclude-source', glob);
+  if (options.rerank) args.push('--rerank');
+  if (options.rerankCandidates !== undefined) args.push('--rerank-candidates', String(options.rerankCandidates));
   
   const recallPath = path.join(BIN_PATH, 'recall');
   try {
+    // No shell: the query and filters come from tool input and are passed as they are.
     // 120s timeout - first run may need to download model (~90MB)
-    return execSync(`${recallPath} ${args.join(' ')}`, { encoding: 'utf8', timeout: 120000 });
+    return execFileSync(recallPath, args, { encoding: 'utf8', timeout: 120000 });
   } catch (err: any) {
     throw new Error(`Recall failed: ${err.message}`);
   }
 }
 
+/**
+ * "source:12-30" when the result knows its line range
+ */
+function location(result: any): string {
+  const source = result.source || 'memory';
+  return result.lines ? `${source}:${result.lines[0]}-${result.lines[1]}` : source;
+}
+
+/**
+ * Load the configured backend (persistent Python worker, or the in-process
+ * JS backend) from the jasper-recall package.
+ * Works both when loaded from the package itself and from the copy that
+ * `npx jasper-recall setup` installs (which records packageDir in config).
+ */
+function loadWorker(packageDir?: string): any | null {
+  const require = createRequire(import.meta.url);
+  const candidates = [
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'src', 'backend.js'),
+    packageDir ? path.join(packageDir, 'src', 'backend.js') : null,
+  ];
+
+  for (const candidate of candidates) {
+    if (candidate && existsSync(candidate)) {
+      return require(candidate).getBackend();
+    }
+  }
+  return null;
+}
+
 export default function register(api: PluginApi) {
   const cfg = api.config.plugins?.entries?.['jasper-recall']?.config ?? {};
   
@@ -75,8 +136,33 @@ export default function register(api: PluginApi) {
   const publicOnly = cfg.publicOnly ?? false;
   const autoRecall = cfg.autoRecall ?? false;
   const minScore = cfg.minScore ?? 0.3;
+  const searchMode = cfg.searchMode ?? 'hybrid';
+  const keywordWeight = cfg.keywordWeight;
+  const rerank = cfg.rerank ?? false;
+  const rerankCandidates = cfg.rerankCandidates;
+
+  const worker = loadWorker(cfg.packageDir);
+  if (!worker) {
+    api.logger.warn('[jasper-recall] Persistent worker unavailable, falling back to the recall CLI');
+  }
 
-  api.logger.info(`[jasper-recall] Initialized (limit=${defaultLimit}, publicOnly=${publicOnly}, autoRecall=${autoRecall})`);
+  // Structured results via the warm worker, or the CLI's --json output
+  async function recallJson(query: string, options: RecallOptions): Promise<any[]> {
+    const searchOptions = { mode: searchMode, keywordWeight, rerank, rerankCandidates, ...options };
+    if (worker) {
+      return worker.recall(query, searchOptions);
+    }
+    return JSON.parse(runRecall(query, { ...searchOptions, json: true }));
+  }
+
+  api.logger.info(`[jasper-recall] Initialized (limit=${defaultLimit}, publicOnly=${publicOnly}, mode=${searchMode}, rerank=${rerank}, autoRecall=${autoRecall}, worker=${!!worker})`);
+
+  // Auto-recall runs before every turn - load the model now, not on the first message
+  if (autoRecall && worker) {
+    worker.start().catch((err: any) => {
+      api.logger.warn(`[jasper-recall] Worker failed to start: ${err.message}`);
+    });
+  }
 
   // ============================================================================
   // Auto-Recall: inject relevant memories before agent processes the message
@@ -165,21 +251,18 @@ ${identityParts.join('\n\n---\n\n')}
           }
         }
         
-        const results = runRecall(event.prompt, {
+        const parsed = await recallJson(event.prompt, {
           limit: 3,
-          json: true,
           publicOnly,
         });
-
-        const parsed = JSON.parse(results);
         
         // Filter by minimum score
-        const relevant = parsed.filter((r: any) => r.score >= minScore);
+        const relevant = parsed.filter((r: any) => r.similarity >= minScore);
 
         if (relevant.length > 0) {
           // Format memories for context injection
           const memoryContext = relevant
-            .map((r: any) => `- [${r.source || 'memory'}] ${r.content.slice(0, 500)}${r.content.length > 500 ? '...' : ''}`)
+            .map((r: any) => `- [${location(r)}] ${r.content.slice(0, 500)}${r.content.length > 500 ? '...' : ''}`)
             .join('\n');
 
           api.logger.info(`[jasper-recall] Auto-injecting ${relevant.length} memories into context`);
@@ -250,18 +333,62 @@ ${identityParts.join('\n\n---\n\n')}
           type: 'number',
           description: 'Maximum number of results to return (default: 5)',
         },
+        mode: {
+          type: 'string',
+          enum: ['hybrid', 'semantic', 'keyword'],
+          description: 'hybrid (default) combines meaning and exact keywords; use keyword for IDs, hostnames, error codes',
+        },
+        since: {
+          type: 'string',
+          description: 'Only notes dated on/after this: YYYY-MM-DD, today, yesterday, 7d, 2w (e.g. "7d" for last week)',
+        },
+        until: {
+          type: 'string',
+          description: 'Only notes dated on/before this (same formats as since)',
+        },
+        path: {
+          type: 'string',
+          description: 'Only sources matching this glob, e.g. "memory/session-digests/*"',
+        },
+        tag: {
+          type: 'string',
+          description: 'Only notes tagged [tag], e.g. "public"',
+        },
+        exclude_source: {
+          type: 'string',
+          description: 'Skip sources matching this glob',
+        },
+        rerank: {
+          type: 'boolean',
+          description: 'Rescore more candidates with a cross-encoder for more precise top results (slower; default from plugin config)',
+        },
       },
       required: ['query'],
     },
-    execute: async (_id: string, { query, limit }: { query: string; limit?: number }) => {
+    execute: async (_id: string, params: {
+      query: string;
+      limit?: number;
+      mode?: string;
+      since?: string;
+      until?: string;
+      path?: string;
+      tag?: string;
+      exclude_source?: string;
+      rerank?: boolean;
+    }) => {
+      const { query, limit, mode } = params;
       try {
-        const results = runRecall(query, {
+        const parsed = await recallJson(query, {
           limit: limit ?? defaultLimit,
-          json: true,
           publicOnly,
+          ...(mode ? { mode } : {}),
+          ...(params.since ? { since: params.since } : {}),
+          ...(params.until ? { until: params.until } : {}),
+          ...(params.path ? { paths: [params.path] } : {}),
+          ...(params.tag ? { tags: [params.tag] } : {}),
+          ...(params.exclude_source ? { excludeSources: [params.exclude_source] } : {}),
+          ...(params.rerank !== undefined ? { rerank: params.rerank } : {}),
         });
-
-        const parsed = JSON.parse(results);
         
         // Format results for agent consumption
         let formatted = `## Recall Results for: "${query}"\n\n`;
@@ -270,8 +397,11 @@ ${identityParts.join('\n\n---\n\n')}
           formatted += '_No relevant memories found._\n';
         } else {
           for (const result of parsed) {
-            formatted += `### ${result.source || 'Memory'}\n`;
-            formatted += `**Score:** ${(result.score * 100).toFixed(1)}%\n\n`;
+            formatted += `### ${result.source ? location(result) : 'Memory'}\n`;
+            formatted += `**Score:** ${(result.similarity * 100).toFixed(1)}%`;
+            const rerankScore = result.rerankScore ?? result.rerank_score;
+            if (rerankScore != null) formatted += ` (rerank ${(rerankScore * 100).toFixed(1)}%)`;
+            formatted += '\n\n';
             formatted += `${result.content}\n\n---\n\n`;
           }
         }
@@ -302,7 +432,7 @@ ${identityParts.join('\n\n---\n\n')}
       }
 
       try {
-        const results = runRecall(query, { limit: defaultLimit, publicOnly });
+        const results = runRecall(query, { limit: defaultLimit, publicOnly, mode: searchMode, keywordWeight, rerank, rerankCandidates });
         return { text: `🧠 **Recall Results**\n\n${results}` };
       } catch (err: any) {
         return { text: `❌ Recall failed: ${err.message}` };
@@ -383,6 +513,8 @@ ${identityParts.join('\n\n---\n\n')}
 - Public-only mode: ${publicOnly ? '✅ Yes' : '❌ No (full access)'}
 - Default limit: ${defaultLimit} results
 - Min score: ${minScore}
+- Search mode: ${searchMode}
+- Rerank: ${rerank ? 'on' : 'off'}
 
 ---
 
@@ -402,15 +534,16 @@ ${identityParts.join('\n\n---\n\n')}
    - Session target: "main"
 
 Use the \`cron\` tool with \`action: "add"\` to create both jobs.
-</agent-action>`,
+</agent-action>
+
+Tip: \`npx jasper-recall watch --daemon\` re-indexes memory files as they change, between cron runs.`,
         };
       }
       
       if (subcommand === 'status') {
         try {
           // Check if ChromaDB is accessible
-          const testResult = runRecall('test query', { limit: 1, json: true, publicOnly });
-          const parsed = JSON.parse(testResult);
+          const parsed = await recallJson('test query', { limit: 1, publicOnly });
           
           return {
             text: `🧠 **Jasper Recall Status**
@@ -418,12 +551,15 @@ Use the \`cron\` tool with \`action: "add"\` to create both jobs.
 **Plugin:** ✅ Active
 **Auto-recall:** ${autoRecall ? '✅ Enabled' : '❌ Disabled'}
 **ChromaDB:** ✅ Connected
+**Worker:** ${worker ? (worker.running ? '✅ Running' : '💤 Idle (starts on demand)') : '➖ Not available (using CLI)'}
 **Index size:** ${parsed.length > 0 ? 'Has data' : 'Empty or minimal'}
 
 **Config:**
 - Public-only: ${publicOnly}
 - Default limit: ${defaultLimit}
-- Min score: ${minScore}`,
+- Min score: ${minScore}
+- Search mode: ${searchMode}
+- Rerank: ${rerank ? 'on' : 'off'}`,
           };
         } catch (err: any) {
           return {
@@ -461,9 +597,13 @@ Run \`npx jasper-recall setup\` to install dependencies.`,
 
   api.registerGatewayMethod('recall.search', async ({ params, respond }: any) => {
     try {
-      const { query, limit } = params;
-      const results = runRecall(query, { limit: limit ?? defaultLimit, json: true, publicOnly });
-      respond(true, JSON.parse(results));
+      const { query, limit, mode } = params;
+      respond(true, await recallJson(query, {
+        limit: limit ?? defaultLimit,
+        publicOnly,
+        ...(mode ? { mode } : {}),
+        ...(params.rerank !== undefined ? { rerank: !!params.rerank } : {}),
+      }));
     } catch (err: any) {
       respond(false, { error: err.message });
     }
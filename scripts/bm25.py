@@ -0,0 +1,174 @@
+"""
+BM25 keyword index kept alongside each ChromaDB collection.
+
+Embeddings are good at meaning and bad at exact identifiers (ticket IDs like
+JR-17, hostnames, error codes, function names), so index-digests also keeps a
+lexical index per collection and recall fuses the two rankings.
+
+Stored as JSON in <chroma-db>/bm25/<collection>.json. The JS backend
+(src/js-backend/bm25.js) tokenizes and scores the same way.
+"""
+
+import json
+import math
+import os
+import re
+
+# BM25 parameters (the usual defaults)
+K1 = 1.5
+B = 0.75
+
+# Reciprocal rank fusion constant
+RRF_K = 60
+
+# Words, plus identifiers joined by - . : / (jr-17, db-01.prod.local, 10.0.0.5:8080)
+TOKEN_RE = re.compile(r"\w+(?:[-.:/]\w+)*")
+PART_RE = re.compile(r"[-.:/_]+")
+
+# path -> (mtime, index), so the persistent worker doesn't re-read unchanged files
+_cache = {}
+
+
+def tokenize(text):
+    """
+    Lowercased terms. Compound identifiers are kept whole and also split, so
+    "JR-17" matches "jr-17" exactly and "get_file_hash" matches "hash".
+    """
+    terms = []
+    for match in TOKEN_RE.finditer(text.lower()):
+        token = match.group()
+        terms.append(token)
+        parts = [p for p in PART_RE.split(token) if p]
+        if len(parts) > 1:
+            terms.extend(parts)
+    return terms
+
+
+class BM25Index:
+    def __init__(self, path, docs=None):
+        self.path = path
+        # id -> {"len": number of terms, "tf": {term: count}}
+        self.docs = docs or {}
+        self._postings = None
+
+    def __len__(self):
+        return len(self.docs)
+
+    @classmethod
+    def load(cls, path):
+        """Read an index from disk, or None if it is missing or unreadable."""
+        try:
+            with open(path, "r", encoding="utf-8") as f:
+                data = json.load(f)
+            return cls(path, data["docs"])
+        except (OSError, ValueError, KeyError):
+            return None
+
+    def save(self):
+        """Write the index atomically."""
+        os.makedirs(os.path.dirname(self.path), exist_ok=True)
+        tmp = f"{self.path}.{os.getpid()}.tmp"
+        with open(tmp, "w", encoding="utf-8") as f:
+            json.dump({"version": 1, "docs": self.docs}, f)
+        os.replace(tmp, self.path)
+        _cache[self.path] = (os.path.getmtime(self.path), self)
+
+    def add(self, ids, documents):
+        for doc_id, document in zip(ids, documents):
+            terms = tokenize(document or "")
+            tf = {}
+            for term in terms:
+                tf[term] = tf.get(term, 0) + 1
+            self.docs[doc_id] = {"len": len(terms), "tf": tf}
+        self._postings = None
+
+    def remove(self, ids):
+        for doc_id in ids:
+            self.docs.pop(doc_id, None)
+        self._postings = None
+
+    def _build_postings(self):
+        postings = {}
+        total = 0
+        for doc_id, doc in self.docs.items():
+            total += doc["len"]
+            for term, count in doc["tf"].items():
+                postings.setdefault(term, []).append((doc_id, count))
+        avgdl = total / len(self.docs) if self.docs else 0
+        self._postings = (postings, avgdl)
+        return self._postings
+
+    def search(self, query, limit, ids=None):
+        """
+        Best-matching ids for a query: [(id, score), ...], highest first.
+        ids: only consider these documents (statistics still cover the whole index).
+        """
+        if not self.docs:
+            return []
+        postings, avgdl = self._postings or self._build_postings()
+        n = len(self.docs)
+
+        scores = {}
+        for term in set(tokenize(query)):
+            matches = postings.get(term)
+            if not matches:
+                continue
+            idf = math.log(1 + (n - len(matches) + 0.5) / (len(matches) + 0.5))
+            for doc_id, tf in matches:
+                if ids is not None and doc_id not in ids:
+                    continue
+                norm = K1 * (1 - B + B * self.docs[doc_id]["len"] / (avgdl or 1))
+                scores[doc_id] = scores.get(doc_id, 0) + idf * tf * (K1 + 1) / (tf + norm)
+
+        ranked = sorted(scores.items(), key=lambda item: (-item[1], item[0]))
+        return ranked[:limit]
+
+
+def index_path(chroma_dir, collection_name):
+    return os.path.join(chroma_dir, "bm25", f"{collection_name}.json")
+
+
+def load_index(chroma_dir, collection):
+    """
+    The keyword index for a ChromaDB collection.
+    Rebuilt from the collection's documents when it is missing or out of step
+    (indexed before hybrid search existed, or written by a script that
+    doesn't maintain it, like the mesh indexer).
+    """
+    path = index_path(chroma_dir, collection.name)
+    try:
+        mtime = os.path.getmtime(path)
+    except OSError:
+        mtime = None
+
+    cached = _cache.get(path)
+    index = cached[1] if cached and mtime is not None and cached[0] == mtime else BM25Index.load(path)
+
+    if index is None or len(index) != collection.count():
+        existing = collection.get(include=["documents"])
+        index = BM25Index(path)
+        index.add(existing["ids"], existing["documents"])
+        try:
+            index.save()
+        except OSError:
+            # Read-only index: still usable for this process
+            pass
+        return index
+
+    _cache[path] = (mtime, index)
+    return index
+
+
+def fuse_rankings(semantic, keyword, keyword_weight):
+    """
+    Reciprocal rank fusion of two ranked lists of result dicts.
+    Items are matched on (collection, id); each list contributes
+    weight / (RRF_K + rank). Returns the union, best first, with "score" set.
+    """
+    fused = {}
+    for weight, ranking in ((1 - keyword_weight, semantic), (keyword_weight, keyword)):
+        for rank, item in enumerate(ranking, start=1):
+            key = (item["collection"], item["id"])
+            entry = fused.setdefault(key, dict(item, score=0.0))
+            entry["score"] += weight / (RRF_K + rank)
+    return sorted(fused.values(), key=lambda item: item["score"], reverse=True)
@@ -0,0 +1,164 @@
+#!/usr/bin/env python3
+"""
+Dump and restore ChromaDB collections as JSON lines, for export bundles.
+
+Usage:
+  index-bundle.py export FILE [--collection NAME ...]
+  index-bundle.py import FILE [--collection NAME ...] [--replace]
+
+Each line is one chunk: {"collection", "id", "document", "metadata", "embedding"}.
+Run by `jasper-recall export` / `jasper-recall import` (cli/bundle.js), which
+packs the lines into a .tar.gz with a manifest and checks compatibility; the
+JS backend reads and writes the same lines. Prints a JSON summary.
+"""
+
+import os
+import sys
+import json
+import argparse
+import importlib.util
+
+
+def load_script(name, filename):
+    """Import a sibling script whose filename isn't a valid module name."""
+    path = os.path.join(os.path.dirname(os.path.realpath(__file__)), filename)
+    spec = importlib.util.spec_from_file_location(name, path)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+# Same index, collections and keyword indexes as the indexer (which also activates the venv)
+index_lib = load_script("index_digests", "index-digests.py")
+chromadb = index_lib.chromadb
+bm25 = index_lib.bm25
+recall_config = index_lib.recall_config
+
+LEGACY_COLLECTION = index_lib.COLLECTION_SPECS["legacy"][0]
+DESCRIPTIONS = {name: description for name, description in index_lib.COLLECTION_SPECS.values()}
+
+# Chunks read from / written to ChromaDB per call
+BATCH_SIZE = 500
+
+
+def export_chunks(client, path, names=None) -> dict:
+    """
+    Write every chunk of the selected collections (default: all but legacy,
+    which is a copy of the others) to path. Returns {"collections": {name:
+    {"chunks", "metadata"}}, "dimensions"}.
+    """
+    available = sorted(getattr(coll, "name", coll) for coll in client.list_collections())
+    missing = [name for name in names or [] if name not in available]
+    if missing:
+        raise ValueError(f"no such collection: {', '.join(missing)} (have: {', '.join(available) or 'none'})")
+    selected = names or [name for name in available if name != LEGACY_COLLECTION]
+
+    summary = {"collections": {}, "dimensions": None}
+    with open(path, "w", encoding="utf-8") as out:
+        for name in selected:
+            coll = client.get_collection(name=name)
+            count = 0
+            while True:
+                found = coll.get(include=["documents", "metadatas", "embeddings"], limit=BATCH_SIZE, offset=count)
+                if not found["ids"]:
+                    break
+                for doc_id, document, meta, embedding in zip(
+                    found["ids"], found["documents"], found["metadatas"], found["embeddings"]
+                ):
+                    vector = [float(x) for x in embedding]
+                    summary["dimensions"] = summary["dimensions"] or len(vector)
+                    out.write(json.dumps({
+                        "collection": name, "id": doc_id, "document": document,
+                        "metadata": meta or {}, "embedding": vector,
+                    }) + "\n")
+                count += len(found["ids"])
+            summary["collections"][name] = {"chunks": count, "metadata": coll.metadata or {}}
+    return summary
+
+
+def import_chunks(client, path, names=None, replace=False) -> dict:
+    """
+    Add the chunks in path to their collections (created if missing), only
+    those of the named collections if given. Chunks with an existing id are
+    overwritten; replace empties each collection first. The chunks must have
+    been embedded with the configured embeddingModel (cli/bundle.js checks),
+    which is recorded in each collection. Returns {"collections": {name: count}}.
+    """
+    batches = {}
+    counts = {}
+    cleared = set()
+
+    def flush(name):
+        batch = batches.pop(name, None)
+        if not batch:
+            return
+        if replace and name not in cleared:
+            try:
+                client.delete_collection(name=name)
+            except Exception:
+                pass  # nothing to replace
+            cleared.add(name)
+        metadata = {"description": DESCRIPTIONS[name]} if name in DESCRIPTIONS else None
+        coll = client.get_or_create_collection(name=name, metadata=metadata)
+        recall_config.record_model(coll, recall_config.embedding_model(), len(batch[0]["embedding"]))
+        coll.upsert(
+            ids=[c["id"] for c in batch],
+            embeddings=[c["embedding"] for c in batch],
+            documents=[c["document"] for c in batch],
+            metadatas=[c["metadata"] or None for c in batch],
+        )
+        counts[name] = counts.get(name, 0) + len(batch)
+
+    with open(path, "r", encoding="utf-8") as f:
+        for number, line in enumerate(f, start=1):
+            if not line.strip():
+                continue
+            try:
+                chunk = json.loads(line)
+                name = chunk["collection"]
+            except (ValueError, KeyError, TypeError):
+                raise ValueError(f"chunks.jsonl line {number} is not a chunk")
+            if names and name not in names:
+                continue
+            batches.setdefault(name, []).append(chunk)
+            if len(batches[name]) >= BATCH_SIZE:
+                flush(name)
+    for name in list(batches):
+        flush(name)
+
+    # Rebuilt from the collection, so upserted and replaced chunks are searchable by keyword
+    for name in counts:
+        index_path = bm25.index_path(index_lib.CHROMA_DIR, name)
+        if os.path.exists(index_path):
+            os.remove(index_path)
+        bm25.load_index(index_lib.CHROMA_DIR, client.get_collection(name=name))
+    return {"collections": counts}
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Dump or restore collections as JSON lines")
+    parser.add_argument("action", choices=["export", "import"])
+    parser.add_argument("file", help="JSON lines file to write (export) or read (import)")
+    parser.add_argument("--collection", action="append", help="Only this collection (repeatable)")
+    parser.add_argument("--replace", action="store_true", help="Import: empty each collection first")
+    args = parser.parse_args()
+
+    if args.action == "export" and not os.path.exists(index_lib.CHROMA_DIR):
+        print(f"❌ No index at {index_lib.CHROMA_DIR}. Run: index-digests", file=sys.stderr)
+        sys.exit(1)
+    os.makedirs(index_lib.CHROMA_DIR, exist_ok=True)
+    client = chromadb.PersistentClient(path=index_lib.CHROMA_DIR)
+
+    try:
+        if args.action == "export":
+            result = export_chunks(client, args.file, args.collection)
+        else:
+            result = import_chunks(client, args.file, args.collection, args.replace)
+    except (OSError, ValueError, recall_config.ModelMismatchError) as e:
+        print(f"❌ {e}", file=sys.stderr)
+        sys.exit(1)
+    print(json.dumps(result))
+
+
+if __name__ == "__main__":
+    main()
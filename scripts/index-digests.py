@@ -7,25 +7,68 @@ v0.3.0: Multi-collection architecture
 - private_memories: main agent only (default)
 - shared_memories: accessible to sandboxed agents  
 - agent_learnings: insights from agent interactions (moltbook, etc.)
+- agent_<name>: session digests of a sandboxed agent (digest-sessions writes
+  them to session-digests/<name>/, next to a .agent.json saying so)
+
+Each collection also gets a BM25 keyword index (bm25.py) for hybrid recall.
+
+Files are chunked along their markdown structure (headings, paragraphs, whole
+code blocks); each chunk starts with its heading breadcrumb and records the
+lines it came from.
+
+Usage: index-digests [FILE ...] [--prune] [--no-snapshot]
+       index-digests --gc [--dry-run] [--no-snapshot]
+  FILE       only (re)index these files; files that no longer exist have their
+             chunks removed (used by `jasper-recall watch`)
+  --prune    also collect garbage after indexing FILEs (a full run always does)
+  --gc       only collect garbage: remove chunks of deleted, moved or no longer
+             indexed files from every collection (`jasper-recall gc`)
+  --dry-run  with --gc, report what would be removed without removing it
+  --no-snapshot  don't copy the index first (snapshots are configured under
+             "snapshots" in ~/.jasper-recall/config.json; see recall_snapshot.py)
 """
 
 import os
+import re
 import sys
 import glob
+import json
+import argparse
 import hashlib
+import time
 from pathlib import Path
 
-# Support custom paths via environment
-WORKSPACE = os.environ.get("RECALL_WORKSPACE", os.path.expanduser("~/.openclaw/workspace"))
-CHROMA_DIR = os.environ.get("RECALL_CHROMA_DB", os.path.expanduser("~/.openclaw/chroma-db"))
-VENV_PATH = os.environ.get("RECALL_VENV", os.path.expanduser("~/.openclaw/rag-env"))
+# Helper modules live next to this script, or where setup installs them
+for lib_dir in [os.path.dirname(os.path.realpath(__file__)),
+                os.path.expanduser("~/.local/share/jasper-recall/scripts")]:
+    if lib_dir not in sys.path:
+        sys.path.append(lib_dir)
+
+import recall_config
+
+# Paths from the config, environment first (see recall_config.py)
+WORKSPACE = recall_config.setting("workspace")
+CHROMA_DIR = recall_config.setting("chromaDb")
+VENV_PATH = recall_config.setting("venv")
 
 MEMORY_DIR = os.path.join(WORKSPACE, "memory")
 DIGESTS_DIR = os.path.join(MEMORY_DIR, "session-digests")
 
-# Chunking config
+# digest-sessions writes one folder per agent, described by this file
+AGENT_FILE = ".agent.json"
+
+# Chunking config: paragraphs are grouped per section up to CHUNK_SIZE,
+# code blocks are kept whole up to MAX_CODE_CHUNK
 CHUNK_SIZE = 500  # characters
-CHUNK_OVERLAP = 100
+MAX_CODE_CHUNK = 2000
+
+HEADING_RE = re.compile(r"^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$")
+FENCE_RE = re.compile(r"^ {0,3}(`{3,}|~{3,})")
+
+# Daily notes and digests carry their date in the filename (2026-02-05.md, a1b2c3d4-2026-02-05.md)
+DATE_RE = re.compile(r"(\d{4})-(\d{2})-(\d{2})")
+# [public], [private], [learning], [deploy] ... but not [links](...), [refs][1] or [x] checkboxes
+TAG_RE = re.compile(r"\[([A-Za-z][A-Za-z0-9_-]{1,31})\](?![(\[:])")
 
 # Activate the venv
 sys.path.insert(0, os.path.join(VENV_PATH, "lib/python3.12/site-packages"))
@@ -42,17 +85,121 @@ except ImportError as e:
     print("Run 'npx jasper-recall setup' to install dependencies.", file=sys.stderr)
     sys.exit(1)
 
+import bm25
+import recall_snapshot
+
+
+def markdown_blocks(text: str) -> list:
+    """
+    Split markdown into headings, paragraphs (runs of non-blank lines) and
+    fenced code blocks (kept whole, blank lines included).
+    Each block: {"kind": "heading"|"text"|"code", "text", "start", "end"}
+    with 1-based line numbers; headings also carry "level".
+    """
+    lines = text.split("\n")
+    blocks = []
+    i = 0
+    while i < len(lines):
+        line = lines[i]
+        if not line.strip():
+            i += 1
+            continue
+        
+        heading = HEADING_RE.match(line)
+        if heading:
+            blocks.append({"kind": "heading", "level": len(heading.group(1)),
+                           "text": heading.group(2).strip(), "start": i + 1, "end": i + 1})
+            i += 1
+            continue
+        
+        fence = FENCE_RE.match(line)
+        if fence:
+            # Runs to a closing fence of the same character, at least as long (or the end of the file)
+            marker = fence.group(1)
+            end = i + 1
+            while end < len(lines):
+                closing = lines[end].strip()
+                if len(closing) >= len(marker) and set(closing) == {marker[0]}:
+                    break
+                end += 1
+            end = min(end, len(lines) - 1)
+            blocks.append({"kind": "code", "text": "\n".join(lines[i:end + 1]).strip(), "start": i + 1, "end": end + 1})
+            i = end + 1
+            continue
+        
+        end = i
+        while (end + 1 < len(lines) and lines[end + 1].strip()
+               and not HEADING_RE.match(lines[end + 1]) and not FENCE_RE.match(lines[end + 1])):
+            end += 1
+        blocks.append({"kind": "text", "text": "\n".join(lines[i:end + 1]).strip(), "start": i + 1, "end": end + 1})
+        i = end + 1
+    return blocks
+
 
-def chunk_text(text: str, chunk_size: int = CHUNK_SIZE, overlap: int = CHUNK_OVERLAP) -> list:
-    """Split text into overlapping chunks."""
+def split_block(block: dict, chunk_size: int) -> list:
+    """
+    A block as (text, start, end) pieces that fit in a chunk: split between
+    lines, and long lines into fixed windows. Code blocks get MAX_CODE_CHUNK.
+    """
+    limit = max(chunk_size, MAX_CODE_CHUNK) if block["kind"] == "code" else chunk_size
+    if len(block["text"]) <= limit:
+        return [(block["text"], block["start"], block["end"])]
+    
+    # (text, line number) segments, then greedily packed into pieces
+    segments = []
+    for offset, line in enumerate(block["text"].split("\n")):
+        for pos in range(0, max(len(line), 1), limit):
+            segments.append((line[pos:pos + limit], block["start"] + offset))
+    
+    groups, current, length = [], [], -1
+    for segment in segments:
+        if current and length + 1 + len(segment[0]) > limit:
+            groups.append(current)
+            current, length = [], -1
+        current.append(segment)
+        length += 1 + len(segment[0])
+    groups.append(current)
+    
+    pieces = [("\n".join(text for text, _ in group).strip(), group[0][1], group[-1][1]) for group in groups]
+    return [piece for piece in pieces if piece[0]]
+
+
+def chunk_markdown(text: str, title: str, chunk_size: int = CHUNK_SIZE) -> list:
+    """
+    Split a markdown file into chunks that follow its structure: a new chunk
+    at every heading, paragraphs grouped up to chunk_size, code blocks whole.
+    Each chunk's text starts with its breadcrumb ("title > H1 > H2").
+    Returns [{"text", "section", "line_start", "line_end"}].
+    """
     chunks = []
-    start = 0
-    while start < len(text):
-        end = start + chunk_size
-        chunk = text[start:end]
-        if chunk.strip():
-            chunks.append(chunk.strip())
-        start = end - overlap
+    headings = []  # [(level, heading text)]
+    pending = []   # [(text, start, end)] for the chunk being built
+    
+    def flush():
+        if not pending:
+            return
+        section = " > ".join(heading for _, heading in headings)
+        breadcrumb = " > ".join([title] + [heading for _, heading in headings])
+        body = "\n\n".join(piece[0] for piece in pending)
+        chunks.append({
+            "text": f"{breadcrumb}\n\n{body}",
+            "section": section,
+            "line_start": pending[0][1],
+            "line_end": pending[-1][2],
+        })
+        pending.clear()
+    
+    for block in markdown_blocks(text):
+        if block["kind"] == "heading":
+            flush()
+            headings = [h for h in headings if h[0] < block["level"]] + [(block["level"], block["text"])]
+            continue
+        for piece in split_block(block, chunk_size):
+            size = sum(len(p[0]) + 2 for p in pending)
+            if pending and size + len(piece[0]) > chunk_size:
+                flush()
+            pending.append(piece)
+    flush()
     return chunks
 
 
@@ -61,6 +208,22 @@ def get_file_hash(content: str) -> str:
     return hashlib.md5(content.encode()).hexdigest()
 
 
+def note_date(filename: str):
+    """Date from a note's filename as YYYYMMDD (an int, so ChromaDB can range-filter), or None."""
+    match = DATE_RE.search(filename)
+    if not match:
+        return None
+    year, month, day = (int(g) for g in match.groups())
+    if not (1 <= month <= 12 and 1 <= day <= 31):
+        return None
+    return year * 10000 + month * 100 + day
+
+
+def extract_tags(content: str) -> str:
+    """Bracket tags in a file, lowercased and comma-separated ("learning,public")."""
+    return ",".join(sorted({tag.lower() for tag in TAG_RE.findall(content)}))
+
+
 def determine_collection(rel_path: str, content: str) -> str:
     """
     Determine which collection a file belongs to based on path and content.
@@ -86,8 +249,8 @@ def determine_collection(rel_path: str, content: str) -> str:
     return 'private'
 
 
-def index_to_collection(collection, model, filepath, rel_path, content, file_hash, stats):
-    """Index a file's chunks into a specific collection."""
+def index_to_collection(collection, model, filepath, rel_path, content, file_hash, stats, keyword_index):
+    """Index a file's chunks into a specific collection and its keyword index."""
     filename = os.path.basename(filepath)
     
     # Check for existing chunks from this file
@@ -106,7 +269,9 @@ def index_to_collection(collection, model, filepath, rel_path, content, file_has
                 ids=[existing['ids'][0]],
                 include=["metadatas"]
             )
-            if existing_meta['metadatas'] and existing_meta['metadatas'][0].get('file_hash') == file_hash:
+            meta = existing_meta['metadatas'][0] if existing_meta['metadatas'] else {}
+            # Chunks from before markdown chunking (no line ranges) get re-indexed once
+            if meta.get('file_hash') == file_hash and 'line_start' in meta:
                 stats['skipped'] += 1
                 return False
         except Exception:
@@ -114,9 +279,11 @@ def index_to_collection(collection, model, filepath, rel_path, content, file_has
         
         # File changed, delete old chunks
         collection.delete(ids=existing['ids'])
+        keyword_index.remove(existing['ids'])
     
-    # Chunk the content
-    chunks = chunk_text(content)
+    # Chunk the content along its markdown structure
+    sections = chunk_markdown(content, Path(filename).stem)
+    chunks = [section["text"] for section in sections]
     
     if not chunks:
         return False
@@ -124,16 +291,22 @@ def index_to_collection(collection, model, filepath, rel_path, content, file_has
     # Generate embeddings
     embeddings = model.encode(chunks).tolist()
     
-    # Create IDs and metadata
+    # Create IDs and metadata (tags and dates are what recall filters and ranks on)
     ids = [f"{rel_path}::{i}" for i in range(len(chunks))]
+    file_meta = {
+        "source": rel_path,
+        "file_hash": file_hash,
+        "filename": filename,
+        "tags": extract_tags(content),
+        "modified": int(time.strftime("%Y%m%d", time.localtime(os.path.getmtime(filepath)))),
+    }
+    date = note_date(filename)
+    if date is not None:
+        file_meta["date"] = date
     metadatas = [
-        {
-            "source": rel_path,
-            "chunk_index": i,
-            "file_hash": file_hash,
-            "filename": filename,
-        }
-        for i in range(len(chunks))
+        dict(file_meta, chunk_index=i, section=section["section"],
+             line_start=section["line_start"], line_end=section["line_end"])
+        for i, section in enumerate(sections)
     ]
     
     # Add to collection
@@ -143,61 +316,116 @@ def index_to_collection(collection, model, filepath, rel_path, content, file_has
         documents=chunks,
         metadatas=metadatas
     )
+    keyword_index.add(ids, chunks)
     
     stats['chunks'] += len(chunks)
     stats['files'] += 1
     return True
 
 
-def main():
-    print("🦊 Jasper Recall — RAG Indexer v0.3.0")
-    print("=" * 40)
-    
-    # Check if memory dir exists
-    if not os.path.exists(MEMORY_DIR):
-        print(f"⚠ Memory directory not found: {MEMORY_DIR}")
-        print("Create some markdown files there first.")
-        sys.exit(1)
-    
-    # Initialize embedding model (will download on first run)
-    print("Loading embedding model...")
-    model = SentenceTransformer('all-MiniLM-L6-v2')
-    print("✓ Model loaded")
-    
-    # Initialize ChromaDB
-    os.makedirs(CHROMA_DIR, exist_ok=True)
-    client = chromadb.PersistentClient(path=CHROMA_DIR)
-    
-    # Create collections with descriptions
+# Collection key -> (name, description); "legacy" gets a copy of everything
+# but the digests of sandboxed agents, which have a collection each
+COLLECTION_SPECS = {
+    "private": ("private_memories", "Private agent memories - main agent only"),
+    "shared": ("shared_memories", "Shared memories - accessible to sandboxed agents"),
+    "learnings": ("agent_learnings", "Agent learnings and insights from interactions"),
+    "legacy": ("jasper_memory", "Legacy collection - use specific collections instead"),
+}
+
+
+# Agent names whose agent_<name> is already one of the shared collections
+RESERVED_AGENT_NAMES = ("learnings",)
+
+
+def agent_collection_name(agent: str) -> str:
+    """
+    Collection of a sandboxed agent's digests (same naming as
+    src/js-backend/chunker.js): agent_agent-learnings for an agent called learnings.
+    """
+    name = re.sub(r"[^a-z0-9_-]+", "-", agent.lower()).strip("-_")[:57]
+    if name in RESERVED_AGENT_NAMES:
+        name = f"agent-{name}"
+    return f"agent_{name or 'unknown'}"
+
+
+def read_agent_file(folder):
+    """A digest folder's .agent.json, or None."""
+    try:
+        with open(os.path.join(folder, AGENT_FILE), encoding="utf-8") as f:
+            meta = json.load(f)
+    except (OSError, ValueError):
+        return None
+    return meta if isinstance(meta, dict) else None
+
+
+def digest_agents() -> list:
+    """
+    The agents with a digest folder: [(agent, collection name, sandboxed)].
+    Only sandboxed agents' digests are indexed into their collection, but
+    collect_garbage() checks the others' too, in case an agent stopped being sandboxed.
+    """
+    agents = []
+    for folder in sorted(glob.glob(os.path.join(DIGESTS_DIR, "*", ""))):
+        folder = os.path.dirname(folder)
+        meta = read_agent_file(folder) or {}
+        agent = str(meta.get("agent") or os.path.basename(folder))
+        agents.append((agent, agent_collection_name(agent), meta.get("privacy") == "sandboxed"))
+    return agents
+
+
+def sandboxed_agent_specs() -> dict:
+    """Collection key -> (name, description) for each sandboxed agent's digest folder."""
+    return {
+        name: (name, f"Session digests of sandboxed agent {agent}")
+        for agent, name, sandboxed in digest_agents() if sandboxed
+    }
+
+
+def agent_collection(filepath):
+    """
+    The collection key of a session digest: its agent's collection when the
+    folder's .agent.json says sandboxed, else "private". None for any other file.
+    Checked before determine_collection(), whose folder names and tags would
+    otherwise send an agent called moltbook or shared somewhere public.
+    """
+    digests = os.path.abspath(DIGESTS_DIR)
+    if os.path.relpath(os.path.abspath(filepath), digests).startswith(".."):
+        return None
+    folder = os.path.dirname(os.path.abspath(filepath))
+    if os.path.dirname(folder) != digests:
+        return "private"
+    meta = read_agent_file(folder)
+    if not meta or meta.get("privacy") != "sandboxed":
+        return "private"
+    return agent_collection_name(str(meta.get("agent") or os.path.basename(folder)))
+
+
+def open_collections(client, model_name=None, dimensions=None):
+    """
+    The collections (created if missing) and their keyword indexes, by key:
+    COLLECTION_SPECS plus one per sandboxed agent.
+    With model_name, each collection is checked against and stamped with the
+    model about to add vectors to it (recall_config.ModelMismatchError if it holds another's).
+    """
     collections = {
-        "private": client.get_or_create_collection(
-            name="private_memories",
-            metadata={"description": "Private agent memories - main agent only"}
-        ),
-        "shared": client.get_or_create_collection(
-            name="shared_memories",
-            metadata={"description": "Shared memories - accessible to sandboxed agents"}
-        ),
-        "learnings": client.get_or_create_collection(
-            name="agent_learnings",
-            metadata={"description": "Agent learnings and insights from interactions"}
-        ),
+        key: client.get_or_create_collection(name=name, metadata={"description": description})
+        for key, (name, description) in {**COLLECTION_SPECS, **sandboxed_agent_specs()}.items()
     }
-    
-    # Also maintain legacy collection for backwards compatibility
-    legacy_collection = client.get_or_create_collection(
-        name="jasper_memory",
-        metadata={"description": "Legacy collection - use specific collections instead"}
-    )
-    
-    print(f"✓ Collections: private_memories, shared_memories, agent_learnings")
-    
-    # Gather files to index
+    if model_name:
+        for coll in collections.values():
+            recall_config.record_model(coll, model_name, dimensions)
+    keyword_indexes = {key: bm25.load_index(CHROMA_DIR, coll) for key, coll in collections.items()}
+    return collections, keyword_indexes
+
+
+def gather_files() -> list:
+    """Markdown files to index, from the standard memory layout."""
     files_to_index = []
     
-    # Session digests
+    # Session digests, one folder per agent (older digests sit at the top)
     if os.path.exists(DIGESTS_DIR):
         files_to_index.extend(glob.glob(os.path.join(DIGESTS_DIR, "*.md")))
+        files_to_index.extend(glob.glob(os.path.join(DIGESTS_DIR, "*", "*.md")))
     
     # Daily notes and other memory files (but not subdirs)
     files_to_index.extend(glob.glob(os.path.join(MEMORY_DIR, "*.md")))
@@ -230,58 +458,289 @@ def main():
         files_to_index.extend(glob.glob(os.path.join(moltbook_dir, "*.md")))
     
     # Remove duplicates while preserving order
-    files_to_index = list(dict.fromkeys(files_to_index))
+    return list(dict.fromkeys(files_to_index))
+
+
+def new_stats(keys=COLLECTION_SPECS) -> dict:
+    return {key: {"files": 0, "chunks": 0, "skipped": 0} for key in keys}
+
+
+def remove_source(collection, keyword_index, rel_path: str) -> int:
+    """Delete every chunk of a file from a collection; returns how many there were."""
+    existing = collection.get(where={"source": rel_path}, include=[])
+    if existing["ids"]:
+        collection.delete(ids=existing["ids"])
+        keyword_index.remove(existing["ids"])
+    return len(existing["ids"])
+
+
+def index_file(collections, keyword_indexes, model, filepath, stats, log=print):
+    """
+    Index one file into its collection (and legacy, unless it is a sandboxed
+    agent's digest). Its chunks are removed from the other collections, so a
+    note that gains or loses a [public] tag doesn't linger where it used to
+    be. Returns True if it was (re)indexed.
+    """
+    filename = os.path.basename(filepath)
+    rel_path = os.path.relpath(filepath, WORKSPACE)
     
-    print(f"Found {len(files_to_index)} files to index")
+    try:
+        with open(filepath, 'r', encoding='utf-8') as f:
+            content = f.read()
+    except Exception as e:
+        log(f"  ⚠ Error reading {filename}: {e}")
+        return False
     
-    # Track stats per collection
-    stats = {
-        "private": {"files": 0, "chunks": 0, "skipped": 0},
-        "shared": {"files": 0, "chunks": 0, "skipped": 0},
-        "learnings": {"files": 0, "chunks": 0, "skipped": 0},
-        "legacy": {"files": 0, "chunks": 0, "skipped": 0},
-    }
+    if not content.strip():
+        # Emptied: nothing to index, and nothing of it should be found
+        for key, coll in collections.items():
+            remove_source(coll, keyword_indexes[key], rel_path)
+        return False
     
-    for filepath in files_to_index:
-        filename = os.path.basename(filepath)
-        rel_path = os.path.relpath(filepath, WORKSPACE)
-        
-        try:
-            with open(filepath, 'r', encoding='utf-8') as f:
-                content = f.read()
-        except Exception as e:
-            print(f"  ⚠ Error reading {filename}: {e}")
-            continue
-        
-        if not content.strip():
-            continue
-        
-        file_hash = get_file_hash(content)
-        
-        # Determine target collection
-        coll_key = determine_collection(rel_path, content)
-        collection = collections[coll_key]
-        
-        # Index to the appropriate collection
-        indexed = index_to_collection(
-            collection, model, filepath, rel_path, content, file_hash, stats[coll_key]
-        )
-        
-        # Also index to legacy collection for backwards compatibility
+    file_hash = get_file_hash(content)
+    
+    # Determine target collection
+    coll_key = agent_collection(filepath) or determine_collection(rel_path, content)
+    legacy = coll_key in COLLECTION_SPECS
+    for key, coll in collections.items():
+        if key != coll_key and (key != "legacy" or not legacy):
+            remove_source(coll, keyword_indexes[key], rel_path)
+    
+    # Index to the appropriate collection
+    indexed = index_to_collection(
+        collections[coll_key], model, filepath, rel_path, content, file_hash, stats[coll_key],
+        keyword_indexes[coll_key]
+    )
+    
+    # Also index to legacy collection for backwards compatibility
+    if legacy:
         index_to_collection(
-            legacy_collection, model, filepath, rel_path, content, file_hash, stats["legacy"]
+            collections["legacy"], model, filepath, rel_path, content, file_hash, stats["legacy"],
+            keyword_indexes["legacy"]
         )
+    
+    if indexed:
+        log(f"  ✓ {filename} → {coll_key} ({stats[coll_key]['chunks']} chunks)")
+    return indexed
+
+
+# Why collect_garbage() drops a file's chunks
+GC_REASONS = {
+    "missing": "file deleted or moved",
+    "excluded": "no longer in an indexed folder",
+    "misplaced": "file now belongs in another collection",
+}
+
+
+def collect_garbage(client, dry_run=False, log=print) -> list:
+    """
+    Reconcile every collection (mesh ones included) with the filesystem and
+    remove orphaned chunks: those of files that no longer exist and, in the
+    collections index-digests writes, of files it would no longer index there
+    (outside memory/ only a missing file counts, since the watcher indexes
+    other memoryPaths too). Only file chunks carry a file_hash, so learnings
+    are never touched.
+    Returns [{"collection", "source", "chunks", "reason"}].
+    """
+    ours = {name: key for key, (name, _) in COLLECTION_SPECS.items()}
+    ours.update((name, name) for _, name, _ in digest_agents())
+    indexed = {os.path.relpath(f, WORKSPACE) for f in gather_files()}
+    garbage = []
+    
+    for found_coll in client.list_collections():
+        # Collection objects before chromadb 0.6, names after
+        coll = client.get_collection(name=getattr(found_coll, "name", found_coll))
+        found = coll.get(include=["metadatas"])
+        chunks = {}
+        for doc_id, meta in zip(found["ids"], found["metadatas"]):
+            if meta and meta.get("file_hash") and meta.get("source"):
+                chunks.setdefault(meta["source"], (meta, []))[1].append(doc_id)
         
-        if indexed:
-            print(f"  ✓ {filename} → {coll_key} ({stats[coll_key]['chunks']} chunks)")
+        keyword_index = None
+        for source, (meta, ids) in sorted(chunks.items()):
+            filepath = os.path.join(WORKSPACE, source)
+            key = ours.get(coll.name) if "indexed_by" not in meta else None
+            if not os.path.isfile(filepath):
+                reason = "missing"
+            elif key and in_memory_dir(filepath) and source not in indexed:
+                reason = "excluded"
+            elif key and key != "legacy" and collection_for(filepath, source) not in (None, key):
+                reason = "misplaced"
+            elif key == "legacy" and agent_collection(filepath) not in (None, "private"):
+                reason = "misplaced"
+            else:
+                continue
+            
+            garbage.append({"collection": coll.name, "source": source, "chunks": len(ids), "reason": reason})
+            log(f"  ✗ {source}: {len(ids)} chunks in {coll.name} ({GC_REASONS[reason]})")
+            if not dry_run:
+                keyword_index = keyword_index or bm25.load_index(CHROMA_DIR, coll)
+                coll.delete(ids=ids)
+                keyword_index.remove(ids)
+        
+        if keyword_index is not None:
+            keyword_index.save()
+    
+    return garbage
+
+
+def in_memory_dir(filepath) -> bool:
+    return not os.path.relpath(filepath, MEMORY_DIR).startswith("..")
+
+
+def collection_for(filepath, rel_path):
+    """The collection key index_file() would put a file in (None if unreadable or empty)."""
+    try:
+        with open(filepath, 'r', encoding='utf-8') as f:
+            content = f.read()
+    except Exception:
+        return None
+    if not content.strip():
+        return None
+    return agent_collection(filepath) or determine_collection(rel_path, content)
+
+
+def index_files(client, model, rel_paths=None, prune=False, log=print, model_name=None) -> dict:
+    """
+    Bring the index up to date.
+    rel_paths: files relative to the workspace to re-index (unchanged ones are
+    skipped by hash) or, if they no longer exist, remove; None means every
+    file gather_files() finds.
+    prune: collect garbage (see collect_garbage()) after indexing explicit
+    files too; a full pass always does.
+    model_name: what model is (default: the configured embeddingModel); raises
+    recall_config.ModelMismatchError if the index was built with another.
+    Returns {"indexed": [...], "removed": [sources], "garbage": [...],
+    "stats": {key: {files, chunks, skipped}}}.
+    """
+    model_name = model_name or recall_config.embedding_model()
+    collections, keyword_indexes = open_collections(client, model_name, model.get_sentence_embedding_dimension())
+    stats = new_stats(collections)
+    indexed, removed = [], set()
+    
+    if rel_paths is None:
+        files = gather_files()
+        log(f"Found {len(files)} files to index")
+    else:
+        files = []
+        for rel_path in dict.fromkeys(rel_paths):
+            filepath = os.path.join(WORKSPACE, rel_path)
+            if os.path.isfile(filepath):
+                files.append(filepath)
+                continue
+            # Deleted, or the old name of a renamed file
+            for key, coll in collections.items():
+                if remove_source(coll, keyword_indexes[key], rel_path):
+                    removed.add(rel_path)
+    
+    for filepath in files:
+        if index_file(collections, keyword_indexes, model, filepath, stats, log):
+            indexed.append(os.path.relpath(filepath, WORKSPACE))
+    
+    for source in sorted(removed):
+        log(f"  ✗ {source} removed")
+    
+    for keyword_index in keyword_indexes.values():
+        keyword_index.save()
+    
+    garbage = []
+    if prune or rel_paths is None:
+        garbage = collect_garbage(client, log=log)
+        removed.update(entry["source"] for entry in garbage)
+    
+    return {"indexed": indexed, "removed": sorted(removed), "garbage": garbage, "stats": stats}
+
+
+def snapshot_index(reason) -> bool:
+    """Copy the index before changing it; False (after saying why) if that failed."""
+    try:
+        recall_snapshot.take_snapshot(reason, CHROMA_DIR, backend="python", workspace=WORKSPACE)
+        return True
+    except OSError as e:
+        print(f"❌ Could not snapshot {CHROMA_DIR}: {e}", file=sys.stderr)
+        print("Free some space, or run with --no-snapshot to skip it.", file=sys.stderr)
+        return False
+
+
+def run_gc(dry_run=False, snapshot=True) -> int:
+    """`--gc`: collect garbage without loading the embedding model."""
+    if not os.path.exists(CHROMA_DIR):
+        print(f"⚠ No index at {CHROMA_DIR} - nothing to collect")
+        return 0
+    if snapshot and not dry_run and not snapshot_index("gc"):
+        return 1
+    client = chromadb.PersistentClient(path=CHROMA_DIR)
+    print("Collecting garbage (dry run)..." if dry_run else "Collecting garbage...")
+    
+    garbage = collect_garbage(client, dry_run=dry_run)
+    chunks = sum(entry["chunks"] for entry in garbage)
+    files = len({entry["source"] for entry in garbage})
+    print("=" * 40)
+    if not garbage:
+        print("✓ Nothing to collect")
+    elif dry_run:
+        print(f"✓ Would remove {chunks} chunks of {files} files (run without --dry-run to remove)")
+    else:
+        print(f"✓ Removed {chunks} chunks of {files} files")
+    return 0
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Index memory files for recall")
+    parser.add_argument("files", nargs="*", help="Only (re)index these files")
+    parser.add_argument("--prune", action="store_true", help="Collect garbage after indexing FILEs too")
+    parser.add_argument("--gc", action="store_true", help="Only remove orphaned chunks, don't index")
+    parser.add_argument("--dry-run", action="store_true", help="With --gc, only report what would be removed")
+    parser.add_argument("--no-snapshot", action="store_true", help="Don't snapshot the index first")
+    args = parser.parse_args()
+    if args.dry_run and not args.gc:
+        parser.error("--dry-run only applies to --gc")
+    if args.gc and args.files:
+        parser.error("--gc takes no files")
+    
+    print("🦊 Jasper Recall — RAG Indexer v0.3.0")
+    print("=" * 40)
+    
+    # Check if memory dir exists
+    if not os.path.exists(MEMORY_DIR):
+        print(f"⚠ Memory directory not found: {MEMORY_DIR}")
+        print("Create some markdown files there first.")
+        sys.exit(1)
+    
+    if args.gc:
+        sys.exit(run_gc(args.dry_run, snapshot=not args.no_snapshot))
+    
+    if not args.no_snapshot and not snapshot_index("index"):
+        sys.exit(1)
+    
+    # Initialize embedding model (will download on first run)
+    print("Loading embedding model...")
+    model_name = recall_config.embedding_model()
+    model = SentenceTransformer(model_name)
+    print(f"✓ Model loaded: {model_name}")
+    
+    # Initialize ChromaDB
+    os.makedirs(CHROMA_DIR, exist_ok=True)
+    client = chromadb.PersistentClient(path=CHROMA_DIR)
+    names = ["private_memories", "shared_memories", "agent_learnings", *sandboxed_agent_specs()]
+    print(f"✓ Collections: {', '.join(names)}")
+    
+    files = [os.path.relpath(os.path.abspath(f), WORKSPACE) for f in args.files] or None
+    try:
+        result = index_files(client, model, files, prune=args.prune, model_name=model_name)
+    except recall_config.ModelMismatchError as e:
+        print(f"❌ {e}", file=sys.stderr)
+        sys.exit(1)
     
     print("=" * 40)
     print("✓ Indexing complete")
-    for key, s in stats.items():
+    for key, s in result["stats"].items():
         if key == "legacy":
             continue
         if s['files'] > 0 or s['skipped'] > 0:
             print(f"  {key}: {s['files']} files ({s['chunks']} chunks), {s['skipped']} skipped")
+    if result["removed"]:
+        print(f"  removed: {len(result['removed'])} files")
     print(f"  Database: {CHROMA_DIR}")
 
 
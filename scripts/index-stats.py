@@ -0,0 +1,179 @@
+#!/usr/bin/env python3
+"""
+Index statistics and chunk inspection, as JSON.
+
+Usage:
+  index-stats.py [--top N]          # Per-collection counts, largest files, unindexed files
+  index-stats.py --inspect SOURCE   # Every chunk of one source (workspace-relative path)
+
+Run by `jasper-recall stats` / `jasper-recall inspect` (cli/stats.js), which
+formats the output; the JS backend computes the same shape in
+src/js-backend/index.js. Token counts are estimates (characters / 4).
+"""
+
+import os
+import sys
+import json
+import argparse
+import importlib.util
+
+
+def load_script(name, filename):
+    """Import a sibling script whose filename isn't a valid module name."""
+    path = os.path.join(os.path.dirname(os.path.realpath(__file__)), filename)
+    spec = importlib.util.spec_from_file_location(name, path)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+# Same workspace, layout and hashing as the indexer (which also activates the venv)
+index_lib = load_script("index_digests", "index-digests.py")
+chromadb = index_lib.chromadb
+
+LEGACY_COLLECTION = index_lib.COLLECTION_SPECS["legacy"][0]
+DEFAULT_TOP = 10
+
+
+def estimate_tokens(chars: int) -> int:
+    return chars // 4
+
+
+def iso_day(stamp):
+    """YYYYMMDD (as stored in chunk metadata) -> YYYY-MM-DD."""
+    if not stamp:
+        return None
+    stamp = int(stamp)
+    return f"{stamp // 10000:04d}-{stamp // 100 % 100:02d}-{stamp % 100:02d}"
+
+
+def current_hash(rel_path):
+    """Hash of the file as index-digests would compute it, or None if unreadable."""
+    try:
+        with open(os.path.join(index_lib.WORKSPACE, rel_path), "r", encoding="utf-8") as f:
+            return index_lib.get_file_hash(f.read())
+    except (OSError, UnicodeDecodeError):
+        return None
+
+
+def list_collections(client):
+    # Collection objects before chromadb 0.6, names after
+    names = sorted(getattr(coll, "name", coll) for coll in client.list_collections())
+    return [client.get_collection(name=name) for name in names]
+
+
+def index_stats(client, top=DEFAULT_TOP) -> dict:
+    """
+    {"index": path, "collections": [{name, chunks, files, learnings, tokens}], "totals": {chunks, files, tokens},
+     "oldest"/"newest": {source, date} or None, "largest": [{source, collection, chunks, tokens}],
+     "unindexed": [sources], "outdated": [sources]}
+    Totals, oldest/newest and largest skip the legacy collection (a copy of the others).
+    """
+    collections = []
+    sources = {}  # source -> {collection, chunks, chars, date, file_hash}
+
+    for coll in list_collections(client):
+        found = coll.get(include=["documents", "metadatas"])
+        entry = {"name": coll.name, "chunks": len(found["ids"]), "files": 0, "learnings": 0, "tokens": 0}
+        files = set()
+        chars = 0
+        for document, meta in zip(found["documents"], found["metadatas"]):
+            meta = meta or {}
+            chars += len(document or "")
+            if meta.get("file_hash"):
+                files.add(meta.get("source"))
+            else:
+                entry["learnings"] += 1
+            if coll.name == LEGACY_COLLECTION or not meta.get("source"):
+                continue
+            info = sources.setdefault(meta["source"], {
+                "collection": coll.name, "chunks": 0, "chars": 0,
+                "date": meta.get("date") or meta.get("modified"), "file_hash": meta.get("file_hash"),
+            })
+            info["chunks"] += 1
+            info["chars"] += len(document or "")
+        entry["files"] = len(files)
+        entry["tokens"] = estimate_tokens(chars)
+        collections.append(entry)
+
+    counted = [c for c in collections if c["name"] != LEGACY_COLLECTION]
+    file_sources = {source for source, info in sources.items() if info["file_hash"]}
+    totals = {
+        "chunks": sum(c["chunks"] for c in counted),
+        "files": len(file_sources),
+        "tokens": estimate_tokens(sum(info["chars"] for info in sources.values())),
+    }
+
+    dated = sorted((info["date"], source) for source, info in sources.items() if info["date"])
+    oldest = {"source": dated[0][1], "date": iso_day(dated[0][0])} if dated else None
+    newest = {"source": dated[-1][1], "date": iso_day(dated[-1][0])} if dated else None
+
+    largest = sorted(sources.items(), key=lambda item: (-item[1]["chars"], item[0]))[:top]
+    on_disk = sorted(os.path.relpath(f, index_lib.WORKSPACE) for f in index_lib.gather_files())
+
+    return {
+        "index": index_lib.CHROMA_DIR,
+        "collections": collections,
+        "totals": totals,
+        "oldest": oldest,
+        "newest": newest,
+        "largest": [
+            {"source": source, "collection": info["collection"], "chunks": info["chunks"],
+             "tokens": estimate_tokens(info["chars"])}
+            for source, info in largest
+        ],
+        "unindexed": [source for source in on_disk if source not in file_sources],
+        "outdated": sorted(
+            source for source in file_sources
+            if current_hash(source) not in (None, sources[source]["file_hash"])
+        ),
+    }
+
+
+def inspect_source(client, source) -> dict:
+    """
+    {"source", "file": {exists, up_to_date}, "chunks": [{collection, id, chunk_index,
+     section, lines, tokens, text}]}; up_to_date is None when nothing of it is a file chunk.
+    """
+    chunks = []
+    indexed_hash = None
+    for coll in list_collections(client):
+        found = coll.get(where={"source": source}, include=["documents", "metadatas"])
+        for doc_id, document, meta in zip(found["ids"], found["documents"], found["metadatas"]):
+            meta = meta or {}
+            indexed_hash = indexed_hash or meta.get("file_hash")
+            chunks.append({
+                "collection": coll.name,
+                "id": doc_id,
+                "chunk_index": meta.get("chunk_index"),
+                "section": meta.get("section"),
+                "lines": [meta["line_start"], meta["line_end"]] if meta.get("line_start") else None,
+                "tokens": estimate_tokens(len(document or "")),
+                "text": document,
+            })
+    chunks.sort(key=lambda c: (c["collection"], c["chunk_index"] if c["chunk_index"] is not None else -1, c["id"]))
+
+    exists = os.path.isfile(os.path.join(index_lib.WORKSPACE, source))
+    up_to_date = None
+    if indexed_hash and exists:
+        up_to_date = current_hash(source) == indexed_hash
+    return {"source": source, "file": {"exists": exists, "up_to_date": up_to_date}, "chunks": chunks}
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Index statistics as JSON")
+    parser.add_argument("--top", type=int, default=DEFAULT_TOP, help="How many of the largest files to list")
+    parser.add_argument("--inspect", metavar="SOURCE", help="List every chunk of this source instead")
+    args = parser.parse_args()
+
+    if not os.path.exists(index_lib.CHROMA_DIR):
+        print(f"❌ No index at {index_lib.CHROMA_DIR}. Run: index-digests", file=sys.stderr)
+        sys.exit(1)
+    client = chromadb.PersistentClient(path=index_lib.CHROMA_DIR)
+
+    result = inspect_source(client, args.inspect) if args.inspect else index_stats(client, max(args.top, 0))
+    print(json.dumps(result, indent=2))
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,212 @@
+#!/usr/bin/env python3
+"""
+Persistent recall worker: loads the embedding model and ChromaDB once, then
+answers JSON-lines requests on stdin. Managed from Node by src/worker.js.
+
+Protocol (one JSON object per line):
+  → {"id": 1, "method": "recall", "params": {"query": "...", "limit": 5}}
+  ← {"id": 1, "ok": true, "result": [...]}
+  ← {"id": 1, "ok": false, "error": {"code": "NO_COLLECTIONS", "message": "..."}}
+
+On startup the worker prints {"event": "ready", ...} once the model is loaded.
+Methods: ping, recall, write_learning, index_files, shutdown
+"""
+
+import os
+import sys
+import json
+import time
+import importlib.util
+
+sys.path.insert(0, os.path.dirname(os.path.realpath(__file__)))
+
+# Everything the libraries print goes to stderr; stdout carries the protocol only
+PROTOCOL_OUT = sys.stdout
+sys.stdout = sys.stderr
+
+import recall as recall_lib  # exits with "Missing dependency" if the venv is broken
+
+
+def load_script(name, filename):
+    """Import a sibling script whose filename isn't a valid module name."""
+    path = os.path.join(os.path.dirname(os.path.realpath(__file__)), filename)
+    spec = importlib.util.spec_from_file_location(name, path)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+privacy_lib = load_script("privacy_check", "privacy-check.py")
+learning_lib = load_script("write_learning", "write-learning.py")
+index_lib = load_script("index_digests", "index-digests.py")
+
+
+class Worker:
+    def __init__(self):
+        self.started = time.time()
+        # Fixed for the worker's lifetime: a changed embeddingModel takes a restart
+        self.model_name = recall_lib.recall_config.embedding_model()
+        self.model = recall_lib.load_model(self.model_name)
+        self.reranker = None
+        self.client = None
+        self.db_mtime = None
+
+    def get_client(self, create=False):
+        """Open ChromaDB, reopening when another process has written to it."""
+        if create:
+            os.makedirs(recall_lib.CHROMA_DIR, exist_ok=True)
+
+        sqlite_file = os.path.join(recall_lib.CHROMA_DIR, "chroma.sqlite3")
+        mtime = os.path.getmtime(sqlite_file) if os.path.exists(sqlite_file) else None
+
+        if self.client is not None and mtime != self.db_mtime:
+            clear_cache = getattr(self.client, "clear_system_cache", None)
+            if clear_cache:
+                clear_cache()
+            self.client = None
+
+        if self.client is None:
+            self.client = recall_lib.open_client()
+            self.db_mtime = mtime
+        return self.client
+
+    def get_reranker(self):
+        """The cross-encoder, loaded on the first reranked query."""
+        if self.reranker is None:
+            self.reranker = recall_lib.load_reranker()
+        return self.reranker
+
+    def ping(self, params):
+        return {
+            "pid": os.getpid(),
+            "uptime": round(time.time() - self.started, 1),
+            "chroma_db": recall_lib.CHROMA_DIR,
+            "embedding_model": self.model_name,
+        }
+
+    def recall(self, params):
+        query = params.get("query")
+        if not isinstance(query, str) or not query.strip():
+            raise recall_lib.RecallError("INVALID_ARGUMENT", "query must be a non-empty string")
+
+        min_score = params.get("min_score")
+        keyword_weight = params.get("keyword_weight")
+        rerank_candidates = params.get("rerank_candidates")
+        results, _ = recall_lib.search(
+            self.model,
+            self.get_client(),
+            query,
+            limit=int(params.get("limit") or 5),
+            public_only=bool(params.get("public_only")),
+            collections=params.get("collections") or params.get("collection"),
+            min_score=float(min_score) if min_score is not None else None,
+            mode=params.get("mode") or "hybrid",
+            keyword_weight=float(keyword_weight) if keyword_weight is not None else recall_lib.DEFAULT_KEYWORD_WEIGHT,
+            filters={key: params.get(key) for key in recall_lib.FILTER_KEYS},
+            reranker=self.get_reranker() if params.get("rerank") else None,
+            rerank_candidates=int(rerank_candidates) if rerank_candidates is not None else None,
+            model_name=self.model_name,
+        )
+        return results
+
+    def write_learning(self, params):
+        """
+        Privacy-check a learning, then index it (or quarantine it for review).
+        privacy: "reject" (default) or "quarantine" decides what happens to
+        content that looks private. Nothing flagged is ever indexed.
+        """
+        fields = {}
+        for key in ("title", "content", "agent", "category"):
+            value = params.get(key)
+            if not isinstance(value, str) or not value.strip():
+                raise recall_lib.RecallError("INVALID_ARGUMENT", f"{key} must be a non-empty string")
+            fields[key] = value.strip()
+
+        if fields["category"] not in learning_lib.CATEGORIES:
+            raise recall_lib.RecallError("INVALID_ARGUMENT", f"category must be one of: {', '.join(learning_lib.CATEGORIES)}")
+        if len(fields["title"]) > learning_lib.MAX_TITLE_LENGTH:
+            raise recall_lib.RecallError("INVALID_ARGUMENT", f"title too long (max {learning_lib.MAX_TITLE_LENGTH} chars)")
+        if len(fields["content"]) > learning_lib.MAX_CONTENT_LENGTH:
+            raise recall_lib.RecallError("INVALID_ARGUMENT", f"content too long (max {learning_lib.MAX_CONTENT_LENGTH} chars)")
+
+        violations = privacy_lib.check_text(f"{fields['title']}\n{fields['content']}")
+        if violations:
+            if params.get("privacy") == "quarantine":
+                path = learning_lib.quarantine_learning(**fields, violations=violations)
+                return {"status": "quarantined", "violations": violations, "path": path}
+            return {"status": "rejected", "violations": violations}
+
+        learning_lib.append_to_learnings_file(**fields)
+        doc_id = learning_lib.index_learning(self.get_client(create=True), self.model, **fields, model_name=self.model_name)
+        return {"status": "accepted", "id": doc_id, "collection": learning_lib.COLLECTION_LEARNINGS}
+
+
+    def index_files(self, params):
+        """
+        Re-index changed files and drop deleted ones (see index-digests.py).
+        paths: workspace-relative files, or null for the whole memory layout;
+        prune: also remove chunks of files that no longer exist.
+        """
+        paths = params.get("paths")
+        if paths is not None:
+            if not isinstance(paths, list) or not all(isinstance(p, str) and p for p in paths):
+                raise recall_lib.RecallError("INVALID_ARGUMENT", "paths must be a list of strings")
+            if any(os.path.isabs(p) or os.path.normpath(p).split(os.sep)[0] == ".." for p in paths):
+                raise recall_lib.RecallError("INVALID_ARGUMENT", "paths must be inside the workspace")
+
+        return index_lib.index_files(
+            self.get_client(create=True), self.model, paths,
+            prune=bool(params.get("prune")), log=lambda line: None, model_name=self.model_name,
+        )
+
+
+def send(message):
+    PROTOCOL_OUT.write(json.dumps(message) + "\n")
+    PROTOCOL_OUT.flush()
+
+
+def main():
+    worker = Worker()
+    send({"event": "ready", "pid": os.getpid()})
+
+    methods = {
+        "ping": worker.ping,
+        "recall": worker.recall,
+        "write_learning": worker.write_learning,
+        "index_files": worker.index_files,
+    }
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        try:
+            request = json.loads(line)
+        except ValueError:
+            send({"id": None, "ok": False, "error": {"code": "BAD_REQUEST", "message": "Invalid JSON"}})
+            continue
+
+        req_id = request.get("id")
+        method = request.get("method")
+
+        if method == "shutdown":
+            send({"id": req_id, "ok": True, "result": None})
+            break
+
+        handler = methods.get(method)
+        if not handler:
+            send({"id": req_id, "ok": False, "error": {"code": "BAD_REQUEST", "message": f"Unknown method: {method}"}})
+            continue
+
+        try:
+            send({"id": req_id, "ok": True, "result": handler(request.get("params") or {})})
+        except recall_lib.RecallError as e:
+            send({"id": req_id, "ok": False, "error": {"code": e.code, "message": e.message}})
+        except Exception as e:
+            # Library errors may carry a code too (recall_config.ModelMismatchError)
+            send({"id": req_id, "ok": False, "error": {"code": getattr(e, "code", "RECALL_FAILED"), "message": str(e)}})
+
+
+if __name__ == "__main__":
+    main()
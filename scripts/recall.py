@@ -1,23 +1,48 @@
 #!/usr/bin/env python3
 """
 RAG recall: Search agent memory for relevant context.
-Usage: recall "query" [--limit N] [--json] [--verbose] [--collection NAME]
+Usage: recall "query" [--limit N] [--json] [--verbose] [--collection NAME ...] [--min-score X]
+                      [--mode hybrid|semantic|keyword] [--keyword-weight W]
+                      [--since DATE] [--until DATE] [--path GLOB ...] [--tag TAG ...]
+                      [--exclude-source GLOB ...] [--rerank [--rerank-candidates N]]
 
 v0.3.0: Multi-collection support
 - private_memories: main agent only (default for main agent)
 - shared_memories: accessible to sandboxed agents
 - agent_learnings: insights from agent interactions
 - all: search all collections (main agent only)
+
+Hybrid search (default): semantic similarity fused with BM25 keyword matches
+(bm25.py), so exact identifiers like ticket IDs and hostnames are found too.
+
+Ranking: scores are then adjusted for note age (half-life decay) and source
+boosts from the "ranking" section of ~/.jasper-recall/config.json; each result
+reports the factors in "score_details".
+
+Reranking (--rerank): a wider candidate set is rescored by a cross-encoder,
+which reads the query and each chunk together and judges relevance better
+than embedding similarity. Its score ("rerank_score") becomes the base score.
 """
 
 import os
+import re
 import sys
 import argparse
 import json
+from datetime import date, datetime, timedelta
+from fnmatch import fnmatchcase
+
+# Helper modules live next to this script, or where setup installs them
+for lib_dir in [os.path.dirname(os.path.realpath(__file__)),
+                os.path.expanduser("~/.local/share/jasper-recall/scripts")]:
+    if lib_dir not in sys.path:
+        sys.path.append(lib_dir)
 
-# Support custom paths via environment
-CHROMA_DIR = os.environ.get("RECALL_CHROMA_DB", os.path.expanduser("~/.openclaw/chroma-db"))
-VENV_PATH = os.environ.get("RECALL_VENV", os.path.expanduser("~/.openclaw/rag-env"))
+import recall_config
+
+# Paths from the config, environment first (see recall_config.py)
+CHROMA_DIR = recall_config.setting("chromaDb")
+VENV_PATH = recall_config.setting("venv")
 
 # Collection names
 COLLECTIONS = {
@@ -26,6 +51,9 @@ COLLECTIONS = {
     "learnings": "agent_learnings",
     "legacy": "jasper_memory",
 }
+COLLECTION_CHOICES = ["private", "shared", "learnings", "all", "legacy"]
+# Sandboxed agents' session digests (see cli/agents.js)
+AGENT_COLLECTION_RE = re.compile(r"^agent_[a-z0-9][a-z0-9_-]*$")
 
 # Activate the venv
 sys.path.insert(0, os.path.join(VENV_PATH, "lib/python3.12/site-packages"))
@@ -36,19 +64,143 @@ for pyver in ["python3.11", "python3.10"]:
 
 try:
     import chromadb
-    from sentence_transformers import SentenceTransformer
+    from sentence_transformers import CrossEncoder, SentenceTransformer
 except ImportError as e:
     print(f"❌ Missing dependency: {e}", file=sys.stderr)
     print("Run 'npx jasper-recall setup' to install dependencies.", file=sys.stderr)
     sys.exit(1)
 
+import bm25
+
+MODES = ["hybrid", "semantic", "keyword"]
+DEFAULT_KEYWORD_WEIGHT = 0.3
+
+# Filter arguments accepted by search() (and the worker's recall params)
+FILTER_KEYS = ["since", "until", "paths", "tags", "exclude_sources"]
+
+# Notes tagged like this never decay, like the "pinned" globs
+EVERGREEN_TAGS = {"evergreen", "pinned"}
+
+
+class RecallError(Exception):
+    """Search failure with a stable code (shared with the Node client)."""
+
+    def __init__(self, code, message):
+        super().__init__(message)
+        self.code = code
+        self.message = message
+
+
+def load_model(name=None):
+    """Load the embedding model (default: embeddingModel from the config)."""
+    return SentenceTransformer(name or recall_config.embedding_model())
+
+
+def load_reranker(name=None):
+    """
+    Load the cross-encoder for --rerank (setup caches it), or None if it
+    can't be loaded: the first-stage ranking stands.
+    """
+    name = name or recall_config.rerank_settings()["model"]
+    try:
+        return CrossEncoder(name)
+    except Exception as e:
+        print(f"⚠ Rerank model {name} not available ({e}); results are not reranked", file=sys.stderr)
+        return None
+
+
+def open_client():
+    """Open the ChromaDB client, failing if nothing has been indexed yet."""
+    if not os.path.exists(CHROMA_DIR):
+        raise RecallError("INDEX_MISSING", "No index found. Run 'index-digests' first.")
+    return chromadb.PersistentClient(path=CHROMA_DIR)
+
+
+def parse_date(value):
+    """
+    A --since/--until value as YYYYMMDD (how index-digests stores note dates).
+    Accepts 2026-02-05, today, yesterday, or a number of days/weeks ago: 7d, 2w.
+    """
+    text = str(value).strip().lower()
+    today = date.today()
+    if text == "today":
+        day = today
+    elif text == "yesterday":
+        day = today - timedelta(days=1)
+    elif text[:-1].isdigit() and text[-1:] in ("d", "w"):
+        day = today - timedelta(days=int(text[:-1]) * (7 if text[-1] == "w" else 1))
+    else:
+        try:
+            day = datetime.strptime(text, "%Y-%m-%d").date()
+        except ValueError:
+            raise RecallError("INVALID_ARGUMENT",
+                              f"invalid date {value!r} (use YYYY-MM-DD, today, yesterday, 7d or 2w)")
+    return day.year * 10000 + day.month * 100 + day.day
+
+
+def as_list(value):
+    if value is None:
+        return []
+    return [value] if isinstance(value, str) else list(value)
+
 
-def search_collection(collection, query_embedding, limit):
-    """Search a single collection and return results."""
+def build_filter(since=None, until=None, paths=None, tags=None, exclude_sources=None):
+    """
+    Turn filter arguments into a predicate on chunk metadata (None: no filtering).
+    paths and exclude_sources are globs on the source path; every tag must be
+    present; notes without a date never match a date range.
+    """
+    paths, excludes = as_list(paths), as_list(exclude_sources)
+    tags = [tag.strip().strip("[]").lower() for tag in as_list(tags)]
+    since = parse_date(since) if since else None
+    until = parse_date(until) if until else None
+    if not (paths or excludes or tags or since or until):
+        return None
+    
+    def matches(meta):
+        source = meta.get("source", "")
+        if paths and not any(fnmatchcase(source, pattern) for pattern in paths):
+            return False
+        if any(fnmatchcase(source, pattern) for pattern in excludes):
+            return False
+        if since or until:
+            note_date = meta.get("date")
+            if note_date is None or (since and note_date < since) or (until and note_date > until):
+                return False
+        if tags:
+            have = set((meta.get("tags") or "").split(","))
+            if not all(tag in have for tag in tags):
+                return False
+        return True
+    
+    return matches
+
+
+def filter_collections(collections_to_query, matches):
+    """
+    Chunks that pass the filter in each collection: {coll_key: {id: source}}.
+    Collections with no matching chunks are left out.
+    """
+    allowed = {}
+    for coll_key, coll in collections_to_query.items():
+        found = coll.get(include=["metadatas"])
+        chunks = {
+            doc_id: (meta or {}).get("source")
+            for doc_id, meta in zip(found["ids"], found["metadatas"])
+            if matches(meta or {})
+        }
+        if chunks:
+            allowed[coll_key] = chunks
+    return allowed
+
+
+def search_collection(collection, query_embedding, limit, sources=None):
+    """Search a single collection and return results (optionally only chunks from `sources`)."""
     try:
         results = collection.query(
             query_embeddings=[query_embedding],
             n_results=limit,
+            where={"source": {"$in": sorted(sources)}} if sources else None,
             include=["documents", "metadatas", "distances"]
         )
         return results
@@ -56,7 +208,7 @@ def search_collection(collection, query_embedding, limit):
         return None
 
 
-def merge_results(all_results, limit):
+def merge_results(all_results, limit=None):
     """Merge and sort results from multiple collections by similarity."""
     merged = []
     
@@ -64,13 +216,15 @@ def merge_results(all_results, limit):
         if not results or not results['documents'][0]:
             continue
         
-        for doc, meta, dist in zip(
+        for doc_id, doc, meta, dist in zip(
+            results['ids'][0],
             results['documents'][0],
             results['metadatas'][0],
             results['distances'][0]
         ):
             merged.append({
                 "collection": coll_name,
+                "id": doc_id,
                 "document": doc,
                 "metadata": meta,
                 "distance": dist,
@@ -83,46 +237,91 @@ def merge_results(all_results, limit):
     return merged[:limit]
 
 
-def main():
-    parser = argparse.ArgumentParser(description="Search agent memory")
-    parser.add_argument("query", help="Search query")
-    parser.add_argument("-n", "--limit", type=int, default=5, help="Number of results (default: 5)")
-    parser.add_argument("--json", action="store_true", help="Output as JSON")
-    parser.add_argument("-v", "--verbose", action="store_true", help="Show similarity scores")
-    parser.add_argument("--public-only", action="store_true", 
-                        help="Only search shared content (for sandboxed agents)")
-    parser.add_argument("-c", "--collection", choices=["private", "shared", "learnings", "all", "legacy"],
-                        default=None, help="Specific collection to search (default: all for main, shared for --public-only)")
-    args = parser.parse_args()
-    
-    if not os.path.exists(CHROMA_DIR):
-        print("❌ No index found. Run 'index-digests' first.", file=sys.stderr)
-        sys.exit(1)
+def squared_l2(a, b):
+    """ChromaDB's default distance, so keyword-only hits get a comparable similarity."""
+    return sum((x - y) ** 2 for x, y in zip(a, b))
+
+
+def keyword_results(collections_to_query, query, query_embedding, limit, allowed=None):
+    """BM25 matches from each collection, best first (optionally only `allowed` ids)."""
+    merged = []
+    for coll_key, coll in collections_to_query.items():
+        ids = allowed.get(coll_key) if allowed is not None else None
+        hits = bm25.load_index(CHROMA_DIR, coll).search(query, limit, ids=ids)
+        if not hits:
+            continue
+        found = coll.get(ids=[doc_id for doc_id, _ in hits], include=["documents", "metadatas", "embeddings"])
+        by_id = {
+            doc_id: (doc, meta, emb)
+            for doc_id, doc, meta, emb in zip(found["ids"], found["documents"], found["metadatas"], found["embeddings"])
+        }
+        for doc_id, score in hits:
+            if doc_id not in by_id:
+                continue
+            doc, meta, emb = by_id[doc_id]
+            merged.append({
+                "collection": coll_key,
+                "id": doc_id,
+                "document": doc,
+                "metadata": meta,
+                "similarity": 1 - squared_l2(query_embedding, emb),
+                "bm25": score
+            })
     
-    # Load model and database
-    model = SentenceTransformer('all-MiniLM-L6-v2')
-    client = chromadb.PersistentClient(path=CHROMA_DIR)
+    merged.sort(key=lambda x: x['bm25'], reverse=True)
+    return merged
+
+
+def rerank_results(reranker, query, items):
+    """
+    Rescore items with the cross-encoder. Its relevance (0-1) replaces the
+    first-stage score, so recency and boosts still apply on top of it.
+    """
+    if not items:
+        return items
+    scores = reranker.predict([(query, item["document"]) for item in items])
+    for item, score in zip(items, scores):
+        item["rerank_score"] = float(score)
+        item["score"] = float(score)
+    return items
+
+
+def collection_arg(value):
+    """--collection: a key of COLLECTION_CHOICES or an agent_<name> collection."""
+    if value in COLLECTION_CHOICES or AGENT_COLLECTION_RE.match(value):
+        return value
+    raise argparse.ArgumentTypeError(
+        f"invalid choice: '{value}' (choose from {', '.join(COLLECTION_CHOICES)}, agent_<name>)")
+
+
+def resolve_collections(public_only=False, collections=None):
+    """
+    Determine which collection keys a query may search.
+    collections: a key, a list of keys, or None for the default set.
+    """
+    if isinstance(collections, str):
+        collections = [collections]
+    requested = []
+    for key in collections or []:
+        for expanded in (["private", "shared", "learnings"] if key == "all" else [key]):
+            if expanded not in requested:
+                requested.append(expanded)
     
-    # Determine which collections to search
-    if args.public_only:
+    if public_only:
         # Sandboxed agents: only shared + learnings (public content)
-        if args.collection:
-            if args.collection not in ["shared", "learnings"]:
-                print(f"❌ --public-only restricts to 'shared' or 'learnings' collections", file=sys.stderr)
-                sys.exit(1)
-            search_collections = [args.collection]
-        else:
-            search_collections = ["shared", "learnings"]
-    elif args.collection:
-        if args.collection == "all":
-            search_collections = ["private", "shared", "learnings"]
-        else:
-            search_collections = [args.collection]
-    else:
-        # Default for main agent: search all collections
-        search_collections = ["private", "shared", "learnings"]
-    
-    # Get collections
+        if requested:
+            if any(key not in ["shared", "learnings"] for key in requested):
+                raise RecallError("INVALID_ARGUMENT", "--public-only restricts to 'shared' or 'learnings' collections")
+            return requested
+        return ["shared", "learnings"]
+    if requested:
+        return requested
+    # Default for main agent: search all collections
+    return ["private", "shared", "learnings"]
+
+
+def open_collections(client, search_collections):
+    """Get the collections that exist, falling back to the legacy one."""
     collections_to_query = {}
     for coll_key in search_collections:
         coll_name = COLLECTIONS.get(coll_key, coll_key)
@@ -137,23 +336,230 @@ def main():
         try:
             collections_to_query["legacy"] = client.get_collection("jasper_memory")
         except Exception:
-            print("❌ No collections found. Run 'index-digests' first.", file=sys.stderr)
-            sys.exit(1)
+            raise RecallError("NO_COLLECTIONS", "No collections found. Run 'index-digests' first.")
+    
+    return collections_to_query
+
+
+def note_age(meta, today):
+    """Days since the note's date (from its filename, else its mtime), or None."""
+    stamp = meta.get("date") or meta.get("modified")
+    if not stamp:
+        return None
+    try:
+        day = date(stamp // 10000, stamp // 100 % 100, stamp % 100)
+    except (TypeError, ValueError):
+        return None
+    return max((today - day).days, 0)
+
+
+def apply_ranking(items, ranking, today=None):
+    """
+    Adjust each item's score for recency and source, then re-sort.
+    score = base * boost * recency, where recency = (1 - w) + w * 0.5 ** (age / half_life)
+    so a note never loses more than recencyWeight of its score to age. Pinned
+    sources and [evergreen]/[pinned] notes don't decay; the first matching
+    boost glob applies. The factors are kept in "score_details".
+    """
+    today = today or date.today()
+    half_life = ranking["halfLifeDays"]
+    weight = ranking["recencyWeight"]
+    
+    for item in items:
+        meta = item["metadata"] or {}
+        source = meta.get("source", "")
+        tags = set((meta.get("tags") or "").split(","))
+        
+        base = max(item["score"], 0.0)
+        boost = next((factor for pattern, factor in ranking["boosts"].items() if fnmatchcase(source, pattern)), 1)
+        pinned = bool(tags & EVERGREEN_TAGS) or any(fnmatchcase(source, pattern) for pattern in ranking["pinned"])
+        age = note_age(meta, today)
+        recency = 1.0
+        if half_life > 0 and age is not None and not pinned:
+            recency = (1 - weight) + weight * 0.5 ** (age / half_life)
+        
+        item["score"] = base * boost * recency
+        item["score_details"] = {
+            "base": round(base, 4),
+            "boost": boost,
+            "age_days": age,
+            "recency": round(recency, 3),
+            "pinned": pinned,
+        }
+    
+    items.sort(key=lambda x: x["score"], reverse=True)
+    return items
+
+
+def source_lines(meta):
+    """[first, last] line of a chunk in its source file, or None (learnings, older indexes)."""
+    if not meta.get("line_start"):
+        return None
+    return [meta["line_start"], meta.get("line_end", meta["line_start"])]
+
+
+def format_results(merged):
+    """Shape merged results the way --json prints them."""
+    return [
+        {
+            "rank": i + 1,
+            "collection": item["collection"],
+            "source": item["metadata"].get("source", "unknown"),
+            "similarity": round(item["similarity"], 3),
+            "score": round(item["score"], 4),
+            "score_details": item.get("score_details"),
+            "rerank_score": round(item["rerank_score"], 4) if "rerank_score" in item else None,
+            "lines": source_lines(item["metadata"]),
+            "content": item["document"]
+        }
+        for i, item in enumerate(merged)
+    ]
+
+
+def search(model, client, query, limit=5, public_only=False, collections=None, min_score=None,
+           mode="hybrid", keyword_weight=DEFAULT_KEYWORD_WEIGHT, filters=None, ranking=None,
+           reranker=None, rerank_candidates=None, model_name=None):
+    """
+    Run a query end to end.
+    mode: "semantic" (embeddings), "keyword" (BM25) or "hybrid" (both, fused
+    by reciprocal rank with keyword_weight given to the keyword ranking).
+    filters: build_filter() arguments (since, until, paths, tags, exclude_sources).
+    ranking: recency/boost settings (default: the config file's "ranking" section).
+    reranker: a load_reranker() model; the top rerank_candidates results
+    (default: the config's rerankCandidates) are rescored before ranking.
+    model_name: what model is (default: the configured embeddingModel); a
+    collection indexed with another model is a MODEL_MISMATCH error.
+    Returns (results, searched) where results matches the --json output.
+    """
+    if mode not in MODES:
+        raise RecallError("INVALID_ARGUMENT", f"mode must be one of: {', '.join(MODES)}")
+    if not 0 <= keyword_weight <= 1:
+        raise RecallError("INVALID_ARGUMENT", "keyword weight must be between 0 and 1")
+    if rerank_candidates is not None and rerank_candidates < 1:
+        raise RecallError("INVALID_ARGUMENT", "rerank candidates must be at least 1")
+    
+    # The reranker picks from a wider pool than we return
+    candidates = limit * 2
+    if reranker is not None:
+        candidates = max(rerank_candidates or recall_config.rerank_settings()["candidates"], limit)
+    
+    matches = build_filter(**(filters or {}))
+    search_collections = resolve_collections(public_only, collections)
+    collections_to_query = open_collections(client, search_collections)
+    for coll in collections_to_query.values():
+        try:
+            recall_config.check_model(coll, model_name or recall_config.embedding_model())
+        except recall_config.ModelMismatchError as e:
+            raise RecallError(e.code, str(e))
+    
+    # Narrow each collection to the chunks that pass the filters up front, so
+    # older or off-topic notes can't crowd the matching ones out of the top results
+    allowed = None
+    if matches:
+        allowed = filter_collections(collections_to_query, matches)
+        collections_to_query = {key: coll for key, coll in collections_to_query.items() if key in allowed}
+        if not collections_to_query:
+            return [], search_collections
+    
+    # Embed query (keyword hits get a similarity too, so --min-score works in every mode)
+    query_embedding = model.encode([query])[0].tolist()
     
-    # Embed query
-    query_embedding = model.encode([args.query])[0].tolist()
+    semantic = []
+    if mode != "keyword":
+        # Search each collection
+        all_results = {}
+        for coll_key, coll in collections_to_query.items():
+            sources = set(allowed[coll_key].values()) if allowed is not None else None
+            results = search_collection(coll, query_embedding, max(limit * 2, candidates), sources)
+            if results:
+                all_results[coll_key] = results
+        semantic = [dict(item, score=item["similarity"]) for item in merge_results(all_results)]
     
-    # Search each collection
-    all_results = {}
-    for coll_key, collection in collections_to_query.items():
-        results = search_collection(collection, query_embedding, args.limit * 2)
-        if results:
-            all_results[coll_key] = results
+    keyword = []
+    if mode != "semantic":
+        keyword = [dict(item, score=item["bm25"]) for item in keyword_results(collections_to_query, query, query_embedding, max(limit * 2, candidates), allowed)]
+    
+    if mode == "hybrid":
+        ranked = bm25.fuse_rankings(semantic, keyword, keyword_weight)
+    else:
+        ranked = semantic if mode == "semantic" else keyword
+    
+    if reranker is not None:
+        ranked = rerank_results(reranker, query, ranked[:candidates])
+    
+    # Recency and boosts, then limit results
+    apply_ranking(ranked, ranking or recall_config.ranking_settings())
+    merged = ranked[:limit]
+    if min_score is not None:
+        merged = [item for item in merged if item["similarity"] >= min_score]
+    return format_results(merged), search_collections
+
+
+def explain_score(item):
+    """One line on why a result ranked where it did (for --verbose)."""
+    details = item["score_details"]
+    parts = [f"score {item['score']:.4f} = {details['base']:.4f}"]
+    if item.get("rerank_score") is not None:
+        parts[0] += " (reranked)"
+    if details["boost"] != 1:
+        parts.append(f"boost ×{details['boost']}")
+    if details["pinned"]:
+        parts.append("pinned")
+    elif details["age_days"] is not None:
+        parts.append(f"{details['age_days']}d old ×{details['recency']}")
+    return "    " + " · ".join(parts)
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Search agent memory")
+    parser.add_argument("query", help="Search query")
+    parser.add_argument("-n", "--limit", type=int, default=5, help="Number of results (default: 5)")
+    parser.add_argument("--json", action="store_true", help="Output as JSON")
+    parser.add_argument("-v", "--verbose", action="store_true", help="Show similarity scores")
+    parser.add_argument("--public-only", action="store_true", 
+                        help="Only search shared content (for sandboxed agents)")
+    parser.add_argument("-c", "--collection", type=collection_arg,
+                        action="append", default=None,
+                        help="Collection to search, repeatable (default: all for main, shared for --public-only)")
+    parser.add_argument("--min-score", type=float, default=None,
+                        help="Drop results below this similarity (0-1)")
+    parser.add_argument("--mode", choices=MODES, default="hybrid",
+                        help="semantic, keyword (BM25) or hybrid (default: hybrid)")
+    parser.add_argument("--keyword-weight", type=float, default=DEFAULT_KEYWORD_WEIGHT,
+                        help=f"Weight of keyword matches in hybrid mode, 0-1 (default: {DEFAULT_KEYWORD_WEIGHT})")
+    parser.add_argument("--since", metavar="DATE",
+                        help="Only notes dated on/after DATE (YYYY-MM-DD, today, yesterday, 7d, 2w)")
+    parser.add_argument("--until", metavar="DATE", help="Only notes dated on/before DATE")
+    parser.add_argument("--path", metavar="GLOB", action="append", dest="paths",
+                        help="Only sources matching GLOB, e.g. 'memory/session-digests/*' (repeatable)")
+    parser.add_argument("--tag", metavar="TAG", action="append", dest="tags",
+                        help="Only notes tagged [TAG], e.g. public (repeatable, all must match)")
+    parser.add_argument("--exclude-source", metavar="GLOB", action="append", dest="exclude_sources",
+                        help="Skip sources matching GLOB (repeatable)")
+    parser.add_argument("--rerank", action="store_true",
+                        help="Rescore the top candidates with a cross-encoder (slower, more precise)")
+    parser.add_argument("--rerank-candidates", type=int, default=None, metavar="N",
+                        help="How many candidates --rerank rescores (default: rerankCandidates in config, 20)")
+    args = parser.parse_args()
     
-    # Merge and limit results
-    merged = merge_results(all_results, args.limit)
+    try:
+        client = open_client()
+        # Load model and search
+        model = load_model()
+        results, search_collections = search(
+            model, client, args.query, args.limit,
+            public_only=args.public_only, collections=args.collection,
+            min_score=args.min_score, mode=args.mode,
+            keyword_weight=args.keyword_weight,
+            filters={key: getattr(args, key) for key in FILTER_KEYS},
+            reranker=load_reranker() if args.rerank else None,
+            rerank_candidates=args.rerank_candidates
+        )
+    except RecallError as e:
+        print(f"❌ {e.message}", file=sys.stderr)
+        sys.exit(1)
     
-    if not merged:
+    if not results:
         if args.json:
             print("[]")
         else:
@@ -161,29 +567,21 @@ def main():
         return
     
     if args.json:
-        output = []
-        for i, item in enumerate(merged):
-            output.append({
-                "rank": i + 1,
-                "collection": item["collection"],
-                "source": item["metadata"].get("source", "unknown"),
-                "similarity": round(item["similarity"], 3),
-                "content": item["document"]
-            })
-        print(json.dumps(output, indent=2))
+        print(json.dumps(results, indent=2))
     else:
         searched = ", ".join(search_collections)
         print(f"🔍 Results for: \"{args.query}\" (searched: {searched})\n")
         
-        for i, item in enumerate(merged):
-            similarity = item["similarity"]
-            score_str = f" ({similarity:.1%})" if args.verbose else ""
-            source = item["metadata"].get("source", "unknown")
+        for item in results:
+            score_str = f" ({item['similarity']:.1%})" if args.verbose else ""
             coll_tag = f"[{item['collection']}] " if len(search_collections) > 1 else ""
             
-            print(f"━━━ [{i+1}] {coll_tag}{source}{score_str} ━━━")
+            lines = f":{item['lines'][0]}-{item['lines'][1]}" if item["lines"] else ""
+            print(f"━━━ [{item['rank']}] {coll_tag}{item['source']}{lines}{score_str} ━━━")
+            if args.verbose:
+                print(explain_score(item))
             # Truncate long content
-            content = item["document"]
+            content = item["content"]
             content = content[:500] + "..." if len(content) > 500 else content
             print(content)
             print()
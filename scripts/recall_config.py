@@ -0,0 +1,245 @@
+"""
+Read the jasper-recall config from the Python scripts.
+
+The Node CLI owns the files (cli/config.js); the scripts only need a few
+settings from them, resolved the same way: RECALL_* environment variables,
+then the nearest .jasper-recall.json in the current directory or a parent,
+then ~/.jasper-recall/config.json. Defaults here must match DEFAULTS in
+cli/config.js.
+
+Shell scripts can resolve a setting with: python3 recall_config.py workspace
+
+Also checks the embedding model recorded in each collection's metadata, so
+vectors from different models never end up compared with each other.
+"""
+
+import json
+import os
+import sys
+
+CONFIG_DIR = os.path.expanduser("~/.jasper-recall")
+CONFIG_FILE = os.path.join(CONFIG_DIR, "config.json")
+PROJECT_FILE = ".jasper-recall.json"
+
+# Path settings: environment variable and default
+PATH_SETTINGS = {
+    "workspace": ("RECALL_WORKSPACE", "~/.openclaw/workspace"),
+    "chromaDb": ("RECALL_CHROMA_DB", "~/.openclaw/chroma-db"),
+    "venv": ("RECALL_VENV", "~/.openclaw/rag-env"),
+    "sessionsDir": ("RECALL_SESSIONS_DIR", "~/.openclaw/agents/main/sessions"),
+    "jsIndex": ("RECALL_JS_INDEX", "~/.openclaw/recall-index"),
+}
+
+# How recall blends similarity with age and source (see cli/config.js)
+DEFAULT_RANKING = {
+    "halfLifeDays": 90,
+    "recencyWeight": 0.3,
+    "boosts": {
+        "*decision*": 1.3,
+        "*learnings*": 1.2,
+        "memory/session-digests/*": 0.8,
+    },
+    "pinned": ["*MEMORY.md", "memory/sops/*", "memory/repos/*"],
+}
+
+# Sentence-transformers model for chunks and queries (RECALL_EMBEDDING_MODEL overrides the config)
+DEFAULT_EMBEDDING_MODEL = "all-MiniLM-L6-v2"
+
+# Collection metadata recording which model made its vectors; collections
+# indexed before it was recorded were made with the default model
+MODEL_KEY = "embedding_model"
+DIMENSIONS_KEY = "embedding_dimensions"
+
+# Cross-encoder for --rerank, and how many first-stage results it rescores
+DEFAULT_RERANK_MODEL = "cross-encoder/ms-marco-MiniLM-L-6-v2"
+DEFAULT_RERANK_CANDIDATES = 20
+
+# Copies taken before index-digests, gc and summarize-old (see recall_snapshot.py)
+DEFAULT_SNAPSHOTS = {
+    "enabled": True,
+    "dir": os.path.join(CONFIG_DIR, "snapshots"),
+    "keep": 10,
+    "maxAgeDays": 30,
+    "includeFiles": True,
+}
+
+
+class ModelMismatchError(Exception):
+    """A collection holds vectors from another model than the configured one."""
+    code = "MODEL_MISMATCH"
+
+
+def read_config_file(path):
+    """A config file as a dict ({} if missing or unreadable)."""
+    try:
+        with open(path, "r", encoding="utf-8") as f:
+            config = json.load(f)
+        return config if isinstance(config, dict) else {}
+    except FileNotFoundError:
+        return {}
+    except (OSError, ValueError) as e:
+        print(f"⚠ Could not load config from {path}: {e}", file=sys.stderr)
+        return {}
+
+
+def find_project_file(start=None):
+    """The nearest .jasper-recall.json in start (default: cwd) or a parent, or None."""
+    directory = os.path.abspath(start or os.getcwd())
+    while True:
+        candidate = os.path.join(directory, PROJECT_FILE)
+        if os.path.isfile(candidate):
+            return candidate
+        parent = os.path.dirname(directory)
+        if parent == directory:
+            return None
+        directory = parent
+
+
+def expand_path(value, base=None):
+    """Expand ~, and resolve a relative path against base (if given)."""
+    if not isinstance(value, str):
+        return value
+    value = os.path.expanduser(value)
+    return os.path.normpath(os.path.join(base, value)) if base and not os.path.isabs(value) else value
+
+
+def merge(base, override):
+    """override merged over base, section by section."""
+    merged = dict(base)
+    for key, value in override.items():
+        if isinstance(value, dict) and isinstance(merged.get(key), dict):
+            merged[key] = merge(merged[key], value)
+        else:
+            merged[key] = value
+    return merged
+
+
+def load_config():
+    """
+    The user config file with the project file (if any) merged over it, as a
+    dict. Relative paths in the project file are resolved against its directory.
+    """
+    config = read_config_file(CONFIG_FILE)
+    project_file = find_project_file()
+    if project_file:
+        project = read_config_file(project_file)
+        base = os.path.dirname(project_file)
+        for key in PATH_SETTINGS:
+            if key in project:
+                project[key] = expand_path(project[key], base)
+        if isinstance(project.get("snapshots"), dict) and "dir" in project["snapshots"]:
+            project["snapshots"] = dict(project["snapshots"], dir=expand_path(project["snapshots"]["dir"], base))
+        config = merge(config, project)
+    return config
+
+
+def setting(key, config=None):
+    """A path setting (workspace, chromaDb, venv, sessionsDir, jsIndex): env, then config, then default."""
+    env_var, default = PATH_SETTINGS[key]
+    if os.environ.get(env_var):
+        return expand_path(os.environ[env_var])
+    value = (load_config() if config is None else config).get(key)
+    return expand_path(value if isinstance(value, str) and value else default)
+
+
+def ranking_settings(config=None):
+    """
+    The "ranking" section merged over the defaults, with bad values dropped
+    (a typo in the config shouldn't break every search).
+    """
+    ranking = dict(DEFAULT_RANKING)
+    section = (load_config() if config is None else config).get("ranking")
+    if not isinstance(section, dict):
+        return ranking
+
+    for key in ("halfLifeDays", "recencyWeight"):
+        if isinstance(section.get(key), (int, float)) and section[key] >= 0:
+            ranking[key] = section[key]
+    ranking["recencyWeight"] = min(ranking["recencyWeight"], 1)
+    if isinstance(section.get("boosts"), dict):
+        ranking["boosts"] = {
+            pattern: factor for pattern, factor in section["boosts"].items()
+            if isinstance(factor, (int, float)) and factor >= 0
+        }
+    if isinstance(section.get("pinned"), list):
+        ranking["pinned"] = [pattern for pattern in section["pinned"] if isinstance(pattern, str)]
+    return ranking
+
+
+def rerank_settings(config=None):
+    """The rerankModel and rerankCandidates settings, falling back to the defaults."""
+    config = load_config() if config is None else config
+    model = config.get("rerankModel")
+    candidates = config.get("rerankCandidates")
+    return {
+        "model": model if isinstance(model, str) and model else DEFAULT_RERANK_MODEL,
+        "candidates": candidates if isinstance(candidates, int) and candidates > 0 else DEFAULT_RERANK_CANDIDATES,
+    }
+
+
+def snapshot_settings(config=None):
+    """The "snapshots" section merged over the defaults, with bad values dropped."""
+    snapshots = dict(DEFAULT_SNAPSHOTS)
+    section = (load_config() if config is None else config).get("snapshots")
+    if not isinstance(section, dict):
+        return snapshots
+
+    for key in ("enabled", "includeFiles"):
+        if isinstance(section.get(key), bool):
+            snapshots[key] = section[key]
+    for key in ("keep", "maxAgeDays"):
+        if isinstance(section.get(key), int) and not isinstance(section[key], bool) and section[key] >= 0:
+            snapshots[key] = section[key]
+    if isinstance(section.get("dir"), str) and section["dir"]:
+        snapshots["dir"] = os.path.expanduser(section["dir"])
+    return snapshots
+
+
+def embedding_model(config=None):
+    """The embeddingModel setting (RECALL_EMBEDDING_MODEL wins, as in cli/config.js)."""
+    if os.environ.get("RECALL_EMBEDDING_MODEL"):
+        return os.environ["RECALL_EMBEDDING_MODEL"]
+    model = (load_config() if config is None else config).get("embeddingModel")
+    return model if isinstance(model, str) and model else DEFAULT_EMBEDDING_MODEL
+
+
+def same_model(a, b):
+    """Whether two model names mean the same sentence-transformers model."""
+    prefix = "sentence-transformers/"
+    return a.removeprefix(prefix) == b.removeprefix(prefix)
+
+
+def collection_model(collection):
+    """The model a collection's vectors were made with."""
+    return (collection.metadata or {}).get(MODEL_KEY) or DEFAULT_EMBEDDING_MODEL
+
+
+def check_model(collection, model_name):
+    """Raise ModelMismatchError unless collection is empty or was indexed with model_name."""
+    recorded = collection_model(collection)
+    if same_model(recorded, model_name) or collection.count() == 0:
+        return
+    raise ModelMismatchError(
+        f"{collection.name} was indexed with {recorded}, but embeddingModel is {model_name}. "
+        f"Run 'jasper-recall reindex --model {model_name}' to re-embed it, or set embeddingModel back to {recorded}."
+    )
+
+
+def record_model(collection, model_name, dimensions):
+    """check_model(), then record model_name and dimensions in the collection's metadata."""
+    check_model(collection, model_name)
+    metadata = collection.metadata or {}
+    if metadata.get(MODEL_KEY) == model_name and metadata.get(DIMENSIONS_KEY) == dimensions:
+        return
+    # ChromaDB refuses to "change" the distance function, even to the same one
+    updated = {key: value for key, value in metadata.items() if not key.startswith("hnsw:")}
+    updated.update({MODEL_KEY: model_name, DIMENSIONS_KEY: dimensions})
+    collection.modify(metadata=updated)
+
+
+if __name__ == "__main__":
+    # For shell scripts: print a path setting
+    if len(sys.argv) != 2 or sys.argv[1] not in PATH_SETTINGS:
+        print(f"Usage: recall_config.py {{{'|'.join(PATH_SETTINGS)}}}", file=sys.stderr)
+        sys.exit(2)
+    print(setting(sys.argv[1]))
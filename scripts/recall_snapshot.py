@@ -0,0 +1,142 @@
+"""
+Snapshots of the index (and memory files) taken before destructive runs.
+
+index-digests, `index-digests --gc` and summarize-old call take_snapshot()
+before they change anything; `jasper-recall snapshot list/restore/prune`
+(cli/snapshot.js) manages what they leave behind. Both sides share the layout:
+
+  <snapshots dir>/<YYYYMMDD-HHMMSS>-<reason>/
+    snapshot.json   {id, created, reason, backend, index, workspace, files}
+    index/          copy of the index directory
+    files/          copies of memory files, by workspace-relative path
+"""
+
+import json
+import os
+import shutil
+from datetime import datetime, timedelta, timezone
+
+import recall_config
+
+MANIFEST = "snapshot.json"
+ID_TIME_FORMAT = "%Y%m%d-%H%M%S"
+
+
+def configured_index(config=None):
+    """(backend, index directory) resolved the way cli/config.js does."""
+    config = recall_config.load_config() if config is None else config
+    backend = os.environ.get("RECALL_BACKEND") or config.get("backend") or "python"
+    return backend, recall_config.setting("jsIndex" if backend == "js" else "chromaDb", config)
+
+
+def list_snapshots(directory):
+    """[(id, path)] of complete snapshots, oldest first."""
+    try:
+        names = os.listdir(directory)
+    except FileNotFoundError:
+        return []
+    snapshots = []
+    for name in names:
+        path = os.path.join(directory, name)
+        if name.startswith(".") or not os.path.isfile(os.path.join(path, MANIFEST)):
+            continue
+        snapshots.append((created_at(path) or snapshot_time(name) or datetime.min, name, path))
+    # Ids only have whole seconds
+    return [(name, path) for _, name, path in sorted(snapshots)]
+
+
+def created_at(path):
+    """When a snapshot was taken (local time), from its manifest."""
+    try:
+        with open(os.path.join(path, MANIFEST), "r", encoding="utf-8") as f:
+            created = json.load(f)["created"]
+        return datetime.fromisoformat(created.replace("Z", "+00:00")).astimezone().replace(tzinfo=None)
+    except (OSError, ValueError, KeyError, TypeError):
+        return None
+
+
+def snapshot_time(snapshot_id):
+    """Local time a snapshot was taken, from its id (None if it isn't one of ours)."""
+    try:
+        return datetime.strptime(snapshot_id[:15], ID_TIME_FORMAT)
+    except ValueError:
+        return None
+
+
+def prune_snapshots(settings, keep_ids=(), now=None):
+    """
+    Remove snapshots beyond the newest settings["keep"] and those older than
+    settings["maxAgeDays"] (0 disables either). Returns the removed ids.
+    """
+    now = now or datetime.now()
+    snapshots = list_snapshots(settings["dir"])
+    removed = []
+    for position, (snapshot_id, path) in enumerate(reversed(snapshots)):
+        if snapshot_id in keep_ids:
+            continue
+        taken = snapshot_time(snapshot_id)
+        too_many = settings["keep"] and position >= settings["keep"]
+        too_old = settings["maxAgeDays"] and taken and now - taken > timedelta(days=settings["maxAgeDays"])
+        if too_many or too_old:
+            shutil.rmtree(path, ignore_errors=True)
+            removed.append(snapshot_id)
+    return removed
+
+
+def take_snapshot(reason, index_dir=None, backend="python", files=(), workspace=None, settings=None, log=print):
+    """
+    Copy index_dir and (if settings["includeFiles"]) the workspace-relative
+    files into a new snapshot, then apply the retention policy. Returns the
+    snapshot's path, or None when snapshots are disabled or there is nothing
+    to copy yet. Raises OSError if the copy fails, so callers can stop before
+    changing anything.
+    """
+    settings = settings or recall_config.snapshot_settings()
+    if not settings["enabled"]:
+        return None
+    workspace = workspace or recall_config.setting("workspace")
+    has_index = bool(index_dir) and os.path.isdir(index_dir)
+    files = sorted(
+        f for f in files if os.path.isfile(os.path.join(workspace, f))
+    ) if settings["includeFiles"] else []
+    if not has_index and not files:
+        return None
+
+    now = datetime.now()
+    snapshot_id = f"{now.strftime(ID_TIME_FORMAT)}-{reason}"
+    n = 2
+    while os.path.exists(os.path.join(settings["dir"], snapshot_id)):
+        snapshot_id = f"{now.strftime(ID_TIME_FORMAT)}-{reason}-{n}"
+        n += 1
+
+    # Built under a hidden name so an interrupted copy is never listed
+    final = os.path.join(settings["dir"], snapshot_id)
+    tmp = os.path.join(settings["dir"], f".{snapshot_id}.tmp")
+    os.makedirs(tmp)
+    try:
+        if has_index:
+            shutil.copytree(index_dir, os.path.join(tmp, "index"))
+        for rel_path in files:
+            target = os.path.join(tmp, "files", rel_path)
+            os.makedirs(os.path.dirname(target), exist_ok=True)
+            shutil.copy2(os.path.join(workspace, rel_path), target)
+        manifest = {
+            "id": snapshot_id,
+            "created": datetime.now(timezone.utc).isoformat(timespec="milliseconds").replace("+00:00", "Z"),
+            "reason": reason,
+            "backend": backend,
+            "index": index_dir if has_index else None,
+            "workspace": workspace,
+            "files": files,
+        }
+        with open(os.path.join(tmp, MANIFEST), "w", encoding="utf-8") as f:
+            json.dump(manifest, f, indent=2)
+        os.rename(tmp, final)
+    except OSError:
+        shutil.rmtree(tmp, ignore_errors=True)
+        raise
+
+    prune_snapshots(settings, keep_ids=(snapshot_id,))
+    parts = (["index"] if has_index else []) + ([f"{len(files)} files"] if files else [])
+    log(f"✓ Snapshot {snapshot_id} ({', '.join(parts)}) - undo with: jasper-recall snapshot restore {snapshot_id}")
+    return final
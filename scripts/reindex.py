@@ -0,0 +1,116 @@
+#!/usr/bin/env python3
+"""
+Re-embed the whole index with another sentence-transformers model.
+
+Usage:
+  reindex.py --model NAME
+
+Every collection is copied, chunk by chunk, into a new ChromaDB next to the
+current one with vectors from NAME (documents, ids and metadata are kept),
+and the new index is swapped in only once it is complete. Run by
+`jasper-recall reindex` (cli/reindex.js), which snapshots the index first and
+then sets embeddingModel to NAME. Prints a JSON summary.
+"""
+
+import os
+import sys
+import json
+import shutil
+import argparse
+import importlib.util
+
+
+def load_script(name, filename):
+    """Import a sibling script whose filename isn't a valid module name."""
+    path = os.path.join(os.path.dirname(os.path.realpath(__file__)), filename)
+    spec = importlib.util.spec_from_file_location(name, path)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+# Same index and keyword indexes as the indexer (which also activates the venv)
+index_lib = load_script("index_digests", "index-digests.py")
+chromadb = index_lib.chromadb
+bm25 = index_lib.bm25
+recall_config = index_lib.recall_config
+
+# Chunks read and embedded per call
+BATCH_SIZE = 500
+
+
+def reindex(client, target, model, model_name) -> dict:
+    """
+    Copy every collection of client into target, re-embedding documents with
+    model. Returns {"model", "dimensions", "collections": {name: chunks}}.
+    """
+    dimensions = model.get_sentence_embedding_dimension()
+    summary = {"model": model_name, "dimensions": dimensions, "collections": {}}
+    for name in sorted(getattr(coll, "name", coll) for coll in client.list_collections()):
+        source = client.get_collection(name=name)
+        metadata = dict(source.metadata or {})
+        metadata.update({recall_config.MODEL_KEY: model_name, recall_config.DIMENSIONS_KEY: dimensions})
+        coll = target.create_collection(name=name, metadata=metadata)
+        count = 0
+        while True:
+            found = source.get(include=["documents", "metadatas"], limit=BATCH_SIZE, offset=count)
+            if not found["ids"]:
+                break
+            documents = [document or "" for document in found["documents"]]
+            coll.add(
+                ids=found["ids"],
+                embeddings=model.encode(documents).tolist(),
+                documents=documents,
+                metadatas=[meta or None for meta in found["metadatas"]],
+            )
+            count += len(found["ids"])
+        summary["collections"][name] = count
+    return summary
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Re-embed the index with another model")
+    parser.add_argument("--model", required=True, help="Sentence-transformers model name")
+    args = parser.parse_args()
+
+    chroma_dir = index_lib.CHROMA_DIR
+    if not os.path.exists(chroma_dir):
+        print(f"❌ No index at {chroma_dir}. Run: index-digests", file=sys.stderr)
+        sys.exit(1)
+
+    try:
+        model = index_lib.SentenceTransformer(args.model)
+    except Exception as e:
+        print(f"❌ Could not load {args.model}: {e}", file=sys.stderr)
+        sys.exit(1)
+
+    # Built next to the index, then swapped in
+    staging = f"{chroma_dir}.reindexing"
+    replaced = f"{chroma_dir}.replaced"
+    shutil.rmtree(staging, ignore_errors=True)
+    try:
+        os.makedirs(staging)
+        client = chromadb.PersistentClient(path=chroma_dir)
+        target = chromadb.PersistentClient(path=staging)
+        summary = reindex(client, target, model, args.model)
+        for name in summary["collections"]:
+            bm25.load_index(staging, target.get_collection(name=name))
+
+        shutil.rmtree(replaced, ignore_errors=True)
+        os.rename(chroma_dir, replaced)
+        try:
+            os.rename(staging, chroma_dir)
+        except OSError:
+            os.rename(replaced, chroma_dir)
+            raise
+        shutil.rmtree(replaced, ignore_errors=True)
+    except OSError as e:
+        print(f"❌ {e}", file=sys.stderr)
+        sys.exit(1)
+    finally:
+        shutil.rmtree(staging, ignore_errors=True)
+    print(json.dumps(summary))
+
+
+if __name__ == "__main__":
+    main()
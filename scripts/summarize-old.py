@@ -7,12 +7,14 @@ Usage:
   summarize-old --days 14          # Summarize entries older than 14 days
   summarize-old --dry-run          # Preview what would be summarized
   summarize-old --min-size 1000    # Only summarize files larger than 1000 chars
+  summarize-old --no-snapshot      # Don't snapshot the files and index first
 
 How it works:
 1. Finds markdown files older than N days
 2. Creates condensed summaries (preserving key facts)
-3. Archives originals to memory/archive/
-4. Updates the summarized files in place
+3. Snapshots the files and the index (jasper-recall snapshot restore undoes the run)
+4. Archives originals to memory/archive/
+5. Updates the summarized files in place
 
 The summarization is rule-based (no LLM required):
 - Extracts headings, bullet points, and key dates
@@ -29,8 +31,17 @@ import argparse
 from datetime import datetime, timedelta
 from pathlib import Path
 
-# Support custom paths via environment
-WORKSPACE = os.environ.get("RECALL_WORKSPACE", os.path.expanduser("~/.openclaw/workspace"))
+# Helper modules live next to this script, or where setup installs them
+for lib_dir in [os.path.dirname(os.path.realpath(__file__)),
+                os.path.expanduser("~/.local/share/jasper-recall/scripts")]:
+    if lib_dir not in sys.path:
+        sys.path.append(lib_dir)
+
+import recall_config
+import recall_snapshot
+
+# Paths from the config, environment first (see recall_config.py)
+WORKSPACE = recall_config.setting("workspace")
 MEMORY_DIR = os.path.join(WORKSPACE, "memory")
 ARCHIVE_DIR = os.path.join(MEMORY_DIR, "archive")
 
@@ -221,6 +232,7 @@ def main():
     parser.add_argument("--days", type=int, default=30, help="Summarize files older than N days (default: 30)")
     parser.add_argument("--min-size", type=int, default=500, help="Minimum file size in chars to summarize (default: 500)")
     parser.add_argument("--dry-run", action="store_true", help="Preview without making changes")
+    parser.add_argument("--no-snapshot", action="store_true", help="Don't snapshot the files and index first")
     parser.add_argument("-v", "--verbose", action="store_true", help="Show detailed output")
     args = parser.parse_args()
     
@@ -262,6 +274,17 @@ def main():
     print(f"Found {len(files_to_process)} files to summarize")
     print()
     
+    if not args.dry_run and not args.no_snapshot:
+        backend, index_dir = recall_snapshot.configured_index()
+        rel_paths = [os.path.relpath(filepath, WORKSPACE) for filepath, _, _ in files_to_process]
+        try:
+            recall_snapshot.take_snapshot("summarize", index_dir, backend=backend, files=rel_paths, workspace=WORKSPACE)
+        except OSError as e:
+            print(f"❌ Could not take a snapshot: {e}", file=sys.stderr)
+            print("Free some space, or run with --no-snapshot to skip it.", file=sys.stderr)
+            sys.exit(1)
+        print()
+    
     # Process files
     total_saved = 0
     
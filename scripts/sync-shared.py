@@ -17,8 +17,16 @@ import argparse
 from pathlib import Path
 from datetime import datetime, timedelta
 
-# Paths
-WORKSPACE = Path(os.environ.get("RECALL_WORKSPACE", "~/.openclaw/workspace")).expanduser()
+# Helper modules live next to this script, or where setup installs them
+for lib_dir in [os.path.dirname(os.path.realpath(__file__)),
+                os.path.expanduser("~/.local/share/jasper-recall/scripts")]:
+    if lib_dir not in sys.path:
+        sys.path.append(lib_dir)
+
+import recall_config
+
+# Paths from the config, environment first (see recall_config.py)
+WORKSPACE = Path(recall_config.setting("workspace"))
 MEMORY_DIR = WORKSPACE / "memory"
 SHARED_DIR = MEMORY_DIR / "shared"
 PRODUCT_UPDATES = SHARED_DIR / "product-updates.md"
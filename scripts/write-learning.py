@@ -18,16 +18,29 @@ import hashlib
 from datetime import datetime
 from pathlib import Path
 
-# Support custom paths via environment
-WORKSPACE = os.environ.get("RECALL_WORKSPACE", os.path.expanduser("~/.openclaw/workspace"))
-CHROMA_DIR = os.environ.get("RECALL_CHROMA_DB", os.path.expanduser("~/.openclaw/chroma-db"))
-VENV_PATH = os.environ.get("RECALL_VENV", os.path.expanduser("~/.openclaw/rag-env"))
+# Helper modules live next to this script, or where setup installs them
+for lib_dir in [os.path.dirname(os.path.realpath(__file__)),
+                os.path.expanduser("~/.local/share/jasper-recall/scripts")]:
+    if lib_dir not in sys.path:
+        sys.path.append(lib_dir)
+
+import recall_config
+
+# Paths from the config, environment first (see recall_config.py)
+WORKSPACE = recall_config.setting("workspace")
+CHROMA_DIR = recall_config.setting("chromaDb")
+VENV_PATH = recall_config.setting("venv")
 
 SHARED_DIR = os.path.join(WORKSPACE, "memory", "shared")
 LEARNINGS_FILE = os.path.join(SHARED_DIR, "agent-learnings.md")
+QUARANTINE_DIR = os.path.join(WORKSPACE, "memory", "quarantine", "learnings")
 
 COLLECTION_LEARNINGS = "agent_learnings"
 
+CATEGORIES = ["insight", "engagement", "pattern", "bug", "success", "failure"]
+MAX_TITLE_LENGTH = 200
+MAX_CONTENT_LENGTH = 5000
+
 # Activate the venv
 sys.path.insert(0, os.path.join(VENV_PATH, "lib/python3.12/site-packages"))
 for pyver in ["python3.11", "python3.10"]:
@@ -43,6 +56,8 @@ except ImportError as e:
     print("Run 'npx jasper-recall setup' to install dependencies.", file=sys.stderr)
     sys.exit(1)
 
+import bm25
+
 
 def generate_id(title: str, agent: str, timestamp: str) -> str:
     """Generate a unique ID for the learning."""
@@ -81,23 +96,17 @@ def append_to_learnings_file(title: str, content: str, agent: str, category: str
     print(f"📄 Added to {os.path.relpath(LEARNINGS_FILE, WORKSPACE)}")
 
 
-def index_to_chromadb(title: str, content: str, agent: str, category: str, dry_run: bool = False):
-    """Index the learning directly to ChromaDB."""
-    if dry_run:
-        print("\n🗄️ Would index to agent_learnings collection")
-        return
-    
-    # Initialize
-    os.makedirs(CHROMA_DIR, exist_ok=True)
-    client = chromadb.PersistentClient(path=CHROMA_DIR)
-    
+def index_learning(client, model, title: str, content: str, agent: str, category: str, model_name=None) -> str:
+    """
+    Embed a learning and add it to the learnings collection. Returns its id.
+    model_name: what model is (default: the configured embeddingModel).
+    """
     collection = client.get_or_create_collection(
         name=COLLECTION_LEARNINGS,
         metadata={"description": "Learnings written by sandboxed agents"}
     )
-    
-    # Load model
-    model = SentenceTransformer('all-MiniLM-L6-v2')
+    recall_config.record_model(collection, model_name or recall_config.embedding_model(),
+                               model.get_sentence_embedding_dimension())
     
     # Prepare document
     timestamp = datetime.now().isoformat()
@@ -114,26 +123,79 @@ def index_to_chromadb(title: str, content: str, agent: str, category: str, dry_r
         "category": category,
         "title": title,
         "timestamp": timestamp,
+        # Same filter fields index-digests records
+        "tags": category,
+        "date": int(timestamp[:10].replace("-", "")),
     }
     
-    # Add to collection
+    # Add to collection and its keyword index
+    keyword_index = bm25.load_index(CHROMA_DIR, collection)
     collection.add(
         ids=[doc_id],
         embeddings=[embedding],
         documents=[full_text],
         metadatas=[metadata]
     )
+    keyword_index.add([doc_id], [full_text])
+    keyword_index.save()
+    
+    return doc_id
+
+
+def index_to_chromadb(title: str, content: str, agent: str, category: str, dry_run: bool = False):
+    """Index the learning directly to ChromaDB."""
+    if dry_run:
+        print("\n🗄️ Would index to agent_learnings collection")
+        return
+    
+    # Initialize
+    os.makedirs(CHROMA_DIR, exist_ok=True)
+    client = chromadb.PersistentClient(path=CHROMA_DIR)
+    
+    # Load model
+    model_name = recall_config.embedding_model()
+    model = SentenceTransformer(model_name)
+    
+    try:
+        doc_id = index_learning(client, model, title, content, agent, category, model_name=model_name)
+    except recall_config.ModelMismatchError as e:
+        print(f"❌ {e}", file=sys.stderr)
+        sys.exit(1)
     
     print(f"🗄️ Indexed to {COLLECTION_LEARNINGS} (id: {doc_id})")
 
 
+def quarantine_learning(title: str, content: str, agent: str, category: str, violations: list) -> str:
+    """
+    Park a learning that failed the privacy check for human review.
+    Quarantined entries are never indexed. Returns the path relative to the workspace.
+    """
+    os.makedirs(QUARANTINE_DIR, exist_ok=True)
+    
+    timestamp = datetime.now().isoformat()
+    doc_id = generate_id(title, agent, timestamp)
+    path = os.path.join(QUARANTINE_DIR, f"{datetime.now().strftime('%Y-%m-%d')}-{doc_id}.json")
+    
+    with open(path, 'w') as f:
+        json.dump({
+            "title": title,
+            "content": content,
+            "agent": agent,
+            "category": category,
+            "timestamp": timestamp,
+            "violations": violations,
+        }, f, indent=2)
+    
+    return os.path.relpath(path, WORKSPACE)
+
+
 def main():
     parser = argparse.ArgumentParser(description="Write a learning to shared memory")
     parser.add_argument("title", help="Brief title for the learning")
     parser.add_argument("content", help="Learning content/description")
     parser.add_argument("--agent", default="unknown", help="Agent name (e.g., moltbook, coder)")
     parser.add_argument("--category", default="insight", 
-                       choices=["insight", "engagement", "pattern", "bug", "success", "failure"],
+                       choices=CATEGORIES,
                        help="Category of learning")
     parser.add_argument("--dry-run", action="store_true", help="Preview without writing")
     parser.add_argument("--json", action="store_true", help="Output as JSON")
@@ -141,12 +203,12 @@ def main():
     args = parser.parse_args()
     
     # Validate inputs
-    if len(args.title) > 200:
-        print("❌ Title too long (max 200 chars)", file=sys.stderr)
+    if len(args.title) > MAX_TITLE_LENGTH:
+        print(f"❌ Title too long (max {MAX_TITLE_LENGTH} chars)", file=sys.stderr)
         sys.exit(1)
     
-    if len(args.content) > 5000:
-        print("❌ Content too long (max 5000 chars)", file=sys.stderr)
+    if len(args.content) > MAX_CONTENT_LENGTH:
+        print(f"❌ Content too long (max {MAX_CONTENT_LENGTH} chars)", file=sys.stderr)
         sys.exit(1)
     
     print(f"📝 Writing learning from agent '{args.agent}'...")
@@ -0,0 +1,167 @@
+/**
+ * Backend selection
+ *
+ * "python" (default): ChromaDB + sentence-transformers via the persistent worker
+ * "js": ONNX MiniLM + file index in-process (src/js-backend), no venv needed
+ *
+ * Both expose start(), recall(query, options), writeLearning(learning, options),
+ * indexFiles(paths, options), stats(options), inspect(source),
+ * exportChunks(file, options), importChunks(file, options),
+ * reindex(model, options), `running` and `embeddingModel`, and return results
+ * in the same shape.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../cli/config');
+const { getSharedWorker } = require('./worker');
+const { RecallError, IndexMissingError, VenvMissingError } = require('./errors');
+
+const STATS_SCRIPT = path.join(__dirname, '..', 'scripts', 'index-stats.py');
+const BUNDLE_SCRIPT = path.join(__dirname, '..', 'scripts', 'index-bundle.py');
+const REINDEX_SCRIPT = path.join(__dirname, '..', 'scripts', 'reindex.py');
+
+const BACKENDS = ['python', 'js'];
+
+class PythonBackend {
+  /**
+   * @param {Object} [options] - Same as RecallWorker
+   */
+  constructor(options = {}) {
+    this.name = 'python';
+    this.worker = getSharedWorker(options);
+  }
+
+  get running() {
+    return this.worker.running;
+  }
+
+  get embeddingModel() {
+    return this.worker.embeddingModel;
+  }
+
+  start() {
+    return this.worker.start();
+  }
+
+  recall(query, options) {
+    return this.worker.recall(query, options);
+  }
+
+  writeLearning(learning, options) {
+    return this.worker.writeLearning(learning, options);
+  }
+
+  indexFiles(paths, options) {
+    return this.worker.indexFiles(paths, options);
+  }
+
+  stats(options = {}) {
+    return this.runScript(STATS_SCRIPT, ['--top', String(options.top ?? 10)]);
+  }
+
+  inspect(source) {
+    return this.runScript(STATS_SCRIPT, ['--inspect', source]);
+  }
+
+  /**
+   * Write the chunks of the selected collections (default: all but legacy)
+   * to a JSON lines file, one {collection, id, document, metadata, embedding} per line
+   * @returns {Promise<{collections: Object, dimensions: number|null}>}
+   */
+  exportChunks(file, options = {}) {
+    const args = ['export', file];
+    for (const name of options.collections || []) args.push('--collection', name);
+    return this.runScript(BUNDLE_SCRIPT, args);
+  }
+
+  /**
+   * Upsert the chunks of a JSON lines file written by exportChunks()
+   * @returns {Promise<{collections: Object}>} - chunks imported per collection
+   */
+  importChunks(file, options = {}) {
+    const args = ['import', file];
+    for (const name of options.collections || []) args.push('--collection', name);
+    if (options.replace) args.push('--replace');
+    return this.runScript(BUNDLE_SCRIPT, args, { needsIndex: false });
+  }
+
+  /**
+   * Re-embed the whole index with another sentence-transformers model into
+   * new collections and swap them in (scripts/reindex.py). The worker keeps
+   * the model it started with, so running servers need a restart afterwards.
+   * @param {string} modelName - Model to load and record (the new embeddingModel)
+   * @returns {Promise<{model, dimensions, collections: Object}>} - Chunks re-embedded per collection
+   */
+  reindex(modelName) {
+    return this.runScript(REINDEX_SCRIPT, ['--model', modelName], { env: { RECALL_EMBEDDING_MODEL: modelName } });
+  }
+
+  /**
+   * One-shot script run that prints JSON, outside the worker (stats and
+   * bundles don't need its embedding model, and reindex loads another one)
+   */
+  runScript(script, args, { needsIndex = true, env = {} } = {}) {
+    const { python, workspace, chromaDb, venv, embeddingModel } = this.worker;
+    if (!fs.existsSync(python)) return Promise.reject(new VenvMissingError());
+    if (needsIndex && !fs.existsSync(chromaDb)) return Promise.reject(new IndexMissingError());
+
+    return new Promise((resolve, reject) => {
+      execFile(python, [script, ...args], {
+        env: {
+          ...process.env,
+          RECALL_WORKSPACE: workspace,
+          RECALL_CHROMA_DB: chromaDb,
+          RECALL_VENV: venv,
+          RECALL_EMBEDDING_MODEL: embeddingModel,
+          PYTHONWARNINGS: 'ignore',
+          ...env
+        },
+        maxBuffer: 64 * 1024 * 1024
+      }, (err, stdout, stderr) => {
+        if (err) {
+          const message = stderr.trim().split('\n').pop().replace(/^❌ /, '') || err.message;
+          reject(new RecallError(message, { stderr, exitCode: err.code }));
+          return;
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (parseErr) {
+          const start = stdout.trim().slice(0, 200) || '(nothing)';
+          reject(new RecallError(`Could not parse ${path.basename(script)} output: ${start}`, {
+            code: 'BAD_OUTPUT',
+            stderr,
+            cause: parseErr
+          }));
+        }
+      });
+    });
+  }
+}
+
+const sharedJsBackends = new Map();
+
+/**
+ * Get the configured backend
+ * @param {Object} [options] - { backend, venv, chromaDb, workspace, indexDir, modelDir, embeddingModel }
+ * @returns {PythonBackend|import('./js-backend').JsBackend}
+ */
+function getBackend(options = {}) {
+  const name = options.backend || config.get('backend') || 'python';
+  if (!BACKENDS.includes(name)) {
+    throw new RecallError(`Unknown backend "${name}" (expected: ${BACKENDS.join(', ')})`, { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (name === 'python') return new PythonBackend(options);
+
+  // Required lazily so the Python path never loads the ONNX code
+  const { JsBackend } = require('./js-backend');
+  const backend = new JsBackend(options);
+  const key = JSON.stringify([backend.workspace, backend.indexDir, backend.modelDir, backend.embeddingModel]);
+  if (!sharedJsBackends.has(key)) sharedJsBackends.set(key, backend);
+  return sharedJsBackends.get(key);
+}
+
+module.exports = { getBackend, PythonBackend, BACKENDS };
@@ -0,0 +1,282 @@
+/**
+ * RecallClient - promise-based API for embedding jasper-recall in Node services
+ *
+ * Runs the bundled scripts directly (no shell), so queries never need quoting.
+ * Queries go through the shared persistent worker (src/worker.js) unless
+ * constructed with { worker: false }. With the "js" backend everything runs
+ * in-process instead (src/js-backend).
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../cli/config');
+const { getBackend } = require('./backend');
+const { getSharedWorker } = require('./worker');
+const {
+  RecallError,
+  IndexMissingError,
+  VenvMissingError,
+  RecallTimeoutError,
+  RecallAbortError,
+  errorFromStderr
+} = require('./errors');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+const CLI_DIR = path.join(__dirname, '..', 'cli');
+const DEFAULT_TIMEOUT = 120000; // first run may need to download the model (~90MB)
+
+/**
+ * @typedef {Object} RecallResult
+ * @property {number} rank - 1-based position in the merged result list
+ * @property {string} collection - Collection key the chunk came from (private, shared, learnings, ...)
+ * @property {string} source - Source file relative to the workspace
+ * @property {number} similarity - Cosine similarity (0-1)
+ * @property {number} score - Ranking score for the search mode (fused rank, BM25 or similarity),
+ *   adjusted for recency and source boosts
+ * @property {Object|null} scoreDetails - Why it ranked there: { base, boost, age_days, recency, pinned }
+ * @property {number|null} rerankScore - Cross-encoder relevance (0-1) when reranked, else null
+ * @property {number[]|null} lines - [first, last] line of the chunk in its source file, if known
+ * @property {string} content - Chunk text
+ */
+
+/**
+ * Normalize one item of recall.py --json output
+ * @returns {RecallResult}
+ */
+function toResult(item) {
+  return {
+    rank: Number(item.rank),
+    collection: String(item.collection),
+    source: String(item.source || 'unknown'),
+    similarity: Number(item.similarity),
+    score: Number(item.score ?? item.similarity),
+    scoreDetails: item.score_details ?? null,
+    rerankScore: item.rerank_score ?? null,
+    lines: item.lines ?? null,
+    content: String(item.content || '')
+  };
+}
+
+/**
+ * Spawn a process and collect its output
+ * Rejects with RecallTimeoutError / RecallAbortError / errorFromStderr()
+ */
+function runProcess(command, args, options = {}) {
+  const { env, cwd, signal, timeout } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new RecallAbortError());
+      return;
+    }
+
+    let child;
+    try {
+      child = spawn(command, args, { env, cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (err) {
+      reject(new RecallError(err.message, { cause: err }));
+      return;
+    }
+
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    let timer = null;
+
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (err) reject(err);
+      else resolve(value);
+    };
+
+    const onAbort = () => {
+      child.kill('SIGTERM');
+      finish(new RecallAbortError());
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        child.kill('SIGTERM');
+        finish(new RecallTimeoutError(timeout));
+      }, timeout);
+    }
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    child.on('error', err => {
+      finish(new RecallError(`Failed to start ${path.basename(command)}: ${err.message}`, { cause: err }));
+    });
+
+    child.on('close', code => {
+      if (code === 0) {
+        finish(null, { stdout, stderr });
+      } else {
+        finish(errorFromStderr(stderr, code));
+      }
+    });
+  });
+}
+
+class RecallClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.venv] - Python venv path (default: config venv)
+   * @param {string} [options.chromaDb] - ChromaDB path (default: config chromaDb)
+   * @param {string} [options.workspace] - Workspace path (default: config workspace)
+   * @param {number} [options.timeout] - Default per-call timeout in ms (0 disables)
+   * @param {boolean} [options.worker] - Reuse the persistent worker for queries (default: true)
+   * @param {string} [options.backend] - 'python' or 'js' (default: config backend)
+   */
+  constructor(options = {}) {
+    const cfg = config.getAll();
+    this.venv = options.venv || cfg.venv;
+    this.chromaDb = options.chromaDb || cfg.chromaDb;
+    this.workspace = options.workspace || cfg.workspace;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.useWorker = options.worker !== false;
+    this.backend = options.backend || cfg.backend || 'python';
+  }
+
+  /**
+   * The in-process JS backend, or null when using Python
+   */
+  jsBackend() {
+    return this.backend === 'js' ? getBackend({ backend: 'js', workspace: this.workspace }) : null;
+  }
+
+  get python() {
+    return path.join(this.venv, 'bin', 'python3');
+  }
+
+  env() {
+    return {
+      ...process.env,
+      RECALL_WORKSPACE: this.workspace,
+      RECALL_CHROMA_DB: this.chromaDb,
+      RECALL_VENV: this.venv
+    };
+  }
+
+  runPython(script, args, options) {
+    if (!fs.existsSync(this.python)) {
+      return Promise.reject(new VenvMissingError());
+    }
+    return runProcess(this.python, [path.join(SCRIPTS_DIR, script), ...args], {
+      env: this.env(),
+      signal: options.signal,
+      timeout: options.timeout ?? this.timeout
+    });
+  }
+
+  /**
+   * Search the memory index
+   * @param {string} query - Search query
+   * @param {Object} [options] - { limit, collections, minScore, publicOnly, mode, keywordWeight, signal, timeout }
+   *   Filters: since/until ('2026-02-05', 'today', '7d', '2w'), paths and excludeSources
+   *   (globs on the source path), tags (all must match)
+   *   rerank: rescore the top rerankCandidates results with a cross-encoder
+   * @returns {Promise<RecallResult[]>}
+   */
+  async recall(query, options = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new RecallError('query must be a non-empty string', { code: 'INVALID_ARGUMENT' });
+    }
+
+    const js = this.jsBackend();
+    if (js) {
+      // In-process: a signal can only stop us before or after the search
+      if (options.signal?.aborted) throw new RecallAbortError();
+      const results = await js.recall(query, options);
+      if (options.signal?.aborted) throw new RecallAbortError();
+      return results.map(toResult);
+    }
+
+    if (!fs.existsSync(this.chromaDb)) {
+      throw new IndexMissingError();
+    }
+
+    if (this.useWorker) {
+      const worker = getSharedWorker({ venv: this.venv, chromaDb: this.chromaDb, workspace: this.workspace });
+      const results = await worker.recall(query, { ...options, timeout: options.timeout ?? this.timeout });
+      return results.map(toResult);
+    }
+
+    const args = ['--json', '--limit', String(parseInt(options.limit, 10) || 5)];
+    if (options.publicOnly) args.push('--public-only');
+    const collections = options.collections || (options.collection ? [options.collection] : []);
+    for (const collection of collections) args.push('--collection', collection);
+    if (options.minScore !== undefined) args.push('--min-score', String(options.minScore));
+    if (options.mode) args.push('--mode', options.mode);
+    if (options.keywordWeight !== undefined) args.push('--keyword-weight', String(options.keywordWeight));
+    if (options.since) args.push('--since', options.since);
+    if (options.until) args.push('--until', options.until);
+    for (const glob of [].concat(options.paths || [])) args.push('--path', glob);
+    for (const tag of [].concat(options.tags || [])) args.push('--tag', tag);
+    for (const glob of [].concat(options.excludeSources || [])) args.push('--exclude-source', glob);
+    if (options.rerank) args.push('--rerank');
+    if (options.rerankCandidates !== undefined) args.push('--rerank-candidates', String(options.rerankCandidates));
+    // "--" keeps queries that start with a dash from being read as flags
+    args.push('--', query);
+
+    const { stdout } = await this.runPython('recall.py', args, options);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(stdout);
+    } catch (err) {
+      throw new RecallError('Could not parse recall output', { code: 'BAD_OUTPUT', cause: err });
+    }
+    return parsed.map(toResult);
+  }
+
+  /**
+   * Index memory files into ChromaDB (or the JS backend's file index)
+   * @param {Object} [options] - { signal, timeout }
+   * @returns {Promise<string>} - Indexer output
+   */
+  async index(options = {}) {
+    const js = this.jsBackend();
+    if (js) {
+      const lines = [];
+      await js.index({ log: line => lines.push(line) });
+      return lines.join('\n') + '\n';
+    }
+
+    const { stdout } = await this.runPython('index-digests.py', [], options);
+    return stdout;
+  }
+
+  /**
+   * Process session logs into digests
+   * @param {Object} [options] - { dryRun, all, recent, summarizer, agent, includeActive, preview, signal, timeout }
+   * @returns {Promise<string>} - Digester output (with preview: the session's kept and dropped lines)
+   */
+  async digestSessions(options = {}) {
+    const args = [path.join(CLI_DIR, 'digest-sessions.js')];
+    if (options.dryRun) args.push('--dry-run');
+    if (options.all) args.push('--all');
+    if (options.recent) args.push('--recent', String(options.recent));
+    if (options.summarizer) args.push('--summarizer', options.summarizer);
+    if (options.agent) args.push('--agent', options.agent);
+    if (options.includeActive) args.push('--include-active');
+    if (options.preview) args.push('--preview', options.preview);
+
+    const { stdout } = await runProcess(process.execPath, args, {
+      env: this.env(),
+      signal: options.signal,
+      timeout: options.timeout ?? this.timeout
+    });
+    return stdout;
+  }
+}
+
+module.exports = { RecallClient, runProcess, toResult };
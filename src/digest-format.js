@@ -0,0 +1,316 @@
+/**
+ * What digest-sessions keeps of a session and how it writes the digest
+ *
+ * Message lines are filtered by the digest.skipPatterns and digest.keepPatterns
+ * regexes (keep wins), and digests are rendered from Handlebars-style
+ * templates: digest.template for a new digest, digest.continuationTemplate for
+ * what a grown session adds. Without them the built-in templates below apply.
+ *
+ * Templates understand {{path}}, {{helper path}} (code, json), {{! comments }},
+ * {{#if path}}, {{#unless path}} and {{#each path}} blocks with {{else}}, and
+ * inside each {{this}}, {{@index}}, {{@first}} and {{@last}}. A block tag alone
+ * on its line takes the line with it. Nothing is HTML-escaped: digests are
+ * markdown.
+ */
+
+const fs = require('fs');
+
+const { RecallError } = require('./errors');
+
+/**
+ * Inline code for a path or command (its count suffix stays outside)
+ */
+function code(item) {
+  const [, text, count] = String(item).match(/^(.*?)( \(\d+x\))?$/s);
+  const quoted = text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+  return quoted + (count || '');
+}
+
+const HELPERS = {
+  code: value => Array.isArray(value) ? value.map(code).join(', ') : code(value ?? ''),
+  json: value => JSON.stringify(value ?? null)
+};
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * A regex from a pattern setting: "^text" or "/^text/i" for flags
+ */
+function toRegExp(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([dgimsuy]*)$/s);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+function compilePatterns(patterns, setting) {
+  return (patterns || []).map(pattern => {
+    try {
+      return { pattern, re: toRegExp(pattern) };
+    } catch (err) {
+      throw new RecallError(`${setting}: ${err.message}`, { code: 'INVALID_ARGUMENT' });
+    }
+  });
+}
+
+/**
+ * The line filter of the digest settings. classify(line) tells whether a line
+ * is kept and why: { keep, reason } with reason the deciding pattern, 'empty'
+ * or 'short' (null when nothing matched and the line is kept).
+ */
+function compileFilter(settings = {}) {
+  const skip = compilePatterns(settings.skipPatterns, 'digest.skipPatterns');
+  const keep = compilePatterns(settings.keepPatterns, 'digest.keepPatterns');
+  const minLength = settings.minLineLength ?? 0;
+
+  const classify = line => {
+    const trimmed = line.trim();
+    if (!trimmed) return { keep: false, reason: 'empty' };
+    const kept = keep.find(p => p.re.test(trimmed));
+    if (kept) return { keep: true, reason: `keep ${kept.pattern}` };
+    if (trimmed.length < minLength) return { keep: false, reason: 'short' };
+    const skipped = skip.find(p => p.re.test(trimmed));
+    return skipped ? { keep: false, reason: `skip ${skipped.pattern}` } : { keep: true, reason: null };
+  };
+
+  return { classify, keeps: line => classify(line).keep, skip, keep, minLength };
+}
+
+/**
+ * Line number of an offset, for template errors
+ */
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * A tag is standalone when only whitespace shares its line
+ */
+function standalone(source, start, end) {
+  const before = source.slice(source.lastIndexOf('\n', start - 1) + 1, start);
+  const lineEnd = source.indexOf('\n', end);
+  const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+  if (/\S/.test(before) || /\S/.test(after)) return null;
+  return { before: before.length, after: lineEnd === -1 ? source.length : lineEnd + 1 };
+}
+
+/**
+ * Parse a template into nodes: text, { path, helper } and blocks
+ * { block, path, body, inverse }
+ */
+function parseTemplate(source, name = 'template') {
+  const root = { body: [] };
+  const stack = [root];
+  const fail = (index, message) => {
+    throw new RecallError(`${name}, line ${lineAt(source, index)}: ${message}`, { code: 'INVALID_ARGUMENT' });
+  };
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.inverse : top.body;
+  };
+
+  const TAG_RE = /\{\{\{?\s*([\s\S]*?)\s*\}?\}\}/g;
+  let cursor = 0;
+  let match;
+  while ((match = TAG_RE.exec(source)) !== null) {
+    const inner = match[1];
+    const structural = /^[#/!]/.test(inner) || inner === 'else';
+    const alone = structural ? standalone(source, match.index, TAG_RE.lastIndex) : null;
+
+    let text = source.slice(cursor, match.index);
+    if (alone) text = text.slice(0, text.length - alone.before);
+    if (text) current().push(text);
+    cursor = alone ? alone.after : TAG_RE.lastIndex;
+    if (alone) TAG_RE.lastIndex = cursor;
+
+    if (inner.startsWith('!')) continue;
+    if (inner.startsWith('#')) {
+      const [block, path, ...rest] = inner.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(block)) fail(match.index, `unknown block {{#${block}}}`);
+      if (!path || rest.length > 0) fail(match.index, `{{#${block}}} takes one value`);
+      const node = { block, path, body: [], inverse: [], index: match.index };
+      current().push(node);
+      stack.push(node);
+    } else if (inner.startsWith('/')) {
+      const block = inner.slice(1).trim();
+      const open = stack[stack.length - 1];
+      if (stack.length === 1) fail(match.index, `{{/${block}}} without an opening block`);
+      if (open.block !== block) fail(match.index, `{{/${block}}} closes {{#${open.block}}}`);
+      stack.pop();
+    } else if (inner === 'else') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.inElse) fail(match.index, '{{else}} outside a block');
+      open.inElse = true;
+    } else {
+      const words = inner.split(/\s+/);
+      if (words.length === 1) {
+        current().push({ path: words[0] });
+      } else if (words.length === 2 && HELPERS[words[0]]) {
+        current().push({ helper: words[0], path: words[1] });
+      } else {
+        fail(match.index, `unknown helper in {{${inner}}} (helpers: ${Object.keys(HELPERS).join(', ')})`);
+      }
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    fail(open.index, `{{#${open.block} ${open.path}}} is never closed`);
+  }
+  const rest = source.slice(cursor);
+  if (rest) root.body.push(rest);
+  return root.body;
+}
+
+/**
+ * A path's value: looked up in the innermost scope that has it
+ */
+function lookup(scopes, path) {
+  const { value, data } = scopes[scopes.length - 1];
+  if (path === 'this' || path === '.') return value;
+  if (path.startsWith('@')) return data[path.slice(1)];
+  const segments = path.replace(/^this\./, '').split('.');
+  const scoped = path.startsWith('this.') ? [scopes[scopes.length - 1]] : [...scopes].reverse();
+  for (const scope of scoped) {
+    let found = scope.value;
+    for (const segment of segments) found = found == null ? undefined : found[segment];
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function print(value) {
+  if (value == null) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  let out = '';
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      out += node;
+    } else if (node.block === 'each') {
+      const value = lookup(scopes, node.path);
+      const items = Array.isArray(value) ? value.map((item, i) => [i, item])
+        : value && typeof value === 'object' ? Object.entries(value) : [];
+      if (items.length === 0) out += renderNodes(node.inverse, scopes);
+      items.forEach(([key, item], i) => {
+        const data = { index: i, key, first: i === 0, last: i === items.length - 1 };
+        out += renderNodes(node.body, [...scopes, { value: item, data }]);
+      });
+    } else if (node.block) {
+      const shown = truthy(lookup(scopes, node.path)) === (node.block === 'if');
+      out += renderNodes(shown ? node.body : node.inverse, scopes);
+    } else if (node.helper) {
+      out += HELPERS[node.helper](lookup(scopes, node.path));
+    } else {
+      out += print(lookup(scopes, node.path));
+    }
+  }
+  return out;
+}
+
+/**
+ * Compile a template: a function from the context to text
+ */
+function compileTemplate(source, name) {
+  const nodes = parseTemplate(source, name);
+  return context => renderNodes(nodes, [{ value: context, data: {} }]);
+}
+
+/**
+ * Lists of the summary and activity sections, under ## or ### headings
+ */
+function sectionsTemplate(heading) {
+  const list = (title, path, item = '{{this}}') => `{{#if ${path}}}
+${heading} ${title}
+
+{{#each ${path}}}
+- ${item}
+{{/each}}
+
+{{/if}}
+`;
+  return {
+    summary: list('Decisions', 'summary.decisions') + list('Outcomes', 'summary.outcomes') +
+      list('Open Questions', 'summary.openQuestions') + list('Entities', 'summary.entities'),
+    activity: list('Files Edited', 'filesEdited', '{{code this}}') + list('Files Read', 'filesRead', '{{code this}}') +
+      list('Commands', 'commands', '{{code this}}') + list('Errors', 'errors') + list('Answers', 'answers'),
+    topics: list('Topics', 'topics')
+  };
+}
+
+const DIGEST_SECTIONS = sectionsTemplate('##');
+const CONTINUATION_SECTIONS = sectionsTemplate('###');
+
+// A new session's digest; the --- rule before the footer is where continuations go
+const DEFAULT_TEMPLATE = `# Session {{shortId}} — {{date}}
+
+**Agent:** {{agent.name}}{{#if agent.sandboxed}} (sandboxed){{/if}} | **Size:** {{size}} | **Messages:** {{messages}}
+**Tools:** {{tools}}
+
+${DIGEST_SECTIONS.summary}## Topics
+
+{{#each topics}}
+- {{this}}
+{{else}}
+- (no topics extracted)
+{{/each}}
+
+${DIGEST_SECTIONS.activity}---
+*Summarized by: {{summary.provider}} | Full session: {{sessionFile}}*
+`;
+
+// What a session added since its digest was written
+const DEFAULT_CONTINUATION_TEMPLATE = `## Continued — {{date}} (lines {{lines.from}}-{{lines.to}})
+
+**Size:** +{{size}} | **Messages:** {{messages}}
+**Tools:** {{tools}}
+
+${CONTINUATION_SECTIONS.summary}${CONTINUATION_SECTIONS.topics}${CONTINUATION_SECTIONS.activity}`;
+
+/**
+ * The digest and continuation templates of the digest settings, compiled:
+ * { digest, continuation }
+ */
+function loadTemplates(settings = {}) {
+  const load = (file, setting, fallback) => {
+    if (!file) return compileTemplate(fallback, `built-in ${setting}`);
+    let source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      throw new RecallError(`digest.${setting}: cannot read ${file} (${err.code || err.message})`, { code: 'INVALID_ARGUMENT' });
+    }
+    return compileTemplate(source, file);
+  };
+  return {
+    digest: load(settings.template, 'template', DEFAULT_TEMPLATE),
+    continuation: load(settings.continuationTemplate, 'continuationTemplate', DEFAULT_CONTINUATION_TEMPLATE)
+  };
+}
+
+/**
+ * Where a continuation goes in a digest: before its footer (the last --- rule
+ * after any frontmatter), or at the end
+ */
+function continuationOffset(content) {
+  let body = 0;
+  if (content.startsWith('---\n')) {
+    const close = content.indexOf('\n---\n', 3);
+    if (close !== -1) body = close + 5;
+  }
+  const footer = content.lastIndexOf('\n---\n');
+  return footer >= body ? footer + 1 : content.length;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_CONTINUATION_TEMPLATE,
+  compileFilter,
+  compileTemplate,
+  loadTemplates,
+  toRegExp,
+  continuationOffset
+};
@@ -0,0 +1,131 @@
+/**
+ * Error types for the programmatic API
+ *
+ * Every error carries a stable `code` so callers can branch without
+ * matching on message text.
+ */
+
+class RecallError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'RECALL_FAILED';
+    if (options.stderr) this.stderr = options.stderr;
+    if (options.exitCode !== undefined) this.exitCode = options.exitCode;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+/**
+ * ChromaDB directory does not exist yet - run index-digests first
+ */
+class IndexMissingError extends RecallError {
+  constructor(message = 'No index found. Run index-digests first.', options = {}) {
+    super(message, { ...options, code: 'INDEX_MISSING' });
+  }
+}
+
+/**
+ * Python venv (or its dependencies) is missing - run setup first
+ */
+class VenvMissingError extends RecallError {
+  constructor(message = 'Python venv not found. Run: npx jasper-recall setup', options = {}) {
+    super(message, { ...options, code: 'VENV_MISSING' });
+  }
+}
+
+/**
+ * Index exists but none of the requested collections do
+ */
+class NoCollectionsError extends RecallError {
+  constructor(message = 'No collections found. Run index-digests first.', options = {}) {
+    super(message, { ...options, code: 'NO_COLLECTIONS' });
+  }
+}
+
+/**
+ * JS backend: onnxruntime-node isn't installed
+ */
+class BackendUnavailableError extends RecallError {
+  constructor(message = 'onnxruntime-node is not installed. Run: npm install onnxruntime-node', options = {}) {
+    super(message, { ...options, code: 'BACKEND_UNAVAILABLE' });
+  }
+}
+
+/**
+ * JS backend: ONNX model files are missing from modelDir
+ */
+class ModelMissingError extends RecallError {
+  constructor(message = 'Embedding model not found. See "JavaScript Backend" in the README.', options = {}) {
+    super(message, { ...options, code: 'MODEL_MISSING' });
+  }
+}
+
+/**
+ * The index was built with another embedding model than embeddingModel -
+ * run `jasper-recall reindex --model <name>`
+ */
+class ModelMismatchError extends RecallError {
+  constructor(message = 'The index was built with another embedding model. Run: jasper-recall reindex', options = {}) {
+    super(message, { ...options, code: 'MODEL_MISMATCH' });
+  }
+}
+
+class RecallTimeoutError extends RecallError {
+  constructor(timeout, options = {}) {
+    super(`Timed out after ${timeout}ms`, { ...options, code: 'TIMEOUT' });
+    this.timeout = timeout;
+  }
+}
+
+class RecallAbortError extends RecallError {
+  constructor(message = 'Operation aborted', options = {}) {
+    super(message, { ...options, code: 'ABORTED' });
+  }
+}
+
+/**
+ * Map a failed script's stderr onto the most specific error type
+ */
+function errorFromStderr(stderr, exitCode) {
+  const text = (stderr || '').trim();
+  const options = { stderr: text, exitCode };
+
+  if (text.includes('No index found')) return new IndexMissingError(undefined, options);
+  if (text.includes('No collections found')) return new NoCollectionsError(undefined, options);
+  const mismatch = text.split('\n').find(line => line.includes('jasper-recall reindex --model'));
+  if (mismatch) return new ModelMismatchError(mismatch.replace(/^❌\s*/, ''), options);
+  if (text.includes('Missing dependency')) return new VenvMissingError(text.split('\n')[0].replace(/^❌\s*/, ''), options);
+
+  const message = text.split('\n').filter(Boolean).pop() || `Exited with code ${exitCode}`;
+  return new RecallError(message.replace(/^❌\s*/, ''), options);
+}
+
+/**
+ * Rebuild an error reported by the recall worker ({ code, message })
+ */
+function errorFromCode(code, message, options = {}) {
+  switch (code) {
+    case 'INDEX_MISSING': return new IndexMissingError(message, options);
+    case 'VENV_MISSING': return new VenvMissingError(message, options);
+    case 'NO_COLLECTIONS': return new NoCollectionsError(message, options);
+    case 'BACKEND_UNAVAILABLE': return new BackendUnavailableError(message, options);
+    case 'MODEL_MISSING': return new ModelMissingError(message, options);
+    case 'MODEL_MISMATCH': return new ModelMismatchError(message, options);
+    default: return new RecallError(message, { ...options, code });
+  }
+}
+
+module.exports = {
+  RecallError,
+  IndexMissingError,
+  VenvMissingError,
+  NoCollectionsError,
+  BackendUnavailableError,
+  ModelMissingError,
+  ModelMismatchError,
+  RecallTimeoutError,
+  RecallAbortError,
+  errorFromStderr,
+  errorFromCode
+};
@@ -0,0 +1,148 @@
+/**
+ * Recall filters: date range, source globs and tags
+ *
+ * JavaScript port of build_filter() in scripts/recall.py, used by the JS
+ * backend and to validate server/MCP parameters before they reach either
+ * backend. Note dates and tags are recorded at index time (`date` as
+ * YYYYMMDD, `tags` comma-separated).
+ */
+
+const { RecallError } = require('./errors');
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const RELATIVE_DATE = /^(\d+)([dw])$/;
+
+function toNumber(date) {
+  return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
+/**
+ * A since/until value as YYYYMMDD
+ * Accepts 2026-02-05, today, yesterday, or a number of days/weeks ago: 7d, 2w.
+ */
+function parseDate(value, now = new Date()) {
+  const text = String(value).trim().toLowerCase();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (text === 'today') return toNumber(today);
+  if (text === 'yesterday') return toNumber(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1));
+
+  const relative = text.match(RELATIVE_DATE);
+  if (relative) {
+    const days = parseInt(relative[1], 10) * (relative[2] === 'w' ? 7 : 1);
+    return toNumber(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days));
+  }
+
+  const iso = text.match(ISO_DATE);
+  if (iso) {
+    const [year, month, day] = iso.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    // Reject 2026-02-30 and friends, like strptime does
+    if (date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day) {
+      return toNumber(date);
+    }
+  }
+
+  throw new RecallError(`invalid date '${value}' (use YYYY-MM-DD, today, yesterday, 7d or 2w)`, { code: 'INVALID_ARGUMENT' });
+}
+
+/**
+ * Translate a glob to a RegExp with Python's fnmatchcase() semantics
+ * (`*` also matches `/`, `[!...]` negates a class)
+ */
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      re += '.*';
+    } else if (c === '?') {
+      re += '.';
+    } else if (c === '[') {
+      let j = i + 1;
+      if (pattern[j] === '!') j++;
+      if (pattern[j] === ']') j++;
+      while (j < pattern.length && pattern[j] !== ']') j++;
+      if (j >= pattern.length) {
+        re += '\\[';
+      } else {
+        let stuff = pattern.slice(i + 1, j).replace(/\\/g, '\\\\');
+        if (stuff[0] === '!') stuff = '^' + stuff.slice(1);
+        else if (stuff[0] === '^') stuff = '\\' + stuff;
+        re += `[${stuff}]`;
+        i = j;
+      }
+    } else {
+      re += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, 's');
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Turn filter options into a predicate on chunk metadata (null: no filtering)
+ * paths and excludeSources are globs on the source path; every tag must be
+ * present; notes without a date never match a date range.
+ * @param {Object} [filters] - { since, until, paths, tags, excludeSources }
+ * @returns {Function|null}
+ */
+function buildFilter(filters = {}) {
+  const paths = asList(filters.paths).map(globToRegExp);
+  const excludes = asList(filters.excludeSources).map(globToRegExp);
+  const tags = asList(filters.tags).map(tag => String(tag).trim().replace(/^\[+|\]+$/g, '').toLowerCase());
+  const since = filters.since ? parseDate(filters.since) : null;
+  const until = filters.until ? parseDate(filters.until) : null;
+  if (!paths.length && !excludes.length && !tags.length && !since && !until) return null;
+
+  return metadata => {
+    const source = metadata.source || '';
+    if (paths.length && !paths.some(re => re.test(source))) return false;
+    if (excludes.some(re => re.test(source))) return false;
+    if (since || until) {
+      const date = metadata.date;
+      if (date === undefined || date === null || (since && date < since) || (until && date > until)) return false;
+    }
+    if (tags.length) {
+      const have = new Set((metadata.tags || '').split(','));
+      if (!tags.every(tag => have.has(tag))) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Filter options from a request (camelCase or snake_case, lists or
+ * comma-separated strings), validated
+ * @returns {Object} - { since, until, paths, tags, excludeSources } with only the given keys
+ * @throws {RecallError} INVALID_ARGUMENT
+ */
+function parseFilterParams(input) {
+  const filters = {};
+  for (const key of ['since', 'until']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    parseDate(input[key]);
+    filters[key] = String(input[key]);
+  }
+
+  const lists = {
+    paths: input.path ?? input.paths,
+    tags: input.tag ?? input.tags,
+    excludeSources: input.excludeSource ?? input.exclude_source ?? input.excludeSources ?? input.exclude_sources
+  };
+  for (const [key, raw] of Object.entries(lists)) {
+    if (raw === undefined || raw === null) continue;
+    const values = typeof raw === 'string' ? raw.split(',').map(v => v.trim()).filter(Boolean) : raw;
+    if (!Array.isArray(values) || values.some(v => typeof v !== 'string' || !v)) {
+      throw new RecallError(`${key} must be a string or a list of strings`, { code: 'INVALID_ARGUMENT' });
+    }
+    if (values.length) filters[key] = values;
+  }
+  return filters;
+}
+
+module.exports = { parseDate, globToRegExp, buildFilter, parseFilterParams };
@@ -1,48 +1,67 @@
 /**
  * Jasper Recall
  * Local RAG system for AI agent memory
- * 
+ *
  * This module exports utilities for programmatic access.
  * For CLI usage, use the `jasper-recall` command.
+ *
+ * Long-running services should use RecallClient (promise-based, cancellable).
+ * The synchronous helpers below are kept for existing scripts.
  */
 
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 const path = require('path');
 const os = require('os');
 
+const { RecallClient } = require('./client');
+const { getBackend } = require('./backend');
+const {
+  RecallError,
+  IndexMissingError,
+  VenvMissingError,
+  NoCollectionsError,
+  BackendUnavailableError,
+  ModelMissingError,
+  ModelMismatchError,
+  RecallTimeoutError,
+  RecallAbortError
+} = require('./errors');
+
 const BIN_PATH = path.join(os.homedir(), '.local', 'bin');
 
 /**
  * Search the memory index
+ * @deprecated Use RecallClient#recall
  * @param {string} query - Search query
  * @param {Object} options - Options { limit, json, verbose }
  * @returns {Array|string} - Search results
  */
 function recall(query, options = {}) {
-  const args = [query];
-  if (options.limit) args.push('-n', options.limit);
+  const args = [];
+  if (options.limit) args.push('-n', String(options.limit));
   if (options.json) args.push('--json');
   if (options.verbose) args.push('-v');
-  
+  args.push('--', query);
+
   const recallPath = path.join(BIN_PATH, 'recall');
-  const result = execSync(`${recallPath} ${args.map(a => `"${a}"`).join(' ')}`, {
-    encoding: 'utf8'
-  });
-  
+  const result = execFileSync(recallPath, args, { encoding: 'utf8' });
+
   return options.json ? JSON.parse(result) : result;
 }
 
 /**
  * Index memory files
+ * @deprecated Use RecallClient#index
  * @returns {string} - Index output
  */
 function indexDigests() {
   const scriptPath = path.join(BIN_PATH, 'index-digests');
-  return execSync(scriptPath, { encoding: 'utf8' });
+  return execFileSync(scriptPath, [], { encoding: 'utf8' });
 }
 
 /**
  * Process session logs into digests
+ * @deprecated Use RecallClient#digestSessions
  * @param {Object} options - Options { dryRun, all, recent }
  * @returns {string} - Digest output
  */
@@ -50,13 +69,24 @@ function digestSessions(options = {}) {
   const args = [];
   if (options.dryRun) args.push('--dry-run');
   if (options.all) args.push('--all');
-  if (options.recent) args.push('--recent', options.recent);
-  
+  if (options.recent) args.push('--recent', String(options.recent));
+
   const scriptPath = path.join(BIN_PATH, 'digest-sessions');
-  return execSync(`${scriptPath} ${args.join(' ')}`, { encoding: 'utf8' });
+  return execFileSync(scriptPath, args, { encoding: 'utf8' });
 }
 
 module.exports = {
+  RecallClient,
+  getBackend,
+  RecallError,
+  IndexMissingError,
+  VenvMissingError,
+  NoCollectionsError,
+  BackendUnavailableError,
+  ModelMissingError,
+  ModelMismatchError,
+  RecallTimeoutError,
+  RecallAbortError,
   recall,
   indexDigests,
   digestSessions
@@ -0,0 +1,124 @@
+/**
+ * BM25 keyword search for the JS backend
+ *
+ * Port of scripts/bm25.py - same tokenizer, scoring and rank fusion, so
+ * hybrid results line up between backends. The JS index already holds every
+ * chunk's text, so the keyword index is built in memory when a collection is
+ * loaded instead of being stored separately.
+ */
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.5;
+const B = 0.75;
+
+// Reciprocal rank fusion constant
+const RRF_K = 60;
+
+// Words, plus identifiers joined by - . : / (jr-17, db-01.prod.local, 10.0.0.5:8080)
+const TOKEN_RE = /[\p{L}\p{N}_]+(?:[-.:/][\p{L}\p{N}_]+)*/gu;
+const PART_RE = /[-.:/_]+/;
+
+/**
+ * Lowercased terms. Compound identifiers are kept whole and also split, so
+ * "JR-17" matches "jr-17" exactly and "get_file_hash" matches "hash".
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const [token] of text.toLowerCase().matchAll(TOKEN_RE)) {
+    terms.push(token);
+    const parts = token.split(PART_RE).filter(Boolean);
+    if (parts.length > 1) terms.push(...parts);
+  }
+  return terms;
+}
+
+class BM25Index {
+  constructor() {
+    // id -> { length, tf: Map(term -> count) }
+    this.docs = new Map();
+    this.postings = null;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * @param {Array<{id, document}>} items
+   */
+  add(items) {
+    for (const { id, document } of items) {
+      const terms = tokenize(document || '');
+      const tf = new Map();
+      for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+      this.docs.set(id, { length: terms.length, tf });
+    }
+    this.postings = null;
+  }
+
+  remove(ids) {
+    for (const id of ids) this.docs.delete(id);
+    this.postings = null;
+  }
+
+  buildPostings() {
+    const postings = new Map();
+    let total = 0;
+    for (const [id, doc] of this.docs) {
+      total += doc.length;
+      for (const [term, count] of doc.tf) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push([id, count]);
+      }
+    }
+    this.postings = { postings, avgdl: this.docs.size ? total / this.docs.size : 0 };
+    return this.postings;
+  }
+
+  /**
+   * Best-matching ids for a query
+   * ids: only consider these documents (statistics still cover the whole index)
+   * @returns {Array<{id, score}>} - Highest first
+   */
+  search(query, limit, ids = null) {
+    if (!this.docs.size) return [];
+    const { postings, avgdl } = this.postings || this.buildPostings();
+    const n = this.docs.size;
+
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const matches = postings.get(term);
+      if (!matches) continue;
+      const idf = Math.log(1 + (n - matches.length + 0.5) / (matches.length + 0.5));
+      for (const [id, tf] of matches) {
+        if (ids && !ids.has(id)) continue;
+        const norm = K1 * (1 - B + B * this.docs.get(id).length / (avgdl || 1));
+        scores.set(id, (scores.get(id) || 0) + idf * tf * (K1 + 1) / (tf + norm));
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Reciprocal rank fusion of two ranked lists of results
+ * Items are matched on (collection, id); each list contributes
+ * weight / (RRF_K + rank). Returns the union, best first, with `score` set.
+ */
+function fuseRankings(semantic, keyword, keywordWeight) {
+  const fused = new Map();
+  for (const [weight, ranking] of [[1 - keywordWeight, semantic], [keywordWeight, keyword]]) {
+    ranking.forEach((item, i) => {
+      const key = `${item.collection}\u0000${item.id}`;
+      if (!fused.has(key)) fused.set(key, { ...item, score: 0 });
+      fused.get(key).score += weight / (RRF_K + i + 1);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = { BM25Index, tokenize, fuseRankings, RRF_K };
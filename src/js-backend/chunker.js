@@ -0,0 +1,335 @@
+/**
+ * File discovery and chunking for the JS backend
+ *
+ * Port of the helpers in scripts/index-digests.py - both backends must pick
+ * the same files, split them the same way and route them to the same
+ * collections.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Paragraphs are grouped per section up to CHUNK_SIZE, code blocks kept whole up to MAX_CODE_CHUNK
+const CHUNK_SIZE = 500; // characters
+const MAX_CODE_CHUNK = 2000;
+
+const HEADING_RE = /^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/s;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+// Daily notes and digests carry their date in the filename (2026-02-05.md, a1b2c3d4-2026-02-05.md)
+const DATE_RE = /(\d{4})-(\d{2})-(\d{2})/;
+// [public], [private], [learning], [deploy] ... but not [links](...), [refs][1] or [x] checkboxes
+const TAG_RE = /\[([A-Za-z][A-Za-z0-9_-]{1,31})\](?![(\[:])/g;
+
+// digest-sessions writes one folder per agent under session-digests/, described by this file
+const AGENT_FILE = '.agent.json';
+
+// Lengths are counted in code points, like Python's len()
+function length(text) {
+  return [...text].length;
+}
+
+/**
+ * Split markdown into headings, paragraphs (runs of non-blank lines) and
+ * fenced code blocks (kept whole, blank lines included)
+ * @returns {Array<{kind: 'heading'|'text'|'code', text, start, end, level?}>} - 1-based line numbers
+ */
+function markdownBlocks(text) {
+  const lines = text.split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ kind: 'heading', level: heading[1].length, text: heading[2].trim(), start: i + 1, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      // Runs to a closing fence of the same character, at least as long (or the end of the file)
+      const marker = fence[1];
+      let end = i + 1;
+      while (end < lines.length) {
+        const closing = lines[end].trim();
+        if (closing.length >= marker.length && [...closing].every(c => c === marker[0])) break;
+        end++;
+      }
+      end = Math.min(end, lines.length - 1);
+      blocks.push({ kind: 'code', text: lines.slice(i, end + 1).join('\n').trim(), start: i + 1, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+
+    let end = i;
+    while (end + 1 < lines.length && lines[end + 1].trim() &&
+           !HEADING_RE.test(lines[end + 1]) && !FENCE_RE.test(lines[end + 1])) {
+      end++;
+    }
+    blocks.push({ kind: 'text', text: lines.slice(i, end + 1).join('\n').trim(), start: i + 1, end: end + 1 });
+    i = end + 1;
+  }
+  return blocks;
+}
+
+/**
+ * A block as [text, start, end] pieces that fit in a chunk: split between
+ * lines, and long lines into fixed windows. Code blocks get MAX_CODE_CHUNK.
+ */
+function splitBlock(block, chunkSize) {
+  const limit = block.kind === 'code' ? Math.max(chunkSize, MAX_CODE_CHUNK) : chunkSize;
+  if (length(block.text) <= limit) return [[block.text, block.start, block.end]];
+
+  // [text, line number] segments, then greedily packed into pieces
+  const segments = [];
+  block.text.split('\n').forEach((line, offset) => {
+    const chars = [...line];
+    for (let pos = 0; pos < Math.max(chars.length, 1); pos += limit) {
+      segments.push([chars.slice(pos, pos + limit).join(''), block.start + offset]);
+    }
+  });
+
+  const groups = [];
+  let current = [];
+  let size = -1;
+  for (const segment of segments) {
+    if (current.length && size + 1 + length(segment[0]) > limit) {
+      groups.push(current);
+      current = [];
+      size = -1;
+    }
+    current.push(segment);
+    size += 1 + length(segment[0]);
+  }
+  groups.push(current);
+
+  return groups
+    .map(group => [group.map(([text]) => text).join('\n').trim(), group[0][1], group[group.length - 1][1]])
+    .filter(([text]) => text);
+}
+
+/**
+ * Split a markdown file into chunks that follow its structure: a new chunk
+ * at every heading, paragraphs grouped up to chunkSize, code blocks whole.
+ * Each chunk's text starts with its breadcrumb ("title > H1 > H2").
+ * @returns {Array<{text, section, line_start, line_end}>}
+ */
+function chunkMarkdown(text, title, chunkSize = CHUNK_SIZE) {
+  const chunks = [];
+  let headings = []; // [level, heading text]
+  const pending = []; // [text, start, end] for the chunk being built
+
+  const flush = () => {
+    if (!pending.length) return;
+    const section = headings.map(([, heading]) => heading).join(' > ');
+    const breadcrumb = [title, ...headings.map(([, heading]) => heading)].join(' > ');
+    chunks.push({
+      text: `${breadcrumb}\n\n${pending.map(([piece]) => piece).join('\n\n')}`,
+      section,
+      line_start: pending[0][1],
+      line_end: pending[pending.length - 1][2]
+    });
+    pending.length = 0;
+  };
+
+  for (const block of markdownBlocks(text)) {
+    if (block.kind === 'heading') {
+      flush();
+      headings = [...headings.filter(([level]) => level < block.level), [block.level, block.text]];
+      continue;
+    }
+    for (const piece of splitBlock(block, chunkSize)) {
+      const size = pending.reduce((sum, [text]) => sum + length(text) + 2, 0);
+      if (pending.length && size + length(piece[0]) > chunkSize) flush();
+      pending.push(piece);
+    }
+  }
+  flush();
+  return chunks;
+}
+
+function getFileHash(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Date from a note's filename as YYYYMMDD, or null
+ */
+function noteDate(filename) {
+  const match = filename.match(DATE_RE);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return year * 10000 + month * 100 + day;
+}
+
+/**
+ * Bracket tags in a file, lowercased and comma-separated ("learning,public")
+ */
+function extractTags(content) {
+  const tags = new Set([...content.matchAll(TAG_RE)].map(match => match[1].toLowerCase()));
+  return [...tags].sort().join(',');
+}
+
+/**
+ * Which collection a file belongs to: 'private', 'shared' or 'learnings'
+ */
+function determineCollection(relPath, content) {
+  const relLower = relPath.toLowerCase();
+  const contentLower = content.toLowerCase();
+
+  // Agent learnings: moltbook insights, agent collaboration notes
+  if (['moltbook/', 'learnings/', 'agent-insights/'].some(x => relLower.includes(x))) return 'learnings';
+  if (contentLower.includes('[learning]') || contentLower.includes('[insight]')) return 'learnings';
+
+  // Shared: explicit shared folder or [public] tag
+  if (relLower.includes('shared/')) return 'shared';
+  if (contentLower.includes('[public]')) return 'shared';
+
+  return 'private';
+}
+
+// Agent names whose agent_<name> is already one of the shared collections
+const RESERVED_AGENT_NAMES = ['learnings'];
+
+/**
+ * Collection of a sandboxed agent's digests: agent_<name>, as the mesh scripts
+ * name agent collections (agent_agent-learnings for an agent called learnings)
+ */
+function agentCollectionName(agent) {
+  let name = agent.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|[-_]+$/g, '').slice(0, 57);
+  if (RESERVED_AGENT_NAMES.includes(name)) name = `agent-${name}`;
+  return `agent_${name || 'unknown'}`;
+}
+
+/**
+ * A digest folder's .agent.json (null if missing or unreadable)
+ */
+function readAgentFile(folder) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(folder, AGENT_FILE), 'utf8'));
+    return meta && typeof meta === 'object' ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The collection of a session digest: its agent's collection when the folder's
+ * .agent.json says sandboxed, else 'private'. null for any other file.
+ * Checked before determineCollection(), whose folder names and tags would
+ * otherwise send an agent called moltbook or shared somewhere public.
+ */
+function agentCollection(memoryDir, file) {
+  const digests = path.resolve(memoryDir, 'session-digests');
+  const relative = path.relative(digests, path.resolve(file));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  const folder = path.dirname(path.resolve(file));
+  if (path.dirname(folder) !== digests) return 'private';
+  const meta = readAgentFile(folder);
+  if (meta?.privacy !== 'sandboxed') return 'private';
+  return agentCollectionName(String(meta.agent || path.basename(folder)));
+}
+
+/**
+ * The agents with a digest folder: [{ agent, collection, sandboxed }]. Only
+ * sandboxed agents' digests are indexed into their collection, but garbage
+ * collection checks the others' too, in case an agent stopped being sandboxed.
+ */
+function digestAgents(memoryDir) {
+  return listFolders(path.join(memoryDir, 'session-digests')).map(folder => {
+    const meta = readAgentFile(folder);
+    const agent = String(meta?.agent || path.basename(folder));
+    return { agent, collection: agentCollectionName(agent), sandboxed: meta?.privacy === 'sandboxed' };
+  });
+}
+
+function listFolders(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => path.join(dir, entry.name))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function listMarkdown(dir, recursive = false) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    // glob() skips dotfiles too
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && recursive) files.push(...listMarkdown(full, true));
+    else if (entry.isFile() && entry.name.endsWith('.md')) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Markdown files the indexer picks up, in the same places as index-digests.py
+ */
+function gatherFiles(memoryDir) {
+  const files = [
+    ...listMarkdown(path.join(memoryDir, 'session-digests')),
+    ...listFolders(path.join(memoryDir, 'session-digests')).flatMap(folder => listMarkdown(folder)),
+    ...listMarkdown(memoryDir),
+    ...listMarkdown(path.join(memoryDir, 'repos')),
+    ...listMarkdown(path.join(memoryDir, 'founder-logs')),
+    ...listMarkdown(path.join(memoryDir, 'founderLogs')),
+    ...listMarkdown(path.join(memoryDir, 'sops')),
+    ...listMarkdown(path.join(memoryDir, 'shared'), true)
+  ];
+  return [...new Set(files)];
+}
+
+// Subfolders of memory/ whose top-level notes are indexed (shared/ is recursive)
+const INDEXED_DIRS = ['session-digests', 'repos', 'founder-logs', 'founderLogs', 'sops'];
+
+/**
+ * Whether gatherFiles() would pick up this path (it need not exist), so the
+ * watcher can tell which changes matter
+ */
+function isIndexedFile(memoryDir, file) {
+  const parts = path.relative(memoryDir, file).split(path.sep);
+  if (!file.endsWith('.md') || parts[0] === '..' || path.isAbsolute(parts[0])) return false;
+  if (parts.some(part => part.startsWith('.'))) return false;
+  if (parts.length === 1) return true;
+  if (parts[0] === 'shared') return true;
+  if (parts[0] === 'session-digests' && parts.length === 3) return true;  // Per-agent folders
+  return parts.length === 2 && INDEXED_DIRS.includes(parts[0]);
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_CODE_CHUNK,
+  AGENT_FILE,
+  length,
+  chunkMarkdown,
+  markdownBlocks,
+  getFileHash,
+  noteDate,
+  extractTags,
+  determineCollection,
+  agentCollectionName,
+  agentCollection,
+  digestAgents,
+  gatherFiles,
+  isIndexedFile
+};
@@ -0,0 +1,281 @@
+/**
+ * `recall` and `index-digests` for the JS backend
+ *
+ * Same flags and output as scripts/recall.py and scripts/index-digests.py, so
+ * switching backends doesn't change what agents and cron jobs see.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { getBackend } = require('../backend');
+const { takeSnapshot } = require('../../cli/snapshot');
+const { RecallError } = require('../errors');
+const { MODES, DEFAULT_KEYWORD_WEIGHT } = require('./index');
+
+const COLLECTION_CHOICES = ['private', 'shared', 'learnings', 'all', 'legacy'];
+// Sandboxed agents' session digests (see cli/agents.js)
+const AGENT_COLLECTION_RE = /^agent_[a-z0-9][a-z0-9_-]*$/;
+
+const RECALL_USAGE = 'usage: recall [-h] [-n LIMIT] [--json] [-v] [--public-only] [-c COLLECTION] [--min-score MIN_SCORE] [--mode {hybrid,semantic,keyword}] [--keyword-weight KEYWORD_WEIGHT] [--since DATE] [--until DATE] [--path GLOB] [--tag TAG] [--exclude-source GLOB] [--rerank] [--rerank-candidates N] query';
+
+function parseRecallArgs(args) {
+  const options = {
+    limit: 5, json: false, verbose: false, publicOnly: false, collections: null, minScore: null,
+    mode: 'hybrid', keywordWeight: DEFAULT_KEYWORD_WEIGHT,
+    since: null, until: null, paths: null, tags: null, excludeSources: null,
+    rerank: false, rerankCandidates: undefined
+  };
+  // Repeatable flags, like argparse's action="append"
+  const append = (key, flag, value) => {
+    if (value === undefined) throw new Error(`argument ${flag}: expected one argument`);
+    options[key] = [...(options[key] || []), value];
+  };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    } else if (arg === '-n' || arg === '--limit') {
+      options.limit = parseInt(args[++i], 10);
+      if (!Number.isInteger(options.limit)) throw new Error('argument -n/--limit: expected an integer');
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '-v' || arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--public-only') {
+      options.publicOnly = true;
+    } else if (arg === '-c' || arg === '--collection') {
+      const value = args[++i];
+      if (!COLLECTION_CHOICES.includes(value) && !AGENT_COLLECTION_RE.test(value || '')) {
+        throw new Error(`argument -c/--collection: invalid choice: '${value}' (choose from ${COLLECTION_CHOICES.join(', ')}, agent_<name>)`);
+      }
+      options.collections = [...(options.collections || []), value];
+    } else if (arg === '--min-score') {
+      options.minScore = parseFloat(args[++i]);
+      if (Number.isNaN(options.minScore)) throw new Error('argument --min-score: expected a number');
+    } else if (arg === '--mode') {
+      const value = args[++i];
+      if (!MODES.includes(value)) {
+        throw new Error(`argument --mode: invalid choice: '${value}' (choose from ${MODES.join(', ')})`);
+      }
+      options.mode = value;
+    } else if (arg === '--keyword-weight') {
+      options.keywordWeight = parseFloat(args[++i]);
+      if (Number.isNaN(options.keywordWeight)) throw new Error('argument --keyword-weight: expected a number');
+    } else if (arg === '--since' || arg === '--until') {
+      options[arg.slice(2)] = args[++i];
+      if (options[arg.slice(2)] === undefined) throw new Error(`argument ${arg}: expected one argument`);
+    } else if (arg === '--path') {
+      append('paths', arg, args[++i]);
+    } else if (arg === '--tag') {
+      append('tags', arg, args[++i]);
+    } else if (arg === '--exclude-source') {
+      append('excludeSources', arg, args[++i]);
+    } else if (arg === '--rerank') {
+      options.rerank = true;
+    } else if (arg === '--rerank-candidates') {
+      options.rerankCandidates = parseInt(args[++i], 10);
+      if (!Number.isInteger(options.rerankCandidates)) throw new Error('argument --rerank-candidates: expected an integer');
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      throw new Error(`unrecognized arguments: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (!options.help && positional.length !== 1) {
+    throw new Error(positional.length ? `unrecognized arguments: ${positional.slice(1).join(' ')}` : 'the following arguments are required: query');
+  }
+  options.query = positional[0];
+  return options;
+}
+
+/**
+ * One line on why a result ranked where it did (for --verbose)
+ */
+function explainScore(item) {
+  const details = item.score_details;
+  const parts = [`score ${item.score.toFixed(4)} = ${details.base.toFixed(4)}`];
+  if (item.rerank_score !== null) parts[0] += ' (reranked)';
+  if (details.boost !== 1) parts.push(`boost ×${details.boost}`);
+  if (details.pinned) parts.push('pinned');
+  else if (details.age_days !== null) parts.push(`${details.age_days}d old ×${details.recency}`);
+  return '    ' + parts.join(' · ');
+}
+
+/**
+ * @param {string[]} args - CLI arguments (without the command)
+ * @returns {Promise<number>} - Exit code
+ */
+async function runRecallCLI(args) {
+  let options;
+  try {
+    options = parseRecallArgs(args);
+  } catch (err) {
+    console.error(RECALL_USAGE);
+    console.error(`recall: error: ${err.message}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(RECALL_USAGE);
+    return 0;
+  }
+
+  let results;
+  let searched;
+  try {
+    const backend = getBackend({ backend: 'js' });
+    searched = options.collections?.includes('all') ? ['private', 'shared', 'learnings'] : options.collections;
+    searched = searched || (options.publicOnly ? ['shared', 'learnings'] : ['private', 'shared', 'learnings']);
+    results = await backend.recall(options.query, options);
+  } catch (err) {
+    if (!(err instanceof RecallError)) throw err;
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+
+  if (!results.length) {
+    console.log(options.json ? '[]' : `🔍 No results for: "${options.query}"`);
+    return 0;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return 0;
+  }
+
+  console.log(`🔍 Results for: "${options.query}" (searched: ${searched.join(', ')})\n`);
+  for (const item of results) {
+    const score = options.verbose ? ` (${(item.similarity * 100).toFixed(1)}%)` : '';
+    const tag = searched.length > 1 ? `[${item.collection}] ` : '';
+    const lines = item.lines ? `:${item.lines[0]}-${item.lines[1]}` : '';
+    console.log(`━━━ [${item.rank}] ${tag}${item.source}${lines}${score} ━━━`);
+    if (options.verbose) console.log(explainScore(item));
+    // Truncate long content
+    const chars = [...item.content];
+    console.log(chars.length > 500 ? chars.slice(0, 500).join('') + '...' : item.content);
+    console.log('');
+  }
+  return 0;
+}
+
+/**
+ * @param {string[]} args - CLI arguments (without the command)
+ * @returns {Promise<number>} - Exit code
+ */
+const INDEX_USAGE = 'usage: index-digests [-h] [--prune] [--gc] [--dry-run] [--no-snapshot] [files ...]';
+
+function parseIndexArgs(args) {
+  const options = { files: [], prune: false, gc: false, dryRun: false, snapshot: true, help: false };
+  for (const arg of args) {
+    if (arg === '-h' || arg === '--help') options.help = true;
+    else if (arg === '--prune') options.prune = true;
+    else if (arg === '--gc') options.gc = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--no-snapshot') options.snapshot = false;
+    else if (arg.startsWith('-')) throw new Error(`unrecognized arguments: ${arg}`);
+    else options.files.push(arg);
+  }
+  if (options.dryRun && !options.gc) throw new Error('--dry-run only applies to --gc');
+  if (options.gc && options.files.length) throw new Error('--gc takes no files');
+  return options;
+}
+
+/**
+ * Copy the index before changing it (cli/snapshot.js); false (after saying why) if that failed
+ */
+function snapshotIndex(backend, reason) {
+  try {
+    takeSnapshot(reason, { indexDir: backend.indexDir, backend: 'js', workspace: backend.workspace });
+    return true;
+  } catch (err) {
+    console.error(`❌ Could not snapshot ${backend.indexDir}: ${err.message}`);
+    console.error('Free some space, or run with --no-snapshot to skip it.');
+    return false;
+  }
+}
+
+/**
+ * `--gc`: collect garbage without loading the embedding model
+ */
+function runGc(backend, dryRun, snapshot) {
+  if (!backend.store.exists) {
+    console.log(`⚠ No index at ${backend.indexDir} - nothing to collect`);
+    return 0;
+  }
+  if (snapshot && !dryRun && !snapshotIndex(backend, 'gc')) return 1;
+  console.log(dryRun ? 'Collecting garbage (dry run)...' : 'Collecting garbage...');
+
+  const garbage = backend.collectGarbage({ dryRun, log: line => console.log(line) });
+  const chunks = garbage.reduce((sum, entry) => sum + entry.chunks, 0);
+  const files = new Set(garbage.map(entry => entry.source)).size;
+  console.log('='.repeat(40));
+  if (!garbage.length) console.log('✓ Nothing to collect');
+  else if (dryRun) console.log(`✓ Would remove ${chunks} chunks of ${files} files (run without --dry-run to remove)`);
+  else console.log(`✓ Removed ${chunks} chunks of ${files} files`);
+  return 0;
+}
+
+async function runIndexCLI(args) {
+  let options;
+  try {
+    options = parseIndexArgs(args);
+  } catch (err) {
+    console.error(INDEX_USAGE);
+    console.error(`index-digests: error: ${err.message}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(INDEX_USAGE);
+    return 0;
+  }
+
+  const backend = getBackend({ backend: 'js' });
+
+  console.log('🦊 Jasper Recall — RAG Indexer (JS backend)');
+  console.log('='.repeat(40));
+
+  let result;
+  try {
+    if (options.gc) {
+      if (!fs.existsSync(backend.memoryDir)) {
+        throw new RecallError(`Memory directory not found: ${backend.memoryDir}`, { code: 'MEMORY_MISSING' });
+      }
+      return runGc(backend, options.dryRun, options.snapshot);
+    }
+    if (options.snapshot && !snapshotIndex(backend, 'index')) return 1;
+    console.log('Loading embedding model...');
+    await backend.start();
+    console.log(`✓ Model loaded: ${backend.embeddingModel}`);
+    const files = options.files.map(file => path.relative(backend.workspace, path.resolve(file)));
+    result = await backend.indexFiles(files.length ? files : null, { prune: options.prune, log: line => console.log(line) });
+  } catch (err) {
+    if (!(err instanceof RecallError)) throw err;
+    if (err.code === 'MEMORY_MISSING') {
+      console.log(`⚠ ${err.message}`);
+      console.log('Create some markdown files there first.');
+    } else {
+      console.error(`❌ ${err.message}`);
+    }
+    return 1;
+  }
+
+  console.log('='.repeat(40));
+  console.log('✓ Indexing complete');
+  for (const [key, s] of Object.entries(result.stats)) {
+    if (s.files > 0 || s.skipped > 0) {
+      console.log(`  ${key}: ${s.files} files (${s.chunks} chunks), ${s.skipped} skipped`);
+    }
+  }
+  if (result.removed.length) console.log(`  removed: ${result.removed.length} files`);
+  console.log(`  Index: ${backend.indexDir}`);
+  return 0;
+}
+
+module.exports = { runRecallCLI, runIndexCLI, parseRecallArgs };
@@ -0,0 +1,204 @@
+/**
+ * Sentence embeddings with ONNX Runtime
+ *
+ * Runs an exported sentence-transformers model (model.onnx + vocab.txt, by
+ * default all-MiniLM-L6-v2) from disk: token embeddings are mean-pooled over
+ * the attention mask and L2-normalized, the same as sentence-transformers does
+ * for MiniLM-style models.
+ *
+ * Collections record which model made their vectors, so a query is never
+ * compared with vectors from another (same checks as scripts/recall_config.py).
+ *
+ * onnxruntime-node is an optional dependency and is only loaded on first use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { WordPieceTokenizer } = require('./tokenizer');
+const { BackendUnavailableError, ModelMissingError, ModelMismatchError } = require('../errors');
+
+// Exports from transformers.js / optimum put the model under onnx/
+const MODEL_FILES = ['model.onnx', path.join('onnx', 'model.onnx')];
+// What collections indexed before the model was recorded were embedded with
+const DEFAULT_EMBEDDING_MODEL = 'all-MiniLM-L6-v2';
+// Collection metadata naming the model that made its vectors
+const MODEL_KEY = 'embedding_model';
+const DIMENSIONS_KEY = 'embedding_dimensions';
+const BATCH_SIZE = 32;
+
+/**
+ * model.onnx and vocab.txt in modelDir, or null if either is missing
+ */
+function findModelFiles(modelDir) {
+  const modelPath = MODEL_FILES.map(f => path.join(modelDir, f)).find(f => fs.existsSync(f));
+  const vocabPath = path.join(modelDir, 'vocab.txt');
+  return modelPath && fs.existsSync(vocabPath) ? { modelPath, vocabPath } : null;
+}
+
+/**
+ * Whether two model names mean the same sentence-transformers model
+ */
+function sameModel(a, b) {
+  const strip = name => name.replace(/^sentence-transformers\//, '');
+  return strip(a) === strip(b);
+}
+
+/**
+ * The model a collection's vectors were made with
+ */
+function collectionModel(collection) {
+  return collection.metadata[MODEL_KEY] || DEFAULT_EMBEDDING_MODEL;
+}
+
+/**
+ * Throw ModelMismatchError unless collection is empty or was indexed with
+ * modelName (and, if given, vectors of that many dimensions: modelDir and
+ * embeddingModel are set separately)
+ */
+function checkModel(collection, modelName, dimensions = null) {
+  if (collection.count === 0) return;
+  const recorded = collectionModel(collection);
+  if (!sameModel(recorded, modelName)) {
+    throw new ModelMismatchError(
+      `${collection.name} was indexed with ${recorded}, but embeddingModel is ${modelName}. ` +
+      `Run 'jasper-recall reindex --model ${modelName}' to re-embed it, or set embeddingModel back to ${recorded}.`
+    );
+  }
+  const recordedDimensions = collection.metadata[DIMENSIONS_KEY];
+  if (dimensions && recordedDimensions && dimensions !== recordedDimensions) {
+    throw new ModelMismatchError(
+      `${collection.name} holds ${recordedDimensions}-dimension vectors from ${recorded}, but the model in modelDir ` +
+      `makes ${dimensions}. Point modelDir at the ONNX export of ${recorded}.`
+    );
+  }
+}
+
+/**
+ * checkModel(), then record modelName and dimensions in the collection's
+ * metadata (saved with the collection)
+ */
+function recordModel(collection, modelName, dimensions) {
+  checkModel(collection, modelName, dimensions);
+  collection.metadata = { ...collection.metadata, [MODEL_KEY]: modelName, [DIMENSIONS_KEY]: dimensions };
+}
+
+function loadOnnxRuntime() {
+  try {
+    return require('onnxruntime-node');
+  } catch (err) {
+    throw new BackendUnavailableError(undefined, { cause: err });
+  }
+}
+
+class OnnxEmbedder {
+  /**
+   * @param {Object} options
+   * @param {string} options.modelDir - Directory holding model.onnx and vocab.txt
+   * @param {number} [options.maxLength] - Max tokens per text (MiniLM was trained on 256)
+   */
+  constructor(options) {
+    this.modelDir = options.modelDir;
+    this.maxLength = options.maxLength || 256;
+    this.session = null;
+    this.loading = null;
+  }
+
+  /**
+   * Locate the model files, throwing ModelMissingError if they aren't there
+   */
+  resolveFiles() {
+    const files = findModelFiles(this.modelDir);
+    if (!files) {
+      throw new ModelMissingError(`Embedding model not found in ${this.modelDir} (need model.onnx and vocab.txt)`);
+    }
+    return files;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const { modelPath, vocabPath } = this.resolveFiles();
+        this.ort = loadOnnxRuntime();
+        this.tokenizer = WordPieceTokenizer.fromFile(vocabPath, { maxLength: this.maxLength });
+        this.session = await this.ort.InferenceSession.create(modelPath);
+      })();
+      // Let a later call retry (e.g. after the model was copied into place)
+      this.loading.catch(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Embed texts
+   * @param {string[]} texts
+   * @returns {Promise<Float32Array[]>} - Unit-length vectors
+   */
+  async embed(texts) {
+    await this.load();
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      vectors.push(...await this.embedBatch(texts.slice(i, i + BATCH_SIZE)));
+    }
+    return vectors;
+  }
+
+  async embedBatch(texts) {
+    const { Tensor } = this.ort;
+    const encoded = texts.map(text => this.tokenizer.encode(text));
+    const seqLength = Math.max(...encoded.map(ids => ids.length));
+    const size = texts.length * seqLength;
+
+    const inputIds = new BigInt64Array(size).fill(BigInt(this.tokenizer.padId));
+    const attentionMask = new BigInt64Array(size);
+    encoded.forEach((ids, row) => {
+      ids.forEach((id, col) => {
+        inputIds[row * seqLength + col] = BigInt(id);
+        attentionMask[row * seqLength + col] = 1n;
+      });
+    });
+
+    const dims = [texts.length, seqLength];
+    const feeds = {
+      input_ids: new Tensor('int64', inputIds, dims),
+      attention_mask: new Tensor('int64', attentionMask, dims)
+    };
+    if (this.session.inputNames.includes('token_type_ids')) {
+      feeds.token_type_ids = new Tensor('int64', new BigInt64Array(size), dims);
+    }
+
+    const outputs = await this.session.run(feeds);
+    const hidden = outputs.last_hidden_state || outputs[this.session.outputNames[0]];
+    const [, , dim] = hidden.dims;
+
+    return encoded.map((ids, row) => {
+      // Mean pooling over real tokens
+      const vector = new Float32Array(dim);
+      for (let col = 0; col < ids.length; col++) {
+        const offset = (row * seqLength + col) * dim;
+        for (let d = 0; d < dim; d++) vector[d] += hidden.data[offset + d];
+      }
+      let norm = 0;
+      for (let d = 0; d < dim; d++) {
+        vector[d] /= ids.length;
+        norm += vector[d] * vector[d];
+      }
+      norm = Math.sqrt(norm) || 1;
+      for (let d = 0; d < dim; d++) vector[d] /= norm;
+      return vector;
+    });
+  }
+}
+
+module.exports = {
+  OnnxEmbedder,
+  loadOnnxRuntime,
+  findModelFiles,
+  sameModel,
+  collectionModel,
+  checkModel,
+  recordModel,
+  DEFAULT_EMBEDDING_MODEL,
+  MODEL_KEY,
+  DIMENSIONS_KEY
+};
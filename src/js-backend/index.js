@@ -0,0 +1,817 @@
+/**
+ * Pure-JavaScript recall backend
+ *
+ * Chunking, embedding (ONNX model from disk) and vector search entirely in
+ * Node, with a file-based index - no Python venv. Selected with
+ * `"backend": "js"` in ~/.jasper-recall/config.json.
+ *
+ * Results have the same shape as the Python backend (recall.py --json),
+ * including hybrid BM25 + semantic ranking, recency weighting and optional
+ * cross-encoder reranking.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const config = require('../../cli/config');
+const { checkText } = require('../privacy');
+const { OnnxEmbedder, checkModel, recordModel } = require('./embedder');
+const { OnnxCrossEncoder } = require('./reranker');
+const { FileIndexStore } = require('./store');
+const { fuseRankings } = require('./bm25');
+const { buildFilter } = require('../filters');
+const { rankingSettings, applyRanking } = require('../ranking');
+const { length, chunkMarkdown, getFileHash, noteDate, extractTags, determineCollection, agentCollection, digestAgents, gatherFiles } = require('./chunker');
+const { RecallError, IndexMissingError, NoCollectionsError, ModelMissingError } = require('../errors');
+
+const COLLECTIONS = {
+  private: 'private_memories',
+  shared: 'shared_memories',
+  learnings: 'agent_learnings',
+  legacy: 'jasper_memory'
+};
+
+const COLLECTION_DESCRIPTIONS = {
+  private: 'Private agent memories - main agent only',
+  shared: 'Shared memories - accessible to sandboxed agents',
+  learnings: 'Agent learnings and insights from interactions'
+};
+
+const PUBLIC_COLLECTIONS = ['shared', 'learnings'];
+const DEFAULT_COLLECTIONS = ['private', 'shared', 'learnings'];
+
+// Why collectGarbage() drops a file's chunks (same as index-digests.py)
+const GC_REASONS = {
+  missing: 'file deleted or moved',
+  excluded: 'no longer in an indexed folder',
+  misplaced: 'file now belongs in another collection'
+};
+
+// Largest sources listed by stats()
+const DEFAULT_TOP = 10;
+
+// Chunks buffered per collection by importChunks() before they are added
+const IMPORT_BATCH = 500;
+
+const MODES = ['hybrid', 'semantic', 'keyword'];
+const DEFAULT_KEYWORD_WEIGHT = 0.3;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Local date and "YYYY-MM-DD HH:MM", like datetime.now().strftime() in the Python scripts
+ */
+function localStamp(date = new Date()) {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return { day, minute: `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` };
+}
+
+/**
+ * Which collection keys a query may search (port of recall.py resolve_collections)
+ */
+function resolveCollections(publicOnly = false, collections = null) {
+  const requested = [];
+  for (const key of typeof collections === 'string' ? [collections] : collections || []) {
+    for (const expanded of key === 'all' ? DEFAULT_COLLECTIONS : [key]) {
+      if (!requested.includes(expanded)) requested.push(expanded);
+    }
+  }
+
+  if (publicOnly) {
+    if (requested.some(key => !PUBLIC_COLLECTIONS.includes(key))) {
+      throw new RecallError("--public-only restricts to 'shared' or 'learnings' collections", { code: 'INVALID_ARGUMENT' });
+    }
+    return requested.length ? requested : PUBLIC_COLLECTIONS;
+  }
+  return requested.length ? requested : DEFAULT_COLLECTIONS;
+}
+
+/**
+ * [first, last] line of a chunk in its source file, or null (learnings, older indexes)
+ */
+function sourceLines(metadata) {
+  return metadata.line_start ? [metadata.line_start, metadata.line_end] : null;
+}
+
+/**
+ * Delete every chunk of a file from a collection
+ * @returns {number} - How many there were
+ */
+function removeSource(collection, source) {
+  const existing = collection.get({ source });
+  collection.delete(existing.map(item => item.id));
+  return existing.length;
+}
+
+/**
+ * The collection key indexFile() would put a file in (null if unreadable or empty)
+ */
+function collectionFor(memoryDir, file, source) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+  if (!content.trim()) return null;
+  return agentCollection(memoryDir, file) || determineCollection(source, content);
+}
+
+// Token counts are estimates, as in summarize-old: characters / 4
+function estimateTokens(chars) {
+  return Math.floor(chars / 4);
+}
+
+/**
+ * YYYYMMDD (as stored in chunk metadata) -> YYYY-MM-DD
+ */
+function isoDay(stamp) {
+  const text = String(stamp);
+  return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+}
+
+/**
+ * Hash of a file as the indexer computes it, or null if unreadable
+ */
+function currentHash(file) {
+  try {
+    return getFileHash(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+class JsBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.workspace] - Workspace path (default: config workspace)
+   * @param {string} [options.indexDir] - Index directory (default: config jsIndex)
+   * @param {string} [options.modelDir] - ONNX model directory (default: config modelDir)
+   * @param {string} [options.embeddingModel] - Name of the model in modelDir (default: config embeddingModel)
+   * @param {string} [options.rerankModelDir] - Cross-encoder directory (default: config rerankModelDir)
+   */
+  constructor(options = {}) {
+    const cfg = config.getAll();
+    this.name = 'js';
+    this.workspace = options.workspace || cfg.workspace;
+    this.indexDir = options.indexDir || cfg.jsIndex;
+    this.modelDir = options.modelDir || cfg.modelDir;
+    this.embeddingModel = options.embeddingModel || cfg.embeddingModel;
+    this.embedder = new OnnxEmbedder({ modelDir: this.modelDir });
+    // Only loaded for reranked queries
+    this.reranker = new OnnxCrossEncoder({ modelDir: options.rerankModelDir || cfg.rerankModelDir });
+    this.store = new FileIndexStore(this.indexDir);
+  }
+
+  get running() {
+    return this.embedder.session !== null;
+  }
+
+  get memoryDir() {
+    return path.join(this.workspace, 'memory');
+  }
+
+  /**
+   * Load the model ahead of the first query
+   */
+  start() {
+    return this.embedder.load();
+  }
+
+  async embedOne(text) {
+    const [vector] = await this.embedder.embed([text]);
+    return vector;
+  }
+
+  /**
+   * Search the memory index
+   * @param {string} query - Search query
+   * @param {Object} [options] - { limit, collections, minScore, publicOnly, mode, keywordWeight,
+   *   since, until, paths, tags, excludeSources, ranking, rerank, rerankCandidates }
+   * @returns {Promise<Array>} - Same objects as recall.py --json
+   */
+  async recall(query, options = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new RecallError('query must be a non-empty string', { code: 'INVALID_ARGUMENT' });
+    }
+    const mode = options.mode || 'hybrid';
+    if (!MODES.includes(mode)) {
+      throw new RecallError(`mode must be one of: ${MODES.join(', ')}`, { code: 'INVALID_ARGUMENT' });
+    }
+    const keywordWeight = options.keywordWeight ?? DEFAULT_KEYWORD_WEIGHT;
+    if (!(keywordWeight >= 0 && keywordWeight <= 1)) {
+      throw new RecallError('keyword weight must be between 0 and 1', { code: 'INVALID_ARGUMENT' });
+    }
+    const rerankCandidates = options.rerankCandidates ?? config.get('rerankCandidates');
+    if (options.rerank && !(Number.isInteger(rerankCandidates) && rerankCandidates >= 1)) {
+      throw new RecallError('rerank candidates must be at least 1', { code: 'INVALID_ARGUMENT' });
+    }
+    if (!this.store.exists) {
+      throw new IndexMissingError("No index found. Run 'index-digests' first.");
+    }
+
+    const filter = buildFilter(options);
+    const limit = parseInt(options.limit, 10) || 5;
+    const keys = resolveCollections(!!options.publicOnly, options.collections || options.collection);
+
+    const collections = {};
+    for (const key of keys) {
+      const collection = this.store.getCollection(COLLECTIONS[key] || key);
+      if (collection) collections[key] = collection;
+    }
+    if (Object.keys(collections).length === 0) {
+      throw new NoCollectionsError("No collections found. Run 'index-digests' first.");
+    }
+
+    // The reranker picks from a wider pool than we return
+    const candidates = options.rerank ? Math.max(rerankCandidates, limit) : limit * 2;
+    const fetch = Math.max(limit * 2, candidates);
+
+    // Keyword hits get a similarity too, so minScore works in every mode
+    const embedding = await this.embedOne(query);
+    for (const collection of Object.values(collections)) checkModel(collection, this.embeddingModel, embedding.length);
+
+    const semantic = [];
+    if (mode !== 'keyword') {
+      for (const [key, collection] of Object.entries(collections)) {
+        for (const hit of collection.query(embedding, fetch, filter)) {
+          semantic.push({ collection: key, ...hit, similarity: 1 - hit.distance, score: 1 - hit.distance });
+        }
+      }
+      semantic.sort((a, b) => b.similarity - a.similarity);
+    }
+
+    const keyword = [];
+    if (mode !== 'semantic') {
+      for (const [key, collection] of Object.entries(collections)) {
+        for (const hit of collection.keywordQuery(query, embedding, fetch, filter)) {
+          keyword.push({ collection: key, ...hit, similarity: 1 - hit.distance, score: hit.bm25 });
+        }
+      }
+      keyword.sort((a, b) => b.bm25 - a.bm25);
+    }
+
+    let ranked = mode === 'hybrid' ? fuseRankings(semantic, keyword, keywordWeight) : mode === 'semantic' ? semantic : keyword;
+    const scores = options.rerank ? await this.rerankScores(query, ranked.slice(0, candidates)) : null;
+    if (scores) {
+      // Cross-encoder relevance replaces the first-stage score; recency and boosts still apply
+      ranked = ranked.slice(0, candidates);
+      ranked.forEach((item, i) => {
+        item.rerankScore = scores[i];
+        item.score = scores[i];
+      });
+    }
+    // Recency and boosts, then limit results
+    applyRanking(ranked, options.ranking || rankingSettings(config.get('ranking')));
+    let merged = ranked.slice(0, limit);
+    if (options.minScore !== undefined && options.minScore !== null) {
+      merged = merged.filter(item => item.similarity >= options.minScore);
+    }
+
+    return merged.map((item, i) => ({
+      rank: i + 1,
+      collection: item.collection,
+      source: item.metadata.source || 'unknown',
+      similarity: Math.round(item.similarity * 1000) / 1000,
+      score: Math.round(item.score * 10000) / 10000,
+      score_details: item.scoreDetails,
+      rerank_score: item.rerankScore === undefined ? null : Math.round(item.rerankScore * 10000) / 10000,
+      lines: sourceLines(item.metadata),
+      content: item.document
+    }));
+  }
+
+  /**
+   * Cross-encoder scores of the candidates, or null without a rerank model
+   * (the first-stage ranking stands; warned about once)
+   */
+  async rerankScores(query, candidates) {
+    try {
+      return await this.reranker.score(query, candidates.map(item => item.document));
+    } catch (err) {
+      if (!(err instanceof ModelMissingError)) throw err;
+      if (!this.rerankWarned) console.error(`⚠ ${err.message}; results are not reranked`);
+      this.rerankWarned = true;
+      return null;
+    }
+  }
+
+  /**
+   * Index memory files (same file selection and routing as index-digests.py)
+   * @param {Object} [options] - { log: line => void }
+   * @returns {Promise<Object>} - Per-collection { files, chunks, skipped }
+   */
+  async index(options = {}) {
+    return (await this.indexFiles(null, options)).stats;
+  }
+
+  /**
+   * Bring the index up to date (port of index_files() in index-digests.py)
+   * @param {string[]|null} paths - Workspace-relative files to re-index (unchanged ones are
+   *   skipped by hash) or, if they no longer exist, remove; null for every file gatherFiles() finds
+   * @param {Object} [options] - { prune: collect garbage after explicit paths too (a full pass
+   *   always does), log: line => void }
+   * @returns {Promise<Object>} - { indexed, removed, garbage, stats }
+   */
+  async indexFiles(paths, options = {}) {
+    const log = options.log || (() => {});
+    if (paths === null || paths === undefined) {
+      if (!fs.existsSync(this.memoryDir)) {
+        throw new RecallError(`Memory directory not found: ${this.memoryDir}`, { code: 'MEMORY_MISSING' });
+      }
+    } else if (paths.some(p => typeof p !== 'string' || !p || path.isAbsolute(p) || path.normalize(p).split(path.sep)[0] === '..')) {
+      throw new RecallError('paths must be files inside the workspace', { code: 'INVALID_ARGUMENT' });
+    }
+
+    await this.embedder.load();
+    // Sandboxed agents' digests have a collection each, keyed by its name
+    const descriptions = { ...COLLECTION_DESCRIPTIONS };
+    for (const { agent, collection, sandboxed } of digestAgents(this.memoryDir)) {
+      if (sandboxed) descriptions[collection] = `Session digests of sandboxed agent ${agent}`;
+    }
+    const collections = {};
+    for (const [key, description] of Object.entries(descriptions)) {
+      collections[key] = this.store.getOrCreateCollection(COLLECTIONS[key] || key, { description });
+      checkModel(collections[key], this.embeddingModel);
+    }
+
+    const stats = {};
+    for (const key of Object.keys(collections)) stats[key] = { files: 0, chunks: 0, skipped: 0 };
+    const indexed = [];
+    const removed = new Set();
+
+    let files = [];
+    if (paths === null || paths === undefined) {
+      files = gatherFiles(this.memoryDir);
+      log(`Found ${files.length} files to index`);
+    } else {
+      for (const relPath of new Set(paths)) {
+        const file = path.join(this.workspace, relPath);
+        if (fs.statSync(file, { throwIfNoEntry: false })?.isFile()) {
+          files.push(file);
+          continue;
+        }
+        // Deleted, or the old name of a renamed file
+        for (const collection of Object.values(collections)) {
+          if (removeSource(collection, relPath)) removed.add(relPath);
+        }
+      }
+    }
+
+    for (const file of files) {
+      if (await this.indexFile(collections, file, stats, log)) {
+        indexed.push(path.relative(this.workspace, file).split(path.sep).join('/'));
+      }
+    }
+
+    for (const source of [...removed].sort()) log(`  ✗ ${source} removed`);
+
+    for (const collection of Object.values(collections)) this.store.save(collection);
+
+    let garbage = [];
+    if (options.prune || paths === null || paths === undefined) {
+      garbage = this.collectGarbage({ log });
+      for (const entry of garbage) removed.add(entry.source);
+    }
+    return { indexed, removed: [...removed].sort(), garbage, stats };
+  }
+
+  /**
+   * Index one file into its collection, removing its chunks from the others
+   * (a note that gains or loses a [public] tag doesn't linger where it was)
+   * @returns {Promise<boolean>} - Whether it was (re)indexed
+   */
+  async indexFile(collections, file, stats, log) {
+    const relPath = path.relative(this.workspace, file).split(path.sep).join('/');
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      log(`  ⚠ Error reading ${path.basename(file)}: ${err.message}`);
+      return false;
+    }
+    if (!content.trim()) {
+      // Emptied: nothing to index, and nothing of it should be found
+      for (const collection of Object.values(collections)) removeSource(collection, relPath);
+      return false;
+    }
+
+    const fileHash = getFileHash(content);
+    const key = agentCollection(this.memoryDir, file) || determineCollection(relPath, content);
+    for (const [other, collection] of Object.entries(collections)) {
+      if (other !== key) removeSource(collection, relPath);
+    }
+    const collection = collections[key];
+
+    const existing = collection.get({ source: relPath });
+    // Chunks from before markdown chunking (no line ranges) get re-indexed once
+    if (existing.length && existing[0].metadata.file_hash === fileHash && 'line_start' in existing[0].metadata) {
+      stats[key].skipped++;
+      return false;
+    }
+    collection.delete(existing.map(item => item.id));
+
+    const sections = chunkMarkdown(content, path.parse(file).name);
+    if (!sections.length) return false;
+    const chunks = sections.map(section => section.text);
+
+    const embeddings = await this.embedder.embed(chunks);
+    recordModel(collection, this.embeddingModel, embeddings[0].length);
+    // tags and dates are what recall filters and ranks on
+    const fileMeta = {
+      source: relPath,
+      file_hash: fileHash,
+      filename: path.basename(file),
+      tags: extractTags(content),
+      modified: Number(localStamp(fs.statSync(file).mtime).day.replace(/-/g, ''))
+    };
+    const date = noteDate(path.basename(file));
+    if (date !== null) fileMeta.date = date;
+    collection.add(chunks.map((chunk, i) => ({
+      id: `${relPath}::${i}`,
+      document: chunk,
+      embedding: embeddings[i],
+      metadata: {
+        ...fileMeta,
+        chunk_index: i,
+        section: sections[i].section,
+        line_start: sections[i].line_start,
+        line_end: sections[i].line_end
+      }
+    })));
+
+    stats[key].files++;
+    stats[key].chunks += chunks.length;
+    log(`  ✓ ${path.basename(file)} → ${key} (${stats[key].chunks} chunks)`);
+    return true;
+  }
+
+  /**
+   * Reconcile every collection with the filesystem and remove orphaned chunks
+   * (port of collect_garbage() in index-digests.py): those of files that no
+   * longer exist and, in the collections the indexer writes, of files it
+   * would no longer index there. Learnings have no file_hash and are kept.
+   * @param {Object} [options] - { dryRun, log: line => void }
+   * @returns {Array<{collection, source, chunks, reason}>}
+   */
+  collectGarbage(options = {}) {
+    const log = options.log || (() => {});
+    const ours = Object.fromEntries(Object.entries(COLLECTIONS).map(([key, name]) => [name, key]));
+    for (const { collection } of digestAgents(this.memoryDir)) ours[collection] = collection;
+    const indexed = new Set(gatherFiles(this.memoryDir).map(file => path.relative(this.workspace, file).split(path.sep).join('/')));
+    const garbage = [];
+
+    for (const name of this.store.listCollections()) {
+      const collection = this.store.getCollection(name);
+      if (!collection) continue;
+      const chunks = new Map(); // source -> { metadata, ids }
+      for (const item of collection.get()) {
+        const { source, file_hash: fileHash } = item.metadata;
+        if (!source || !fileHash) continue;
+        if (!chunks.has(source)) chunks.set(source, { metadata: item.metadata, ids: [] });
+        chunks.get(source).ids.push(item.id);
+      }
+
+      let changed = false;
+      for (const [source, { metadata, ids }] of [...chunks].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) {
+        const file = path.join(this.workspace, source);
+        const key = 'indexed_by' in metadata ? null : ours[name];
+        let reason;
+        if (!fs.statSync(file, { throwIfNoEntry: false })?.isFile()) {
+          reason = 'missing';
+        } else if (key && !path.relative(this.memoryDir, file).startsWith('..') && !indexed.has(source)) {
+          // Outside memory/ only a missing file counts: the watcher indexes other memoryPaths too
+          reason = 'excluded';
+        } else if (key && key !== 'legacy' && ![null, key].includes(collectionFor(this.memoryDir, file, source))) {
+          reason = 'misplaced';
+        } else {
+          continue;
+        }
+
+        garbage.push({ collection: name, source, chunks: ids.length, reason });
+        log(`  ✗ ${source}: ${ids.length} chunks in ${name} (${GC_REASONS[reason]})`);
+        if (!options.dryRun) {
+          collection.delete(ids);
+          changed = true;
+        }
+      }
+      if (changed) this.store.save(collection);
+    }
+    return garbage;
+  }
+
+  /**
+   * Index statistics (same shape as scripts/index-stats.py): per-collection
+   * counts, oldest/newest and largest sources, and files on disk that are
+   * not indexed or changed since. Totals skip the legacy collection.
+   * @param {Object} [options] - { top: how many of the largest sources (default 10) }
+   * @returns {Promise<Object>}
+   */
+  async stats(options = {}) {
+    if (!this.store.exists) throw new IndexMissingError("No index found. Run 'index-digests' first.");
+    const top = options.top ?? DEFAULT_TOP;
+    const collections = [];
+    const sources = new Map(); // source -> { collection, chunks, chars, date, fileHash }
+
+    for (const name of [...this.store.listCollections()].sort()) {
+      const collection = this.store.getCollection(name);
+      if (!collection) continue;
+      const items = collection.get();
+      const entry = { name, chunks: items.length, files: 0, learnings: 0, tokens: 0 };
+      const files = new Set();
+      let chars = 0;
+      for (const { document, metadata } of items) {
+        chars += length(document || '');
+        if (metadata.file_hash) files.add(metadata.source);
+        else entry.learnings++;
+        if (name === COLLECTIONS.legacy || !metadata.source) continue;
+        if (!sources.has(metadata.source)) {
+          sources.set(metadata.source, {
+            collection: name, chunks: 0, chars: 0,
+            date: metadata.date || metadata.modified || null, fileHash: metadata.file_hash || null
+          });
+        }
+        const info = sources.get(metadata.source);
+        info.chunks++;
+        info.chars += length(document || '');
+      }
+      entry.files = files.size;
+      entry.tokens = estimateTokens(chars);
+      collections.push(entry);
+    }
+
+    const fileSources = new Set([...sources].filter(([, info]) => info.fileHash).map(([source]) => source));
+    let totalChars = 0;
+    for (const info of sources.values()) totalChars += info.chars;
+
+    const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const dated = [...sources].filter(([, info]) => info.date).sort(([a, x], [b, y]) => x.date - y.date || byName(a, b));
+    const day = ([source, info]) => ({ source, date: isoDay(info.date) });
+    const onDisk = gatherFiles(this.memoryDir).map(file => path.relative(this.workspace, file).split(path.sep).join('/')).sort();
+
+    return {
+      index: this.indexDir,
+      collections,
+      totals: {
+        chunks: collections.filter(c => c.name !== COLLECTIONS.legacy).reduce((sum, c) => sum + c.chunks, 0),
+        files: fileSources.size,
+        tokens: estimateTokens(totalChars)
+      },
+      oldest: dated.length ? day(dated[0]) : null,
+      newest: dated.length ? day(dated[dated.length - 1]) : null,
+      largest: [...sources]
+        .sort(([a, x], [b, y]) => y.chars - x.chars || byName(a, b))
+        .slice(0, top)
+        .map(([source, info]) => ({ source, collection: info.collection, chunks: info.chunks, tokens: estimateTokens(info.chars) })),
+      unindexed: onDisk.filter(source => !fileSources.has(source)),
+      outdated: [...fileSources].sort().filter(source => {
+        const hash = currentHash(path.join(this.workspace, source));
+        return hash !== null && hash !== sources.get(source).fileHash;
+      })
+    };
+  }
+
+  /**
+   * Every chunk of one source across collections (same shape as index-stats.py --inspect)
+   * @param {string} source - Workspace-relative path, as stored in chunk metadata
+   * @returns {Promise<Object>} - { source, file: { exists, up_to_date }, chunks }
+   */
+  async inspect(source) {
+    if (!this.store.exists) throw new IndexMissingError("No index found. Run 'index-digests' first.");
+    const chunks = [];
+    let indexedHash = null;
+    for (const name of [...this.store.listCollections()].sort()) {
+      const collection = this.store.getCollection(name);
+      if (!collection) continue;
+      for (const { id, document, metadata } of collection.get({ source })) {
+        indexedHash = indexedHash || metadata.file_hash || null;
+        chunks.push({
+          collection: name,
+          id,
+          chunk_index: metadata.chunk_index ?? null,
+          section: metadata.section ?? null,
+          lines: sourceLines(metadata),
+          tokens: estimateTokens(length(document || '')),
+          text: document
+        });
+      }
+    }
+    chunks.sort((a, b) => (a.collection < b.collection ? -1 : a.collection > b.collection ? 1 : 0) ||
+      (a.chunk_index ?? -1) - (b.chunk_index ?? -1) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    const file = path.join(this.workspace, source);
+    const exists = !!fs.statSync(file, { throwIfNoEntry: false })?.isFile();
+    const upToDate = indexedHash && exists ? currentHash(file) === indexedHash : null;
+    return { source, file: { exists, up_to_date: upToDate }, chunks };
+  }
+
+  /**
+   * Write the chunks of the selected collections (default: all but legacy,
+   * a copy of the others) to a JSON lines file, one
+   * {collection, id, document, metadata, embedding} per line (same as index-bundle.py)
+   * @param {string} file
+   * @param {Object} [options] - { collections: collection names }
+   * @returns {Promise<{collections: Object, dimensions: number|null}>}
+   */
+  async exportChunks(file, options = {}) {
+    if (!this.store.exists) throw new IndexMissingError("No index found. Run 'index-digests' first.");
+    const available = [...this.store.listCollections()].sort();
+    const missing = (options.collections || []).filter(name => !available.includes(name));
+    if (missing.length) {
+      throw new RecallError(`no such collection: ${missing.join(', ')} (have: ${available.join(', ') || 'none'})`, { code: 'INVALID_ARGUMENT' });
+    }
+    const selected = options.collections?.length ? options.collections : available.filter(name => name !== COLLECTIONS.legacy);
+
+    const summary = { collections: {}, dimensions: null };
+    const fd = fs.openSync(file, 'w');
+    try {
+      for (const name of selected) {
+        const collection = this.store.getCollection(name);
+        const items = collection ? collection.get() : [];
+        for (const { id, document, metadata, embedding } of items) {
+          summary.dimensions = summary.dimensions || embedding.length;
+          fs.writeSync(fd, JSON.stringify({ collection: name, id, document, metadata, embedding: Array.from(embedding) }) + '\n');
+        }
+        summary.collections[name] = { chunks: items.length, metadata: collection ? collection.metadata : {} };
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return summary;
+  }
+
+  /**
+   * Add the chunks of a file written by exportChunks() to their collections
+   * (created if missing). Chunks with an existing id are overwritten.
+   * @param {string} file
+   * @param {Object} [options] - { collections: only these names, replace: empty each collection first }
+   * @returns {Promise<{collections: Object}>} - Chunks imported per collection
+   */
+  async importChunks(file, options = {}) {
+    const descriptions = Object.fromEntries(Object.entries(COLLECTION_DESCRIPTIONS).map(([key, text]) => [COLLECTIONS[key], text]));
+    const wanted = options.collections?.length ? new Set(options.collections) : null;
+    const batches = new Map(); // name -> items
+    const opened = new Map();  // name -> Collection
+    const counts = {};
+
+    const flush = name => {
+      const batch = batches.get(name);
+      batches.delete(name);
+      if (!batch?.length) return;
+      if (!opened.has(name)) {
+        const collection = this.store.getOrCreateCollection(name, descriptions[name] ? { description: descriptions[name] } : {});
+        if (options.replace) collection.delete([...collection.items.keys()]);
+        // importBundle() only lets through vectors made with embeddingModel
+        recordModel(collection, this.embeddingModel, batch[0].embedding.length);
+        opened.set(name, collection);
+      }
+      opened.get(name).add(batch);
+      counts[name] = (counts[name] || 0) + batch.length;
+    };
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    let number = 0;
+    for await (const line of lines) {
+      number++;
+      if (!line.trim()) continue;
+      let chunk;
+      try {
+        chunk = JSON.parse(line);
+      } catch {
+        chunk = null;
+      }
+      if (!chunk || typeof chunk.collection !== 'string' || !Array.isArray(chunk.embedding)) {
+        throw new RecallError(`chunks.jsonl line ${number} is not a chunk`, { code: 'INVALID_ARGUMENT' });
+      }
+      if (wanted && !wanted.has(chunk.collection)) continue;
+      if (!batches.has(chunk.collection)) batches.set(chunk.collection, []);
+      batches.get(chunk.collection).push(chunk);
+      if (batches.get(chunk.collection).length >= IMPORT_BATCH) flush(chunk.collection);
+    }
+    for (const name of [...batches.keys()]) flush(name);
+
+    for (const collection of opened.values()) {
+      // Rebuilt on the next keyword search
+      collection.bm25 = null;
+      this.store.save(collection);
+    }
+    return { collections: counts };
+  }
+
+  /**
+   * Re-embed every chunk of every collection with another model into a new
+   * index next to this one, then swap it in. Documents, ids and metadata are
+   * kept; the current index is untouched until the new one is complete.
+   * @param {string} modelName - Model to record in the collections (the new embeddingModel)
+   * @param {Object} [options] - { modelDir: ONNX export of modelName (default: modelDir), log: line => void }
+   * @returns {Promise<{model, dimensions, collections: Object}>} - Chunks re-embedded per collection
+   */
+  async reindex(modelName, options = {}) {
+    if (!this.store.exists) throw new IndexMissingError("No index found. Run 'index-digests' first.");
+    const log = options.log || (() => {});
+    const modelDir = options.modelDir || this.modelDir;
+    const embedder = modelDir === this.modelDir ? this.embedder : new OnnxEmbedder({ modelDir });
+    const [probe] = await embedder.embed(['']);
+    const summary = { model: modelName, dimensions: probe.length, collections: {} };
+
+    const staging = `${this.indexDir}.reindexing`;
+    const replaced = `${this.indexDir}.replaced`;
+    fs.rmSync(staging, { recursive: true, force: true });
+    const target = new FileIndexStore(staging);
+    try {
+      for (const name of [...this.store.listCollections()].sort()) {
+        const source = this.store.getCollection(name);
+        if (!source) continue;
+        const items = source.get();
+        const embeddings = await embedder.embed(items.map(item => item.document || ''));
+        const collection = target.getOrCreateCollection(name, source.metadata);
+        recordModel(collection, modelName, summary.dimensions);
+        collection.add(items.map((item, i) => ({ ...item, embedding: embeddings[i] })));
+        target.save(collection);
+        summary.collections[name] = items.length;
+        log(`  ✓ ${name}: ${items.length} chunks`);
+      }
+
+      fs.rmSync(replaced, { recursive: true, force: true });
+      fs.renameSync(this.indexDir, replaced);
+      try {
+        fs.renameSync(staging, this.indexDir);
+      } catch (err) {
+        fs.renameSync(replaced, this.indexDir);
+        throw err;
+      }
+      fs.rmSync(replaced, { recursive: true, force: true });
+    } finally {
+      fs.rmSync(staging, { recursive: true, force: true });
+    }
+
+    this.modelDir = modelDir;
+    this.embedder = embedder;
+    this.embeddingModel = modelName;
+    this.store = new FileIndexStore(this.indexDir);
+    return summary;
+  }
+
+  /**
+   * Privacy-check a learning and index it into agent_learnings
+   * Same contract as RecallWorker#writeLearning.
+   * @param {Object} learning - { title, content, agent, category }
+   * @param {Object} [options] - { privacy: 'reject' | 'quarantine' }
+   */
+  async writeLearning(learning, options = {}) {
+    const { title, content, agent, category } = learning;
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const id = crypto.createHash('md5').update(`${agent}:${title}:${timestamp}`).digest('hex').slice(0, 12);
+
+    const violations = checkText(`${title}\n${content}`);
+    if (violations.length) {
+      if (options.privacy !== 'quarantine') return { status: 'rejected', violations };
+
+      const dir = path.join(this.memoryDir, 'quarantine', 'learnings');
+      const file = path.join(dir, `${localStamp(now).day}-${id}.json`);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ title, content, agent, category, timestamp, violations }, null, 2));
+      return { status: 'quarantined', violations, path: path.relative(this.workspace, file) };
+    }
+
+    // Human-readable copy, same format as write-learning.py
+    const learningsFile = path.join(this.memoryDir, 'shared', 'agent-learnings.md');
+    fs.mkdirSync(path.dirname(learningsFile), { recursive: true });
+    if (!fs.existsSync(learningsFile)) {
+      fs.writeFileSync(learningsFile, '# Agent Learnings\n\nInsights and learnings contributed by sandboxed agents.\n\n---\n');
+    }
+    const stamp = localStamp(now);
+    fs.appendFileSync(learningsFile, `\n## ${stamp.day} [${category}] - ${title}\n*Agent: ${agent} | ${stamp.minute}*\n\n${content}\n`);
+
+    const document = `${title}\n\n${content}`;
+    const collection = this.store.getOrCreateCollection(COLLECTIONS.learnings, { description: COLLECTION_DESCRIPTIONS.learnings });
+    const embedding = await this.embedOne(document);
+    recordModel(collection, this.embeddingModel, embedding.length);
+    collection.add([{
+      id,
+      document,
+      embedding,
+      metadata: {
+        source: `agent-learnings/${agent}/${id}`,
+        filename: 'agent-learnings.md',
+        agent,
+        category,
+        title,
+        timestamp,
+        // Same filter fields index() records
+        tags: category,
+        date: Number(stamp.day.replace(/-/g, ''))
+      }
+    }]);
+    this.store.save(collection);
+
+    return { status: 'accepted', id, collection: COLLECTIONS.learnings };
+  }
+}
+
+module.exports = { JsBackend, resolveCollections, COLLECTIONS, MODES, DEFAULT_KEYWORD_WEIGHT };
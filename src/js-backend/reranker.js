@@ -0,0 +1,106 @@
+/**
+ * Cross-encoder reranking with ONNX Runtime
+ *
+ * Runs an exported ms-marco-MiniLM-L-6-v2 (model.onnx + vocab.txt) on
+ * (query, chunk) pairs. The model reads both texts together and outputs one
+ * relevance logit per pair; like sentence-transformers' CrossEncoder, scores
+ * are passed through a sigmoid so they fall in 0-1.
+ */
+
+const { WordPieceTokenizer } = require('./tokenizer');
+const { loadOnnxRuntime, findModelFiles } = require('./embedder');
+const { ModelMissingError } = require('../errors');
+
+const BATCH_SIZE = 16;
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+class OnnxCrossEncoder {
+  /**
+   * @param {Object} options
+   * @param {string} options.modelDir - Directory holding model.onnx and vocab.txt
+   * @param {number} [options.maxLength] - Max tokens per pair (the model was trained on 512)
+   */
+  constructor(options) {
+    this.modelDir = options.modelDir;
+    this.maxLength = options.maxLength || 512;
+    this.session = null;
+    this.loading = null;
+  }
+
+  /**
+   * Locate the model files, throwing ModelMissingError if they aren't there
+   */
+  resolveFiles() {
+    const files = findModelFiles(this.modelDir);
+    if (!files) {
+      throw new ModelMissingError(`Rerank model not found in ${this.modelDir} (need model.onnx and vocab.txt)`);
+    }
+    return files;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const { modelPath, vocabPath } = this.resolveFiles();
+        this.ort = loadOnnxRuntime();
+        this.tokenizer = WordPieceTokenizer.fromFile(vocabPath, { maxLength: this.maxLength });
+        this.session = await this.ort.InferenceSession.create(modelPath);
+      })();
+      this.loading.catch(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Relevance of each document to the query
+   * @param {string} query
+   * @param {string[]} documents
+   * @returns {Promise<number[]>} - 0-1, higher is more relevant
+   */
+  async score(query, documents) {
+    await this.load();
+    const scores = [];
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      scores.push(...await this.scoreBatch(query, documents.slice(i, i + BATCH_SIZE)));
+    }
+    return scores;
+  }
+
+  async scoreBatch(query, documents) {
+    const { Tensor } = this.ort;
+    const encoded = documents.map(document => this.tokenizer.encodePair(query, document || ''));
+    const seqLength = Math.max(...encoded.map(pair => pair.ids.length));
+    const size = documents.length * seqLength;
+
+    const inputIds = new BigInt64Array(size).fill(BigInt(this.tokenizer.padId));
+    const attentionMask = new BigInt64Array(size);
+    const tokenTypeIds = new BigInt64Array(size);
+    encoded.forEach(({ ids, typeIds }, row) => {
+      ids.forEach((id, col) => {
+        inputIds[row * seqLength + col] = BigInt(id);
+        attentionMask[row * seqLength + col] = 1n;
+        tokenTypeIds[row * seqLength + col] = BigInt(typeIds[col]);
+      });
+    });
+
+    const dims = [documents.length, seqLength];
+    const feeds = {
+      input_ids: new Tensor('int64', inputIds, dims),
+      attention_mask: new Tensor('int64', attentionMask, dims)
+    };
+    if (this.session.inputNames.includes('token_type_ids')) {
+      feeds.token_type_ids = new Tensor('int64', tokenTypeIds, dims);
+    }
+
+    const outputs = await this.session.run(feeds);
+    const logits = outputs.logits || outputs[this.session.outputNames[0]];
+    // [batch, 1]: one logit per pair
+    const width = logits.dims[1] || 1;
+    return documents.map((_, row) => sigmoid(logits.data[row * width]));
+  }
+}
+
+module.exports = { OnnxCrossEncoder };
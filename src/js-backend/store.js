@@ -0,0 +1,195 @@
+/**
+ * File-based vector store for the JS backend
+ *
+ * One JSON file per collection in the index directory. Embeddings are stored
+ * as base64-encoded Float32 arrays; search is a brute-force scan, which is
+ * plenty for a personal memory index of a few thousand chunks.
+ *
+ * Distances mirror ChromaDB's default space (squared L2), so `similarity`
+ * (1 - distance) means the same thing on both backends and minScore
+ * thresholds carry over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { BM25Index } = require('./bm25');
+
+function encodeVector(vector) {
+  const array = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  return Buffer.from(array.buffer, array.byteOffset, array.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+function squaredL2(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+class Collection {
+  constructor(file, name, data = {}) {
+    this.file = file;
+    this.name = name;
+    this.metadata = data.metadata || {};
+    // id -> { id, document, metadata, embedding (Float32Array) }
+    this.items = new Map();
+    for (const item of data.items || []) {
+      this.items.set(item.id, { ...item, embedding: decodeVector(item.embedding) });
+    }
+    // Keyword index, built on the first keyword search
+    this.bm25 = null;
+  }
+
+  get count() {
+    return this.items.size;
+  }
+
+  /**
+   * Items whose metadata matches every key in `where`
+   */
+  get(where = {}) {
+    return [...this.items.values()].filter(item =>
+      Object.entries(where).every(([key, value]) => item.metadata[key] === value)
+    );
+  }
+
+  /**
+   * @param {Array<{id, document, metadata, embedding}>} items
+   */
+  add(items) {
+    for (const item of items) {
+      this.items.set(item.id, {
+        id: item.id,
+        document: item.document,
+        metadata: item.metadata || {},
+        embedding: item.embedding instanceof Float32Array ? item.embedding : Float32Array.from(item.embedding)
+      });
+    }
+    if (this.bm25) this.bm25.add(items);
+  }
+
+  delete(ids) {
+    for (const id of ids) this.items.delete(id);
+    if (this.bm25) this.bm25.remove(ids);
+  }
+
+  /**
+   * Nearest items to a query vector
+   * filter: optional predicate on item metadata
+   * @returns {Array<{id, document, metadata, distance}>} - Closest first
+   */
+  query(embedding, limit, filter = null) {
+    const scored = [];
+    for (const item of this.items.values()) {
+      if (filter && !filter(item.metadata)) continue;
+      scored.push({ id: item.id, document: item.document, metadata: item.metadata, distance: squaredL2(embedding, item.embedding) });
+    }
+    scored.sort((a, b) => a.distance - b.distance);
+    return scored.slice(0, limit);
+  }
+
+  /**
+   * Best BM25 matches for a query text, with their distance to `embedding`
+   * filter: optional predicate on item metadata
+   * @returns {Array<{id, document, metadata, distance, bm25}>} - Highest BM25 first
+   */
+  keywordQuery(query, embedding, limit, filter = null) {
+    if (!this.bm25) {
+      this.bm25 = new BM25Index();
+      this.bm25.add(this.items.values());
+    }
+    const ids = filter ? new Set(this.get().filter(item => filter(item.metadata)).map(item => item.id)) : null;
+    return this.bm25.search(query, limit, ids).map(({ id, score }) => {
+      const item = this.items.get(id);
+      return { id, document: item.document, metadata: item.metadata, distance: squaredL2(embedding, item.embedding), bm25: score };
+    });
+  }
+
+  /**
+   * Write the collection atomically
+   */
+  save() {
+    const data = {
+      name: this.name,
+      metadata: this.metadata,
+      items: [...this.items.values()].map(item => ({ ...item, embedding: encodeVector(item.embedding) }))
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+class FileIndexStore {
+  /**
+   * @param {string} dir - Index directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.cache = new Map(); // name -> { mtime, collection }
+  }
+
+  get exists() {
+    return fs.existsSync(this.dir);
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  listCollections() {
+    if (!this.exists) return [];
+    return fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+  }
+
+  /**
+   * Open an existing collection (reloaded when another process rewrote it)
+   * @returns {Collection|null}
+   */
+  getCollection(name) {
+    const file = this.fileFor(name);
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch {
+      this.cache.delete(name);
+      return null;
+    }
+
+    const cached = this.cache.get(name);
+    if (cached && cached.mtime === mtime) return cached.collection;
+
+    const collection = new Collection(file, name, JSON.parse(fs.readFileSync(file, 'utf8')));
+    this.cache.set(name, { mtime, collection });
+    return collection;
+  }
+
+  getOrCreateCollection(name, metadata = {}) {
+    const existing = this.getCollection(name);
+    if (existing) return existing;
+
+    const collection = new Collection(this.fileFor(name), name, { metadata });
+    collection.save();
+    this.cache.set(name, { mtime: fs.statSync(collection.file).mtimeMs, collection });
+    return collection;
+  }
+
+  /**
+   * Save a collection and remember the new mtime so it isn't reloaded
+   */
+  save(collection) {
+    collection.save();
+    this.cache.set(collection.name, { mtime: fs.statSync(collection.file).mtimeMs, collection });
+  }
+}
+
+module.exports = { FileIndexStore, Collection, encodeVector, decodeVector };
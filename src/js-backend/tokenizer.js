@@ -0,0 +1,158 @@
+/**
+ * BERT WordPiece tokenizer
+ *
+ * Matches the uncased tokenizer all-MiniLM-L6-v2 was trained with: clean
+ * text, split CJK characters and punctuation, lowercase and strip accents,
+ * then greedy longest-match WordPiece against vocab.txt.
+ */
+
+const fs = require('fs');
+
+const MAX_WORD_CHARS = 100;
+
+function isPunctuation(char) {
+  const code = char.codePointAt(0);
+  // ASCII symbols count as punctuation in BERT even where Unicode disagrees (^, $, `)
+  if ((code >= 33 && code <= 47) || (code >= 58 && code <= 64) ||
+      (code >= 91 && code <= 96) || (code >= 123 && code <= 126)) {
+    return true;
+  }
+  return /\p{P}/u.test(char);
+}
+
+function isCjk(code) {
+  return (code >= 0x4E00 && code <= 0x9FFF) || (code >= 0x3400 && code <= 0x4DBF) ||
+    (code >= 0x20000 && code <= 0x2A6DF) || (code >= 0x2A700 && code <= 0x2B73F) ||
+    (code >= 0x2B740 && code <= 0x2B81F) || (code >= 0x2B820 && code <= 0x2CEAF) ||
+    (code >= 0xF900 && code <= 0xFAFF) || (code >= 0x2F800 && code <= 0x2FA1F);
+}
+
+class WordPieceTokenizer {
+  /**
+   * @param {Map<string, number>} vocab - Token to id
+   * @param {Object} [options] - { maxLength }
+   */
+  constructor(vocab, options = {}) {
+    this.vocab = vocab;
+    this.maxLength = options.maxLength || 256;
+    for (const token of ['[CLS]', '[SEP]', '[UNK]', '[PAD]']) {
+      if (!vocab.has(token)) throw new Error(`vocab is missing ${token}`);
+    }
+    this.clsId = vocab.get('[CLS]');
+    this.sepId = vocab.get('[SEP]');
+    this.unkId = vocab.get('[UNK]');
+    this.padId = vocab.get('[PAD]');
+  }
+
+  /**
+   * Load vocab.txt (one token per line, id = line number)
+   */
+  static fromFile(vocabPath, options) {
+    const vocab = new Map();
+    fs.readFileSync(vocabPath, 'utf8').split(/\r?\n/).forEach((token, id) => {
+      if (token && !vocab.has(token)) vocab.set(token, id);
+    });
+    return new WordPieceTokenizer(vocab, options);
+  }
+
+  /**
+   * Split text into lowercased, accent-stripped words and punctuation
+   */
+  basicTokenize(text) {
+    let cleaned = '';
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (code === 0 || code === 0xFFFD || (/\p{Cc}|\p{Cf}/u.test(char) && !/\s/.test(char))) continue;
+      if (/\s/.test(char)) cleaned += ' ';
+      else if (isCjk(code)) cleaned += ` ${char} `;
+      else cleaned += char;
+    }
+
+    const words = [];
+    for (const raw of cleaned.trim().split(/ +/)) {
+      if (!raw) continue;
+      const word = raw.toLowerCase().normalize('NFD').replace(/\p{Mn}/gu, '');
+      let current = '';
+      for (const char of word) {
+        if (isPunctuation(char)) {
+          if (current) words.push(current);
+          words.push(char);
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      if (current) words.push(current);
+    }
+    return words;
+  }
+
+  /**
+   * Greedy longest-match-first WordPiece for one word
+   */
+  wordPiece(word) {
+    const chars = [...word];
+    if (chars.length > MAX_WORD_CHARS) return [this.unkId];
+
+    const ids = [];
+    let start = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      let id = null;
+      while (start < end) {
+        const piece = (start > 0 ? '##' : '') + chars.slice(start, end).join('');
+        if (this.vocab.has(piece)) {
+          id = this.vocab.get(piece);
+          break;
+        }
+        end--;
+      }
+      if (id === null) return [this.unkId];
+      ids.push(id);
+      start = end;
+    }
+    return ids;
+  }
+
+  /**
+   * WordPiece ids for text, at most max of them
+   */
+  pieces(text, max) {
+    const ids = [];
+    for (const word of this.basicTokenize(text)) {
+      ids.push(...this.wordPiece(word));
+      if (ids.length >= max) break;
+    }
+    ids.length = Math.min(ids.length, max);
+    return ids;
+  }
+
+  /**
+   * Encode text as [CLS] tokens [SEP], truncated to maxLength
+   * @returns {number[]} - Token ids
+   */
+  encode(text) {
+    return [this.clsId, ...this.pieces(text, this.maxLength - 2), this.sepId];
+  }
+
+  /**
+   * Encode a text pair as [CLS] a [SEP] b [SEP] (for cross-encoders),
+   * trimming the longer text first until it fits in maxLength
+   * @returns {{ids: number[], typeIds: number[]}} - Token ids and segment ids (0 for a, 1 for b)
+   */
+  encodePair(first, second) {
+    const budget = this.maxLength - 3;
+    const a = this.pieces(first, budget);
+    const b = this.pieces(second, budget);
+    while (a.length + b.length > budget) {
+      if (a.length > b.length) a.pop();
+      else b.pop();
+    }
+    return {
+      ids: [this.clsId, ...a, this.sepId, ...b, this.sepId],
+      typeIds: [...new Array(a.length + 2).fill(0), ...new Array(b.length + 1).fill(1)]
+    };
+  }
+}
+
+module.exports = { WordPieceTokenizer };
@@ -0,0 +1,75 @@
+/**
+ * Privacy checks for shared memory
+ *
+ * JavaScript port of scripts/privacy-check.py for the Node backend -
+ * keep PATTERNS and ALLOWLIST in sync with the Python version.
+ */
+
+const PATTERNS = [
+  // Personal identifiers
+  { name: 'email', pattern: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, description: 'Email address detected' },
+  { name: 'phone', pattern: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g, description: 'Phone number detected' },
+
+  // Paths and infrastructure
+  { name: 'home_path', pattern: /\/home\/\w+\//g, description: 'Home directory path detected' },
+  { name: 'internal_ip', pattern: /\b(?:10|172\.(?:1[6-9]|2\d|3[01])|192\.168)\.\d{1,3}\.\d{1,3}\b/g, description: 'Internal IP address detected' },
+  { name: 'tailscale_ip', pattern: /\b100\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/g, description: 'Tailscale IP detected' },
+
+  // Secrets and credentials
+  { name: 'anthropic_key', pattern: /sk-ant-[a-zA-Z0-9\-_]{20,}/g, description: 'Anthropic API key detected' },
+  { name: 'openai_key', pattern: /sk-[a-zA-Z0-9]{48}/g, description: 'OpenAI API key detected' },
+  { name: 'generic_key', pattern: /\b(?:api[_-]?key|secret|token|password)\s*[=:]\s*['"]?[a-zA-Z0-9\-_]{16,}['"]?/gi, description: 'Generic API key/secret detected' },
+  { name: 'bearer_token', pattern: /Bearer\s+[a-zA-Z0-9\-_.]{20,}/g, description: 'Bearer token detected' },
+
+  // Private keywords
+  { name: 'private_marker', pattern: /\[private\]/gi, description: 'Content explicitly marked as private' },
+  { name: 'secret_keyword', pattern: /\b(?:confidential|internal[_-]only|do[_\s]not[_\s]share)\b/gi, description: 'Confidentiality keyword detected' },
+
+  // MongoDB/Database URIs
+  { name: 'mongodb_uri', pattern: /mongodb(?:\+srv)?:\/\/[^\s]+/g, description: 'MongoDB connection string detected' },
+
+  // SSH/Server references
+  { name: 'ssh_user', pattern: /\bssh\s+\w+@/g, description: 'SSH connection string detected' }
+];
+
+// These are OK even if they match patterns
+const ALLOWLIST = [
+  'jasper-recall', 'hopeIDS', 'hopeid', 'OpenClaw', 'openclaw', 'E.x.O.',
+  'exohaven.online', 'exocreate.online', 'clawhub.ai',
+  'github.com', 'npm', 'npx',
+  'example.com', 'user@example.com', 'sk-xxx', 'your-api-key'
+];
+
+/**
+ * Check text for privacy violations
+ * @returns {Array<{pattern: string, match: string, description: string, line: number, context: string}>}
+ */
+function checkText(text) {
+  const violations = [];
+
+  text.split('\n').forEach((line, index) => {
+    for (const { name, pattern, description } of PATTERNS) {
+      for (const match of line.matchAll(pattern)) {
+        const matched = match[0].toLowerCase();
+        const allowed = ALLOWLIST.some(entry => {
+          const lower = entry.toLowerCase();
+          return lower.includes(matched) || matched.includes(lower);
+        });
+
+        if (!allowed) {
+          violations.push({
+            pattern: name,
+            match: match[0],
+            description,
+            line: index + 1,
+            context: line.trim().substring(0, 100)
+          });
+        }
+      }
+    }
+  });
+
+  return violations;
+}
+
+module.exports = { PATTERNS, ALLOWLIST, checkText };
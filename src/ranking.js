@@ -0,0 +1,91 @@
+/**
+ * Recency and source weighting for recall results
+ *
+ * JavaScript port of apply_ranking() in scripts/recall.py and
+ * ranking_settings() in scripts/recall_config.py, for the JS backend.
+ */
+
+const { globToRegExp } = require('./filters');
+const { DEFAULTS } = require('../cli/config');
+
+// Notes tagged like this never decay, like the "pinned" globs
+const EVERGREEN_TAGS = ['evergreen', 'pinned'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * The config's "ranking" section merged over the defaults, with bad values
+ * dropped (a typo in the config shouldn't break every search)
+ */
+function rankingSettings(section) {
+  const ranking = { ...DEFAULTS.ranking };
+  if (!section || typeof section !== 'object') return ranking;
+
+  for (const key of ['halfLifeDays', 'recencyWeight']) {
+    if (isNumber(section[key])) ranking[key] = section[key];
+  }
+  ranking.recencyWeight = Math.min(ranking.recencyWeight, 1);
+  if (section.boosts && typeof section.boosts === 'object') {
+    ranking.boosts = Object.fromEntries(Object.entries(section.boosts).filter(([, factor]) => isNumber(factor)));
+  }
+  if (Array.isArray(section.pinned)) {
+    ranking.pinned = section.pinned.filter(pattern => typeof pattern === 'string');
+  }
+  return ranking;
+}
+
+/**
+ * Days since the note's date (from its filename, else its mtime), or null
+ */
+function noteAge(metadata, now) {
+  const stamp = metadata.date || metadata.modified;
+  if (!stamp) return null;
+  const day = new Date(Math.floor(stamp / 10000), Math.floor(stamp / 100) % 100 - 1, stamp % 100);
+  if (Number.isNaN(day.getTime())) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.max(Math.round((today - day) / DAY_MS), 0);
+}
+
+/**
+ * Adjust each item's score for recency and source, then re-sort
+ * score = base * boost * recency, recency = (1 - w) + w * 0.5 ** (age / halfLife)
+ * @param {Array<{metadata, score}>} items - Modified in place
+ * @param {Object} ranking - rankingSettings()
+ */
+function applyRanking(items, ranking, now = new Date()) {
+  const boosts = Object.entries(ranking.boosts).map(([pattern, factor]) => [globToRegExp(pattern), factor]);
+  const pinnedGlobs = ranking.pinned.map(globToRegExp);
+
+  for (const item of items) {
+    const metadata = item.metadata || {};
+    const source = metadata.source || '';
+    const tags = (metadata.tags || '').split(',');
+
+    const base = Math.max(item.score, 0);
+    const boost = boosts.find(([re]) => re.test(source))?.[1] ?? 1;
+    const pinned = EVERGREEN_TAGS.some(tag => tags.includes(tag)) || pinnedGlobs.some(re => re.test(source));
+    const age = noteAge(metadata, now);
+    let recency = 1;
+    if (ranking.halfLifeDays > 0 && age !== null && !pinned) {
+      recency = (1 - ranking.recencyWeight) + ranking.recencyWeight * 0.5 ** (age / ranking.halfLifeDays);
+    }
+
+    item.score = base * boost * recency;
+    item.scoreDetails = {
+      base: Math.round(base * 10000) / 10000,
+      boost,
+      age_days: age,
+      recency: Math.round(recency * 1000) / 1000,
+      pinned
+    };
+  }
+
+  items.sort((a, b) => b.score - a.score);
+  return items;
+}
+
+module.exports = { rankingSettings, applyRanking, EVERGREEN_TAGS };
@@ -0,0 +1,339 @@
+/**
+ * Session summarizers for digest-sessions
+ *
+ * The digester hands each session to a summarizer as
+ *   { id, messages: [{ role: 'user' | 'assistant', text }], tools: { name: count } }
+ * and gets back what is worth recalling later, as lists of short sentences:
+ *   { decisions, openQuestions, outcomes, entities, provider }
+ *
+ * "extractive" (default): picks sentences by wording, deterministic, no model
+ * "openai": any OpenAI-compatible chat completions endpoint, e.g. a local
+ *           llama.cpp server or Ollama; falls back to extractive when the
+ *           endpoint fails (unless summarizer.fallback is false)
+ */
+
+const http = require('http');
+const https = require('https');
+
+const config = require('../cli/config');
+const { RecallError } = require('./errors');
+
+const PROVIDERS = ['extractive', 'openai'];
+const SECTIONS = ['decisions', 'openQuestions', 'outcomes', 'entities'];
+const MAX_ITEM_LENGTH = 200;
+
+const DECISION_RE = /\b(decided|decision|agreed|settled on|going with|opted|chose|we(?:'ll| will) (?:use|go|keep|switch|stick)|let'?s (?:use|go|keep|switch|stick)|instead of)\b/i;
+const OUTCOME_RE = /\b(done|fixed|created|deployed|merged|shipped|released|added|updated|removed|completed|resolved|installed|published|committed|passing|passes|works now)\b/i;
+const PENDING_RE = /\b(TODO|open question|follow[- ]up|not sure|unclear|still need|next step)\b/i;
+
+const ENTITY_RES = [
+  /https?:\/\/[^\s)>\]"'`]+/g,                                       // URLs
+  /`([^`\n]{2,60})`/g,                                               // code spans
+  /(?:[\w.-]+\/)*[\w-][\w.-]*\.(?:js|ts|tsx|py|md|json|jsonl|sh|ya?ml|toml|go|rs|sql|html|css)\b/g,  // files
+  /\b[A-Z][A-Z0-9]+-\d+\b/g                                          // ticket ids (JR-19)
+];
+
+const SYSTEM_PROMPT = `You summarize a conversation between a user and an AI agent for the agent's long-term memory.
+Reply with only a JSON object with these keys, each a list of short, self-contained strings (empty when there are none):
+  "decisions": choices that were made, with the reason when given
+  "open_questions": questions and tasks left unresolved
+  "outcomes": what was done, built, fixed or found out
+  "entities": files, projects, services, people and tools that matter
+Only include what the conversation says.`;
+
+function clip(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > MAX_ITEM_LENGTH ? `${line.slice(0, MAX_ITEM_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Distinct (case-insensitive) non-empty items, at most limit
+ */
+function distinct(items, limit) {
+  const seen = new Set();
+  const result = [];
+  for (const item of items) {
+    const key = item.toLowerCase();
+    if (!item || seen.has(key)) continue;
+    seen.add(key);
+    result.push(item);
+  }
+  return result.slice(0, limit);
+}
+
+/**
+ * Sentences of a message, with list markers stripped
+ */
+function sentences(text) {
+  return text.split('\n')
+    .map(line => line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '').trim())
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9`"'(])/))
+    .map(clip)
+    .filter(sentence => sentence.length >= 12);
+}
+
+/**
+ * Deterministic summaries: decisions and outcomes by their wording, questions
+ * left at the end of the session, and the files, URLs, code and tickets
+ * mentioned most
+ */
+class ExtractiveSummarizer {
+  /**
+   * @param {Object} [options] - { maxItems: per section (default 8) }
+   */
+  constructor(options = {}) {
+    this.name = 'extractive';
+    this.maxItems = options.maxItems || 8;
+  }
+
+  async summarize(session) {
+    const messages = session.messages || [];
+    const all = messages.flatMap(message => sentences(message.text).map(sentence => ({ role: message.role, sentence })));
+
+    const decisions = all.filter(({ sentence }) => DECISION_RE.test(sentence) && !sentence.endsWith('?'));
+    // Later outcomes supersede earlier ones
+    const outcomes = all.filter(({ role, sentence }) => role === 'assistant' && OUTCOME_RE.test(sentence) && !sentence.endsWith('?')).reverse();
+
+    // Questions nobody answered: those in the last message of either side
+    const lastOf = role => [...messages].reverse().find(message => message.role === role);
+    const finalQuestions = ['user', 'assistant']
+      .map(lastOf)
+      .filter(Boolean)
+      .flatMap(message => sentences(message.text).filter(sentence => sentence.endsWith('?')));
+    const pending = all.filter(({ sentence }) => PENDING_RE.test(sentence)).map(({ sentence }) => sentence).reverse();
+
+    const counts = new Map();
+    for (const message of messages) {
+      for (const re of ENTITY_RES) {
+        for (const match of message.text.matchAll(re)) {
+          const entity = (match[1] || match[0]).replace(/[.,;:]+$/, '');
+          counts.set(entity, (counts.get(entity) || 0) + 1);
+        }
+      }
+    }
+    // Most mentioned first; Map order breaks ties by first mention
+    const entities = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([entity]) => clip(entity));
+
+    return {
+      decisions: distinct(decisions.map(({ sentence }) => sentence), this.maxItems),
+      openQuestions: distinct([...finalQuestions, ...pending], this.maxItems),
+      outcomes: distinct(outcomes.map(({ sentence }) => sentence), this.maxItems).reverse(),
+      entities: distinct(entities, this.maxItems),
+      provider: this.name
+    };
+  }
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ */
+function postJson(url, body, options = {}) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      reject(new RecallError(`Invalid summarizer endpoint: ${url}`, { code: 'INVALID_ARGUMENT' }));
+      return;
+    }
+    const payload = JSON.stringify(body);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      timeout: options.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...options.headers
+      }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new RecallError(`${url} answered ${res.statusCode}: ${data.trim().slice(0, 200)}`, { code: 'SUMMARIZER_FAILED' }));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch {
+          reject(new RecallError(`${url} did not answer with JSON`, { code: 'SUMMARIZER_FAILED' }));
+        }
+      });
+    });
+
+    req.on('error', err => reject(new RecallError(`Could not reach ${url}: ${err.message}`, { code: 'SUMMARIZER_FAILED', cause: err })));
+    req.on('timeout', () => req.destroy(new Error(`no answer after ${options.timeout}ms`)));
+    req.end(payload);
+  });
+}
+
+/**
+ * The session as plain text for a model. Past maxChars the start (a quarter)
+ * and the end (the rest) are kept, since that is where the goal and the
+ * results usually are.
+ */
+function transcript(session, maxChars) {
+  const lines = (session.messages || []).map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.text}`);
+  const tools = Object.entries(session.tools || {}).map(([name, count]) => `${name} (${count}x)`);
+  if (tools.length) lines.push(`Tools used: ${tools.join(', ')}`);
+  const text = lines.join('\n\n');
+  if (text.length <= maxChars) return text;
+
+  const head = Math.floor(maxChars / 4);
+  const tail = maxChars - head;
+  return `${text.slice(0, head)}\n\n[... ${text.length - maxChars} characters omitted ...]\n\n${text.slice(-tail)}`;
+}
+
+/**
+ * The JSON object in a model's reply (which may be wrapped in a code fence or prose)
+ */
+function parseReply(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    try {
+      return JSON.parse(content.slice(start, end + 1));
+    } catch {
+      // Reported below
+    }
+  }
+  throw new RecallError(`The summarizer did not reply with a JSON object: ${content.trim().slice(0, 120)}`, { code: 'SUMMARIZER_FAILED' });
+}
+
+/**
+ * A model's list for one section as short strings
+ */
+function toItems(value, limit) {
+  if (!Array.isArray(value)) return [];
+  const items = value
+    .map(item => typeof item === 'string' ? item : item && typeof item === 'object' ? (item.text || item.name || item.summary) : null)
+    .filter(item => typeof item === 'string')
+    .map(clip);
+  return distinct(items, limit);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Summaries from an OpenAI-compatible /chat/completions endpoint (llama.cpp's
+ * llama-server, Ollama, vLLM, LM Studio, ...)
+ */
+class OpenAISummarizer {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Base URL, e.g. http://127.0.0.1:8080/v1
+   * @param {string} [options.model] - Model name sent with each request
+   * @param {string} [options.apiKey] - Sent as a Bearer token (default: RECALL_SUMMARIZER_API_KEY)
+   * @param {number} [options.timeoutMs] - Per-session request timeout
+   * @param {number} [options.maxInputChars] - Longest transcript sent
+   * @param {number} [options.maxItems] - Per section
+   */
+  constructor(options) {
+    this.name = 'openai';
+    this.endpoint = typeof options.endpoint === 'string' ? options.endpoint.trim().replace(/\/+$/, '') : '';
+    if (!isHttpUrl(this.endpoint)) {
+      throw new RecallError(`Invalid summarizer endpoint ${JSON.stringify(options.endpoint ?? null)} (expected an http(s) URL)`, { code: 'INVALID_ARGUMENT' });
+    }
+    this.model = options.model;
+    this.apiKey = options.apiKey ?? process.env.RECALL_SUMMARIZER_API_KEY;
+    this.timeout = options.timeoutMs || 120000;
+    this.maxInputChars = options.maxInputChars || 24000;
+    this.maxItems = options.maxItems || 8;
+  }
+
+  async summarize(session) {
+    const response = await postJson(`${this.endpoint}/chat/completions`, {
+      model: this.model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: transcript(session, this.maxInputChars) }
+      ]
+    }, {
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+
+    const content = response?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new RecallError(`${this.endpoint} returned no message`, { code: 'SUMMARIZER_FAILED' });
+    }
+    const reply = parseReply(content);
+    return {
+      decisions: toItems(reply.decisions, this.maxItems),
+      openQuestions: toItems(reply.open_questions ?? reply.openQuestions, this.maxItems),
+      outcomes: toItems(reply.outcomes, this.maxItems),
+      entities: toItems(reply.entities, this.maxItems),
+      provider: `${this.name} (${this.model})`
+    };
+  }
+}
+
+/**
+ * Runs primary, and fallback when primary fails
+ */
+class FallbackSummarizer {
+  constructor(primary, fallback, options = {}) {
+    this.name = primary.name;
+    this.primary = primary;
+    this.fallback = fallback;
+    this.log = options.log || (() => {});
+  }
+
+  async summarize(session) {
+    try {
+      return await this.primary.summarize(session);
+    } catch (err) {
+      this.log(`  ⚠ ${this.primary.name} summarizer failed (${err.message}) - using ${this.fallback.name}`);
+      return this.fallback.summarize(session);
+    }
+  }
+}
+
+/**
+ * Get the configured summarizer
+ * @param {Object} [options] - Overrides for the "summarizer" config section
+ *   ({ provider, endpoint, model, timeoutMs, maxInputChars, fallback }), plus
+ *   log (called with a line when falling back)
+ * @returns {ExtractiveSummarizer|OpenAISummarizer|FallbackSummarizer}
+ */
+function getSummarizer(options = {}) {
+  const { log, ...overrides } = options;
+  const settings = { ...config.DEFAULTS.summarizer, ...config.get('summarizer') };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) settings[key] = value;
+  }
+  if (!PROVIDERS.includes(settings.provider)) {
+    throw new RecallError(`Unknown summarizer "${settings.provider}" (expected: ${PROVIDERS.join(', ')})`, { code: 'INVALID_ARGUMENT' });
+  }
+
+  const extractive = new ExtractiveSummarizer(settings);
+  if (settings.provider === 'extractive') return extractive;
+  let summarizer;
+  try {
+    summarizer = new OpenAISummarizer(settings);
+  } catch (err) {
+    // A typo in summarizer.endpoint shouldn't stop digests from being written, unless fallback is off
+    if (!settings.fallback) throw err;
+    (log || console.error)(`⚠ ${err.message} - using ${extractive.name}`);
+    return extractive;
+  }
+  return settings.fallback ? new FallbackSummarizer(summarizer, extractive, { log }) : summarizer;
+}
+
+module.exports = {
+  getSummarizer,
+  ExtractiveSummarizer,
+  OpenAISummarizer,
+  PROVIDERS,
+  SECTIONS
+};
@@ -0,0 +1,425 @@
+/**
+ * Persistent recall worker
+ *
+ * Keeps scripts/recall-worker.py running so queries skip the multi-second
+ * model load. The worker is started on demand, health-checked, restarted
+ * after a crash and shut down once it has been idle for a while.
+ *
+ * The child process is unref'd whenever no request is in flight, so an idle
+ * worker never keeps the host process alive.
+ */
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const config = require('../cli/config');
+const {
+  RecallError,
+  VenvMissingError,
+  RecallTimeoutError,
+  RecallAbortError,
+  errorFromCode,
+  errorFromStderr
+} = require('./errors');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'scripts', 'recall-worker.py');
+
+// A full pass embeds every changed file
+const INDEX_TIMEOUT = 10 * 60 * 1000;
+
+const DEFAULTS = {
+  startTimeout: 120000,        // first start may download the model (~90MB)
+  requestTimeout: 30000,
+  idleTimeout: 10 * 60 * 1000, // stop after 10 minutes without requests
+  healthInterval: 60000,
+  healthTimeout: 10000,
+  maxRestarts: 3,              // crash restarts allowed per restartWindow
+  restartWindow: 60000
+};
+
+class RecallWorker extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.venv] - Python venv path (default: config venv)
+   * @param {string} [options.chromaDb] - ChromaDB path (default: config chromaDb)
+   * @param {string} [options.workspace] - Workspace path (default: config workspace)
+   * @param {string} [options.embeddingModel] - Sentence-transformers model (default: config embeddingModel)
+   * @param {number} [options.idleTimeout] - ms without requests before shutdown (0 disables)
+   * @param {number} [options.requestTimeout] - Default per-request timeout in ms
+   */
+  constructor(options = {}) {
+    super();
+    const cfg = config.getAll();
+    this.venv = options.venv || cfg.venv;
+    this.chromaDb = options.chromaDb || cfg.chromaDb;
+    this.workspace = options.workspace || cfg.workspace;
+    this.embeddingModel = options.embeddingModel || cfg.embeddingModel;
+    this.options = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (options[key] !== undefined) this.options[key] = options[key];
+    }
+
+    this.child = null;
+    this.starting = null;
+    this.stopping = false;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.idleTimer = null;
+    this.healthTimer = null;
+    this.restarts = [];
+  }
+
+  get python() {
+    return path.join(this.venv, 'bin', 'python3');
+  }
+
+  get key() {
+    return JSON.stringify([this.venv, this.chromaDb, this.workspace, this.embeddingModel]);
+  }
+
+  get running() {
+    return this.child !== null && this.starting === null;
+  }
+
+  /**
+   * Start the worker (no-op if already running)
+   * @returns {Promise<void>} - Resolves once the model is loaded
+   */
+  start() {
+    if (this.starting) return this.starting;
+    if (this.child) return Promise.resolve();
+    if (!fs.existsSync(this.python)) return Promise.reject(new VenvMissingError());
+
+    this.starting = new Promise((resolve, reject) => {
+      const child = spawn(this.python, [WORKER_SCRIPT], {
+        env: {
+          ...process.env,
+          RECALL_WORKSPACE: this.workspace,
+          RECALL_CHROMA_DB: this.chromaDb,
+          RECALL_VENV: this.venv,
+          RECALL_EMBEDDING_MODEL: this.embeddingModel,
+          PYTHONWARNINGS: 'ignore'
+        },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      this.child = child;
+
+      let stderr = '';
+      let ready = false;
+
+      const startTimer = setTimeout(() => {
+        reject(new RecallTimeoutError(this.options.startTimeout, { stderr }));
+        child.kill('SIGKILL');
+      }, this.options.startTimeout);
+
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+
+      readline.createInterface({ input: child.stdout }).on('line', line => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          return;
+        }
+
+        if (message.event === 'ready') {
+          ready = true;
+          clearTimeout(startTimer);
+          this.starting = null;
+          this.startHealthChecks();
+          this.touch();
+          this.updateRef();
+          this.emit('ready', message);
+          resolve();
+          return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        if (message.ok) {
+          request.finish(null, message.result);
+        } else {
+          const { code, message: text } = message.error || {};
+          request.finish(errorFromCode(code, text || 'Recall worker request failed'));
+        }
+      });
+
+      // Writing to a worker that died between requests fails here (EPIPE) before
+      // its exit is seen; the next request then starts a new one
+      child.stdin.on('error', err => {
+        if (!ready || this.child !== child) return;  // exit handling rejects the start
+        this.child = null;
+        this.stopHealthChecks();
+        clearTimeout(this.idleTimer);
+        const failure = new RecallError(`Recall worker closed its input (${err.code || err.message})`, {
+          code: 'WORKER_CRASHED',
+          stderr
+        });
+        for (const request of this.pending.values()) {
+          request.finish(failure);
+        }
+        child.kill('SIGKILL');
+        this.emit('crash', failure);
+      });
+
+      // A failed spawn emits 'error' without 'exit'
+      child.on('error', err => {
+        clearTimeout(startTimer);
+        this.handleExit(child, null, null, err.message, ready, reject);
+      });
+
+      child.on('exit', (code, signal) => {
+        clearTimeout(startTimer);
+        this.handleExit(child, code, signal, stderr, ready, reject);
+      });
+    });
+
+    this.updateRef();
+    return this.starting;
+  }
+
+  handleExit(child, code, signal, stderr, ready, rejectStart) {
+    if (this.child !== child) return;
+
+    this.child = null;
+    this.starting = null;
+    this.stopHealthChecks();
+    clearTimeout(this.idleTimer);
+
+    const stopping = this.stopping;
+    this.stopping = false;
+
+    if (!ready) {
+      // Broken environment (missing deps, bad venv) - restarting would not help
+      rejectStart(stopping ? new RecallAbortError('Recall worker stopped') : errorFromStderr(stderr, code));
+      return;
+    }
+
+    const err = new RecallError(`Recall worker exited (${signal || `code ${code}`})`, {
+      code: 'WORKER_CRASHED',
+      stderr
+    });
+    for (const request of this.pending.values()) {
+      request.finish(err);
+    }
+
+    if (stopping) {
+      this.emit('exit');
+      return;
+    }
+
+    this.emit('crash', err);
+
+    const now = Date.now();
+    this.restarts = this.restarts.filter(t => now - t < this.options.restartWindow);
+    if (this.restarts.length < this.options.maxRestarts) {
+      this.restarts.push(now);
+      this.emit('restart');
+      // Failures surface on the next request, which retries the start
+      this.start().catch(() => {});
+    }
+  }
+
+  /**
+   * Send a request to the worker, starting it if needed
+   * Aborting only drops the response; the worker still finishes the query.
+   * @param {string} method - Worker method (ping, recall, ...)
+   * @param {Object} [params]
+   * @param {Object} [options] - { signal, timeout }
+   */
+  async request(method, params = {}, options = {}) {
+    const { signal } = options;
+    const timeout = options.timeout ?? this.options.requestTimeout;
+
+    if (signal?.aborted) throw new RecallAbortError();
+    await this.start();
+    if (signal?.aborted) throw new RecallAbortError();
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      let timer = null;
+
+      const onAbort = () => finish(new RecallAbortError());
+      const finish = (err, value) => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        // Health pings must not keep an otherwise idle worker alive
+        if (!options.internal) this.touch();
+        this.updateRef();
+        if (err) reject(err);
+        else resolve(value);
+      };
+
+      this.pending.set(id, { finish });
+      this.updateRef();
+
+      if (!this.child) {
+        finish(new RecallError('Recall worker is not running', { code: 'WORKER_CRASHED' }));
+        return;
+      }
+
+      if (timeout > 0) {
+        timer = setTimeout(() => finish(new RecallTimeoutError(timeout)), timeout);
+      }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this.child.stdin.write(JSON.stringify({ id, method, params }) + '\n');
+    });
+  }
+
+  /**
+   * Search the memory index
+   * @param {string} query - Search query
+   * @param {Object} [options] - { limit, collections, minScore, publicOnly, mode, keywordWeight,
+   *   since, until, paths, tags, excludeSources, rerank, rerankCandidates, signal, timeout }
+   * @returns {Promise<Array>} - Same objects as recall.py --json
+   */
+  recall(query, options = {}) {
+    return this.request('recall', {
+      query,
+      limit: parseInt(options.limit, 10) || 5,
+      public_only: !!options.publicOnly,
+      collections: options.collections || (options.collection ? [options.collection] : null),
+      min_score: options.minScore ?? null,
+      mode: options.mode || 'hybrid',
+      keyword_weight: options.keywordWeight ?? null,
+      since: options.since || null,
+      until: options.until || null,
+      paths: options.paths || null,
+      tags: options.tags || null,
+      exclude_sources: options.excludeSources || null,
+      rerank: !!options.rerank,
+      rerank_candidates: options.rerankCandidates ?? null
+    }, options);
+  }
+
+  /**
+   * Privacy-check a learning and index it into agent_learnings
+   * @param {Object} learning - { title, content, agent, category }
+   * @param {Object} [options] - { privacy: 'reject' | 'quarantine', signal, timeout }
+   * @returns {Promise<Object>} - { status: 'accepted' | 'rejected' | 'quarantined', id?, violations?, path? }
+   */
+  writeLearning(learning, options = {}) {
+    return this.request('write_learning', {
+      title: learning.title,
+      content: learning.content,
+      agent: learning.agent,
+      category: learning.category,
+      privacy: options.privacy || 'reject'
+    }, options);
+  }
+
+  /**
+   * Re-index changed memory files and drop deleted ones
+   * @param {string[]|null} paths - Workspace-relative files, or null for the whole memory layout
+   * @param {Object} [options] - { prune, signal, timeout }
+   * @returns {Promise<Object>} - { indexed, removed, stats }
+   */
+  indexFiles(paths, options = {}) {
+    return this.request('index_files', {
+      paths: paths || null,
+      prune: !!options.prune
+    }, { timeout: INDEX_TIMEOUT, ...options });
+  }
+
+  ping(options = {}) {
+    return this.request('ping', {}, { timeout: this.options.healthTimeout, ...options });
+  }
+
+  /**
+   * Stop the worker gracefully (kills it after 5s)
+   */
+  stop() {
+    const child = this.child;
+    if (!child) return Promise.resolve();
+
+    this.stopping = true;
+    return new Promise(resolve => {
+      const killTimer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      killTimer.unref();
+      child.once('exit', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      child.stdin.end(JSON.stringify({ id: 0, method: 'shutdown' }) + '\n');
+    });
+  }
+
+  touch() {
+    clearTimeout(this.idleTimer);
+    if (!this.options.idleTimeout) return;
+
+    this.idleTimer = setTimeout(() => {
+      if (this.pending.size > 0) {
+        this.touch();
+        return;
+      }
+      this.emit('idle');
+      this.stop();
+    }, this.options.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  startHealthChecks() {
+    this.stopHealthChecks();
+    if (!this.options.healthInterval) return;
+
+    this.healthTimer = setInterval(() => {
+      // A busy worker is answering requests; only probe when idle
+      if (!this.running || this.pending.size > 0) return;
+      this.ping({ internal: true }).catch(err => {
+        if (!this.child) return;
+        this.emit('unhealthy', err);
+        this.child.kill('SIGKILL'); // exit handler restarts it
+      });
+    }, this.options.healthInterval);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  updateRef() {
+    const child = this.child;
+    if (!child) return;
+
+    const method = this.starting || this.pending.size > 0 ? 'ref' : 'unref';
+    child[method]();
+    for (const stream of [child.stdin, child.stdout, child.stderr]) {
+      if (stream && typeof stream[method] === 'function') stream[method]();
+    }
+  }
+}
+
+const sharedWorkers = new Map();
+
+/**
+ * Get the process-wide worker for these paths, creating it on first use
+ * @param {Object} [options] - Same as RecallWorker
+ * @returns {RecallWorker}
+ */
+function getSharedWorker(options = {}) {
+  const worker = new RecallWorker(options);
+  if (!sharedWorkers.has(worker.key)) {
+    sharedWorkers.set(worker.key, worker);
+  }
+  return sharedWorkers.get(worker.key);
+}
+
+process.once('exit', () => {
+  for (const worker of sharedWorkers.values()) {
+    if (worker.child) worker.child.kill();
+  }
+});
+
+module.exports = { RecallWorker, getSharedWorker, WORKER_SCRIPT };
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { home, listen, call } = require('./server-helpers');
+const auth = require('../cli/auth');
+const { startServer } = require('../cli/server');
+
+test('createToken stores only a hash and validates its options', () => {
+  const { token, entry } = auth.createToken({ agent: 'email', scope: 'mesh', agents: ['email', 'research'] });
+  assert.match(token, /^jr_[0-9a-f]{8}_/);
+  assert.equal(entry.hash, auth.hashToken(token));
+
+  const stored = fs.readFileSync(path.join(home, '.jasper-recall', 'config.json'), 'utf8');
+  assert.ok(!stored.includes(token));
+  assert.deepEqual(auth.authenticate(`Bearer ${token}`), entry);
+  assert.equal(auth.authenticate('Bearer jr_nope'), null);
+  assert.equal(auth.authenticate(token), null);
+
+  assert.throws(() => auth.createToken({ agent: 'bad name' }), /agent must be/);
+  assert.throws(() => auth.createToken({ agent: 'x', scope: 'root' }), /scope must be one of/);
+  assert.ok(auth.revokeToken(entry.id));
+  assert.equal(auth.revokeToken(entry.id), false);
+});
+
+test('allowedCollections follows the scope', () => {
+  assert.equal(auth.allowedCollections({ scope: 'full' }), null);
+  assert.deepEqual(auth.allowedCollections({ scope: 'public' }), ['shared', 'learnings']);
+  assert.deepEqual(auth.allowedCollections({ scope: 'mesh', agent: 'email' }), ['shared', 'learnings', 'agent_email']);
+});
+
+test('the server enforces tokens and their scopes', async t => {
+  const pub = auth.createToken({ agent: 'reader', scope: 'public' });
+  const mesh = auth.createToken({ agent: 'email', scope: 'mesh' });
+  const full = auth.createToken({ agent: 'main', scope: 'full' });
+  const server = await listen();
+  t.after(() => {
+    server.close();
+    for (const created of [pub, mesh, full]) auth.revokeToken(created.entry.id);
+  });
+  const recall = (token, body) => call(server, 'POST', '/api/recall', { token, body: { query: 'deploy', ...body } });
+
+  let res = await recall(null, {});
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await recall('jr_00000000_forged', {})).status, 401);
+
+  // Public tokens can't opt out of public_only
+  res = await recall(pub.token, { collections: ['private'], publicOnly: false });
+  assert.equal(res.status, 403);
+
+  // Mesh tokens reach their own agent's collection, not another's
+  res = await recall(mesh.token, { collections: ['agent_research'] });
+  assert.equal(res.status, 403);
+  assert.match(res.body.error, /^token is limited to: shared, learnings, agent_email/);
+  assert.equal((await recall(mesh.token, { collections: ['agent_email'] })).status, 503);
+
+  // Full tokens pass validation for private memories (the empty test index fails after)
+  res = await recall(full.token, { collections: ['private'], publicOnly: false });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.code, 'INDEX_MISSING');
+
+  // Learnings are attributed to the token's agent
+  res = await call(server, 'POST', '/api/learnings', { token: mesh.token, body: { title: 't', content: 'c', agent: 'main' } });
+  assert.equal(res.status, 403);
+
+  // Revocation applies to the next request
+  auth.revokeToken(pub.entry.id);
+  assert.equal((await recall(pub.token, {})).status, 401);
+});
+
+test('the server refuses to listen beyond loopback without tokens', () => {
+  assert.deepEqual(auth.loadTokens(), []);
+  assert.throws(() => startServer(0, '0.0.0.0'), /without API tokens/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { PythonBackend } = require('../src/backend');
+
+/**
+ * A venv whose python3 prints what the test puts in RECALL_FAKE_OUTPUT
+ */
+function fakeVenv() {
+  const venv = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-backend-'));
+  fs.mkdirSync(path.join(venv, 'bin'));
+  const python = path.join(venv, 'bin', 'python3');
+  fs.writeFileSync(python, `#!${process.execPath}
+process.stdout.write(process.env.RECALL_FAKE_OUTPUT);
+`);
+  fs.chmodSync(python, 0o755);
+  return venv;
+}
+
+test('runScript parses the JSON a script prints', async t => {
+  const venv = fakeVenv();
+  t.after(() => fs.rmSync(venv, { recursive: true, force: true }));
+  const backend = new PythonBackend({ venv, chromaDb: venv });
+
+  const result = await backend.runScript('stats.py', [], { env: { RECALL_FAKE_OUTPUT: '{"chunks": 3}\n' } });
+  assert.deepEqual(result, { chunks: 3 });
+});
+
+test('runScript rejects output that is not JSON with BAD_OUTPUT', async t => {
+  const venv = fakeVenv();
+  t.after(() => fs.rmSync(venv, { recursive: true, force: true }));
+  const backend = new PythonBackend({ venv, chromaDb: venv });
+
+  await assert.rejects(
+    backend.runScript('stats.py', [], { env: { RECALL_FAKE_OUTPUT: 'Loading model...\n{"chunks": 3}' } }),
+    err => {
+      assert.equal(err.code, 'BAD_OUTPUT');
+      assert.match(err.message, /^Could not parse stats\.py output: Loading model\.\.\./);
+      return true;
+    }
+  );
+  await assert.rejects(backend.runScript('stats.py', [], { env: { RECALL_FAKE_OUTPUT: '' } }), /output: \(nothing\)/);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BM25Index, tokenize, fuseRankings, RRF_K } = require('../src/js-backend/bm25');
+
+test('tokenize keeps identifiers whole and also splits them', () => {
+  assert.deepEqual(tokenize('Fix JR-17 in get_file_hash'), ['fix', 'jr-17', 'jr', '17', 'in', 'get_file_hash', 'get', 'file', 'hash']);
+  assert.deepEqual(tokenize('db-01.prod.local:8080'), ['db-01.prod.local:8080', 'db', '01', 'prod', 'local', '8080']);
+});
+
+test('BM25Index ranks rarer and more frequent terms higher', () => {
+  const index = new BM25Index();
+  index.add([
+    { id: 'a', document: 'deploy the staging server' },
+    { id: 'b', document: 'deploy deploy deploy JR-17' },
+    { id: 'c', document: 'notes about lunch' }
+  ]);
+  assert.equal(index.size, 3);
+
+  const results = index.search('deploy', 10);
+  assert.deepEqual(results.map(r => r.id), ['b', 'a']);
+  assert.ok(results[0].score > results[1].score);
+  assert.deepEqual(index.search('jr-17', 10).map(r => r.id), ['b']);
+  assert.deepEqual(index.search('deploy', 10, new Set(['a'])).map(r => r.id), ['a']);
+  assert.deepEqual(index.search('nothing here', 10), []);
+
+  index.remove(['b']);
+  assert.deepEqual(index.search('deploy', 10).map(r => r.id), ['a']);
+});
+
+test('fuseRankings weighs both lists by reciprocal rank', () => {
+  const semantic = [{ collection: 'c', id: 'x' }, { collection: 'c', id: 'y' }];
+  const keyword = [{ collection: 'c', id: 'y' }];
+  const fused = fuseRankings(semantic, keyword, 0.5);
+  assert.deepEqual(fused.map(r => r.id), ['y', 'x']);
+  assert.equal(fused[1].score, 0.5 / (RRF_K + 1));
+  assert.deepEqual(fuseRankings(semantic, keyword, 0).map(r => r.id), ['x', 'y']);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+
+// Config is read from ~/.jasper-recall: give this process its own home
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-bundle-'));
+process.env.HOME = home;
+
+const { exportBundle, importBundle, readBundle, checkManifest, tarEntry, readTar, FORMAT } = require('../cli/bundle');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const MODEL = 'all-MiniLM-L6-v2';
+const longSource = `memory/${'projects/'.repeat(12)}notes-with-a-rather-long-file-name.md`;
+
+/**
+ * A backend that exports fixed chunk lines and records what it is given to import
+ */
+function fakeBackend(lines, model = MODEL) {
+  return {
+    name: 'fake',
+    embeddingModel: model,
+    imported: null,
+    async exportChunks(file) {
+      fs.writeFileSync(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+      return { collections: { private_memories: { chunks: lines.length, metadata: {} } }, dimensions: 3 };
+    },
+    async importChunks(file, options) {
+      this.imported = { data: fs.readFileSync(file), options };
+      return { collections: { private_memories: lines.length } };
+    }
+  };
+}
+
+test('tar entries keep long paths and binary data', () => {
+  const binary = Buffer.from(Array.from({ length: 1500 }, (_, i) => (i * 37) % 256));
+  const longName = `${'deeply/nested/'.repeat(9)}binary.bin`;
+  assert.ok(longName.length > 100);
+
+  const archive = Buffer.concat([
+    tarEntry('short.txt', Buffer.from('hello\n')),
+    tarEntry(longName, binary),
+    tarEntry('empty', Buffer.alloc(0)),
+    Buffer.alloc(1024)
+  ]);
+  const files = readTar(archive);
+  assert.deepEqual([...files.keys()], ['short.txt', longName, 'empty']);
+  assert.equal(files.get('short.txt').toString(), 'hello\n');
+  assert.ok(files.get(longName).equals(binary));
+  assert.equal(files.get('empty').length, 0);
+
+  // Other tar readers see the same names
+  const file = path.join(home, 'entries.tar');
+  fs.writeFileSync(file, archive);
+  const listing = spawnSync('tar', ['-tf', file], { encoding: 'utf8' });
+  if (listing.status === 0) assert.deepEqual(listing.stdout.trim().split('\n'), ['short.txt', longName, 'empty']);
+
+  assert.throws(() => tarEntry('x'.repeat(120), binary), /path too long/);
+});
+
+test('export and import round-trip the chunk lines', async () => {
+  const lines = [
+    { collection: 'private_memories', id: 'a', document: 'Deployed with ✓ and émoji', embedding: [0.1, -0.2, 0.3], metadata: { source: longSource } },
+    { collection: 'private_memories', id: 'b', document: 'binary-ish \u0000\u0001ÿ', embedding: [1, 0, 0], metadata: { source: 'memory/short.md' } }
+  ];
+  const file = path.join(home, 'roundtrip.tar.gz');
+  const source = fakeBackend(lines);
+  const manifest = await exportBundle(file, { backend: source });
+  assert.equal(manifest.format, FORMAT);
+  assert.equal(manifest.embedding.model, MODEL);
+  assert.deepEqual(readBundle(file).manifest, manifest);
+
+  const target = fakeBackend([]);
+  const result = await importBundle(file, { backend: target, replace: true });
+  assert.deepEqual(target.imported.options, { collections: ['private_memories'], replace: true });
+  const restored = target.imported.data.toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(restored, lines);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('import is refused for another embedding model or a foreign manifest', async () => {
+  const file = path.join(home, 'model.tar.gz');
+  await exportBundle(file, { backend: fakeBackend([{ collection: 'private_memories', id: 'a', document: 'x', embedding: [1, 0, 0], metadata: {} }]) });
+
+  const other = fakeBackend([], 'BAAI/bge-small-en-v1.5');
+  await assert.rejects(importBundle(file, { backend: other }), /embedded with all-MiniLM-L6-v2, this index uses BAAI/);
+  assert.equal(other.imported, null);
+
+  // The sentence-transformers/ prefix doesn't make it another model
+  assert.equal(checkManifest(readBundle(file).manifest, [], 'sentence-transformers/all-MiniLM-L6-v2'), null);
+
+  const { manifest } = readBundle(file);
+  assert.match(checkManifest({ ...manifest, format: 'something-else' }, [], MODEL), /not a jasper-recall bundle/);
+  assert.match(checkManifest({ ...manifest, version: 99 }, [], MODEL), /format version 99/);
+  assert.match(checkManifest(manifest, ['shared_memories'], MODEL), /no collection shared_memories/);
+
+  const forged = path.join(home, 'forged.tar.gz');
+  const tar = Buffer.concat([
+    tarEntry('manifest.json', Buffer.from(JSON.stringify({ ...manifest, version: 2 }))),
+    tarEntry('chunks.jsonl', Buffer.from('')),
+    Buffer.alloc(1024)
+  ]);
+  fs.writeFileSync(forged, zlib.gzipSync(tar));
+  const target = fakeBackend([]);
+  await assert.rejects(importBundle(forged, { backend: target }), /format version 2 is not supported/);
+  assert.equal(target.imported, null);
+});
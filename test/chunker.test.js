@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const chunker = require('../src/js-backend/chunker');
+
+test('noteDate reads the date in a filename', () => {
+  assert.equal(chunker.noteDate('2026-02-05.md'), 20260205);
+  assert.equal(chunker.noteDate('a1b2c3d4-2026-02-05.md'), 20260205);
+  assert.equal(chunker.noteDate('2026-13-05.md'), null);
+  assert.equal(chunker.noteDate('notes.md'), null);
+});
+
+test('extractTags finds bracket tags but not links or checkboxes', () => {
+  const content = '[Public] note [deploy] with [a link](x), [refs][1], [x] done and [public] again';
+  assert.equal(chunker.extractTags(content), 'deploy,public');
+});
+
+test('determineCollection routes by folder and tags', () => {
+  assert.equal(chunker.determineCollection('learnings/a.md', ''), 'learnings');
+  assert.equal(chunker.determineCollection('notes.md', 'an [insight] here'), 'learnings');
+  assert.equal(chunker.determineCollection('shared/team.md', ''), 'shared');
+  assert.equal(chunker.determineCollection('notes.md', '[public] ok'), 'shared');
+  assert.equal(chunker.determineCollection('notes.md', 'mine'), 'private');
+});
+
+test('gatherFiles and isIndexedFile agree on which notes are indexed', t => {
+  const memory = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-chunker-'));
+  t.after(() => fs.rmSync(memory, { recursive: true, force: true }));
+  const files = ['MEMORY.md', 'sops/deploy.md', 'shared/team/a.md', 'session-digests/x.md', 'other/skipped.md', '.hidden.md', 'sops/notes.txt'];
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(memory, file)), { recursive: true });
+    fs.writeFileSync(path.join(memory, file), '# note\n');
+  }
+
+  const found = chunker.gatherFiles(memory).map(file => path.relative(memory, file)).sort();
+  assert.deepEqual(found, ['MEMORY.md', 'session-digests/x.md', 'shared/team/a.md', 'sops/deploy.md']);
+  for (const file of files) {
+    assert.equal(chunker.isIndexedFile(memory, path.join(memory, file)), found.includes(file), file);
+  }
+  assert.equal(chunker.isIndexedFile(memory, path.join(memory, '..', 'outside.md')), false);
+});
+
+test('chunkMarkdown splits at headings with breadcrumbs and line ranges', () => {
+  const text = [
+    'Intro line',
+    '',
+    '# Deploys',
+    '',
+    'First paragraph.',
+    '',
+    '## Staging',
+    'Second paragraph',
+    'still second.',
+    '',
+    '# Other',
+    'Third.'
+  ].join('\n');
+  assert.deepEqual(chunker.chunkMarkdown(text, 'notes.md'), [
+    { text: 'notes.md\n\nIntro line', section: '', line_start: 1, line_end: 1 },
+    { text: 'notes.md > Deploys\n\nFirst paragraph.', section: 'Deploys', line_start: 5, line_end: 5 },
+    { text: 'notes.md > Deploys > Staging\n\nSecond paragraph\nstill second.', section: 'Deploys > Staging', line_start: 8, line_end: 9 },
+    { text: 'notes.md > Other\n\nThird.', section: 'Other', line_start: 12, line_end: 12 }
+  ]);
+});
+
+test('chunkMarkdown groups paragraphs up to the chunk size and keeps code blocks whole', () => {
+  const paragraphs = ['a'.repeat(30), 'b'.repeat(30), 'c'.repeat(30)].join('\n\n');
+  const grouped = chunker.chunkMarkdown(paragraphs, 't', 70);
+  assert.deepEqual(grouped.map(c => [c.line_start, c.line_end]), [[1, 3], [5, 5]]);
+
+  const code = ['```', '# not a heading', '', 'x'.repeat(100), '```'].join('\n');
+  const [chunk, ...rest] = chunker.chunkMarkdown(code, 't', 50);
+  assert.equal(rest.length, 0);
+  assert.equal(chunk.section, '');
+  assert.equal(chunk.text, `t\n\n${code}`);
+  assert.deepEqual([chunk.line_start, chunk.line_end], [1, 5]);
+
+  const long = chunker.chunkMarkdown('y'.repeat(120), 't', 50);
+  assert.deepEqual(long.map(c => c.text.length - 3), [50, 50, 20]);
+});
+
+/**
+ * A memory folder with session digests of agents named like public folders:
+ * moltbook and shared (private) and learnings and bot (sandboxed)
+ */
+function digestFolders() {
+  const memory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jr-digests-')), 'memory');
+  const agents = { moltbook: null, shared: 'private', learnings: 'sandboxed', bot: 'sandboxed' };
+  for (const [agent, privacy] of Object.entries(agents)) {
+    const folder = path.join(memory, 'session-digests', agent);
+    fs.mkdirSync(folder, { recursive: true });
+    if (privacy) fs.writeFileSync(path.join(folder, '.agent.json'), JSON.stringify({ agent, privacy }));
+    fs.writeFileSync(path.join(folder, 'a1b2c3d4-2026-02-05.md'), '# Session\n\n[public] [learning] notes\n');
+  }
+  fs.writeFileSync(path.join(memory, 'session-digests', 'e5f6a7b8-2026-01-01.md'), '# Session\n\n[public]\n');
+  return memory;
+}
+
+test('session digests stay private unless their agent is sandboxed', t => {
+  const memory = digestFolders();
+  t.after(() => fs.rmSync(path.dirname(memory), { recursive: true, force: true }));
+
+  const collection = relPath => {
+    const file = path.join(memory, relPath);
+    return chunker.agentCollection(memory, file) ||
+      chunker.determineCollection(`memory/${relPath}`, fs.readFileSync(file, 'utf8'));
+  };
+  assert.equal(collection('session-digests/moltbook/a1b2c3d4-2026-02-05.md'), 'private');
+  assert.equal(collection('session-digests/shared/a1b2c3d4-2026-02-05.md'), 'private');
+  assert.equal(collection('session-digests/e5f6a7b8-2026-01-01.md'), 'private');
+  assert.equal(collection('session-digests/bot/a1b2c3d4-2026-02-05.md'), 'agent_bot');
+  assert.equal(collection('session-digests/learnings/a1b2c3d4-2026-02-05.md'), 'agent_agent-learnings');
+  assert.equal(chunker.agentCollection(memory, path.join(memory, 'shared', 'team.md')), null);
+});
+
+test('agent collections never take the name of a shared collection', () => {
+  assert.equal(chunker.agentCollectionName('Learnings'), 'agent_agent-learnings');
+  assert.equal(chunker.agentCollectionName('learnings!'), 'agent_agent-learnings');
+  assert.equal(chunker.agentCollectionName('Sandbox Bot'), 'agent_sandbox-bot');
+  assert.equal(chunker.agentCollectionName('!!'), 'agent_unknown');
+});
+
+test('index-digests.py routes session digests the same way', t => {
+  const memory = digestFolders();
+  const workspace = path.dirname(memory);
+  t.after(() => fs.rmSync(workspace, { recursive: true, force: true }));
+
+  // Prints agent_collection() or determine_collection() of each file, as index_file() does
+  const script = `
+import importlib.util, json, os, sys
+spec = importlib.util.spec_from_file_location("index_digests", sys.argv[1])
+module = importlib.util.module_from_spec(spec)
+spec.loader.exec_module(module)
+result = {}
+for rel in sys.argv[2:]:
+    path = os.path.join(module.MEMORY_DIR, rel)
+    with open(path, encoding="utf-8") as f:
+        result[rel] = module.agent_collection(path) or module.determine_collection(os.path.relpath(path, module.WORKSPACE), f.read())
+result["name:learnings"] = module.agent_collection_name("Learnings")
+print(json.dumps(result))
+`;
+  const files = [
+    'session-digests/moltbook/a1b2c3d4-2026-02-05.md',
+    'session-digests/shared/a1b2c3d4-2026-02-05.md',
+    'session-digests/e5f6a7b8-2026-01-01.md',
+    'session-digests/bot/a1b2c3d4-2026-02-05.md',
+    'session-digests/learnings/a1b2c3d4-2026-02-05.md'
+  ];
+  const run = spawnSync('python3', ['-c', script, path.join(__dirname, '..', 'scripts', 'index-digests.py'), ...files], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: workspace, RECALL_WORKSPACE: workspace },
+    timeout: 60000
+  });
+  if (run.error || /Missing dependency/.test(run.stderr)) {
+    return t.skip('index-digests.py needs python3 with chromadb and sentence-transformers');
+  }
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(JSON.parse(run.stdout), {
+    [files[0]]: 'private',
+    [files[1]]: 'private',
+    [files[2]]: 'private',
+    [files[3]]: 'agent_bot',
+    [files[4]]: 'agent_agent-learnings',
+    'name:learnings': 'agent_agent-learnings'
+  });
+});
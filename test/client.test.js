@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { runProcess, toResult } = require('../src/client');
+const {
+  RecallError,
+  IndexMissingError,
+  ModelMismatchError,
+  RecallTimeoutError,
+  RecallAbortError,
+  errorFromStderr
+} = require('../src/errors');
+const { version } = require('../package.json');
+
+const node = (script, options) => runProcess(process.execPath, ['-e', script], options);
+
+test('the CLI prints its version', async () => {
+  const { stdout } = await runProcess(process.execPath, [path.join(__dirname, '..', 'cli', 'jasper-recall.js'), '--version']);
+  assert.equal(stdout.trim(), version);
+});
+
+test('toResult normalizes recall.py --json items', () => {
+  const result = toResult({ rank: '1', collection: 'shared_memories', similarity: '0.5', content: 'note' });
+  assert.deepEqual(result, {
+    rank: 1,
+    collection: 'shared_memories',
+    source: 'unknown',
+    similarity: 0.5,
+    score: 0.5,
+    scoreDetails: null,
+    rerankScore: null,
+    lines: null,
+    content: 'note'
+  });
+});
+
+test('runProcess collects stdout and stderr', async () => {
+  const { stdout, stderr } = await node('process.stdout.write("out"); process.stderr.write("err")');
+  assert.equal(stdout, 'out');
+  assert.equal(stderr, 'err');
+});
+
+test('runProcess turns a failing exit into the matching error', async () => {
+  await assert.rejects(node('console.error("❌ No index found at /x"); process.exit(1)'), err => {
+    assert.ok(err instanceof IndexMissingError);
+    assert.equal(err.code, 'INDEX_MISSING');
+    assert.equal(err.exitCode, 1);
+    return true;
+  });
+});
+
+test('runProcess times out and aborts', async () => {
+  await assert.rejects(node('setTimeout(() => {}, 10000)', { timeout: 50 }), RecallTimeoutError);
+
+  const controller = new AbortController();
+  const running = node('setTimeout(() => {}, 10000)', { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(running, RecallAbortError);
+});
+
+test('errorFromStderr keeps the last line and recognizes model mismatches', () => {
+  const generic = errorFromStderr('warning\n❌ Something broke\n', 2);
+  assert.ok(generic instanceof RecallError);
+  assert.equal(generic.message, 'Something broke');
+  assert.equal(generic.code, 'RECALL_FAILED');
+
+  const mismatch = errorFromStderr('❌ Index built with a. Run: jasper-recall reindex --model a', 1);
+  assert.ok(mismatch instanceof ModelMismatchError);
+  assert.equal(errorFromStderr('', 3).message, 'Exited with code 3');
+});
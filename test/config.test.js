@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The user file lives under ~/.jasper-recall and the project file is looked up
+// from the current directory: give this process its own of both
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-config-'));
+const project = path.join(home, 'project');
+fs.mkdirSync(project);
+process.env.HOME = home;
+process.chdir(project);
+for (const name of Object.values(require('../cli/config').ENV_VARS)) delete process.env[name];
+
+const config = require('../cli/config');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function writeProject(values) {
+  fs.writeFileSync(path.join(project, config.PROJECT_FILE), JSON.stringify(values));
+}
+
+/**
+ * fn's result and what it printed to stderr
+ */
+function captureStderr(fn) {
+  const lines = [];
+  const original = console.error;
+  console.error = (...args) => lines.push(args.join(' '));
+  try {
+    return { result: fn(), lines };
+  } finally {
+    console.error = original;
+  }
+}
+
+test('validate reports types, ranges, enums, regexes and unknown keys', () => {
+  assert.deepEqual(config.validate({ serverPort: 3458, backend: 'js' }), []);
+  const errors = config.validate({
+    backend: 'rust',
+    ranking: { recencyWeight: 2, boots: {} },
+    digest: { skipPatterns: ['(unclosed'] }
+  });
+  assert.deepEqual(errors.slice(0, 3), [
+    'backend must be one of python, js (got "rust")',
+    'ranking.recencyWeight must be between 0 and 1 (got 2)',
+    'unknown setting "ranking.boots" - did you mean "ranking.boosts"?'
+  ]);
+  assert.match(errors[3], /^digest\.skipPatterns\[0\] is not a valid regex: /);
+  assert.equal(errors.length, 4);
+});
+
+test('bad values in a section are warned about and fall back', () => {
+  config.set('digest.minLineLength', '4');
+  writeProject({
+    digest: { activeMinutes: 'x', skipPatterns: 'abc', minLineLength: -1, keepPatterns: ['^keep'] },
+    ranking: { boosts: { 'a/*': 'x', 'b/*': 2 } }
+  });
+
+  const { result: digest, lines } = captureStderr(() => config.get('digest'));
+  assert.equal(digest.activeMinutes, config.DEFAULTS.digest.activeMinutes);
+  assert.deepEqual(digest.skipPatterns, config.DEFAULTS.digest.skipPatterns);
+  assert.equal(digest.minLineLength, 4);
+  assert.deepEqual(digest.keepPatterns, ['^keep']);
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /Invalid config in .*\.jasper-recall\.json: digest\.activeMinutes must be a number \(got "x"\)/);
+
+  const { result: ranking } = captureStderr(() => config.get('ranking'));
+  assert.equal(ranking.boosts['b/*'], 2);
+  assert.equal('a/*' in ranking.boosts, false);
+
+  // Each problem is reported once
+  assert.deepEqual(captureStderr(() => config.get('digest')).lines, []);
+  fs.rmSync(path.join(project, config.PROJECT_FILE));
+});
+
+test('set validates before saving and getValue reads dotted keys', () => {
+  assert.deepEqual(config.set('digest.skipPatterns', '["^skip", "/^NO_REPLY$/i"]'), {
+    file: config.CONFIG_FILE,
+    value: ['^skip', '/^NO_REPLY$/i']
+  });
+  assert.deepEqual(config.getValue('digest.skipPatterns'), { value: ['^skip', '/^NO_REPLY$/i'], source: 'user' });
+  assert.throws(() => config.set('digest.skipPatterns', '["(oops"]'), /not a valid regex/);
+  assert.throws(() => config.set('ranking.recencyWeight', '3'), /between 0 and 1/);
+  assert.throws(() => config.set('rankng.halfLifeDays', '3'), /did you mean "ranking"/);
+  assert.deepEqual(config.getValue('digest.skipPatterns').value, ['^skip', '/^NO_REPLY$/i']);
+});
+
+test('environment variables override the files', () => {
+  config.set('backend', 'python');
+  process.env.RECALL_BACKEND = 'js';
+  try {
+    assert.deepEqual(config.getValue('backend'), { value: 'js', source: 'env' });
+  } finally {
+    delete process.env.RECALL_BACKEND;
+  }
+  assert.deepEqual(config.getValue('backend'), { value: 'python', source: 'user' });
+});
+
+test('init keeps tokens and other settings of the user file', () => {
+  const token = { id: 'ab12', name: 'ci', hash: 'x'.repeat(64), scopes: ['recall'] };
+  fs.mkdirSync(path.dirname(config.CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(config.CONFIG_FILE, JSON.stringify({
+    serverPort: 4000,
+    tokens: [token],
+    ranking: { halfLifeDays: 30 },
+    futureSetting: true
+  }));
+
+  const { result } = captureStderr(() => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return config.init({ workspace: path.join(home, 'ws') });
+    } finally {
+      console.log = log;
+    }
+  });
+  const saved = JSON.parse(fs.readFileSync(config.CONFIG_FILE, 'utf8'));
+  assert.deepEqual(saved, result);
+  assert.deepEqual(saved.tokens, [token]);
+  assert.deepEqual(saved.ranking, { halfLifeDays: 30 });
+  assert.equal(saved.futureSetting, true);
+  assert.equal(saved.workspace, path.join(home, 'ws'));
+  assert.equal(saved.serverPort, config.DEFAULTS.serverPort);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_TEMPLATE,
+  DEFAULT_CONTINUATION_TEMPLATE,
+  compileFilter,
+  compileTemplate,
+  continuationOffset
+} = require('../src/digest-format');
+
+const CONTEXT = {
+  shortId: '1a2b3c4d',
+  date: '2026-02-05',
+  agent: { name: 'main', sandboxed: false },
+  sessionFile: '/home/me/.openclaw/agents/main/sessions/1a2b3c4d.jsonl',
+  size: '12.5 KB',
+  lines: { from: 41, to: 80 },
+  messages: 14,
+  tools: 'exec (3x), read (2x)',
+  summary: {
+    decisions: ['Use port 3458'],
+    outcomes: ['Deployed to staging'],
+    openQuestions: [],
+    entities: ['staging'],
+    provider: 'extractive'
+  },
+  topics: ['Move the API port'],
+  filesEdited: ['cli/server.js (2x)'],
+  filesRead: [],
+  commands: ['npm test', 'echo `date`'],
+  errors: [],
+  answers: []
+};
+
+test('the default template writes the digest layout of earlier releases', () => {
+  assert.equal(compileTemplate(DEFAULT_TEMPLATE)(CONTEXT), `# Session 1a2b3c4d — 2026-02-05
+
+**Agent:** main | **Size:** 12.5 KB | **Messages:** 14
+**Tools:** exec (3x), read (2x)
+
+## Decisions
+
+- Use port 3458
+
+## Outcomes
+
+- Deployed to staging
+
+## Entities
+
+- staging
+
+## Topics
+
+- Move the API port
+
+## Files Edited
+
+- \`cli/server.js\` (2x)
+
+## Commands
+
+- \`npm test\`
+- \`\` echo \`date\` \`\`
+
+---
+*Summarized by: extractive | Full session: /home/me/.openclaw/agents/main/sessions/1a2b3c4d.jsonl*
+`);
+
+  const empty = {
+    ...CONTEXT,
+    agent: { name: 'sandbox', sandboxed: true },
+    summary: { decisions: [], outcomes: [], openQuestions: [], entities: [], provider: 'openai (local)' },
+    topics: [],
+    filesEdited: [],
+    commands: []
+  };
+  assert.equal(compileTemplate(DEFAULT_TEMPLATE)(empty), `# Session 1a2b3c4d — 2026-02-05
+
+**Agent:** sandbox (sandboxed) | **Size:** 12.5 KB | **Messages:** 14
+**Tools:** exec (3x), read (2x)
+
+## Topics
+
+- (no topics extracted)
+
+---
+*Summarized by: openai (local) | Full session: /home/me/.openclaw/agents/main/sessions/1a2b3c4d.jsonl*
+`);
+});
+
+test('the default continuation template writes the continuation layout of earlier releases', () => {
+  assert.equal(compileTemplate(DEFAULT_CONTINUATION_TEMPLATE)({ ...CONTEXT, size: '3.0 KB' }), `## Continued — 2026-02-05 (lines 41-80)
+
+**Size:** +3.0 KB | **Messages:** 14
+**Tools:** exec (3x), read (2x)
+
+### Decisions
+
+- Use port 3458
+
+### Outcomes
+
+- Deployed to staging
+
+### Entities
+
+- staging
+
+### Topics
+
+- Move the API port
+
+### Files Edited
+
+- \`cli/server.js\` (2x)
+
+### Commands
+
+- \`npm test\`
+- \`\` echo \`date\` \`\`
+
+`);
+});
+
+test('templates support blocks, helpers, comments and loop data', () => {
+  const render = compileTemplate(`{{! not written }}
+{{#each items}}
+{{@index}}:{{this}}{{#unless @last}},{{/unless}}
+{{else}}
+none
+{{/each}}
+{{#if flag}}yes{{else}}no{{/if}} {{json obj}} {{code path}} {{missing}}|`);
+  assert.equal(render({ items: ['a', 'b'], flag: 1, obj: { a: 1 }, path: 'x.md' }), '0:a,\n1:b\nyes {"a":1} `x.md` |');
+  assert.equal(render({ items: [], flag: 0 }), 'none\nno null `` |');
+});
+
+test('template mistakes are reported with their line', () => {
+  for (const [source, message] of [
+    ['a\n{{#if x}}', /t\.md, line 2: \{\{#if x\}\} is never closed/],
+    ['{{/each}}', /line 1: \{\{\/each\}\} without an opening block/],
+    ['{{#if x}}{{/each}}', /\{\{\/each\}\} closes \{\{#if\}\}/],
+    ['{{#with x}}{{/with}}', /unknown block \{\{#with\}\}/],
+    ['{{upper name}}', /unknown helper in \{\{upper name\}\}/]
+  ]) {
+    assert.throws(() => compileTemplate(source, 't.md'), { code: 'INVALID_ARGUMENT', message });
+  }
+});
+
+test('the line filter keeps what keepPatterns match and drops skipped or short lines', () => {
+  const filter = compileFilter({ skipPatterns: ['^System:', '/^no_reply$/i'], keepPatterns: ['^System: deploy'], minLineLength: 5 });
+  assert.deepEqual(filter.classify('System: heartbeat'), { keep: false, reason: 'skip ^System:' });
+  assert.deepEqual(filter.classify('  NO_REPLY '), { keep: false, reason: 'skip /^no_reply$/i' });
+  assert.deepEqual(filter.classify('System: deploy done'), { keep: true, reason: 'keep ^System: deploy' });
+  assert.deepEqual(filter.classify('ok'), { keep: false, reason: 'short' });
+  assert.deepEqual(filter.classify('   '), { keep: false, reason: 'empty' });
+  assert.equal(filter.keeps('A real message'), true);
+  assert.throws(() => compileFilter({ skipPatterns: ['(oops'] }), { code: 'INVALID_ARGUMENT', message: /^digest\.skipPatterns: / });
+});
+
+test('continuations go before the footer rule, not into frontmatter', () => {
+  assert.equal(continuationOffset('# A\n\nbody\n\n---\n*footer*\n'), 11);
+  assert.equal(continuationOffset('---\ntags: [x]\n---\n# A\nbody\n'), 27);
+  assert.equal(continuationOffset('# A\nbody\n'), 9);
+});
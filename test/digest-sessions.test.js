@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SCRIPT = path.join(__dirname, '..', 'cli', 'digest-sessions.js');
+const OLD = new Date('2026-02-05T12:00:00Z');
+
+/**
+ * A throwaway HOME with an OpenClaw main agent's sessions folder and a
+ * workspace, and run(args) running digest-sessions against them
+ */
+function setup(t) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-digest-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const agentsDir = path.join(home, '.openclaw', 'agents');
+  const sessionsDir = path.join(agentsDir, 'main', 'sessions');
+  const workspace = path.join(home, 'workspace');
+  fs.mkdirSync(sessionsDir, { recursive: true });
+
+  const env = { ...process.env, HOME: home, RECALL_WORKSPACE: workspace, RECALL_SESSIONS_DIR: sessionsDir, RECALL_AGENTS_DIR: agentsDir };
+  const run = (...args) => execFileSync(process.execPath, [SCRIPT, '--summarizer', 'extractive', ...args], { env, encoding: 'utf8', timeout: 30000 });
+  const digests = path.join(workspace, 'memory', 'session-digests');
+  const stateFile = path.join(workspace, 'memory', '.digest-state.json');
+  return {
+    run,
+    sessionsDir,
+    digests,
+    stateFile,
+    state: () => JSON.parse(fs.readFileSync(stateFile, 'utf8')),
+    digest: name => fs.readFileSync(path.join(digests, name), 'utf8')
+  };
+}
+
+function line(role, text) {
+  return JSON.stringify({ type: 'message', message: { role, content: [{ type: 'text', text }] } }) + '\n';
+}
+
+/**
+ * Write (or append to) a session log, dated mtime so it doesn't count as in progress
+ */
+function writeSession(file, text, { append = false, mtime = OLD } = {}) {
+  if (append) fs.appendFileSync(file, text);
+  else fs.writeFileSync(file, text);
+  fs.utimesSync(file, mtime, mtime);
+}
+
+const ID = '1a2b3c4d-0000-4000-8000-000000000001';
+
+test('a grown session gets continuations with its new line range', t => {
+  const env = setup(t);
+  const session = path.join(env.sessionsDir, `${ID}.jsonl`);
+  const first = line('user', 'Move the API to port 3458') + line('assistant', 'Decided to use port 3458.') + line('user', 'Thanks');
+  writeSession(session, first);
+
+  assert.match(env.run(), /✓ Created: main\/1a2b3c4d-2026-02-05\.md/);
+  let state = env.state();
+  assert.equal(state.version, 2);
+  assert.deepEqual(state.sessions[ID], { offset: Buffer.byteLength(first), lines: 3, mtime: OLD.getTime(), digest: 'main/1a2b3c4d-2026-02-05.md' });
+  assert.match(env.run(), /No new sessions to digest/);
+
+  const added = line('user', 'Now deploy staging') + line('assistant', 'Deployed to staging.');
+  writeSession(session, added, { append: true });
+  assert.match(env.run(), /✓ Continued: main\/1a2b3c4d-2026-02-05\.md/);
+  state = env.state();
+  assert.equal(state.sessions[ID].offset, Buffer.byteLength(first + added));
+  assert.equal(state.sessions[ID].lines, 5);
+
+  const digest = env.digest('main/1a2b3c4d-2026-02-05.md');
+  assert.match(digest, /^# Session 1a2b3c4d — 2026-02-05\n/);
+  assert.ok(digest.includes(`## Continued — 2026-02-05 (lines 4-5)\n\n**Size:** +${Buffer.byteLength(added)}B | **Messages:** 2\n`));
+  assert.match(digest, /### Topics\n\n- Now deploy staging\n/);
+  // Before the footer, which stays last
+  assert.ok(digest.indexOf('## Continued') < digest.indexOf('\n---\n*Summarized by'));
+  assert.match(digest, /\n---\n\*Summarized by: extractive \| Full session: .*\.jsonl\*\n$/);
+});
+
+test('an active session is digested up to its last complete line', t => {
+  const env = setup(t);
+  const session = path.join(env.sessionsDir, `${ID}.jsonl`);
+  const first = line('user', 'First question') + line('assistant', 'First answer.');
+  writeSession(session, first);
+  env.run();
+
+  // Still being written: a complete line and half of the next
+  const complete = line('user', 'Second question');
+  writeSession(session, complete + '{"type":"message","mess', { append: true, mtime: new Date() });
+  assert.match(env.run(), /Skipping 1 active session/);
+  assert.equal(env.state().sessions[ID].offset, Buffer.byteLength(first));
+
+  assert.match(env.run('--include-active'), /✓ Continued/);
+  const entry = env.state().sessions[ID];
+  assert.equal(entry.offset, Buffer.byteLength(first + complete));
+  assert.equal(entry.lines, 3);
+  assert.match(env.digest(entry.digest), /## Continued — \d{4}-\d{2}-\d{2} \(lines 3-3\)/);
+});
+
+test('a session that shrank or lost its digest is digested again', t => {
+  const env = setup(t);
+  const session = path.join(env.sessionsDir, `${ID}.jsonl`);
+  writeSession(session, line('user', 'Old question') + line('assistant', 'Old answer.') + line('user', 'More'));
+  env.run();
+
+  // Replaced by a shorter log, dated a day later: a new digest replaces the old one
+  const replaced = line('user', 'New question');
+  writeSession(session, replaced, { mtime: new Date('2026-02-06T12:00:00Z') });
+  assert.match(env.run(), /✓ Regenerated: main\/1a2b3c4d-2026-02-06\.md/);
+  assert.deepEqual(env.state().sessions[ID], {
+    offset: Buffer.byteLength(replaced),
+    lines: 1,
+    mtime: new Date('2026-02-06T12:00:00Z').getTime(),
+    digest: 'main/1a2b3c4d-2026-02-06.md'
+  });
+  assert.equal(fs.existsSync(path.join(env.digests, 'main', '1a2b3c4d-2026-02-05.md')), false);
+  const digest = env.digest('main/1a2b3c4d-2026-02-06.md');
+  assert.match(digest, /- New question/);
+  assert.doesNotMatch(digest, /Old question|Continued/);
+
+  fs.rmSync(path.join(env.digests, 'main', '1a2b3c4d-2026-02-06.md'));
+  writeSession(session, line('user', 'Grown'), { append: true, mtime: new Date('2026-02-06T12:00:00Z') });
+  assert.match(env.run(), /✓ Regenerated: main\/1a2b3c4d-2026-02-06\.md/);
+  assert.equal(env.state().sessions[ID].lines, 2);
+});
+
+test('a version 1 state file is taken as covering its sessions as they are', t => {
+  const env = setup(t);
+  const session = path.join(env.sessionsDir, `${ID}.jsonl`);
+  const text = line('user', 'Digested long ago') + line('assistant', 'Yes.');
+  writeSession(session, text);
+
+  // Version 1 kept digests at the top of session-digests/ and only listed session ids
+  fs.mkdirSync(env.digests, { recursive: true });
+  fs.writeFileSync(path.join(env.digests, '1a2b3c4d-2026-02-01.md'), '# Session 1a2b3c4d — 2026-02-01\n');
+  fs.writeFileSync(env.stateFile, JSON.stringify({ processed: [ID], lastRun: 1 }));
+
+  const output = env.run();
+  assert.match(output, /Moved 1 earlier digests into .*main/);
+  assert.match(output, /No new sessions to digest/);
+  const state = env.state();
+  assert.equal(state.version, 2);
+  assert.equal('processed' in state, false);
+  assert.deepEqual(state.sessions[ID], { offset: Buffer.byteLength(text), lines: 2, mtime: OLD.getTime(), digest: 'main/1a2b3c4d-2026-02-01.md' });
+
+  // From there on it is followed like any other
+  writeSession(session, line('user', 'Picked up again'), { append: true });
+  assert.match(env.run(), /✓ Continued: main\/1a2b3c4d-2026-02-01\.md/);
+  assert.match(env.digest('main/1a2b3c4d-2026-02-01.md'), /## Continued — 2026-02-05 \(lines 3-3\)/);
+});
+
+test('decisions, files, commands, errors and answers are extracted from tool use', t => {
+  const env = setup(t);
+  const message = (role, content, extra = {}) => JSON.stringify({ type: 'message', message: { role, content, ...extra } }) + '\n';
+  const session = [
+    message('user', [{ type: 'text', text: 'The deploy is broken, fix scripts/sync-shared.py' }]),
+    message('assistant', [
+      { type: 'text', text: 'Looking at the sync script first.' },
+      { type: 'toolCall', id: 'c1', name: 'read', arguments: { path: 'scripts/sync-shared.py' } },
+      { type: 'toolCall', id: 'c2', name: 'exec', arguments: { command: 'npm run deploy -- --prod' } }
+    ]),
+    message('toolResult', [{ type: 'text', text: 'npm ERR! missing script: deploy\nexited with code 1' }], { toolCallId: 'c2', isError: true }),
+    message('assistant', [
+      { type: 'text', text: 'Decided to use rsync instead of the npm deploy script.' },
+      { type: 'toolCall', id: 'c3', name: 'edit', arguments: JSON.stringify({ file_path: 'scripts/sync-shared.py', old: 'npm', new: 'rsync' }) },
+      { type: 'tool_use', id: 'c4', name: 'Bash', input: { command: 'python3 scripts/sync-shared.py' } }
+    ]),
+    message('user', [{ type: 'tool_result', tool_use_id: 'c4', content: [{ type: 'text', text: 'Traceback (most recent call last):\nPermissionError: [Errno 13] Permission denied' }] }]),
+    message('assistant', [{ type: 'text', text: 'The deploy works again: sync-shared.py now uses rsync.' }]),
+    message('user', [{ type: 'text', text: 'Great, thanks' }])
+  ].join('');
+  writeSession(path.join(env.sessionsDir, `${ID}.jsonl`), session);
+  env.run();
+
+  const digest = env.digest('main/1a2b3c4d-2026-02-05.md');
+  const section = heading => {
+    const match = digest.match(new RegExp(`^## ${heading}\\n\\n((?:- .*\\n)+)`, 'm'));
+    return match ? match[1].trim().split('\n') : [];
+  };
+  assert.deepEqual(section('Files Edited'), ['- `scripts/sync-shared.py`']);
+  assert.deepEqual(section('Files Read'), []);
+  assert.deepEqual(section('Commands'), ['- `npm run deploy -- --prod`', '- `python3 scripts/sync-shared.py`']);
+  assert.deepEqual(section('Errors'), ['- exec: npm ERR! missing script: deploy', '- Bash: PermissionError: [Errno 13] Permission denied']);
+  assert.deepEqual(section('Answers'), ['- The deploy works again: sync-shared.py now uses rsync.']);
+  assert.match(section('Decisions').join('\n'), /Decided to use rsync instead of the npm deploy script/);
+});
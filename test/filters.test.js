@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDate, globToRegExp, buildFilter, parseFilterParams } = require('../src/filters');
+
+const NOW = new Date(2026, 1, 10);
+
+test('parseDate understands ISO, relative and named dates', () => {
+  assert.equal(parseDate('2026-02-05', NOW), 20260205);
+  assert.equal(parseDate('today', NOW), 20260210);
+  assert.equal(parseDate('Yesterday', NOW), 20260209);
+  assert.equal(parseDate('7d', NOW), 20260203);
+  assert.equal(parseDate('2w', NOW), 20260127);
+  for (const bad of ['2026-02-30', 'last week', '']) {
+    assert.throws(() => parseDate(bad, NOW), { code: 'INVALID_ARGUMENT' });
+  }
+});
+
+test('globToRegExp follows fnmatch', () => {
+  assert.ok(globToRegExp('memory/*.md').test('memory/sub/2026-02-05.md'));
+  assert.ok(globToRegExp('notes/?.md').test('notes/a.md'));
+  assert.ok(!globToRegExp('notes/[!a].md').test('notes/a.md'));
+  assert.ok(globToRegExp('notes/[!a].md').test('notes/b.md'));
+  assert.ok(globToRegExp('a.b').test('a.b'));
+  assert.ok(!globToRegExp('a.b').test('axb'));
+  assert.ok(globToRegExp('[x').test('[x'));
+});
+
+test('buildFilter combines paths, excludes, tags and dates', () => {
+  assert.equal(buildFilter({}), null);
+
+  const filter = buildFilter({
+    paths: ['memory/*'],
+    excludeSources: ['memory/private/*'],
+    tags: ['[Deploy]'],
+    since: '2026-02-01',
+    until: '2026-02-28'
+  });
+  const note = { source: 'memory/2026-02-05.md', date: 20260205, tags: 'deploy,infra' };
+  assert.equal(filter(note), true);
+  assert.equal(filter({ ...note, source: 'docs/x.md' }), false);
+  assert.equal(filter({ ...note, source: 'memory/private/x.md' }), false);
+  assert.equal(filter({ ...note, tags: 'infra' }), false);
+  assert.equal(filter({ ...note, date: 20260301 }), false);
+  assert.equal(filter({ ...note, date: undefined }), false);
+});
+
+test('parseFilterParams accepts lists, comma strings and snake_case', () => {
+  assert.deepEqual(parseFilterParams({ since: '7d', tag: 'a, b', exclude_source: ['x/*'] }), {
+    since: '7d',
+    tags: ['a', 'b'],
+    excludeSources: ['x/*']
+  });
+  assert.deepEqual(parseFilterParams({ since: '', paths: '' }), {});
+  assert.throws(() => parseFilterParams({ until: 'soon' }), { code: 'INVALID_ARGUMENT' });
+  assert.throws(() => parseFilterParams({ paths: [1] }), { code: 'INVALID_ARGUMENT' });
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Config is read from ~/.jasper-recall: give this process its own home
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-js-backend-'));
+process.env.HOME = home;
+
+const { JsBackend } = require('../src/js-backend');
+const { MODEL_KEY, DIMENSIONS_KEY } = require('../src/js-backend/embedder');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+/**
+ * Stands in for the ONNX model: a normalized bag of hashed words
+ */
+function fakeEmbedder(dimensions = 16) {
+  return {
+    session: null,
+    calls: 0,
+    async load() {
+      this.session = {};
+    },
+    async embed(texts) {
+      await this.load();
+      this.calls++;
+      return texts.map(text => {
+        const vector = new Float32Array(dimensions);
+        for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+          let hash = 0;
+          for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+          vector[hash % dimensions] += 1;
+        }
+        const norm = Math.hypot(...vector) || 1;
+        return vector.map(x => x / norm);
+      });
+    }
+  };
+}
+
+/**
+ * A JS backend over a fresh workspace holding `files` (memory-relative path -> content)
+ */
+function setup(t, files) {
+  const root = fs.mkdtempSync(path.join(home, 'case-'));
+  const workspace = path.join(root, 'workspace');
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(workspace, 'memory', file)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'memory', file), content);
+  }
+  const backend = new JsBackend({ workspace, indexDir: path.join(root, 'index'), embeddingModel: 'all-MiniLM-L6-v2' });
+  backend.embedder = fakeEmbedder();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return backend;
+}
+
+function sources(backend, name) {
+  return [...new Set(backend.store.getCollection(name).get().map(item => item.metadata.source))].sort();
+}
+
+test('collectGarbage removes chunks of deleted and moved files and keeps the rest', async t => {
+  const backend = setup(t, {
+    'keep.md': '# Keep\n\nThe deploy runs on Fridays.\n',
+    'gone.md': '# Gone\n\nAn old note about the queue.\n',
+    'moved.md': '# Moved\n\nNotes about the release train.\n'
+  });
+  await backend.index();
+  await backend.writeLearning({ title: 'Retry uploads', content: 'Uploads need a retry with backoff.', agent: 'sandbox', category: 'tip' });
+  assert.deepEqual(sources(backend, 'private_memories'), ['memory/gone.md', 'memory/keep.md', 'memory/moved.md']);
+
+  fs.rmSync(path.join(backend.memoryDir, 'gone.md'));
+  // Now tagged [public]: belongs in shared_memories
+  fs.writeFileSync(path.join(backend.memoryDir, 'moved.md'), '# Moved\n\n[public] Notes about the release train.\n');
+
+  const preview = backend.collectGarbage({ dryRun: true });
+  assert.deepEqual(preview.map(({ source, reason }) => [source, reason]), [['memory/gone.md', 'missing'], ['memory/moved.md', 'misplaced']]);
+  assert.deepEqual(sources(backend, 'private_memories'), ['memory/gone.md', 'memory/keep.md', 'memory/moved.md']);
+
+  const lines = [];
+  const garbage = backend.collectGarbage({ log: line => lines.push(line) });
+  assert.deepEqual(garbage, preview);
+  assert.equal(lines.length, 2);
+  assert.deepEqual(sources(backend, 'private_memories'), ['memory/keep.md']);
+  // Learnings have no file behind them and stay
+  assert.equal(backend.store.getCollection('agent_learnings').count, 1);
+
+  // Saved: a new store sees the same
+  const reopened = new JsBackend({ workspace: backend.workspace, indexDir: backend.indexDir });
+  assert.deepEqual(sources(reopened, 'private_memories'), ['memory/keep.md']);
+  assert.deepEqual(reopened.collectGarbage(), []);
+});
+
+test('a full index pass collects garbage at the end', async t => {
+  const backend = setup(t, { 'a.md': '# A\n\nAlpha.\n', 'b.md': '# B\n\nBravo.\n' });
+  await backend.index();
+  fs.rmSync(path.join(backend.memoryDir, 'b.md'));
+
+  const result = await backend.indexFiles(null);
+  assert.deepEqual(result.removed, ['memory/b.md']);
+  assert.deepEqual(result.garbage.map(entry => entry.reason), ['missing']);
+  assert.deepEqual(sources(backend, 'private_memories'), ['memory/a.md']);
+});
+
+test('reindex re-embeds every collection and swaps the new index in', async t => {
+  const backend = setup(t, { 'a.md': '# A\n\nAlpha notes.\n', 'shared/b.md': '# B\n\nBravo notes.\n' });
+  await backend.index();
+  const before = Object.fromEntries(['private_memories', 'shared_memories'].map(name =>
+    [name, backend.store.getCollection(name).get().map(({ id, document, metadata }) => ({ id, document, metadata }))]));
+
+  backend.embedder = fakeEmbedder(8);
+  const summary = await backend.reindex('bge-small-en-v1.5');
+  assert.deepEqual(summary, {
+    model: 'bge-small-en-v1.5',
+    dimensions: 8,
+    collections: { agent_learnings: 0, private_memories: 1, shared_memories: 1 }
+  });
+  assert.equal(backend.embeddingModel, 'bge-small-en-v1.5');
+
+  const reopened = new JsBackend({ workspace: backend.workspace, indexDir: backend.indexDir });
+  for (const [name, items] of Object.entries(before)) {
+    const collection = reopened.store.getCollection(name);
+    assert.equal(collection.metadata[MODEL_KEY], 'bge-small-en-v1.5');
+    assert.equal(collection.metadata[DIMENSIONS_KEY], 8);
+    assert.deepEqual(collection.get().map(({ id, document, metadata }) => ({ id, document, metadata })), items);
+    assert.ok(collection.get().every(item => item.embedding.length === 8));
+  }
+  assert.deepEqual(fs.readdirSync(path.dirname(backend.indexDir)).filter(name => name.startsWith('index')), ['index']);
+});
+
+test('a failed reindex leaves the current index in place', async t => {
+  const backend = setup(t, { 'a.md': '# A\n\nAlpha notes.\n', 'shared/b.md': '# B\n\nBravo notes.\n' });
+  await backend.index();
+  const files = dir => Object.fromEntries(fs.readdirSync(dir).map(name => [name, fs.readFileSync(path.join(dir, name), 'utf8')]));
+  const before = files(backend.indexDir);
+
+  // The probe and the first collection embed, then the model fails
+  const embedder = fakeEmbedder(8);
+  const embed = embedder.embed;
+  embedder.embed = async function (texts) {
+    if (this.calls === 2) throw new Error('out of memory');
+    return embed.call(this, texts);
+  };
+  backend.embedder = embedder;
+  await assert.rejects(backend.reindex('bge-small-en-v1.5'), /out of memory/);
+
+  assert.deepEqual(files(backend.indexDir), before);
+  assert.deepEqual(fs.readdirSync(path.dirname(backend.indexDir)).filter(name => name.startsWith('index')), ['index']);
+  assert.equal(backend.embeddingModel, 'all-MiniLM-L6-v2');
+  assert.equal(backend.store.getCollection('private_memories').metadata[DIMENSIONS_KEY], 16);
+});
+
+test('rerank reorders the candidate set by cross-encoder score', async t => {
+  const backend = setup(t, {
+    'queue.md': '# Queue\n\nWe moved the queue to the new broker.\n',
+    'broker.md': '# Broker\n\nThe broker queue queue settings.\n',
+    'why.md': '# Why\n\nWhy: the old queue lost messages under load.\n'
+  });
+  await backend.index();
+  const plain = await backend.recall('queue', { limit: 3, mode: 'keyword' });
+  assert.equal(plain.length, 3);
+  assert.ok(plain.every(result => result.rerank_score === null));
+
+  const score = t.mock.method(backend.reranker, 'score', async (query, documents) =>
+    documents.map(document => (document.includes('lost messages') ? 0.9 : document.includes('moved') ? 0.5 : 0.1)));
+  const reranked = await backend.recall('queue', { limit: 2, mode: 'keyword', rerank: true, rerankCandidates: 3 });
+
+  // All three candidates were rescored, and the best two of them returned
+  assert.equal(score.mock.calls[0].arguments[1].length, 3);
+  assert.deepEqual(reranked.map(result => [result.source, result.rerank_score]), [['memory/why.md', 0.9], ['memory/queue.md', 0.5]]);
+  assert.notEqual(plain[0].source, 'memory/why.md');
+});
+
+test('rerank falls back to the first-stage ranking without a rerank model', async t => {
+  const backend = setup(t, { 'a.md': '# A\n\nThe queue broker.\n', 'b.md': '# B\n\nA queue.\n' });
+  backend.reranker.modelDir = path.join(backend.workspace, 'no-model');
+  await backend.index();
+  const warn = t.mock.method(console, 'error', () => {});
+
+  const plain = await backend.recall('queue', { limit: 2 });
+  const first = await backend.recall('queue', { limit: 2, rerank: true });
+  const second = await backend.recall('queue', { limit: 2, rerank: true });
+  assert.deepEqual(first, plain);
+  assert.deepEqual(second, plain);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Rerank model not found .*; results are not reranked/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { PassThrough } = require('stream');
+
+const { home } = require('./server-helpers');
+const { McpServer } = require('../cli/mcp');
+
+const memoryDir = path.join(home, 'workspace', 'memory');
+for (const [file, content] of Object.entries({
+  'shared/deploy.md': '# Deploy\n\nRuns on Fridays.\n',
+  'private.md': '# Private\n\nNot for sandboxed agents.\n',
+  'quarantine/learnings/held.md': '# Held\n\nWaiting for review.\n'
+})) {
+  fs.mkdirSync(path.dirname(path.join(memoryDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(memoryDir, file), content);
+}
+
+/**
+ * A server whose replies are collected; request() sends one and returns its reply
+ */
+function mcp(options = {}) {
+  if (options.allowPrivate) process.env.RECALL_ALLOW_PRIVATE = 'true';
+  const output = new PassThrough();
+  const server = new McpServer({ input: new PassThrough(), output });
+  delete process.env.RECALL_ALLOW_PRIVATE;
+  let id = 0;
+  server.request = async (method, params) => {
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params }));
+    return JSON.parse(output.read().toString());
+  };
+  return server;
+}
+
+test('initialize and tools/call round-trip over stdio', () => {
+  const requests = [
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1' } } },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+    { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'recall', arguments: { query: 'deploy' } } },
+    { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'recall', arguments: { query: 'deploy', collections: ['private'] } } }
+  ];
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli', 'mcp.js')], {
+    input: requests.map(request => JSON.stringify(request)).join('\n') + '\n',
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(run.status, 0, run.stderr);
+
+  const replies = run.stdout.trim().split('\n').map(line => JSON.parse(line));
+  // Nothing for the notification; one reply per request, by id
+  assert.deepEqual(replies.map(reply => reply.id).sort(), [1, 2, 3, 4]);
+  const reply = id => replies.find(r => r.id === id);
+
+  assert.equal(reply(1).result.protocolVersion, '2024-11-05');
+  assert.equal(reply(1).result.serverInfo.name, 'jasper-recall');
+  assert.deepEqual(reply(2).result.tools.map(tool => tool.name), ['recall', 'index', 'digest_sessions', 'write_learning']);
+  // Nothing indexed: the tool fails in its result, not as a protocol error
+  assert.equal(reply(3).result.isError, true);
+  assert.match(reply(3).result.content[0].text, /^INDEX_MISSING: /);
+  assert.equal(reply(4).result.isError, true);
+  assert.match(reply(4).result.content[0].text, /public-only access is limited to/);
+  assert.match(run.stderr, /public_only=true/);
+});
+
+test('tools/call recall searches public collections and formats the results', async t => {
+  const server = mcp();
+  const recall = t.mock.method(server.client, 'recall', async () => [
+    { rank: 1, collection: 'shared', source: 'memory/shared/deploy.md', lines: [1, 3], similarity: 0.812, content: 'Runs on Fridays.' }
+  ]);
+
+  const reply = await server.request('tools/call', { name: 'recall', arguments: { query: 'deploy', limit: 3, public_only: false } });
+  assert.deepEqual(reply.result, {
+    content: [{ type: 'text', text: '━━━ [1] [shared] memory/shared/deploy.md:1-3 (81.2%) ━━━\nRuns on Fridays.' }]
+  });
+  const [query, params] = recall.mock.calls[0].arguments;
+  assert.equal(query, 'deploy');
+  assert.equal(params.limit, 3);
+  assert.equal(params.publicOnly, true);
+
+  const error = await server.request('tools/call', { name: 'nope', arguments: {} });
+  assert.match(error.error.message, /Unknown tool: nope/);
+});
+
+test('resources are limited to shared memory when public-only', async () => {
+  const server = mcp();
+  const list = await server.request('resources/list', {});
+  assert.deepEqual(list.result.resources.map(resource => resource.uri), ['memory://shared/deploy.md']);
+
+  const read = await server.request('resources/read', { uri: 'memory://shared/deploy.md' });
+  assert.equal(read.result.contents[0].text, '# Deploy\n\nRuns on Fridays.\n');
+
+  for (const uri of [
+    'memory://private.md',
+    'memory://shared/../private.md',
+    'memory://../.jasper-recall/config.json',
+    'memory://../../etc/passwd',
+    'memory://quarantine/learnings/held.md',
+    'memory://shared/missing.md',
+    'file:///etc/passwd'
+  ]) {
+    const reply = await server.request('resources/read', { uri });
+    assert.equal(reply.error.message, `Unknown resource: ${uri}`, uri);
+  }
+});
+
+test('private mode exposes memory/ but still not quarantine or paths outside it', async () => {
+  const server = mcp({ allowPrivate: true });
+  const list = await server.request('resources/list', {});
+  assert.deepEqual(list.result.resources.map(resource => resource.uri).sort(), ['memory://private.md', 'memory://shared/deploy.md']);
+
+  const read = await server.request('resources/read', { uri: 'memory://private.md' });
+  assert.match(read.result.contents[0].text, /Not for sandboxed agents/);
+
+  fs.writeFileSync(path.join(home, 'workspace', 'outside.md'), 'outside');
+  for (const uri of ['memory://../outside.md', 'memory://quarantine/learnings/held.md', 'memory://shared/../../outside.md']) {
+    const reply = await server.request('resources/read', { uri });
+    assert.equal(reply.error.message, `Unknown resource: ${uri}`, uri);
+  }
+});
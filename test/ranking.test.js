@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rankingSettings, applyRanking } = require('../src/ranking');
+
+const NOW = new Date(2026, 1, 10);
+
+test('rankingSettings drops bad values and caps the recency weight', () => {
+  const ranking = rankingSettings({
+    halfLifeDays: -1,
+    recencyWeight: 5,
+    boosts: { 'docs/*': 2, 'bad/*': 'x' },
+    pinned: ['keep/*', 3]
+  });
+  assert.equal(ranking.halfLifeDays, 90);
+  assert.equal(ranking.recencyWeight, 1);
+  assert.deepEqual(ranking.boosts, { 'docs/*': 2 });
+  assert.deepEqual(ranking.pinned, ['keep/*']);
+  assert.deepEqual(rankingSettings('nonsense'), rankingSettings());
+});
+
+test('applyRanking decays old notes, boosts sources and pins evergreen notes', () => {
+  const ranking = { halfLifeDays: 10, recencyWeight: 0.5, boosts: { 'docs/*': 2 }, pinned: ['sops/*'] };
+  const items = applyRanking([
+    { id: 'old', score: 1, metadata: { source: 'memory/a.md', date: 20260131 } },
+    { id: 'new', score: 1, metadata: { source: 'memory/b.md', date: 20260210 } },
+    { id: 'boosted', score: 1, metadata: { source: 'docs/c.md', date: 20260131 } },
+    { id: 'tagged', score: 1, metadata: { source: 'memory/d.md', date: 20250101, tags: 'evergreen' } },
+    { id: 'globbed', score: 1, metadata: { source: 'sops/e.md', date: 20250101 } }
+  ], ranking, NOW);
+
+  const byId = Object.fromEntries(items.map(item => [item.id, item]));
+  assert.equal(items[0].id, 'boosted');
+  assert.equal(byId.old.scoreDetails.age_days, 10);
+  assert.equal(byId.old.score, 0.75);
+  assert.equal(byId.new.score, 1);
+  assert.equal(byId.boosted.score, 1.5);
+  assert.deepEqual(byId.tagged.scoreDetails, { base: 1, boost: 1, age_days: 405, recency: 1, pinned: true });
+  assert.equal(byId.globbed.scoreDetails.pinned, true);
+  assert.equal(byId.globbed.score, 1);
+});
+
+test('applyRanking without a half-life only applies boosts', () => {
+  const ranking = { halfLifeDays: 0, recencyWeight: 0.3, boosts: {}, pinned: [] };
+  const [item] = applyRanking([{ score: -0.2, metadata: { date: 20200101 } }], ranking, NOW);
+  assert.equal(item.score, 0);
+  assert.equal(item.scoreDetails.recency, 1);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { home, listen, call } = require('./server-helpers');
+const { RateLimiter } = require('../cli/rate-limit');
+const { AuditLog } = require('../cli/audit-log');
+
+test('RateLimiter allows a burst, then refills at perMinute', () => {
+  const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+  assert.equal(limiter.take('a', 0).allowed, true);
+  assert.equal(limiter.take('a', 0).allowed, true);
+
+  const denied = limiter.take('a', 0);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfter, 1);
+  assert.equal(limiter.take('b', 0).allowed, true);  // per client
+
+  assert.equal(limiter.take('a', 1000).allowed, true);
+  assert.equal(limiter.take('a', 1000).allowed, false);
+});
+
+test('RateLimiter with perMinute 0 is off', () => {
+  const limiter = new RateLimiter({ perMinute: 0 });
+  assert.equal(limiter.enabled, false);
+  for (let i = 0; i < 100; i++) assert.equal(limiter.take('a').allowed, true);
+});
+
+test('the server answers 429 with Retry-After once a client is over its limit', async t => {
+  const server = await listen({ rateLimit: 1, burst: 2 });
+  t.after(() => server.close());
+  const recall = () => call(server, 'POST', '/api/recall', { body: {} });
+
+  let res = await recall();
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get('x-ratelimit-remaining'), '1');
+  assert.equal((await recall()).status, 400);
+
+  res = await recall();
+  assert.equal(res.status, 429);
+  assert.equal(res.body.error, 'Rate limit exceeded');
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.equal(res.body.retry_after, Number(res.headers.get('retry-after')));
+
+  // Health checks are never limited
+  assert.equal((await call(server, 'GET', '/health')).status, 200);
+});
+
+test('the audit log records each API request and rotates by size', async t => {
+  const file = path.join(home, 'audit', 'audit.jsonl');
+  const server = await listen({ auditLog: file });
+  t.after(() => server.close());
+
+  await call(server, 'POST', '/api/recall', { body: { query: 'deploy', collections: ['private'] } });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const [entry] = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(entry.path, '/api/recall');
+  assert.equal(entry.status, 403);
+  assert.equal(entry.query, 'deploy');
+
+  const log = new AuditLog({ file, maxBytes: 200, maxFiles: 1 });
+  for (let i = 0; i < 5; i++) log.write({ n: i, padding: 'x'.repeat(60) });
+  assert.ok(fs.existsSync(`${file}.1`));
+  assert.ok(!fs.existsSync(`${file}.2`));
+  assert.ok(fs.statSync(file).size <= 200);
+});
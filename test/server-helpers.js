@@ -0,0 +1,52 @@
+/**
+ * Setup shared by the recall server tests: a throwaway HOME and workspace on
+ * the js backend (set before cli/config loads), and servers on free ports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-server-'));
+Object.assign(process.env, {
+  HOME: home,
+  RECALL_WORKSPACE: path.join(home, 'workspace'),
+  RECALL_BACKEND: 'js',
+  RECALL_JS_INDEX: path.join(home, 'index'),
+  RECALL_MODEL_DIR: path.join(home, 'model')
+});
+delete process.env.RECALL_ALLOW_PRIVATE;
+process.on('exit', () => fs.rmSync(home, { recursive: true, force: true }));
+
+const { startServer } = require('../cli/server');
+
+// The startup banner and backend status would end up in the test report
+console.log = () => {};
+
+/**
+ * A server on a free loopback port (rate limit and audit log off unless given)
+ */
+async function listen(options = {}) {
+  const server = startServer(0, '127.0.0.1', { rateLimit: 0, auditLog: false, ...options });
+  await once(server, 'listening');
+  return server;
+}
+
+/**
+ * Send a request: { status, headers, body } with body parsed as JSON
+ * options: { body (object, or a string sent as is), token }
+ */
+async function call(server, method, pathname, options = {}) {
+  const headers = {};
+  if (options.token) headers.Authorization = `Bearer ${options.token}`;
+  let body;
+  if (options.body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+  }
+  const res = await fetch(`http://127.0.0.1:${server.address().port}${pathname}`, { method, headers, body });
+  return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+}
+
+module.exports = { home, listen, call };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { home, listen, call } = require('./server-helpers');
+
+const PRIVATE = { title: 'Mail setup', content: 'Forward reports to alice@corp.io every morning', agent: 'email' };
+
+test('POST /api/learnings validates submissions', async t => {
+  const server = await listen();
+  t.after(() => server.close());
+
+  let res = await call(server, 'POST', '/api/learnings', { body: { content: 'no title' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'title is required');
+
+  res = await call(server, 'POST', '/api/learnings', { body: { title: 't', content: 'c', category: 'gossip' } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /^category must be one of/);
+
+  res = await call(server, 'POST', '/api/learnings', { body: { title: 't', content: 'x'.repeat(5001) } });
+  assert.equal(res.status, 400);
+
+  res = await call(server, 'GET', '/api/learnings');
+  assert.equal(res.status, 405);
+});
+
+test('private-looking learnings are rejected with 422, without echoing the match', async t => {
+  const server = await listen();
+  t.after(() => server.close());
+
+  const res = await call(server, 'POST', '/api/learnings', { body: PRIVATE });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.status, 'rejected');
+  assert.deepEqual(res.body.violations.map(v => v.pattern), ['email']);
+  assert.ok(!JSON.stringify(res.body).includes('alice@corp.io'));
+  assert.ok(!fs.existsSync(path.join(home, 'workspace', 'memory', 'shared', 'agent-learnings.md')));
+});
+
+test('learningsPrivacy quarantine holds them for review with 202', async t => {
+  process.env.RECALL_LEARNINGS_PRIVACY = 'quarantine';
+  const server = await listen();
+  t.after(() => {
+    delete process.env.RECALL_LEARNINGS_PRIVACY;
+    server.close();
+  });
+
+  const res = await call(server, 'POST', '/api/learnings', { body: PRIVATE });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.status, 'quarantined');
+  const quarantined = fs.readdirSync(path.join(home, 'workspace', 'memory', 'quarantine', 'learnings'));
+  assert.equal(quarantined.length, 1);
+});
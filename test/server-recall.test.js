@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listen, call } = require('./server-helpers');
+const { parseRecallParams } = require('../cli/server');
+const { getBackend } = require('../src/backend');
+const { RecallError } = require('../src/errors');
+
+test('POST /api/recall validates its JSON body', async t => {
+  const server = await listen();
+  t.after(() => server.close());
+
+  let res = await call(server, 'POST', '/api/recall', { body: {} });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'query is required');
+
+  res = await call(server, 'POST', '/api/recall', { body: '{"query": ' });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /^Invalid JSON body/);
+
+  res = await call(server, 'POST', '/api/recall', { body: '[1]' });
+  assert.equal(res.status, 400);
+
+  res = await call(server, 'POST', '/api/recall', { body: { query: 'deploy', limit: 500 } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /^limit must be an integer/);
+
+  res = await call(server, 'PUT', '/api/recall', { body: { query: 'deploy' } });
+  assert.equal(res.status, 405);
+});
+
+test('unauthenticated recall is public-only', async t => {
+  const server = await listen();
+  t.after(() => server.close());
+
+  const res = await call(server, 'POST', '/api/recall', { body: { query: 'deploy', collections: ['private'], publicOnly: false } });
+  assert.equal(res.status, 403);
+  assert.match(res.body.error, /^public-only access/);
+});
+
+test('a valid request reaches the backend', async t => {
+  const server = await listen();
+  t.after(() => server.close());
+
+  // Nothing is indexed in the test workspace: 503 with the error's code and message only
+  const res = await call(server, 'POST', '/api/recall', { body: { query: 'deploy', collections: ['shared'] } });
+  assert.equal(res.status, 503);
+  assert.deepEqual(Object.keys(res.body).sort(), ['code', 'error', 'ok']);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.code, 'INDEX_MISSING');
+});
+
+test('backend failures are logged, not sent to the client', async t => {
+  const server = await listen();
+  t.after(() => server.close());
+  t.mock.method(getBackend(), 'recall', async () => {
+    throw new RecallError('Recall worker exited', { code: 'WORKER_CRASHED', stderr: 'Traceback: /home/me/memory/secret.md' });
+  });
+  const logged = [];
+  t.mock.method(console, 'error', line => logged.push(line));
+
+  const res = await call(server, 'POST', '/api/recall', { body: { query: 'deploy' } });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { ok: false, error: 'Recall worker exited', code: 'WORKER_CRASHED' });
+  assert.deepEqual(logged, ['⚠ Recall failed (WORKER_CRASHED): Recall worker exited', 'Traceback: /home/me/memory/secret.md']);
+});
+
+test('parseRecallParams applies defaults and reads query-string values', () => {
+  const { params } = parseRecallParams({ q: ' deploy ', limit: '3', rerank: 'true', min_score: '0.2' });
+  assert.equal(params.query, 'deploy');
+  assert.equal(params.limit, 3);
+  assert.equal(params.rerank, true);
+  assert.equal(params.minScore, 0.2);
+  assert.equal(params.mode, 'hybrid');
+  assert.equal(params.publicOnly, true);
+  assert.equal(params.collections, null);
+
+  assert.equal(parseRecallParams({ query: 'x', mode: 'fuzzy' }).status, 400);
+  assert.equal(parseRecallParams({ query: 'x', collections: ['agent_mail', 'nope'] }).status, 400);
+  assert.equal(parseRecallParams({ query: 'x', keywordWeight: 2 }).status, 400);
+});
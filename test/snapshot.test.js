@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Snapshots live under ~/.jasper-recall: give this process its own home
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-snapshot-'));
+const workspace = path.join(home, 'workspace');
+process.env.HOME = home;
+process.env.RECALL_WORKSPACE = workspace;
+process.env.RECALL_BACKEND = 'js';
+process.env.RECALL_JS_INDEX = path.join(home, 'js-index');
+
+const { takeSnapshot, restoreSnapshot, listSnapshots, MANIFEST } = require('../cli/snapshot');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const quiet = () => {};
+
+test('restoreSnapshot puts memory files back', () => {
+  fs.mkdirSync(path.join(workspace, 'memory'), { recursive: true });
+  const note = path.join(workspace, 'memory', 'note.md');
+  fs.writeFileSync(note, 'before');
+  takeSnapshot('summarize', { files: ['memory/note.md'], workspace, log: quiet });
+  fs.writeFileSync(note, 'after');
+
+  const restored = restoreSnapshot('latest', { index: false, log: quiet });
+  assert.deepEqual(restored.files, ['memory/note.md']);
+  assert.equal(fs.readFileSync(note, 'utf8'), 'before');
+});
+
+test('restoreSnapshot refuses manifest files outside the workspace', () => {
+  const snapshot = listSnapshots().pop();
+  const escape = path.join(home, 'escape.md');
+  fs.writeFileSync(path.join(snapshot.path, 'files', 'memory', 'note.md'), 'payload');
+
+  for (const file of ['../escape.md', escape, 'memory/../../escape.md', '', 7]) {
+    const manifest = { ...snapshot.manifest, files: ['memory/note.md', file] };
+    fs.writeFileSync(path.join(snapshot.path, MANIFEST), JSON.stringify(manifest));
+    assert.throws(() => restoreSnapshot(snapshot.id, { index: false, log: quiet }), /outside the workspace/);
+  }
+  assert.equal(fs.existsSync(escape), false);
+  assert.equal(fs.readFileSync(path.join(workspace, 'memory', 'note.md'), 'utf8'), 'before');
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keep the user's summarizer settings out of it
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-summarizer-'));
+process.env.HOME = home;
+delete process.env.RECALL_SUMMARIZER_API_KEY;
+
+const { getSummarizer, OpenAISummarizer } = require('../src/summarizer');
+
+const SESSION = {
+  messages: [
+    { role: 'user', text: 'Can you move the API to port 3458?' },
+    { role: 'assistant', text: 'We decided to use port 3458. Deployed the change to staging.' }
+  ],
+  tools: { exec: 2 }
+};
+
+/**
+ * An OpenAI-compatible endpoint answering each request with respond(req, body, res)
+ * @returns {Promise<{endpoint, requests, close}>}
+ */
+async function mockEndpoint(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => data += chunk);
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      requests.push({ url: req.url, headers: req.headers, body });
+      respond(req, body, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}/v1/`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function reply(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+}
+
+function chat(content) {
+  return { choices: [{ message: { role: 'assistant', content } }] };
+}
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('an OpenAI-compatible endpoint summarizes the session', async t => {
+  const mock = await mockEndpoint((req, body, res) => reply(res, 200, chat('```json\n' + JSON.stringify({
+    decisions: ['Use port 3458'],
+    open_questions: [],
+    outcomes: [{ text: 'Deployed to staging' }],
+    entities: ['staging', 42]
+  }) + '\n```')));
+  t.after(mock.close);
+
+  const summarizer = getSummarizer({ provider: 'openai', endpoint: mock.endpoint, model: 'tiny', apiKey: 'k' });
+  const summary = await summarizer.summarize(SESSION);
+  assert.deepEqual(summary, {
+    decisions: ['Use port 3458'],
+    openQuestions: [],
+    outcomes: ['Deployed to staging'],
+    entities: ['staging'],
+    provider: 'openai (tiny)'
+  });
+
+  const [request] = mock.requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer k');
+  assert.equal(request.body.model, 'tiny');
+  assert.match(request.body.messages[1].content, /^User: Can you move the API[\s\S]*Tools used: exec \(2x\)$/);
+});
+
+test('errors, timeouts and malformed replies fall back to extractive', async t => {
+  const answers = [
+    res => reply(res, 500, { error: 'model not loaded' }),
+    res => setTimeout(() => reply(res, 200, chat('{}')), 500),
+    res => reply(res, 200, '{"choices": [ not json'),
+    res => reply(res, 200, chat('Sorry, I cannot help with that.')),
+    res => reply(res, 200, { choices: [] })
+  ];
+  const mock = await mockEndpoint((req, body, res) => answers[mock.requests.length - 1](res));
+  t.after(mock.close);
+
+  const lines = [];
+  const summarizer = getSummarizer({ provider: 'openai', endpoint: mock.endpoint, timeoutMs: 100, log: line => lines.push(line) });
+  for (let i = 0; i < answers.length; i++) {
+    const summary = await summarizer.summarize(SESSION);
+    assert.equal(summary.provider, 'extractive');
+    assert.deepEqual(summary.decisions, ['We decided to use port 3458.']);
+  }
+  assert.equal(mock.requests.length, answers.length);
+  assert.match(lines[0], /openai summarizer failed \(.*answered 500: \{"error":"model not loaded"\}\) - using extractive/);
+  assert.match(lines[1], /no answer after 100ms/);
+  assert.match(lines[2], /did not answer with JSON/);
+  assert.match(lines[3], /did not reply with a JSON object: Sorry/);
+  assert.match(lines[4], /returned no message/);
+});
+
+test('without fallback the failure is reported', async t => {
+  const mock = await mockEndpoint((req, body, res) => reply(res, 503, 'busy'));
+  t.after(mock.close);
+
+  const summarizer = getSummarizer({ provider: 'openai', endpoint: mock.endpoint, fallback: false });
+  await assert.rejects(summarizer.summarize(SESSION), { code: 'SUMMARIZER_FAILED', message: /answered 503: busy/ });
+});
+
+test('an invalid endpoint falls back to extractive with a warning', () => {
+  for (const endpoint of ['localhost:8080', 'ftp://host/v1', '', 42]) {
+    const lines = [];
+    const summarizer = getSummarizer({ provider: 'openai', endpoint, log: line => lines.push(line) });
+    assert.equal(summarizer.name, 'extractive');
+    assert.match(lines[0], /⚠ Invalid summarizer endpoint .* \(expected an http\(s\) URL\) - using extractive/);
+  }
+  assert.throws(() => new OpenAISummarizer({}), { code: 'INVALID_ARGUMENT' });
+});
+
+test('an invalid endpoint is an error when fallback is off', () => {
+  const lines = [];
+  assert.throws(
+    () => getSummarizer({ provider: 'openai', endpoint: 'localhost:8080', fallback: false, log: line => lines.push(line) }),
+    { code: 'INVALID_ARGUMENT', message: /Invalid summarizer endpoint "localhost:8080"/ }
+  );
+  assert.deepEqual(lines, []);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryWatcher } = require('../cli/watch');
+
+test('a failed watcher is closed, logged and replaced, then the index resyncs', async t => {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'recall-watch-'));
+  fs.mkdirSync(path.join(workspace, 'memory'));
+  t.after(() => fs.rmSync(workspace, { recursive: true, force: true }));
+
+  const syncs = [];
+  const lines = [];
+  const backend = {
+    start: async () => {},
+    indexFiles: async (paths, options) => {
+      syncs.push({ paths, options });
+      return { indexed: [], removed: [] };
+    }
+  };
+  const watcher = new MemoryWatcher({ workspace, memoryPaths: ['memory/'], debounceMs: 10, backend, log: line => lines.push(line) });
+  t.after(() => watcher.stop());
+  await watcher.start();
+  assert.equal(syncs.length, 1);
+
+  const root = path.join(workspace, 'memory');
+  const first = watcher.watchers.get(root);
+  if (!watcher.recursive) return t.skip('no recursive fs.watch on this platform');
+
+  first.emit('error', Object.assign(new Error('watch failed'), { code: 'EMFILE' }));
+  assert.equal(watcher.watchers.has(root), false);
+  assert.match(lines.at(-1), /⚠ Stopped watching .*memory \(EMFILE\), retrying/);
+
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  await watcher.queue;
+  const second = watcher.watchers.get(root);
+  assert.ok(second && second !== first);
+  assert.match(lines.find(line => line.includes('again')), /Watching .*memory again/);
+  assert.equal(syncs.length, 2);
+  assert.deepEqual(syncs[1], { paths: null, options: { prune: true } });
+});
+
+test('without recursive watching a folder removed mid-event only triggers a resync', async t => {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'recall-watch-'));
+  const root = path.join(workspace, 'memory');
+  fs.mkdirSync(path.join(root, 'old'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'notes'), '');
+  t.after(() => fs.rmSync(workspace, { recursive: true, force: true }));
+
+  // Node 18 on Linux: no recursive fs.watch, and the new folder is gone by the time it is watched
+  const watch = fs.watch;
+  t.mock.method(fs, 'watch', (dir, ...rest) => {
+    const options = typeof rest[0] === 'object' ? rest[0] : {};
+    if (options.recursive) throw Object.assign(new Error('no recursive watch'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+    if (path.basename(dir) === 'new') throw Object.assign(new Error(`ENOENT: no such file or directory, watch '${dir}'`), { code: 'ENOENT' });
+    return watch(dir, ...rest);
+  });
+
+  const syncs = [];
+  const lines = [];
+  const backend = {
+    start: async () => {},
+    indexFiles: async paths => {
+      syncs.push(paths);
+      return { indexed: [], removed: [] };
+    }
+  };
+  const watcher = new MemoryWatcher({ workspace, memoryPaths: ['memory/'], debounceMs: 10, backend, log: line => lines.push(line) });
+  t.after(() => watcher.stop());
+  await watcher.start();
+  assert.equal(watcher.recursive, false);
+  assert.deepEqual([...watcher.watchers.keys()].sort(), [root, path.join(root, 'old')]);
+
+  fs.mkdirSync(path.join(root, 'new'));
+  watcher.onChange(root, 'new');
+  assert.match(lines.at(-1), /⚠ Cannot watch .*new \(ENOENT\)/);
+  watcher.onChange(root, 'notes/sub');
+  assert.match(lines.at(-1), /⚠ Cannot read .*notes\/sub \(ENOTDIR\)/);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await watcher.queue;
+  assert.deepEqual(syncs, [null, null]);
+  assert.equal(watcher.watchers.has(path.join(root, 'new')), false);
+});
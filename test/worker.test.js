@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RecallWorker } = require('../src/worker');
+
+/**
+ * A venv whose python3 stands in for recall-worker.py: it answers pings, exits
+ * on shutdown or the end of its input, and on "close-stdin" stops reading its
+ * input while staying alive
+ */
+function fakeVenv() {
+  const venv = fs.mkdtempSync(path.join(os.tmpdir(), 'jr-worker-'));
+  fs.mkdirSync(path.join(venv, 'bin'));
+  const python = path.join(venv, 'bin', 'python3');
+  fs.writeFileSync(python, `#!${process.execPath}
+const fs = require('fs');
+const readline = require('readline');
+console.log(JSON.stringify({ event: 'ready' }));
+const rl = readline.createInterface({ input: process.stdin });
+let deaf = false;
+rl.on('close', () => deaf || process.exit(0));
+rl.on('line', line => {
+  const { id, method } = JSON.parse(line);
+  if (method === 'shutdown') process.exit(0);
+  if (method === 'close-stdin') {
+    deaf = true;
+    rl.close();
+    process.stdin.destroy();
+    fs.closeSync(0);
+    setInterval(() => {}, 1000);
+    return;
+  }
+  console.log(JSON.stringify({ id, ok: true, result: { pid: process.pid } }));
+});
+`);
+  fs.chmodSync(python, 0o755);
+  return venv;
+}
+
+test('a worker that stops reading fails pending requests and restarts on the next one', async t => {
+  const venv = fakeVenv();
+  const worker = new RecallWorker({ venv, chromaDb: venv, workspace: venv, idleTimeout: 0, requestTimeout: 5000 });
+  t.after(() => {
+    worker.stop();
+    fs.rmSync(venv, { recursive: true, force: true });
+  });
+
+  const first = await worker.request('ping');
+  await assert.rejects(worker.request('close-stdin', {}, { timeout: 300 }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  // The write hits a closed pipe: rejected, not an uncaught 'error' event
+  await assert.rejects(worker.request('ping'), { code: 'WORKER_CRASHED' });
+  assert.equal(worker.running, false);
+
+  const second = await worker.request('ping');
+  assert.notEqual(second.pid, first.pid);
+});